@@ -153,5 +153,6 @@ module.exports = {
   testConnection,
   closeConnection,
   config: dbConfig,
+  environments: config,
   Sequelize
 };
@@ -0,0 +1,215 @@
+/**
+ * Geo Centroid Table - Offline Locations by ZIP Prefix and City
+ * Used by the offline geo provider to place addresses without a maps API.
+ * ZIP prefixes are the first three digits of a US ZIP code, placed at the main city they serve.
+ * Coordinates are decimal degrees (WGS84).
+ */
+
+module.exports = {
+  // Date the table was last reviewed
+  reviewedOn: '2026-10-01',
+
+  // Two addresses that resolve to the same centroid are treated as a local trip of this many miles
+  localMiles: 5,
+
+  // Service area (NJ, NY, PA, CT, DE) by 3-digit ZIP prefix
+  zipPrefixes: {
+    // New Jersey
+    '070': { city: 'Newark', state: 'NJ', lat: 40.7357, lng: -74.1724 },
+    '071': { city: 'Newark', state: 'NJ', lat: 40.7357, lng: -74.1724 },
+    '072': { city: 'Elizabeth', state: 'NJ', lat: 40.6640, lng: -74.2107 },
+    '073': { city: 'Jersey City', state: 'NJ', lat: 40.7178, lng: -74.0431 },
+    '074': { city: 'Paterson', state: 'NJ', lat: 40.9168, lng: -74.1718 },
+    '075': { city: 'Paterson', state: 'NJ', lat: 40.9168, lng: -74.1718 },
+    '076': { city: 'Hackensack', state: 'NJ', lat: 40.8859, lng: -74.0435 },
+    '077': { city: 'Red Bank', state: 'NJ', lat: 40.3471, lng: -74.0643 },
+    '078': { city: 'Dover', state: 'NJ', lat: 40.8840, lng: -74.5621 },
+    '079': { city: 'Morristown', state: 'NJ', lat: 40.7968, lng: -74.4815 },
+    '080': { city: 'Cherry Hill', state: 'NJ', lat: 39.9346, lng: -75.0307 },
+    '081': { city: 'Camden', state: 'NJ', lat: 39.9259, lng: -75.1196 },
+    '082': { city: 'Pleasantville', state: 'NJ', lat: 39.3898, lng: -74.5240 },
+    '083': { city: 'Vineland', state: 'NJ', lat: 39.4864, lng: -75.0260 },
+    '084': { city: 'Atlantic City', state: 'NJ', lat: 39.3643, lng: -74.4229 },
+    '085': { city: 'Trenton', state: 'NJ', lat: 40.2171, lng: -74.7429 },
+    '086': { city: 'Trenton', state: 'NJ', lat: 40.2171, lng: -74.7429 },
+    '087': { city: 'Lakewood', state: 'NJ', lat: 40.0821, lng: -74.2097 },
+    '088': { city: 'New Brunswick', state: 'NJ', lat: 40.4862, lng: -74.4518 },
+    '089': { city: 'New Brunswick', state: 'NJ', lat: 40.4862, lng: -74.4518 },
+
+    // New York
+    '100': { city: 'New York', state: 'NY', lat: 40.7549, lng: -73.9840 },
+    '101': { city: 'New York', state: 'NY', lat: 40.7549, lng: -73.9840 },
+    '102': { city: 'New York', state: 'NY', lat: 40.7128, lng: -74.0060 },
+    '103': { city: 'Staten Island', state: 'NY', lat: 40.5795, lng: -74.1502 },
+    '104': { city: 'Bronx', state: 'NY', lat: 40.8448, lng: -73.8648 },
+    '105': { city: 'White Plains', state: 'NY', lat: 41.0340, lng: -73.7629 },
+    '106': { city: 'White Plains', state: 'NY', lat: 41.0340, lng: -73.7629 },
+    '107': { city: 'Yonkers', state: 'NY', lat: 40.9312, lng: -73.8988 },
+    '108': { city: 'New Rochelle', state: 'NY', lat: 40.9115, lng: -73.7824 },
+    '109': { city: 'Suffern', state: 'NY', lat: 41.1148, lng: -74.1496 },
+    '110': { city: 'Floral Park', state: 'NY', lat: 40.7237, lng: -73.7049 },
+    '111': { city: 'Long Island City', state: 'NY', lat: 40.7447, lng: -73.9485 },
+    '112': { city: 'Brooklyn', state: 'NY', lat: 40.6782, lng: -73.9442 },
+    '113': { city: 'Flushing', state: 'NY', lat: 40.7675, lng: -73.8331 },
+    '114': { city: 'Jamaica', state: 'NY', lat: 40.7027, lng: -73.7890 },
+    '115': { city: 'Hempstead', state: 'NY', lat: 40.7062, lng: -73.6187 },
+    '116': { city: 'Far Rockaway', state: 'NY', lat: 40.6054, lng: -73.7551 },
+    '117': { city: 'Hicksville', state: 'NY', lat: 40.7684, lng: -73.5251 },
+    '118': { city: 'Hicksville', state: 'NY', lat: 40.7684, lng: -73.5251 },
+    '119': { city: 'Riverhead', state: 'NY', lat: 40.9170, lng: -72.6620 },
+    '120': { city: 'Albany', state: 'NY', lat: 42.6526, lng: -73.7562 },
+    '121': { city: 'Albany', state: 'NY', lat: 42.6526, lng: -73.7562 },
+    '122': { city: 'Albany', state: 'NY', lat: 42.6526, lng: -73.7562 },
+    '123': { city: 'Schenectady', state: 'NY', lat: 42.8142, lng: -73.9396 },
+    '124': { city: 'Kingston', state: 'NY', lat: 41.9270, lng: -73.9974 },
+    '125': { city: 'Poughkeepsie', state: 'NY', lat: 41.7004, lng: -73.9210 },
+    '126': { city: 'Poughkeepsie', state: 'NY', lat: 41.7004, lng: -73.9210 },
+    '127': { city: 'Monticello', state: 'NY', lat: 41.6556, lng: -74.6893 },
+    '128': { city: 'Glens Falls', state: 'NY', lat: 43.3095, lng: -73.6440 },
+    '129': { city: 'Plattsburgh', state: 'NY', lat: 44.6995, lng: -73.4529 },
+    '130': { city: 'Syracuse', state: 'NY', lat: 43.0481, lng: -76.1474 },
+    '131': { city: 'Syracuse', state: 'NY', lat: 43.0481, lng: -76.1474 },
+    '132': { city: 'Syracuse', state: 'NY', lat: 43.0481, lng: -76.1474 },
+    '133': { city: 'Utica', state: 'NY', lat: 43.1009, lng: -75.2327 },
+    '134': { city: 'Utica', state: 'NY', lat: 43.1009, lng: -75.2327 },
+    '135': { city: 'Utica', state: 'NY', lat: 43.1009, lng: -75.2327 },
+    '136': { city: 'Watertown', state: 'NY', lat: 43.9748, lng: -75.9108 },
+    '137': { city: 'Binghamton', state: 'NY', lat: 42.0987, lng: -75.9180 },
+    '138': { city: 'Binghamton', state: 'NY', lat: 42.0987, lng: -75.9180 },
+    '139': { city: 'Binghamton', state: 'NY', lat: 42.0987, lng: -75.9180 },
+    '140': { city: 'Buffalo', state: 'NY', lat: 42.8864, lng: -78.8784 },
+    '141': { city: 'Buffalo', state: 'NY', lat: 42.8864, lng: -78.8784 },
+    '142': { city: 'Buffalo', state: 'NY', lat: 42.8864, lng: -78.8784 },
+    '143': { city: 'Niagara Falls', state: 'NY', lat: 43.0962, lng: -79.0377 },
+    '144': { city: 'Rochester', state: 'NY', lat: 43.1566, lng: -77.6088 },
+    '145': { city: 'Rochester', state: 'NY', lat: 43.1566, lng: -77.6088 },
+    '146': { city: 'Rochester', state: 'NY', lat: 43.1566, lng: -77.6088 },
+    '147': { city: 'Jamestown', state: 'NY', lat: 42.0970, lng: -79.2353 },
+    '148': { city: 'Elmira', state: 'NY', lat: 42.0898, lng: -76.8077 },
+    '149': { city: 'Elmira', state: 'NY', lat: 42.0898, lng: -76.8077 },
+
+    // Pennsylvania
+    '150': { city: 'Pittsburgh', state: 'PA', lat: 40.4406, lng: -79.9959 },
+    '151': { city: 'Pittsburgh', state: 'PA', lat: 40.4406, lng: -79.9959 },
+    '152': { city: 'Pittsburgh', state: 'PA', lat: 40.4406, lng: -79.9959 },
+    '153': { city: 'Washington', state: 'PA', lat: 40.1740, lng: -80.2462 },
+    '154': { city: 'Uniontown', state: 'PA', lat: 39.9001, lng: -79.7164 },
+    '155': { city: 'Somerset', state: 'PA', lat: 40.0084, lng: -79.0781 },
+    '156': { city: 'Greensburg', state: 'PA', lat: 40.3015, lng: -79.5389 },
+    '157': { city: 'Indiana', state: 'PA', lat: 40.6215, lng: -79.1525 },
+    '158': { city: 'DuBois', state: 'PA', lat: 41.1192, lng: -78.7600 },
+    '159': { city: 'Johnstown', state: 'PA', lat: 40.3267, lng: -78.9220 },
+    '160': { city: 'New Castle', state: 'PA', lat: 41.0037, lng: -80.3470 },
+    '161': { city: 'New Castle', state: 'PA', lat: 41.0037, lng: -80.3470 },
+    '162': { city: 'Kittanning', state: 'PA', lat: 40.8165, lng: -79.5217 },
+    '163': { city: 'Oil City', state: 'PA', lat: 41.4340, lng: -79.7084 },
+    '164': { city: 'Erie', state: 'PA', lat: 42.1292, lng: -80.0851 },
+    '165': { city: 'Erie', state: 'PA', lat: 42.1292, lng: -80.0851 },
+    '166': { city: 'Altoona', state: 'PA', lat: 40.5187, lng: -78.3947 },
+    '167': { city: 'Bradford', state: 'PA', lat: 41.9559, lng: -78.6439 },
+    '168': { city: 'State College', state: 'PA', lat: 40.7934, lng: -77.8600 },
+    '169': { city: 'Wellsboro', state: 'PA', lat: 41.7487, lng: -77.3005 },
+    '170': { city: 'Harrisburg', state: 'PA', lat: 40.2732, lng: -76.8867 },
+    '171': { city: 'Harrisburg', state: 'PA', lat: 40.2732, lng: -76.8867 },
+    '172': { city: 'Chambersburg', state: 'PA', lat: 39.9376, lng: -77.6611 },
+    '173': { city: 'York', state: 'PA', lat: 39.9626, lng: -76.7277 },
+    '174': { city: 'York', state: 'PA', lat: 39.9626, lng: -76.7277 },
+    '175': { city: 'Lancaster', state: 'PA', lat: 40.0379, lng: -76.3055 },
+    '176': { city: 'Lancaster', state: 'PA', lat: 40.0379, lng: -76.3055 },
+    '177': { city: 'Williamsport', state: 'PA', lat: 41.2412, lng: -77.0011 },
+    '178': { city: 'Sunbury', state: 'PA', lat: 40.8626, lng: -76.7944 },
+    '179': { city: 'Pottsville', state: 'PA', lat: 40.6856, lng: -76.1955 },
+    '180': { city: 'Bethlehem', state: 'PA', lat: 40.6259, lng: -75.3705 },
+    '181': { city: 'Allentown', state: 'PA', lat: 40.6084, lng: -75.4902 },
+    '182': { city: 'Hazleton', state: 'PA', lat: 40.9584, lng: -75.9746 },
+    '183': { city: 'East Stroudsburg', state: 'PA', lat: 40.9995, lng: -75.1813 },
+    '184': { city: 'Scranton', state: 'PA', lat: 41.4090, lng: -75.6624 },
+    '185': { city: 'Scranton', state: 'PA', lat: 41.4090, lng: -75.6624 },
+    '186': { city: 'Wilkes-Barre', state: 'PA', lat: 41.2459, lng: -75.8813 },
+    '187': { city: 'Wilkes-Barre', state: 'PA', lat: 41.2459, lng: -75.8813 },
+    '188': { city: 'Montrose', state: 'PA', lat: 41.8334, lng: -75.8771 },
+    '189': { city: 'Doylestown', state: 'PA', lat: 40.3101, lng: -75.1299 },
+    '190': { city: 'Philadelphia', state: 'PA', lat: 39.9526, lng: -75.1652 },
+    '191': { city: 'Philadelphia', state: 'PA', lat: 39.9526, lng: -75.1652 },
+    '192': { city: 'Philadelphia', state: 'PA', lat: 39.9526, lng: -75.1652 },
+    '193': { city: 'West Chester', state: 'PA', lat: 39.9607, lng: -75.6055 },
+    '194': { city: 'Norristown', state: 'PA', lat: 40.1215, lng: -75.3399 },
+    '195': { city: 'Reading', state: 'PA', lat: 40.3356, lng: -75.9269 },
+    '196': { city: 'Reading', state: 'PA', lat: 40.3356, lng: -75.9269 },
+
+    // Delaware
+    '197': { city: 'Newark', state: 'DE', lat: 39.6837, lng: -75.7497 },
+    '198': { city: 'Wilmington', state: 'DE', lat: 39.7391, lng: -75.5398 },
+    '199': { city: 'Dover', state: 'DE', lat: 39.1582, lng: -75.5244 },
+
+    // Connecticut
+    '060': { city: 'Hartford', state: 'CT', lat: 41.7658, lng: -72.6734 },
+    '061': { city: 'Hartford', state: 'CT', lat: 41.7658, lng: -72.6734 },
+    '062': { city: 'Willimantic', state: 'CT', lat: 41.7107, lng: -72.2081 },
+    '063': { city: 'New London', state: 'CT', lat: 41.3557, lng: -72.0995 },
+    '064': { city: 'New Haven', state: 'CT', lat: 41.3083, lng: -72.9279 },
+    '065': { city: 'New Haven', state: 'CT', lat: 41.3083, lng: -72.9279 },
+    '066': { city: 'Bridgeport', state: 'CT', lat: 41.1865, lng: -73.1952 },
+    '067': { city: 'Waterbury', state: 'CT', lat: 41.5582, lng: -73.0515 },
+    '068': { city: 'Stamford', state: 'CT', lat: 41.0534, lng: -73.5387 },
+    '069': { city: 'Stamford', state: 'CT', lat: 41.0534, lng: -73.5387 }
+  },
+
+  // Venue towns and long-haul destinations not named by a ZIP prefix above
+  cities: [
+    { city: 'Hoboken', state: 'NJ', lat: 40.7440, lng: -74.0324 },
+    { city: 'Secaucus', state: 'NJ', lat: 40.7895, lng: -74.0565 },
+    { city: 'East Rutherford', state: 'NJ', lat: 40.8339, lng: -74.0971 },
+    { city: 'Edison', state: 'NJ', lat: 40.5187, lng: -74.4121 },
+    { city: 'Princeton', state: 'NJ', lat: 40.3573, lng: -74.6672 },
+    { city: 'Parsippany', state: 'NJ', lat: 40.8579, lng: -74.4260 },
+    { city: 'Montclair', state: 'NJ', lat: 40.8259, lng: -74.2090 },
+    { city: 'Toms River', state: 'NJ', lat: 39.9537, lng: -74.1979 },
+    { city: 'Asbury Park', state: 'NJ', lat: 40.2204, lng: -74.0121 },
+    { city: 'Manhattan', state: 'NY', lat: 40.7831, lng: -73.9712 },
+    { city: 'Queens', state: 'NY', lat: 40.7282, lng: -73.7949 },
+    { city: 'Uniondale', state: 'NY', lat: 40.7004, lng: -73.5929 },
+    { city: 'Saratoga Springs', state: 'NY', lat: 43.0831, lng: -73.7846 },
+    { city: 'Ithaca', state: 'NY', lat: 42.4440, lng: -76.5019 },
+    { city: 'King of Prussia', state: 'PA', lat: 40.0893, lng: -75.3963 },
+    { city: 'Hershey', state: 'PA', lat: 40.2859, lng: -76.6502 },
+    { city: 'Oaks', state: 'PA', lat: 40.1318, lng: -75.4577 },
+    { city: 'Greenwich', state: 'CT', lat: 41.0262, lng: -73.6282 },
+    { city: 'Mashantucket', state: 'CT', lat: 41.4726, lng: -71.9662 },
+    { city: 'Uncasville', state: 'CT', lat: 41.4343, lng: -72.1098 },
+    { city: 'Boston', state: 'MA', lat: 42.3601, lng: -71.0589 },
+    { city: 'Worcester', state: 'MA', lat: 42.2626, lng: -71.8023 },
+    { city: 'Springfield', state: 'MA', lat: 42.1015, lng: -72.5898 },
+    { city: 'Providence', state: 'RI', lat: 41.8240, lng: -71.4128 },
+    { city: 'Baltimore', state: 'MD', lat: 39.2904, lng: -76.6122 },
+    { city: 'Annapolis', state: 'MD', lat: 38.9784, lng: -76.4922 },
+    { city: 'Washington', state: 'DC', lat: 38.9072, lng: -77.0369 },
+    { city: 'National Harbor', state: 'MD', lat: 38.7826, lng: -77.0174 },
+    { city: 'Richmond', state: 'VA', lat: 37.5407, lng: -77.4360 },
+    { city: 'Virginia Beach', state: 'VA', lat: 36.8529, lng: -75.9780 },
+    { city: 'Charlotte', state: 'NC', lat: 35.2271, lng: -80.8431 },
+    { city: 'Raleigh', state: 'NC', lat: 35.7796, lng: -78.6382 },
+    { city: 'Atlanta', state: 'GA', lat: 33.7490, lng: -84.3880 },
+    { city: 'Orlando', state: 'FL', lat: 28.5383, lng: -81.3792 },
+    { city: 'Miami', state: 'FL', lat: 25.7617, lng: -80.1918 },
+    { city: 'Nashville', state: 'TN', lat: 36.1627, lng: -86.7816 },
+    { city: 'Cleveland', state: 'OH', lat: 41.4993, lng: -81.6944 },
+    { city: 'Columbus', state: 'OH', lat: 39.9612, lng: -82.9988 },
+    { city: 'Detroit', state: 'MI', lat: 42.3314, lng: -83.0458 },
+    { city: 'Chicago', state: 'IL', lat: 41.8781, lng: -87.6298 },
+    { city: 'Minneapolis', state: 'MN', lat: 44.9778, lng: -93.2650 },
+    { city: 'St. Louis', state: 'MO', lat: 38.6270, lng: -90.1994 },
+    { city: 'New Orleans', state: 'LA', lat: 29.9511, lng: -90.0715 },
+    { city: 'Dallas', state: 'TX', lat: 32.7767, lng: -96.7970 },
+    { city: 'Houston', state: 'TX', lat: 29.7604, lng: -95.3698 },
+    { city: 'Austin', state: 'TX', lat: 30.2672, lng: -97.7431 },
+    { city: 'Denver', state: 'CO', lat: 39.7392, lng: -104.9903 },
+    { city: 'Phoenix', state: 'AZ', lat: 33.4484, lng: -112.0740 },
+    { city: 'Las Vegas', state: 'NV', lat: 36.1699, lng: -115.1398 },
+    { city: 'San Diego', state: 'CA', lat: 32.7157, lng: -117.1611 },
+    { city: 'Los Angeles', state: 'CA', lat: 34.0522, lng: -118.2437 },
+    { city: 'San Francisco', state: 'CA', lat: 37.7749, lng: -122.4194 },
+    { city: 'Portland', state: 'OR', lat: 45.5152, lng: -122.6784 },
+    { city: 'Seattle', state: 'WA', lat: 47.6062, lng: -122.3321 }
+  ]
+};
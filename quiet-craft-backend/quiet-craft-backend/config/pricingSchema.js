@@ -0,0 +1,327 @@
+/**
+ * Pricing Schema - Shape and bounds of the pricing rate card
+ * Every rate card is checked against this before it is stored or applied
+ */
+
+const fee = { type: 'number', min: 0, max: 10000 };
+const multiplier = { type: 'number', min: 0.1, max: 10 };
+
+const pricingSchema = {
+  type: 'object',
+  required: ['baseFee', 'distanceTiers', 'itemFees', 'serviceLevels', 'additionalServices', 'eventTypes', 'complexityFactors'],
+  properties: {
+    baseFee: { type: 'number', min: 0, max: 1000 },
+
+    distanceTiers: {
+      type: 'object',
+      required: ['tier1', 'tier2', 'tier3'],
+      properties: {
+        tier1: {
+          type: 'object',
+          required: ['maxMiles', 'rate'],
+          properties: {
+            maxMiles: { type: 'number', min: 0, max: 5000 },
+            rate: { type: 'number', min: 0, max: 100 }
+          }
+        },
+        tier2: {
+          type: 'object',
+          required: ['maxMiles', 'rate'],
+          properties: {
+            maxMiles: { type: 'number', min: 0, max: 5000 },
+            rate: { type: 'number', min: 0, max: 100 }
+          }
+        },
+        tier3: {
+          type: 'object',
+          required: ['rate'],
+          properties: {
+            rate: { type: 'number', min: 0, max: 100 }
+          }
+        }
+      }
+    },
+
+    itemFees: {
+      type: 'object',
+      required: ['small', 'medium', 'large', 'extraLarge', 'delicate', 'highValue'],
+      values: fee
+    },
+
+    serviceLevels: {
+      type: 'object',
+      required: ['standard', 'nextDay', 'sameDay', 'emergency'],
+      values: fee
+    },
+
+    additionalServices: {
+      type: 'object',
+      values: fee
+    },
+
+    eventTypes: {
+      type: 'object',
+      required: ['corporateEvent'],
+      values: multiplier
+    },
+
+    complexityFactors: {
+      type: 'object',
+      values: multiplier
+    },
+
+    // Optional: price items by billable weight instead of their size label
+    dimensionalPricing: {
+      type: 'object',
+      required: ['enabled', 'divisors', 'sizeLimits', 'overweight'],
+      properties: {
+        enabled: { type: 'boolean' },
+        divisors: {
+          type: 'object',
+          required: ['domestic', 'international'],
+          values: { type: 'number', min: 1, max: 1000 }
+        },
+        sizeLimits: {
+          type: 'object',
+          required: ['small', 'medium', 'large'],
+          properties: {
+            small: { type: 'number', min: 0, max: 10000 },
+            medium: { type: 'number', min: 0, max: 10000 },
+            large: { type: 'number', min: 0, max: 10000 }
+          }
+        },
+        overweight: {
+          type: 'object',
+          required: ['thresholdLbs', 'ratePerLb'],
+          properties: {
+            thresholdLbs: { type: 'number', min: 0, max: 10000 },
+            ratePerLb: { type: 'number', min: 0, max: 100 }
+          }
+        }
+      }
+    },
+
+    // Optional: vehicle catalog used to pick the cheapest vehicles the load fits in
+    fleet: {
+      type: 'object',
+      required: ['enabled', 'maxVehicles', 'loadFactor', 'vehicles', 'sizeDefaults'],
+      properties: {
+        enabled: { type: 'boolean' },
+        maxVehicles: { type: 'number', min: 1, max: 10 },
+        loadFactor: { type: 'number', min: 0.1, max: 1 },
+        vehicles: {
+          type: 'object',
+          values: {
+            type: 'object',
+            required: ['cargoCubicFeet', 'payloadLbs', 'maxLengthInches', 'hourlyRate', 'mileageRate', 'minimumHours'],
+            properties: {
+              cargoCubicFeet: { type: 'number', min: 1, max: 10000 },
+              payloadLbs: { type: 'number', min: 1, max: 100000 },
+              maxLengthInches: { type: 'number', min: 1, max: 1000 },
+              hourlyRate: fee,
+              mileageRate: { type: 'number', min: 0, max: 100 },
+              minimumHours: { type: 'number', min: 0, max: 24 }
+            }
+          }
+        },
+        sizeDefaults: {
+          type: 'object',
+          required: ['small', 'medium', 'large', 'extraLarge'],
+          values: {
+            type: 'object',
+            required: ['cubicFeet', 'weightLbs'],
+            properties: {
+              cubicFeet: { type: 'number', min: 0, max: 10000 },
+              weightLbs: { type: 'number', min: 0, max: 100000 }
+            }
+          }
+        }
+      }
+    },
+
+    // Optional: warehouse storage by stay and pallet positions (shared/storagePricing.js)
+    storage: {
+      type: 'object',
+      required: ['dailyRatePerPallet', 'monthlyRates', 'handlingInPerPallet', 'handlingOutPerPallet', 'cubicFeetPerPallet', 'minimumDays', 'minimumCharge', 'sizeCubicFeet'],
+      properties: {
+        dailyRatePerPallet: { type: 'number', min: 0, max: 1000 },
+        monthlyRates: {
+          type: 'object',
+          values: {
+            type: 'object',
+            required: ['minMonths', 'ratePerPallet'],
+            properties: {
+              minMonths: { type: 'number', min: 1, max: 120 },
+              ratePerPallet: { type: 'number', min: 0, max: 10000 }
+            }
+          }
+        },
+        handlingInPerPallet: { type: 'number', min: 0, max: 1000 },
+        handlingOutPerPallet: { type: 'number', min: 0, max: 1000 },
+        cubicFeetPerPallet: { type: 'number', min: 1, max: 1000 },
+        minimumDays: { type: 'number', min: 1, max: 365 },
+        minimumCharge: fee,
+        sizeCubicFeet: {
+          type: 'object',
+          required: ['small', 'medium', 'large', 'extraLarge'],
+          values: { type: 'number', min: 0, max: 10000 }
+        }
+      }
+    },
+
+    // Optional: surge multipliers by how full the booking calendar is on the event date
+    demandPricing: {
+      type: 'object',
+      required: ['enabled', 'dailyCapacity', 'maxMultiplier', 'levels'],
+      properties: {
+        enabled: { type: 'boolean' },
+        dailyCapacity: { type: 'number', min: 1, max: 1000 },
+        maxMultiplier: { type: 'number', min: 1, max: 5 },
+        levels: {
+          type: 'object',
+          values: {
+            type: 'object',
+            required: ['utilization', 'multiplier'],
+            properties: {
+              utilization: { type: 'number', min: 0, max: 10 },
+              multiplier: { type: 'number', min: 1, max: 5 }
+            }
+          }
+        },
+        capacityOverrides: {
+          type: 'object',
+          values: { type: 'number', min: 1, max: 1000 }
+        }
+      }
+    }
+  }
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a value against a schema node, collecting every violation
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Dotted path of the value
+ * @param {Array} errors - Collected violations
+ */
+const checkNode = (value, schema, path, errors) => {
+  if (schema.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push({ path, msg: 'Must be a number' });
+      return;
+    }
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push({ path, msg: `Must be at least ${schema.min}` });
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push({ path, msg: `Must be at most ${schema.max}` });
+    }
+    return;
+  }
+
+  if (schema.type === 'boolean') {
+    if (typeof value !== 'boolean') {
+      errors.push({ path, msg: 'Must be true or false' });
+    }
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    errors.push({ path, msg: 'Must be an object' });
+    return;
+  }
+
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined) {
+      errors.push({ path: path ? `${path}.${key}` : key, msg: 'Is required' });
+    }
+  });
+
+  Object.entries(value).forEach(([key, child]) => {
+    const childPath = path ? `${path}.${key}` : key;
+    const childSchema = schema.properties ? schema.properties[key] : schema.values;
+
+    if (!childSchema) {
+      errors.push({ path: childPath, msg: 'Is not a recognised pricing setting' });
+      return;
+    }
+
+    checkNode(child, childSchema, childPath, errors);
+  });
+};
+
+/**
+ * Validate a complete rate card
+ * @param {Object} pricing - Rate card to validate
+ * @returns {Array} Violations as { path, msg } (empty when valid)
+ */
+const validatePricing = (pricing) => {
+  const errors = [];
+  checkNode(pricing, pricingSchema, '', errors);
+
+  // Tier boundaries must increase
+  const tiers = pricing && pricing.distanceTiers;
+  if (errors.length === 0 && tiers.tier2.maxMiles <= tiers.tier1.maxMiles) {
+    errors.push({ path: 'distanceTiers.tier2.maxMiles', msg: 'Must be greater than distanceTiers.tier1.maxMiles' });
+  }
+
+  // Size class weight limits must increase
+  const limits = pricing && pricing.dimensionalPricing && pricing.dimensionalPricing.sizeLimits;
+  if (errors.length === 0 && limits) {
+    if (limits.medium <= limits.small) {
+      errors.push({ path: 'dimensionalPricing.sizeLimits.medium', msg: 'Must be greater than dimensionalPricing.sizeLimits.small' });
+    }
+    if (limits.large <= limits.medium) {
+      errors.push({ path: 'dimensionalPricing.sizeLimits.large', msg: 'Must be greater than dimensionalPricing.sizeLimits.medium' });
+    }
+  }
+
+  // An enabled fleet needs at least one vehicle
+  const fleet = pricing && pricing.fleet;
+  if (errors.length === 0 && fleet && fleet.enabled && Object.keys(fleet.vehicles).length === 0) {
+    errors.push({ path: 'fleet.vehicles', msg: 'Must list at least one vehicle when the fleet is enabled' });
+  }
+
+  // Storage needs a monthly rate break starting at one month
+  const monthlyRates = pricing && pricing.storage && pricing.storage.monthlyRates;
+  if (errors.length === 0 && monthlyRates && !Object.values(monthlyRates).some(entry => entry.minMonths === 1)) {
+    errors.push({ path: 'storage.monthlyRates', msg: 'Must include a rate break with minMonths 1' });
+  }
+
+  // Capacity overrides are keyed by calendar date
+  const overrides = pricing && pricing.demandPricing && pricing.demandPricing.capacityOverrides;
+  if (errors.length === 0 && overrides) {
+    Object.keys(overrides)
+      .filter(date => !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date)))
+      .forEach(date => errors.push({ path: `demandPricing.capacityOverrides.${date}`, msg: 'Must be keyed by a YYYY-MM-DD date' }));
+  }
+
+  return errors;
+};
+
+/**
+ * Merge a partial update into a rate card, section by section
+ * @param {Object} pricing - Current rate card
+ * @param {Object} changes - Partial rate card
+ * @returns {Object} New rate card (inputs are not modified)
+ */
+const mergePricing = (pricing, changes) => {
+  const merged = { ...pricing };
+
+  Object.entries(changes || {}).forEach(([key, value]) => {
+    const current = merged[key];
+    merged[key] = isPlainObject(current) && isPlainObject(value)
+      ? mergePricing(current, value)
+      : value;
+  });
+
+  return merged;
+};
+
+module.exports = {
+  pricingSchema,
+  validatePricing,
+  mergePricing
+};
@@ -0,0 +1,18 @@
+/**
+ * Quote Terms - Terms a Customer Agrees to When Accepting a Quote Online
+ * Bump the version whenever the wording changes; each acceptance records the version agreed to.
+ */
+
+module.exports = {
+  version: '2026-10-01',
+
+  title: 'Quiet Craft Solutions Delivery Terms',
+
+  clauses: [
+    'The quoted price covers the pickup, stops, delivery, items and services listed on this quote. Changes to any of them are re-quoted before the job.',
+    'Wait time beyond the scheduled window, extra stops and items not on the quote are billed at the rates on the current rate card.',
+    'Cancellations made less than 48 hours before the scheduled pickup may be charged up to 50% of the quoted total.',
+    'Items must be packed and ready for loading at the pickup time. Loss or damage is covered up to the declared value only when insurance is part of the quote.',
+    'Payment is due according to the deposit and balance terms on the booking confirmation.'
+  ]
+};
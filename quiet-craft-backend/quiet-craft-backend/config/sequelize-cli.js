@@ -0,0 +1,8 @@
+/**
+ * Sequelize CLI Configuration - Settings for npm run migrate
+ * Uses the same per-environment database settings as the application
+ */
+
+const { environments } = require('./database');
+
+module.exports = environments;
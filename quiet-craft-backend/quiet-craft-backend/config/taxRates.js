@@ -0,0 +1,80 @@
+/**
+ * Tax Rate Table - Sales Tax Jurisdictions by State and ZIP Range
+ * Maintained locally by finance; update rates here when jurisdictions change them.
+ * Rates are decimals (0.06625 = 6.625%). ZIP ranges are inclusive 5-digit strings.
+ */
+
+module.exports = {
+  // Date the table was last reviewed against published rates
+  reviewedOn: '2026-07-01',
+
+  // Used when the delivery address is outside every jurisdiction below
+  defaultRate: parseFloat(process.env.TAX_RATE) || 0.085,
+
+  // Tax category of each additional service (fees not listed are 'delivery')
+  serviceCategories: {
+    venueCoordination: 'coordination',
+    onSiteSupport: 'labor',
+    setupAssistance: 'installation',
+    storageDaily: 'storage',
+    storage: 'storage',
+    customsHandling: 'brokerage',
+    insurancePremium: 'insurance',
+    weekendDelivery: 'delivery',
+    afterHoursDelivery: 'delivery',
+    multipleStops: 'delivery'
+  },
+
+  // Categories exempt everywhere unless a jurisdiction overrides exemptCategories
+  defaultExemptCategories: ['insurance', 'brokerage'],
+
+  jurisdictions: [
+    {
+      state: 'NJ',
+      name: 'New Jersey',
+      rate: 0.06625,
+      zipRanges: [['07001', '08999']],
+      exemptCategories: ['insurance', 'brokerage'],
+      localRates: []
+    },
+    {
+      state: 'NY',
+      name: 'New York',
+      rate: 0.04,
+      zipRanges: [['10001', '14975']],
+      exemptCategories: ['delivery', 'insurance', 'brokerage'],
+      localRates: [
+        { name: 'New York City', rate: 0.04875, zipRanges: [['10001', '10499'], ['11004', '11005'], ['11101', '11109'], ['11201', '11256'], ['11351', '11499'], ['11690', '11697']] },
+        { name: 'Nassau County', rate: 0.04625, zipRanges: [['11001', '11003'], ['11010', '11099'], ['11501', '11599'], ['11771', '11804']] },
+        { name: 'Westchester County', rate: 0.04375, zipRanges: [['10501', '10599'], ['10601', '10710'], ['10801', '10805']] }
+      ]
+    },
+    {
+      state: 'PA',
+      name: 'Pennsylvania',
+      rate: 0.06,
+      zipRanges: [['15001', '19640']],
+      exemptCategories: ['delivery', 'coordination', 'insurance', 'brokerage'],
+      localRates: [
+        { name: 'Philadelphia', rate: 0.02, zipRanges: [['19101', '19199']] },
+        { name: 'Allegheny County', rate: 0.01, zipRanges: [['15001', '15299']] }
+      ]
+    },
+    {
+      state: 'CT',
+      name: 'Connecticut',
+      rate: 0.0635,
+      zipRanges: [['06001', '06999']],
+      exemptCategories: ['insurance'],
+      localRates: []
+    },
+    {
+      state: 'DE',
+      name: 'Delaware',
+      rate: 0,
+      zipRanges: [['19701', '19980']],
+      exemptCategories: [],
+      localRates: []
+    }
+  ]
+};
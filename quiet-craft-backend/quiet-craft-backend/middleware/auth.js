@@ -173,6 +173,17 @@ const requireRole = (requiredRoles = []) => {
   };
 };
 
+/**
+ * Whether an authenticated user is staff (admin, super admin or a configured super admin ID)
+ * @param {Object} user - req.user from authenticateUser
+ * @returns {boolean} True for staff
+ */
+const isAdminUser = (user) => {
+  return !!(user?.metadata?.roles?.includes('admin') ||
+            user?.metadata?.roles?.includes('super_admin') ||
+            process.env.SUPER_ADMIN_IDS?.split(',').includes(user?.id));
+};
+
 /**
  * Admin authorization middleware
  */
@@ -186,12 +197,7 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
-  // Check if user is admin
-  const isAdmin = req.user.metadata.roles?.includes('admin') ||
-                  req.user.metadata.roles?.includes('super_admin') ||
-                  process.env.SUPER_ADMIN_IDS?.split(',').includes(req.user.id);
-
-  if (!isAdmin) {
+  if (!isAdminUser(req.user)) {
     logger.logSecurity('ADMIN_ACCESS_DENIED', {
       userId: req.user.id,
       email: req.user.email,
@@ -409,6 +415,7 @@ module.exports = {
   optionalAuth,
   requireRole,
   requireAdmin,
+  isAdminUser,
   userRateLimit,
   validateSession,
   enrichUserProfile,
@@ -0,0 +1,90 @@
+/**
+ * Idempotency Middleware - Idempotency-Key Support for POST Routes
+ * A retried request carrying the same key gets the stored response instead of running again
+ */
+
+const idempotencyService = require('../services/idempotencyService');
+const logger = require('../utils/logger');
+const { AppError } = require('./errorHandler');
+
+// Printable ASCII without spaces, like a UUID
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+/**
+ * Honor an Idempotency-Key header. Requests without one run as usual.
+ * Mount after authentication (keys are scoped to the caller) and after any file upload parsing.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid Idempotency-Key',
+      message: 'Idempotency-Key must be 1-255 printable characters without spaces, such as a UUID',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  let claim;
+  try {
+    claim = await idempotencyService.claim(key, req);
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      // Key storage is unavailable; process the request rather than block it
+      logger.logError(error, { service: 'idempotency', key, url: req.originalUrl });
+      return next();
+    }
+
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.statusCode === 422 ? 'Idempotency key reused' : 'Request in progress',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (claim.replay) {
+    const { replay } = claim;
+
+    logger.info('Idempotent request replayed', { key, url: req.originalUrl, status: replay.response_status });
+
+    Object.entries(replay.response_headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+    res.setHeader('Idempotent-Replayed', 'true');
+    return res.status(replay.response_status).send(replay.response_body);
+  }
+
+  // Store the response before it goes out, so a retry can never run the request a second time.
+  // Server errors release the key instead, letting the client retry.
+  const { record } = claim;
+  const send = res.send;
+
+  res.send = function(body) {
+    // res.send(object) goes through res.json, which calls back here with the serialized string
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      return send.call(this, body);
+    }
+
+    res.send = send;
+
+    const stored = res.statusCode >= 500
+      ? idempotencyService.release(record)
+      : idempotencyService.complete(record, res.statusCode, res.getHeaders(), body === undefined ? '' : String(body));
+
+    stored
+      .catch(error => logger.logError(error, { service: 'idempotency', key, url: req.originalUrl }))
+      .then(() => send.call(res, body));
+
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotent
+};
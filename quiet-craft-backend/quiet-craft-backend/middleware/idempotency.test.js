@@ -0,0 +1,133 @@
+/**
+ * Idempotency Middleware - replay, in-progress conflicts and key reuse
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { useTestDatabase } = require('../test/database');
+const { idempotent } = require('./idempotency');
+const { models } = require('../models');
+
+let runs = 0;
+let hold = null;
+
+const app = express();
+app.use(express.json());
+
+// Stands in for authentication: keys are scoped to req.user
+app.use((req, res, next) => {
+  req.user = { id: req.get('X-User') || 'user_1' };
+  next();
+});
+
+app.post('/orders', idempotent, async (req, res) => {
+  runs++;
+  if (hold) await hold;
+
+  if (req.body.fail) {
+    return res.status(500).json({ success: false, error: 'Downstream failure' });
+  }
+
+  res.status(201).json({ success: true, run: runs, item: req.body.item });
+});
+
+const post = (key, body, user) => {
+  const pending = request(app).post('/orders').send(body);
+  if (key !== undefined) pending.set('Idempotency-Key', key);
+  if (user) pending.set('X-User', user);
+  return pending;
+};
+
+describe('idempotent', () => {
+  useTestDatabase();
+
+  beforeEach(() => {
+    runs = 0;
+    hold = null;
+  });
+
+  test('a retry with the same key replays the stored response without running again', async () => {
+    const first = await post('key-replay', { item: 'crate', quantity: 2 });
+    const retry = await post('key-replay', { quantity: 2, item: 'crate' });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.headers['content-type']).toMatch(/application\/json/);
+    expect(runs).toBe(1);
+  });
+
+  test('reusing a key for a different request is rejected', async () => {
+    await post('key-reuse', { item: 'crate' });
+
+    const response = await post('key-reuse', { item: 'pallet' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.error).toBe('Idempotency key reused');
+    expect(runs).toBe(1);
+  });
+
+  test('a retry while the first request is still running gets a conflict', async () => {
+    let release;
+    hold = new Promise(resolve => { release = resolve; });
+
+    // supertest sends the request once it is then()'d
+    const first = post('key-busy', { item: 'crate' }).then(response => response);
+    while ((await models.IdempotencyKey.count({ where: { key: 'key-busy' } })) === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const retry = await post('key-busy', { item: 'crate' });
+    release();
+
+    expect(retry.status).toBe(409);
+    expect(retry.body.error).toBe('Request in progress');
+    expect((await first).status).toBe(201);
+    expect(runs).toBe(1);
+  });
+
+  test('a server error releases the key so the client can retry', async () => {
+    const failed = await post('key-error', { item: 'crate', fail: true });
+    const retry = await post('key-error', { item: 'crate', fail: true });
+
+    expect(failed.status).toBe(500);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(runs).toBe(2);
+    expect(await models.IdempotencyKey.count({ where: { key: 'key-error' } })).toBe(0);
+  });
+
+  test('keys are scoped to the caller', async () => {
+    await post('key-shared', { item: 'crate' }, 'user_a');
+    const other = await post('key-shared', { item: 'pallet' }, 'user_b');
+
+    expect(other.status).toBe(201);
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(runs).toBe(2);
+  });
+
+  test('an expired key is processed as new', async () => {
+    await post('key-expired', { item: 'crate' });
+    await models.IdempotencyKey.update({ expires_at: new Date(Date.now() - 1000) }, { where: { key: 'key-expired' } });
+
+    const retry = await post('key-expired', { item: 'crate' });
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(retry.body.run).toBe(2);
+  });
+
+  test('requests without a key run every time', async () => {
+    await post(undefined, { item: 'crate' });
+    await post(undefined, { item: 'crate' });
+
+    expect(runs).toBe(2);
+  });
+
+  test('a malformed key is rejected', async () => {
+    const response = await post('has spaces', { item: 'crate' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid Idempotency-Key');
+    expect(runs).toBe(0);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Quote Validation - Request Rules Shared by Quote Endpoints
+ * express-validator chains for quote requests, used as route middleware and run directly
+ * against bulk import rows
+ */
+
+const { body } = require('express-validator');
+const { MAX_PLANNED_UNITS } = require('../shared/pricingEngine');
+
+// Optional quote fields (revisions send only what changes)
+const validateQuoteDetails = [
+  body('eventType')
+    .optional()
+    .isIn(['conference', 'tradeShow', 'festival', 'corporateEvent', 'wedding', 'exhibition', 'concert', 'sportingEvent'])
+    .withMessage('Invalid event type'),
+  body('serviceLevel')
+    .optional()
+    .isIn(['standard', 'nextDay', 'sameDay', 'emergency'])
+    .withMessage('Invalid service level'),
+  body('eventDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Event date must be a valid ISO 8601 date'),
+  body('items')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Items must be an array with max 50 items')
+    .bail()
+    .custom(items => items.reduce((sum, item) => sum + (parseInt(item && item.quantity) || 1), 0) <= MAX_PLANNED_UNITS)
+    .withMessage(`Items can add up to at most ${MAX_PLANNED_UNITS} pieces`),
+  body('items.*.description')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Item description must be a string with max 200 characters'),
+  body('items.*.size')
+    .optional()
+    .isIn(['small', 'medium', 'large', 'extraLarge'])
+    .withMessage('Invalid item size'),
+  body('items.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Item quantity must be between 1 and 1000'),
+  body('items.*.weight')
+    .optional()
+    .isFloat({ min: 0, max: 100000 })
+    .withMessage('Item weight must be between 0 and 100,000'),
+  body('items.*.value')
+    .optional()
+    .isFloat({ min: 0, max: 10000000 })
+    .withMessage('Item value must be between 0 and 10,000,000'),
+  body('items.*.weightUnit')
+    .optional()
+    .isIn(['lb', 'kg'])
+    .withMessage('Item weight unit must be lb or kg'),
+  body('items.*.dimensions')
+    .optional()
+    .isObject()
+    .withMessage('Item dimensions must be an object'),
+  body(['items.*.dimensions.length', 'items.*.dimensions.width', 'items.*.dimensions.height'])
+    .optional()
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Item dimensions must be between 0 and 10,000'),
+  body('items.*.dimensions.unit')
+    .optional()
+    .isIn(['in', 'cm'])
+    .withMessage('Item dimension unit must be in or cm'),
+  body('additionalServices')
+    .optional()
+    .isArray()
+    .withMessage('Additional services must be an array'),
+  body('stops')
+    .optional()
+    .isArray({ max: 8 })
+    .withMessage('Stops must be an array of at most 8 intermediate stops'),
+  body('stops.*.address')
+    .isString()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Each stop needs an address of 5-200 characters'),
+  body('stops.*.notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Stop notes must be a string with max 500 characters'),
+  body('optimizeStopOrder')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Optimize stop order must be true or false'),
+  body('storage')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Storage must be an object with inDate and outDate'),
+  body('storage.inDate')
+    .if(body('storage').exists({ values: 'null' }))
+    .isISO8601()
+    .withMessage('Storage in date must be a valid ISO 8601 date'),
+  body('storage.outDate')
+    .if(body('storage').exists({ values: 'null' }))
+    .isISO8601()
+    .withMessage('Storage out date must be a valid ISO 8601 date')
+    .bail()
+    .custom((value, { req }) => new Date(value) > new Date(req.body.storage.inDate))
+    .withMessage('Storage out date must be after the in date'),
+  body('storage.pallets')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Storage pallets must be between 1 and 500'),
+  body('declaredValue')
+    .optional()
+    .isFloat({ min: 0, max: 10000000 })
+    .withMessage('Declared value must be between 0 and 10,000,000'),
+  body('promoCode')
+    .optional({ values: 'falsy' })
+    .isString()
+    .matches(/^[A-Z0-9_-]{2,40}$/i)
+    .withMessage('Promo code must be 2-40 letters, numbers, dashes or underscores'),
+  body('taxExemptionCertificate')
+    .optional({ values: 'falsy' })
+    .isString()
+    .matches(/^[A-Z0-9-]{4,60}$/i)
+    .withMessage('Tax exemption certificate number must be 4-60 letters, numbers or dashes'),
+  body('contactInfo.name')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Contact name must be a string with max 100 characters'),
+  body('contactInfo.email')
+    .optional()
+    .isEmail()
+    .withMessage('Contact email must be valid'),
+  body('contactInfo.phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Contact phone must be valid')
+];
+
+const validateQuoteRequest = [
+  body('pickup')
+    .notEmpty()
+    .isString()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Pickup location is required and must be 5-200 characters'),
+  body('delivery')
+    .notEmpty()
+    .isString()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Delivery location is required and must be 5-200 characters'),
+  ...validateQuoteDetails
+];
+
+module.exports = {
+  validateQuoteDetails,
+  validateQuoteRequest
+};
@@ -0,0 +1,248 @@
+/**
+ * Initial schema: users, quotes, configurations, chat sessions and analytics.
+ * Databases created by syncDatabase already have these tables and skip them.
+ */
+
+const { createTableIfMissing, dropTableWithEnums, reference } = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'users', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      clerk_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      first_name: Sequelize.STRING,
+      last_name: Sequelize.STRING,
+      company_name: Sequelize.STRING,
+      phone: Sequelize.STRING,
+      role: {
+        type: Sequelize.ENUM('user', 'admin', 'super_admin'),
+        defaultValue: 'user'
+      },
+      preferences: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      last_login_at: Sequelize.DATE,
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      email_verified: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      }
+    }, [
+      { fields: ['clerk_id'] },
+      { fields: ['email'] },
+      { fields: ['role'] },
+      { fields: ['is_active'] },
+      { fields: ['created_at'] }
+    ]);
+
+    await createTableIfMissing(queryInterface, 'quotes', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      quote_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      user_id: reference('users', true),
+      status: {
+        type: Sequelize.ENUM('draft', 'active', 'accepted', 'expired', 'cancelled'),
+        defaultValue: 'active'
+      },
+      pickup_location: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      delivery_location: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      event_type: Sequelize.STRING,
+      event_date: Sequelize.DATE,
+      service_level: {
+        type: Sequelize.ENUM('standard', 'nextDay', 'sameDay', 'emergency'),
+        defaultValue: 'standard'
+      },
+      items: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      additional_services: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      distance_info: Sequelize.JSONB,
+      pricing_breakdown: Sequelize.JSONB,
+      subtotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      taxes: {
+        type: Sequelize.DECIMAL(10, 2),
+        defaultValue: 0
+      },
+      total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      valid_until: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      contact_info: Sequelize.JSONB,
+      special_requirements: Sequelize.TEXT,
+      notes: Sequelize.TEXT,
+      accepted_at: Sequelize.DATE,
+      expired_at: Sequelize.DATE
+    }, [
+      { fields: ['quote_id'] },
+      { fields: ['user_id'] },
+      { fields: ['status'] },
+      { fields: ['event_type'] },
+      { fields: ['service_level'] },
+      { fields: ['created_at'] },
+      { fields: ['valid_until'] }
+    ]);
+
+    await createTableIfMissing(queryInterface, 'configurations', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      value: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.ENUM('string', 'number', 'boolean', 'json', 'decimal'),
+        defaultValue: 'string'
+      },
+      description: Sequelize.TEXT,
+      category: {
+        type: Sequelize.STRING,
+        defaultValue: 'general'
+      },
+      is_sensitive: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      is_system: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      updated_by: Sequelize.UUID
+    }, [
+      { fields: ['key'], unique: true },
+      { fields: ['category'] },
+      { fields: ['type'] }
+    ]);
+
+    await createTableIfMissing(queryInterface, 'chat_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      session_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      user_id: reference('users', true),
+      ip_address: Sequelize.INET,
+      user_agent: Sequelize.TEXT,
+      total_messages: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      total_tokens: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      ai_model_used: Sequelize.STRING,
+      primary_intent: Sequelize.STRING,
+      satisfaction_rating: Sequelize.INTEGER,
+      feedback: Sequelize.TEXT,
+      conversation_data: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      ended_at: Sequelize.DATE,
+      duration_seconds: Sequelize.INTEGER
+    }, [
+      { fields: ['session_id'] },
+      { fields: ['user_id'] },
+      { fields: ['started_at'] },
+      { fields: ['primary_intent'] },
+      { fields: ['satisfaction_rating'] }
+    ]);
+
+    await createTableIfMissing(queryInterface, 'analytics', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      event_type: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      event_data: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      user_id: reference('users', true),
+      session_id: Sequelize.STRING,
+      ip_address: Sequelize.INET,
+      user_agent: Sequelize.TEXT,
+      referrer: Sequelize.TEXT,
+      page_url: Sequelize.TEXT,
+      timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    }, [
+      { fields: ['event_type'] },
+      { fields: ['user_id'] },
+      { fields: ['session_id'] },
+      { fields: ['timestamp'] },
+      { fields: ['event_type', 'timestamp'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    for (const table of ['analytics', 'chat_sessions', 'configurations', 'quotes', 'users']) {
+      await dropTableWithEnums(queryInterface, table);
+    }
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Quotes keep the normalized request they were priced from (GET /api/quote/:quoteId)
+ */
+
+const { addColumnIfMissing, removeColumnIfPresent } = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'quotes', 'quote_request', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumnIfPresent(queryInterface, 'quotes', 'quote_request');
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Quote revisions: quotes.version and the quote_revisions snapshot table
+ */
+
+const {
+  addColumnIfMissing,
+  createTableIfMissing,
+  dropTableWithEnums,
+  reference,
+  removeColumnIfPresent
+} = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'quotes', 'version', {
+      type: Sequelize.INTEGER,
+      defaultValue: 1
+    });
+
+    await createTableIfMissing(queryInterface, 'quote_revisions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      quote_id: reference('quotes', false),
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      quote_request: Sequelize.JSONB,
+      distance_info: Sequelize.JSONB,
+      pricing_breakdown: Sequelize.JSONB,
+      subtotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      taxes: {
+        type: Sequelize.DECIMAL(10, 2),
+        defaultValue: 0
+      },
+      total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      changed_fields: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      change_note: Sequelize.TEXT,
+      created_by: Sequelize.STRING
+    }, [
+      { fields: ['quote_id', 'version'], unique: true },
+      { fields: ['created_at'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTableWithEnums(queryInterface, 'quote_revisions');
+    await removeColumnIfPresent(queryInterface, 'quotes', 'version');
+  }
+};
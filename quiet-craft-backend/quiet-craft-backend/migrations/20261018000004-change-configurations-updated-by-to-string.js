@@ -0,0 +1,24 @@
+/**
+ * configurations.updated_by holds the Clerk user ID of whoever changed the rate card, not a UUID
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable('configurations');
+    if (columns.updated_by.type === 'UUID') {
+      await queryInterface.changeColumn('configurations', 'updated_by', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    // Clerk IDs are not UUIDs; clear them rather than fail the cast
+    await queryInterface.sequelize.query(`
+      ALTER TABLE configurations
+      ALTER COLUMN updated_by TYPE UUID
+      USING CASE WHEN updated_by ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN updated_by::uuid END
+    `);
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * Versioned rate cards: the pricing_versions table and the version each quote and revision was priced with
+ */
+
+const {
+  addColumnIfMissing,
+  createTableIfMissing,
+  dropTableWithEnums,
+  removeColumnIfPresent
+} = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'pricing_versions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'scheduled', 'published', 'archived'),
+        defaultValue: 'draft'
+      },
+      rate_card: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      based_on_version: Sequelize.INTEGER,
+      notes: Sequelize.TEXT,
+      effective_at: Sequelize.DATE,
+      published_at: Sequelize.DATE,
+      archived_at: Sequelize.DATE,
+      created_by: Sequelize.STRING,
+      published_by: Sequelize.STRING
+    }, [
+      { fields: ['version'], unique: true },
+      { fields: ['status'] },
+      { fields: ['effective_at'] }
+    ]);
+
+    for (const table of ['quotes', 'quote_revisions']) {
+      await addColumnIfMissing(queryInterface, table, 'pricing_version', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of ['quote_revisions', 'quotes']) {
+      await removeColumnIfPresent(queryInterface, table, 'pricing_version');
+    }
+    await dropTableWithEnums(queryInterface, 'pricing_versions');
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Promo codes: the promo_codes table and the discount recorded on each quote
+ */
+
+const {
+  addColumnIfMissing,
+  createTableIfMissing,
+  dropTableWithEnums,
+  removeColumnIfPresent
+} = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'promo_codes', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      code: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        unique: true
+      },
+      description: Sequelize.STRING,
+      discount_type: {
+        type: Sequelize.ENUM('percentage', 'fixed'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      max_discount: Sequelize.DECIMAL(10, 2),
+      min_order_value: {
+        type: Sequelize.DECIMAL(10, 2),
+        defaultValue: 0
+      },
+      event_types: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      usage_limit: Sequelize.INTEGER,
+      usage_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      starts_at: Sequelize.DATE,
+      expires_at: Sequelize.DATE,
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      created_by: Sequelize.STRING
+    }, [
+      { fields: ['code'], unique: true },
+      { fields: ['is_active'] },
+      { fields: ['expires_at'] }
+    ]);
+
+    await addColumnIfMissing(queryInterface, 'quotes', 'discounts', {
+      type: Sequelize.DECIMAL(10, 2),
+      defaultValue: 0
+    });
+    await addColumnIfMissing(queryInterface, 'quotes', 'promo_code', {
+      type: Sequelize.STRING(40),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumnIfPresent(queryInterface, 'quotes', 'promo_code');
+    await removeColumnIfPresent(queryInterface, 'quotes', 'discounts');
+    await dropTableWithEnums(queryInterface, 'promo_codes');
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Sales tax exemption certificates
+ */
+
+const { createTableIfMissing, dropTableWithEnums } = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'tax_exemptions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      certificate_number: {
+        type: Sequelize.STRING(60),
+        allowNull: false,
+        unique: true
+      },
+      customer_name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      customer_email: Sequelize.STRING,
+      states: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      exemption_reason: {
+        type: Sequelize.ENUM('resale', 'nonprofit', 'government', 'other'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'verified', 'revoked'),
+        defaultValue: 'pending'
+      },
+      valid_from: Sequelize.DATE,
+      expires_at: Sequelize.DATE,
+      document_url: Sequelize.STRING,
+      verified_by: Sequelize.STRING,
+      verified_at: Sequelize.DATE,
+      notes: Sequelize.TEXT
+    }, [
+      { fields: ['certificate_number'], unique: true },
+      { fields: ['customer_email'] },
+      { fields: ['status'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTableWithEnums(queryInterface, 'tax_exemptions');
+  }
+};
@@ -0,0 +1,116 @@
+/**
+ * Customer acceptance: quote share links, bookings and quotes.acceptance
+ */
+
+const {
+  addColumnIfMissing,
+  createTableIfMissing,
+  dropTableWithEnums,
+  reference,
+  removeColumnIfPresent
+} = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'quotes', 'acceptance', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+
+    await createTableIfMissing(queryInterface, 'quote_share_links', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      quote_id: reference('quotes', false),
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revoked_at: Sequelize.DATE,
+      created_by: Sequelize.STRING,
+      view_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      last_viewed_at: Sequelize.DATE
+    }, [
+      { fields: ['token_hash'], unique: true },
+      { fields: ['quote_id'] }
+    ]);
+
+    await createTableIfMissing(queryInterface, 'bookings', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      booking_number: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      quote_id: {
+        ...reference('quotes', false),
+        unique: true
+      },
+      user_id: reference('users', true),
+      status: {
+        type: Sequelize.ENUM('pending', 'scheduled', 'completed', 'cancelled'),
+        defaultValue: 'pending'
+      },
+      quote_version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      pickup_location: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      delivery_location: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      stops: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      event_date: Sequelize.DATE,
+      service_level: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      items: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      additional_services: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      contact_info: Sequelize.JSONB,
+      special_requirements: Sequelize.TEXT,
+      notes: Sequelize.TEXT
+    }, [
+      { fields: ['booking_number'], unique: true },
+      { fields: ['quote_id'], unique: true },
+      { fields: ['user_id'] },
+      { fields: ['status'] },
+      { fields: ['event_date'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTableWithEnums(queryInterface, 'bookings');
+    await dropTableWithEnums(queryInterface, 'quote_share_links');
+    await removeColumnIfPresent(queryInterface, 'quotes', 'acceptance');
+  }
+};
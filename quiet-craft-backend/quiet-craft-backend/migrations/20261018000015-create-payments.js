@@ -0,0 +1,74 @@
+/**
+ * Payment ledger: the payments table and the deposit percentage recorded on each booking
+ */
+
+const {
+  addColumnIfMissing,
+  createTableIfMissing,
+  dropTableWithEnums,
+  reference,
+  removeColumnIfPresent
+} = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'bookings', 'deposit_percentage', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true
+    });
+
+    await createTableIfMissing(queryInterface, 'payments', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      quote_id: reference('quotes', false),
+      entry_type: {
+        type: Sequelize.ENUM('payment', 'refund'),
+        allowNull: false,
+        defaultValue: 'payment'
+      },
+      purpose: {
+        type: Sequelize.ENUM('deposit', 'balance', 'other'),
+        defaultValue: 'other'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'succeeded', 'failed'),
+        defaultValue: 'pending'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        defaultValue: 'USD'
+      },
+      provider: {
+        type: Sequelize.STRING(40),
+        allowNull: false
+      },
+      provider_reference: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      payment_reference: Sequelize.STRING,
+      method: Sequelize.STRING(40),
+      failure_reason: Sequelize.TEXT,
+      recorded_by: Sequelize.STRING,
+      note: Sequelize.TEXT,
+      processed_at: Sequelize.DATE
+    }, [
+      { fields: ['quote_id'] },
+      { fields: ['provider_reference'], unique: true },
+      { fields: ['payment_reference'] },
+      { fields: ['status'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTableWithEnums(queryInterface, 'payments');
+    await removeColumnIfPresent(queryInterface, 'bookings', 'deposit_percentage');
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Invoices generated from accepted quotes
+ */
+
+const { createTableIfMissing, dropTableWithEnums, reference } = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'invoices', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      sequence: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true
+      },
+      invoice_number: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      quote_id: {
+        ...reference('quotes', false),
+        unique: true
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'sent', 'paid', 'overdue'),
+        defaultValue: 'draft'
+      },
+      line_items: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      quoted_taxes: {
+        type: Sequelize.DECIMAL(10, 2),
+        defaultValue: 0
+      },
+      adjustment_tax_rate: {
+        type: Sequelize.DECIMAL(7, 5),
+        defaultValue: 0
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      taxes: {
+        type: Sequelize.DECIMAL(10, 2),
+        defaultValue: 0
+      },
+      total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      payment_terms: {
+        type: Sequelize.ENUM('due_on_receipt', 'net_15', 'net_30', 'net_45'),
+        defaultValue: 'net_30'
+      },
+      issue_date: Sequelize.DATE,
+      due_date: Sequelize.DATE,
+      bill_to: Sequelize.JSONB,
+      notes: Sequelize.TEXT,
+      created_by: Sequelize.STRING,
+      sent_at: Sequelize.DATE,
+      paid_at: Sequelize.DATE
+    }, [
+      { fields: ['invoice_number'], unique: true },
+      { fields: ['quote_id'], unique: true },
+      { fields: ['status'] },
+      { fields: ['due_date'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTableWithEnums(queryInterface, 'invoices');
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Stored responses for requests sent with an Idempotency-Key header
+ */
+
+const { createTableIfMissing, dropTableWithEnums } = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'idempotency_keys', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      key: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      owner: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'anonymous'
+      },
+      request_method: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      request_path: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      request_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('processing', 'completed'),
+        defaultValue: 'processing'
+      },
+      response_status: Sequelize.INTEGER,
+      response_headers: Sequelize.JSONB,
+      response_body: Sequelize.TEXT,
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, [
+      { fields: ['key', 'owner'], unique: true },
+      { fields: ['expires_at'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTableWithEnums(queryInterface, 'idempotency_keys');
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Shared cache of geo provider lookups (MAPS_CACHE_BACKEND=postgres)
+ */
+
+const { createTableIfMissing, dropTableWithEnums } = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'maps_cache_entries', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      cache_key: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      call_type: {
+        type: Sequelize.ENUM('distance', 'geocode', 'reverseGeocode', 'places'),
+        allowNull: false
+      },
+      provider: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      lookup: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      value: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, [
+      { fields: ['cache_key'], unique: true },
+      { fields: ['call_type'] },
+      { fields: ['expires_at'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTableWithEnums(queryInterface, 'maps_cache_entries');
+  }
+};
@@ -0,0 +1,231 @@
+/**
+ * Booking Model - Delivery Jobs Created from Accepted Quotes
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const Booking = sequelize.define('Booking', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    booking_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      comment: 'Human-readable booking number (BK- plus the quote ID suffix)'
+    },
+
+    quote_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'quotes',
+        key: 'id'
+      }
+    },
+
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    status: {
+      type: DataTypes.ENUM('pending', 'scheduled', 'completed', 'cancelled'),
+      defaultValue: 'pending',
+      comment: 'Pending until dispatch schedules the job'
+    },
+
+    quote_version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Quote version that was accepted'
+    },
+
+    pickup_location: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+
+    delivery_location: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+
+    stops: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Intermediate stops in route order'
+    },
+
+    event_date: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    service_level: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+
+    items: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+
+    additional_services: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Accepted quote total'
+    },
+
+    deposit_percentage: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      comment: 'Deposit percentage in force when the quote was accepted'
+    },
+
+    contact_info: {
+      type: DataTypes.JSONB
+    },
+
+    special_requirements: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'bookings',
+    indexes: [
+      {
+        fields: ['booking_number'],
+        unique: true
+      },
+      {
+        fields: ['quote_id'],
+        unique: true
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['event_date']
+      }
+    ]
+  });
+
+  // Associations
+  Booking.associate = (models) => {
+    Booking.belongsTo(models.Quote, {
+      foreignKey: 'quote_id',
+      as: 'quote'
+    });
+
+    Booking.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  // Instance methods
+  Booking.prototype.cancel = async function(options = {}) {
+    this.status = 'cancelled';
+    return await this.save(options);
+  };
+
+  Booking.prototype.toBookingResponse = function() {
+    return {
+      bookingNumber: this.booking_number,
+      status: this.status,
+      quoteVersion: this.quote_version,
+      pickup: this.pickup_location,
+      delivery: this.delivery_location,
+      stops: this.stops,
+      eventDate: this.event_date,
+      serviceLevel: this.service_level,
+      items: this.items,
+      additionalServices: this.additional_services,
+      total: parseFloat(this.total),
+      depositPercentage: this.deposit_percentage === null ? null : parseFloat(this.deposit_percentage),
+      contactInfo: this.contact_info,
+      specialRequirements: this.special_requirements,
+      notes: this.notes,
+      createdAt: this.created_at
+    };
+  };
+
+  // Class methods
+  Booking.findByQuote = async function(quoteId, options = {}) {
+    return await this.findOne({ where: { quote_id: quoteId }, transaction: options.transaction, lock: options.lock });
+  };
+
+  // Bookings holding a slot on an event date (anything not cancelled), optionally only those made by asOf
+  Booking.countCommitted = async function(dayStart, dayEnd, options = {}) {
+    const { Op } = sequelize.Sequelize;
+    const where = {
+      status: { [Op.in]: Booking.COMMITTED_STATUSES },
+      event_date: { [Op.gte]: dayStart, [Op.lt]: dayEnd }
+    };
+
+    if (options.asOf) {
+      where.created_at = { [Op.lte]: options.asOf };
+    }
+
+    return await this.count({ where });
+  };
+
+  // Book an accepted quote; a quote accepted again after reopening refreshes its booking
+  Booking.createFromQuote = async function(quote, options = {}) {
+    const request = quote.quote_request || {};
+    const attributes = {
+      user_id: quote.user_id,
+      status: 'pending',
+      quote_version: quote.version,
+      pickup_location: quote.pickup_location,
+      delivery_location: quote.delivery_location,
+      stops: (quote.distance_info && quote.distance_info.stops) || request.stops || [],
+      event_date: quote.event_date,
+      service_level: quote.service_level,
+      items: quote.items,
+      additional_services: quote.additional_services,
+      total: quote.total,
+      deposit_percentage: options.depositPercentage === undefined ? null : options.depositPercentage,
+      contact_info: quote.contact_info,
+      special_requirements: quote.special_requirements
+    };
+
+    const existing = await this.findByQuote(quote.id, options);
+    if (existing) {
+      return await existing.update(attributes, { transaction: options.transaction });
+    }
+
+    return await this.create({
+      ...attributes,
+      booking_number: quote.quote_id.replace(/^QC-/, 'BK-'),
+      quote_id: quote.id
+    }, { transaction: options.transaction });
+  };
+
+  // Statuses that take up fleet capacity on the event date
+  Booking.COMMITTED_STATUSES = ['pending', 'scheduled', 'completed'];
+
+  return Booking;
+};
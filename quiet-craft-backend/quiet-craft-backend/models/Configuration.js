@@ -54,7 +54,7 @@ module.exports = (sequelize, DataTypes) => {
     },
     
     updated_by: {
-      type: DataTypes.UUID,
+      type: DataTypes.STRING,
       allowNull: true,
       comment: 'User ID who last updated this config'
     }
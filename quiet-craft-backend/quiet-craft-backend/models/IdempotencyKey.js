@@ -0,0 +1,110 @@
+/**
+ * IdempotencyKey Model - Stored Responses for Safely Retried POST Requests
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const IdempotencyKey = sequelize.define('IdempotencyKey', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    key: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Client-supplied Idempotency-Key header value'
+    },
+
+    owner: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'anonymous',
+      comment: 'Clerk user ID of the caller, or anonymous'
+    },
+
+    request_method: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+
+    request_path: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+
+    request_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the method, path and body the key was first used with'
+    },
+
+    status: {
+      type: DataTypes.ENUM('processing', 'completed'),
+      defaultValue: 'processing'
+    },
+
+    response_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
+    response_headers: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+
+    response_body: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    tableName: 'idempotency_keys',
+    indexes: [
+      {
+        fields: ['key', 'owner'],
+        unique: true
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  // A request still processing after this long is treated as abandoned (e.g. the server restarted mid-request)
+  IdempotencyKey.PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+  // Instance methods
+  IdempotencyKey.prototype.isExpired = function() {
+    return new Date() > this.expires_at;
+  };
+
+  IdempotencyKey.prototype.isAbandoned = function() {
+    return this.status === 'processing' &&
+      Date.now() - new Date(this.updated_at).getTime() > IdempotencyKey.PROCESSING_TIMEOUT_MS;
+  };
+
+  // Class methods
+  IdempotencyKey.findByKey = async function(key, owner) {
+    return await this.findOne({
+      where: { key, owner }
+    });
+  };
+
+  IdempotencyKey.purgeExpired = async function() {
+    return await this.destroy({
+      where: {
+        expires_at: {
+          [sequelize.Sequelize.Op.lt]: new Date()
+        }
+      }
+    });
+  };
+
+  return IdempotencyKey;
+};
@@ -0,0 +1,199 @@
+/**
+ * Invoice Model - Final Bills Generated from Accepted Quotes
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const Invoice = sequelize.define('Invoice', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      comment: 'Gapless running number the invoice number is built from'
+    },
+
+    invoice_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      comment: 'Human-readable invoice number (e.g., INV-000042)'
+    },
+
+    quote_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'quotes',
+        key: 'id'
+      }
+    },
+
+    status: {
+      type: DataTypes.ENUM('draft', 'sent', 'paid', 'overdue'),
+      defaultValue: 'draft'
+    },
+
+    line_items: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Quoted charges, discounts and final adjustments ({ kind, description, quantity, unitPrice, amount, taxable })'
+    },
+
+    quoted_taxes: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+      comment: 'Tax already calculated on the quoted charges'
+    },
+
+    adjustment_tax_rate: {
+      type: DataTypes.DECIMAL(7, 5),
+      defaultValue: 0,
+      comment: 'Combined rate applied to taxable adjustments (0 when the quote was tax exempt)'
+    },
+
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+
+    taxes: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+
+    payment_terms: {
+      type: DataTypes.ENUM('due_on_receipt', 'net_15', 'net_30', 'net_45'),
+      defaultValue: 'net_30'
+    },
+
+    issue_date: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when the invoice is sent'
+    },
+
+    due_date: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    bill_to: {
+      type: DataTypes.JSONB,
+      comment: 'Customer name, company, email and phone from the quote'
+    },
+
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    paid_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'invoices',
+    indexes: [
+      {
+        fields: ['invoice_number'],
+        unique: true
+      },
+      {
+        fields: ['quote_id'],
+        unique: true
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['due_date']
+      }
+    ]
+  });
+
+  // Associations
+  Invoice.associate = (models) => {
+    Invoice.belongsTo(models.Quote, {
+      foreignKey: 'quote_id',
+      as: 'quote'
+    });
+  };
+
+  // Days until payment is due, by payment terms
+  Invoice.TERM_DAYS = {
+    due_on_receipt: 0,
+    net_15: 15,
+    net_30: 30,
+    net_45: 45
+  };
+
+  // Instance methods
+  Invoice.prototype.isEditable = function() {
+    return this.status === 'draft';
+  };
+
+  Invoice.prototype.isOverdue = function() {
+    return this.status === 'sent' && !!this.due_date && new Date() > this.due_date;
+  };
+
+  Invoice.prototype.toInvoiceResponse = function(payments = null) {
+    const total = parseFloat(this.total);
+
+    return {
+      invoiceNumber: this.invoice_number,
+      quoteId: this.quote ? this.quote.quote_id : undefined,
+      status: this.status,
+      lineItems: this.line_items,
+      subtotal: parseFloat(this.subtotal),
+      taxes: parseFloat(this.taxes),
+      total,
+      amountPaid: payments ? payments.netPaid : undefined,
+      balanceDue: payments ? Math.max(Math.round((total - payments.netPaid) * 100) / 100, 0) : undefined,
+      paymentTerms: this.payment_terms,
+      issueDate: this.issue_date,
+      dueDate: this.due_date,
+      billTo: this.bill_to,
+      notes: this.notes,
+      sentAt: this.sent_at,
+      paidAt: this.paid_at,
+      createdAt: this.created_at
+    };
+  };
+
+  // Class methods
+  Invoice.findByNumber = async function(invoiceNumber, options = {}) {
+    return await this.findOne({
+      where: { invoice_number: String(invoiceNumber).toUpperCase() },
+      include: [{ model: sequelize.models.Quote, as: 'quote' }],
+      transaction: options.transaction
+    });
+  };
+
+  Invoice.nextSequence = async function(options = {}) {
+    const max = await this.max('sequence', { transaction: options.transaction });
+    return (max || 0) + 1;
+  };
+
+  return Invoice;
+};
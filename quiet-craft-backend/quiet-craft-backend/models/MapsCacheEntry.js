@@ -0,0 +1,87 @@
+/**
+ * MapsCacheEntry Model - Cached Maps Lookups Shared Between Instances
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const MapsCacheEntry = sequelize.define('MapsCacheEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    cache_key: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the call type and lookup'
+    },
+
+    call_type: {
+      type: DataTypes.ENUM('distance', 'geocode', 'reverseGeocode', 'places'),
+      allowNull: false
+    },
+
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: 'Geo provider that answered the lookup'
+    },
+
+    lookup: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Normalized lookup (addresses, coordinates, mode), used to clear entries selectively'
+    },
+
+    value: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    tableName: 'maps_cache_entries',
+    indexes: [
+      {
+        fields: ['cache_key'],
+        unique: true
+      },
+      {
+        fields: ['call_type']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  MapsCacheEntry.prototype.isExpired = function() {
+    return new Date() > this.expires_at;
+  };
+
+  // Class methods
+  MapsCacheEntry.findLive = async function(cacheKeys) {
+    return await this.findAll({
+      where: {
+        cache_key: { [sequelize.Sequelize.Op.in]: cacheKeys },
+        expires_at: { [sequelize.Sequelize.Op.gt]: new Date() }
+      }
+    });
+  };
+
+  MapsCacheEntry.purgeExpired = async function() {
+    return await this.destroy({
+      where: {
+        expires_at: {
+          [sequelize.Sequelize.Op.lt]: new Date()
+        }
+      }
+    });
+  };
+
+  return MapsCacheEntry;
+};
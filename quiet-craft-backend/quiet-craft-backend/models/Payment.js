@@ -0,0 +1,163 @@
+/**
+ * Payment Model - Payment and Refund Ledger Entries for Quotes
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const Payment = sequelize.define('Payment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    quote_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'quotes',
+        key: 'id'
+      }
+    },
+
+    entry_type: {
+      type: DataTypes.ENUM('payment', 'refund'),
+      allowNull: false,
+      defaultValue: 'payment'
+    },
+
+    purpose: {
+      type: DataTypes.ENUM('deposit', 'balance', 'other'),
+      defaultValue: 'other',
+      comment: 'What the payment was collected for'
+    },
+
+    status: {
+      type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+      defaultValue: 'pending',
+      comment: 'Only succeeded entries count towards the paid amount'
+    },
+
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Always positive; refunds are subtracted by entry_type'
+    },
+
+    currency: {
+      type: DataTypes.STRING(3),
+      defaultValue: 'USD'
+    },
+
+    provider: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      comment: 'Payment provider, or manual for payments recorded by staff'
+    },
+
+    provider_reference: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      comment: 'Provider payment or refund ID; makes webhook redelivery idempotent'
+    },
+
+    payment_reference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'For refunds, the provider_reference of the payment refunded'
+    },
+
+    method: {
+      type: DataTypes.STRING(40),
+      allowNull: true,
+      comment: 'card, ach, check, cash, ...'
+    },
+
+    failure_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    recorded_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Clerk user ID for manual entries'
+    },
+
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'payments',
+    indexes: [
+      {
+        fields: ['quote_id']
+      },
+      {
+        fields: ['provider_reference'],
+        unique: true
+      },
+      {
+        fields: ['payment_reference']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  // Associations
+  Payment.associate = (models) => {
+    Payment.belongsTo(models.Quote, {
+      foreignKey: 'quote_id',
+      as: 'quote'
+    });
+  };
+
+  // Instance methods
+  Payment.prototype.signedAmount = function() {
+    if (this.status !== 'succeeded') return 0;
+    return this.entry_type === 'refund' ? -parseFloat(this.amount) : parseFloat(this.amount);
+  };
+
+  Payment.prototype.toPaymentResponse = function() {
+    return {
+      id: this.id,
+      type: this.entry_type,
+      purpose: this.purpose,
+      status: this.status,
+      amount: parseFloat(this.amount),
+      currency: this.currency,
+      provider: this.provider,
+      reference: this.provider_reference,
+      paymentReference: this.payment_reference,
+      method: this.method,
+      failureReason: this.failure_reason,
+      recordedBy: this.recorded_by,
+      note: this.note,
+      processedAt: this.processed_at,
+      createdAt: this.created_at
+    };
+  };
+
+  // Class methods
+  Payment.findByReference = async function(reference, options = {}) {
+    return await this.findOne({ where: { provider_reference: reference }, transaction: options.transaction });
+  };
+
+  Payment.findAllForQuote = async function(quoteId, options = {}) {
+    return await this.findAll({
+      where: { quote_id: quoteId },
+      order: [['created_at', 'ASC']],
+      transaction: options.transaction
+    });
+  };
+
+  return Payment;
+};
@@ -0,0 +1,147 @@
+/**
+ * PricingVersion Model - Versioned Pricing Rate Cards
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const PricingVersion = sequelize.define('PricingVersion', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      comment: 'Sequential version number'
+    },
+
+    status: {
+      type: DataTypes.ENUM('draft', 'scheduled', 'published', 'archived'),
+      defaultValue: 'draft',
+      comment: 'Only one version is published (live) at a time'
+    },
+
+    rate_card: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Complete pricing table for this version'
+    },
+
+    based_on_version: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Version this rate card was copied from'
+    },
+
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    effective_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When a scheduled version goes live'
+    },
+
+    published_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    archived_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Clerk user ID of whoever drafted this version'
+    },
+
+    published_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Clerk user ID of whoever published or scheduled this version'
+    }
+  }, {
+    tableName: 'pricing_versions',
+    indexes: [
+      {
+        fields: ['version'],
+        unique: true
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['effective_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  PricingVersion.prototype.toVersionResponse = function(options = {}) {
+    const response = {
+      version: this.version,
+      status: this.status,
+      basedOnVersion: this.based_on_version,
+      notes: this.notes,
+      effectiveAt: this.effective_at,
+      publishedAt: this.published_at,
+      archivedAt: this.archived_at,
+      createdBy: this.created_by,
+      publishedBy: this.published_by,
+      createdAt: this.created_at,
+      updatedAt: this.updated_at
+    };
+
+    if (options.includeRateCard) {
+      response.rateCard = this.rate_card;
+    }
+
+    return response;
+  };
+
+  // Class methods
+  PricingVersion.findByVersion = async function(version, options = {}) {
+    return await this.findOne({ where: { version }, ...options });
+  };
+
+  PricingVersion.findPublished = async function(options = {}) {
+    return await this.findOne({ where: { status: 'published' }, ...options });
+  };
+
+  // Call inside a transaction: the advisory lock is held until it ends, so concurrent drafts and
+  // rollbacks take turns instead of reading the same max and colliding on the unique version
+  PricingVersion.nextVersionNumber = async function(options = {}) {
+    await sequelize.query('SELECT pg_advisory_xact_lock(:key)', {
+      replacements: { key: PricingVersion.VERSION_LOCK_KEY },
+      transaction: options.transaction
+    });
+
+    const latest = await this.max('version', options);
+    return (latest || 0) + 1;
+  };
+
+  PricingVersion.findDueScheduled = async function(asOf = new Date(), options = {}) {
+    return await this.findAll({
+      where: {
+        status: 'scheduled',
+        effective_at: {
+          [sequelize.Sequelize.Op.lte]: asOf
+        }
+      },
+      order: [['effective_at', 'ASC'], ['version', 'ASC']],
+      ...options
+    });
+  };
+
+  // Advisory lock key that serialises version numbering (arbitrary, unique to this use)
+  PricingVersion.VERSION_LOCK_KEY = 482051;
+
+  return PricingVersion;
+};
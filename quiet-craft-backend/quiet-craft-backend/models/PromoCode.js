@@ -0,0 +1,210 @@
+/**
+ * PromoCode Model - Discount Codes and Their Eligibility Rules
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const PromoCode = sequelize.define('PromoCode', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      unique: true,
+      comment: 'Code customers enter (stored uppercase)',
+      set(value) {
+        this.setDataValue('code', String(value).trim().toUpperCase());
+      }
+    },
+
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Shown on the quote next to the discount'
+    },
+
+    discount_type: {
+      type: DataTypes.ENUM('percentage', 'fixed'),
+      allowNull: false
+    },
+
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Percent off (0-100) for percentage codes, dollars off for fixed codes'
+    },
+
+    max_discount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Cap on the dollar value of a percentage discount'
+    },
+
+    min_order_value: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+      comment: 'Minimum pre-discount subtotal'
+    },
+
+    event_types: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Event types the code applies to (empty means all)'
+    },
+
+    usage_limit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Maximum accepted quotes using this code (null means unlimited)'
+    },
+
+    usage_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'Accepted quotes that redeemed this code'
+    },
+
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Clerk user ID of whoever created the code'
+    }
+  }, {
+    tableName: 'promo_codes',
+    indexes: [
+      {
+        fields: ['code'],
+        unique: true
+      },
+      {
+        fields: ['is_active']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  PromoCode.prototype.isExhausted = function() {
+    return this.usage_limit !== null && this.usage_count >= this.usage_limit;
+  };
+
+  // Reason the code cannot be used for a quote, or null when it can
+  PromoCode.prototype.getIneligibilityReason = function(context = {}) {
+    const asOf = context.asOf || new Date();
+    const eventTypes = this.event_types || [];
+
+    if (!this.is_active) {
+      return `Promo code ${this.code} is no longer active`;
+    }
+    if (this.starts_at && asOf < this.starts_at) {
+      return `Promo code ${this.code} is not valid until ${this.starts_at.toISOString().split('T')[0]}`;
+    }
+    if (this.expires_at && asOf > this.expires_at) {
+      return `Promo code ${this.code} expired on ${this.expires_at.toISOString().split('T')[0]}`;
+    }
+    if (context.checkUsage !== false && this.isExhausted()) {
+      return `Promo code ${this.code} has reached its usage limit`;
+    }
+    if (eventTypes.length > 0 && !eventTypes.includes(context.eventType)) {
+      return `Promo code ${this.code} only applies to ${eventTypes.join(', ')} events`;
+    }
+
+    return null;
+  };
+
+  // Rule snapshot stored with the quote so re-pricing does not depend on later edits
+  PromoCode.prototype.toDiscountRule = function() {
+    return {
+      code: this.code,
+      description: this.description || `Promo code ${this.code}`,
+      discountType: this.discount_type,
+      amount: parseFloat(this.amount),
+      maxDiscount: this.max_discount !== null ? parseFloat(this.max_discount) : null,
+      minOrderValue: parseFloat(this.min_order_value) || 0
+    };
+  };
+
+  PromoCode.prototype.toPromoCodeResponse = function() {
+    return {
+      code: this.code,
+      description: this.description,
+      discountType: this.discount_type,
+      amount: parseFloat(this.amount),
+      maxDiscount: this.max_discount !== null ? parseFloat(this.max_discount) : null,
+      minOrderValue: parseFloat(this.min_order_value) || 0,
+      eventTypes: this.event_types,
+      usageLimit: this.usage_limit,
+      usageCount: this.usage_count,
+      startsAt: this.starts_at,
+      expiresAt: this.expires_at,
+      isActive: this.is_active,
+      createdBy: this.created_by,
+      createdAt: this.created_at
+    };
+  };
+
+  // Class methods
+  PromoCode.findByCode = async function(code, options = {}) {
+    return await this.findOne({
+      where: { code: String(code).trim().toUpperCase() },
+      ...options
+    });
+  };
+
+  // Count one redemption unless the usage limit has been reached; returns false when it has
+  PromoCode.redeem = async function(code, options = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    const [count] = await this.update({
+      usage_count: sequelize.literal('usage_count + 1')
+    }, {
+      where: {
+        code: String(code).trim().toUpperCase(),
+        [Op.or]: [
+          { usage_limit: null },
+          { usage_count: { [Op.lt]: sequelize.col('usage_limit') } }
+        ]
+      },
+      transaction: options.transaction
+    });
+
+    return count > 0;
+  };
+
+  // Give back one redemption (a redeemed quote was cancelled)
+  PromoCode.release = async function(code, options = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    await this.update({
+      usage_count: sequelize.literal('usage_count - 1')
+    }, {
+      where: {
+        code: String(code).trim().toUpperCase(),
+        usage_count: { [Op.gt]: 0 }
+      },
+      transaction: options.transaction
+    });
+  };
+
+  return PromoCode;
+};
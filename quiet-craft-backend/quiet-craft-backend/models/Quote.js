@@ -31,6 +31,18 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 'active'
     },
     
+    version: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1,
+      comment: 'Current revision number (see quote_revisions)'
+    },
+    
+    pricing_version: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Pricing version (see pricing_versions) that produced the current price'
+    },
+    
     pickup_location: {
       type: DataTypes.STRING,
       allowNull: false
@@ -68,6 +80,11 @@ module.exports = (sequelize, DataTypes) => {
       comment: 'Additional services requested'
     },
     
+    quote_request: {
+      type: DataTypes.JSONB,
+      comment: 'Normalized quote request the pricing was calculated from'
+    },
+    
     distance_info: {
       type: DataTypes.JSONB,
       comment: 'Distance and route information from Google Maps'
@@ -88,6 +105,18 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 0
     },
     
+    discounts: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+      comment: 'Total discount applied (itemised in pricing_breakdown)'
+    },
+    
+    promo_code: {
+      type: DataTypes.STRING(40),
+      allowNull: true,
+      comment: 'Promo code applied to this quote'
+    },
+    
     total: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false
@@ -118,6 +147,12 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true
     },
     
+    acceptance: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Who accepted the quote and how (name, method, terms version, IP, user agent)'
+    },
+    
     expired_at: {
       type: DataTypes.DATE,
       allowNull: true
@@ -155,9 +190,47 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'user_id',
       as: 'user'
     });
+    
+    Quote.hasMany(models.QuoteRevision, {
+      foreignKey: 'quote_id',
+      as: 'revisions'
+    });
+    
+    Quote.hasMany(models.QuoteShareLink, {
+      foreignKey: 'quote_id',
+      as: 'shareLinks'
+    });
+    
+    Quote.hasOne(models.Booking, {
+      foreignKey: 'quote_id',
+      as: 'booking'
+    });
+    
+    Quote.hasMany(models.Payment, {
+      foreignKey: 'quote_id',
+      as: 'payments'
+    });
+    
+    Quote.hasOne(models.Invoice, {
+      foreignKey: 'quote_id',
+      as: 'invoice'
+    });
+  };
+  
+  // Allowed status changes, keyed by current status
+  Quote.STATUS_TRANSITIONS = {
+    draft: ['active', 'cancelled'],
+    active: ['accepted', 'cancelled', 'expired'],
+    accepted: ['cancelled'],
+    expired: ['active'],
+    cancelled: ['active']
   };
   
   // Instance methods
+  Quote.prototype.canTransitionTo = function(status) {
+    return (Quote.STATUS_TRANSITIONS[this.status] || []).includes(status);
+  };
+  
   Quote.prototype.isExpired = function() {
     return new Date() > this.valid_until;
   };
@@ -166,38 +239,148 @@ module.exports = (sequelize, DataTypes) => {
     return this.status === 'active' && !this.isExpired();
   };
   
-  Quote.prototype.accept = async function() {
+  Quote.prototype.accept = async function(acceptance, options = {}) {
     this.status = 'accepted';
     this.accepted_at = new Date();
-    return await this.save();
+    this.acceptance = { ...acceptance, acceptedAt: this.accepted_at.toISOString() };
+    return await this.save(options);
   };
   
-  Quote.prototype.expire = async function() {
+  Quote.prototype.expire = async function(options = {}) {
     this.status = 'expired';
     this.expired_at = new Date();
-    return await this.save();
+    return await this.save(options);
+  };
+  
+  Quote.prototype.cancel = async function(options = {}) {
+    this.status = 'cancelled';
+    return await this.save(options);
+  };
+  
+  Quote.prototype.reopen = async function(validUntil, options = {}) {
+    this.status = 'active';
+    this.valid_until = validUntil;
+    this.accepted_at = null;
+    this.acceptance = null;
+    this.expired_at = null;
+    return await this.save(options);
+  };
+  
+  Quote.prototype.toRevisionSnapshot = function() {
+    return {
+      quote_id: this.id,
+      version: this.version,
+      pricing_version: this.pricing_version,
+      quote_request: this.quote_request,
+      distance_info: this.distance_info,
+      pricing_breakdown: this.pricing_breakdown,
+      subtotal: this.subtotal,
+      taxes: this.taxes,
+      total: this.total
+    };
   };
   
   Quote.prototype.calculateTotal = function() {
     return parseFloat(this.subtotal) + parseFloat(this.taxes);
   };
   
+  Quote.prototype.toQuoteResponse = function() {
+    const pricingBreakdown = this.pricing_breakdown || {};
+    
+    return {
+      quoteId: this.quote_id,
+      status: this.status,
+      version: this.version,
+      pricingVersion: this.pricing_version,
+      subtotal: parseFloat(this.subtotal),
+      taxes: parseFloat(this.taxes),
+      discounts: pricingBreakdown.discounts || 0,
+      promoCode: this.promo_code,
+      total: parseFloat(this.total),
+      breakdown: pricingBreakdown.breakdown || {},
+      request: this.quote_request,
+      distanceInfo: this.distance_info,
+      components: pricingBreakdown.components || {},
+      explanation: pricingBreakdown.explanation || [],
+      validUntil: this.valid_until,
+      createdAt: this.created_at,
+      acceptedAt: this.accepted_at,
+      acceptedBy: this.acceptance ? this.acceptance.name : null,
+      expiredAt: this.expired_at
+    };
+  };
+  
   // Class methods
   Quote.findByQuoteId = async function(quoteId) {
     return await this.findOne({ where: { quote_id: quoteId } });
   };
   
+  // Column values derived from a priced quote (see PricingService.calculateQuote)
+  Quote.pricingAttributes = function(pricing, request) {
+    return {
+      pickup_location: request.pickup,
+      delivery_location: request.delivery,
+      event_type: request.eventType,
+      event_date: request.eventDate,
+      service_level: request.serviceLevel,
+      items: request.items,
+      additional_services: request.additionalServices,
+      quote_request: request,
+      pricing_version: pricing.pricingVersion || null,
+      distance_info: pricing.distanceInfo,
+      pricing_breakdown: {
+        breakdown: pricing.breakdown,
+        components: pricing.components,
+        discounts: pricing.discounts,
+        explanation: pricing.explanation || []
+      },
+      subtotal: pricing.subtotal,
+      taxes: pricing.taxes,
+      discounts: pricing.discounts || 0,
+      promo_code: pricing.discounts > 0 ? request.promoCode : null,
+      total: pricing.total,
+      contact_info: request.contactInfo,
+      special_requirements: [].concat(request.specialRequirements || []).join(', ') || null
+    };
+  };
+  
+  Quote.createFromPricing = async function(quote, options = {}) {
+    return await this.create({
+      ...this.pricingAttributes(quote, quote.request || {}),
+      quote_id: quote.quoteId,
+      user_id: options.userId || null,
+      valid_until: quote.validUntil,
+      notes: quote.request?.notes || null
+    }, { transaction: options.transaction });
+  };
+  
   Quote.findActiveQuotes = async function() {
     return await this.findAll({
       where: {
         status: 'active',
         valid_until: {
-          [sequelize.Op.gt]: new Date()
+          [sequelize.Sequelize.Op.gt]: new Date()
         }
       }
     });
   };
   
+  Quote.expireStaleQuotes = async function() {
+    const [count] = await this.update({
+      status: 'expired',
+      expired_at: new Date()
+    }, {
+      where: {
+        status: 'active',
+        valid_until: {
+          [sequelize.Sequelize.Op.lt]: new Date()
+        }
+      }
+    });
+    
+    return count;
+  };
+  
   Quote.getAnalytics = async function(period = 'month') {
     const dateFrom = new Date();
     switch (period) {
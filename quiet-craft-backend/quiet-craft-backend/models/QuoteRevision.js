@@ -0,0 +1,136 @@
+/**
+ * QuoteRevision Model - Versioned Pricing Snapshots for a Quote
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const QuoteRevision = sequelize.define('QuoteRevision', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    
+    quote_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'quotes',
+        key: 'id'
+      }
+    },
+    
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Revision number, starting at 1 for the original quote'
+    },
+    
+    pricing_version: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Pricing version that produced this revision'
+    },
+    
+    quote_request: {
+      type: DataTypes.JSONB,
+      comment: 'Normalized quote request for this revision'
+    },
+    
+    distance_info: {
+      type: DataTypes.JSONB,
+      comment: 'Distance and route information for this revision'
+    },
+    
+    pricing_breakdown: {
+      type: DataTypes.JSONB,
+      comment: 'Pricing breakdown and components snapshot'
+    },
+    
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    
+    taxes: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    
+    changed_fields: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Request fields changed from the previous revision'
+    },
+    
+    change_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Clerk user ID of whoever created this revision'
+    }
+  }, {
+    tableName: 'quote_revisions',
+    indexes: [
+      {
+        fields: ['quote_id', 'version'],
+        unique: true
+      },
+      {
+        fields: ['created_at']
+      }
+    ]
+  });
+  
+  // Associations
+  QuoteRevision.associate = (models) => {
+    QuoteRevision.belongsTo(models.Quote, {
+      foreignKey: 'quote_id',
+      as: 'quote'
+    });
+  };
+  
+  // Instance methods
+  QuoteRevision.prototype.toRevisionResponse = function() {
+    const pricingBreakdown = this.pricing_breakdown || {};
+    
+    return {
+      version: this.version,
+      pricingVersion: this.pricing_version,
+      subtotal: parseFloat(this.subtotal),
+      taxes: parseFloat(this.taxes),
+      discounts: pricingBreakdown.discounts || 0,
+      total: parseFloat(this.total),
+      breakdown: pricingBreakdown.breakdown || {},
+      components: pricingBreakdown.components || {},
+      request: this.quote_request,
+      distanceInfo: this.distance_info,
+      changedFields: this.changed_fields,
+      changeNote: this.change_note,
+      createdBy: this.created_by,
+      createdAt: this.created_at
+    };
+  };
+  
+  // Class methods
+  QuoteRevision.findByVersion = async function(quoteId, version) {
+    return await this.findOne({ where: { quote_id: quoteId, version } });
+  };
+  
+  QuoteRevision.findAllForQuote = async function(quoteId) {
+    return await this.findAll({
+      where: { quote_id: quoteId },
+      order: [['version', 'ASC']]
+    });
+  };
+  
+  return QuoteRevision;
+};
@@ -0,0 +1,99 @@
+/**
+ * QuoteShareLink Model - Expiring Customer Links to Review and Accept a Quote
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const QuoteShareLink = sequelize.define('QuoteShareLink', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    quote_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'quotes',
+        key: 'id'
+      }
+    },
+
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 of the link token; the token itself is never stored'
+    },
+
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Clerk user ID of whoever created the link'
+    },
+
+    view_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+
+    last_viewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'quote_share_links',
+    indexes: [
+      {
+        fields: ['token_hash'],
+        unique: true
+      },
+      {
+        fields: ['quote_id']
+      }
+    ]
+  });
+
+  // Associations
+  QuoteShareLink.associate = (models) => {
+    QuoteShareLink.belongsTo(models.Quote, {
+      foreignKey: 'quote_id',
+      as: 'quote'
+    });
+  };
+
+  // Instance methods
+  QuoteShareLink.prototype.isExpired = function() {
+    return new Date() > this.expires_at;
+  };
+
+  QuoteShareLink.prototype.isUsable = function() {
+    return !this.revoked_at && !this.isExpired();
+  };
+
+  QuoteShareLink.prototype.recordView = async function() {
+    this.view_count += 1;
+    this.last_viewed_at = new Date();
+    return await this.save();
+  };
+
+  // Class methods
+  QuoteShareLink.findByTokenHash = async function(tokenHash) {
+    return await this.findOne({
+      where: { token_hash: tokenHash },
+      include: [{ model: sequelize.models.Quote, as: 'quote' }]
+    });
+  };
+
+  return QuoteShareLink;
+};
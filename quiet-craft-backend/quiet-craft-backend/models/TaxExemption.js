@@ -0,0 +1,151 @@
+/**
+ * TaxExemption Model - Sales Tax Exemption Certificates on File
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const TaxExemption = sequelize.define('TaxExemption', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    certificate_number: {
+      type: DataTypes.STRING(60),
+      allowNull: false,
+      unique: true,
+      set(value) {
+        this.setDataValue('certificate_number', String(value).trim().toUpperCase());
+      }
+    },
+
+    customer_name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+
+    customer_email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Quotes must use this contact email to claim the exemption',
+      set(value) {
+        this.setDataValue('customer_email', value ? String(value).trim().toLowerCase() : null);
+      }
+    },
+
+    states: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Two-letter states the certificate covers'
+    },
+
+    exemption_reason: {
+      type: DataTypes.ENUM('resale', 'nonprofit', 'government', 'other'),
+      allowNull: false
+    },
+
+    status: {
+      type: DataTypes.ENUM('pending', 'verified', 'revoked'),
+      defaultValue: 'pending',
+      comment: 'Only verified certificates exempt a quote'
+    },
+
+    valid_from: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    document_url: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Where the signed certificate is filed'
+    },
+
+    verified_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Clerk user ID of whoever verified the certificate'
+    },
+
+    verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'tax_exemptions',
+    indexes: [
+      {
+        fields: ['certificate_number'],
+        unique: true
+      },
+      {
+        fields: ['customer_email']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  // Instance methods
+  // Reason the certificate cannot exempt a delivery, or null when it can
+  TaxExemption.prototype.getIneligibilityReason = function(context = {}) {
+    const asOf = context.asOf || new Date();
+
+    if (this.status !== 'verified') {
+      return `Exemption certificate ${this.certificate_number} is ${this.status}`;
+    }
+    if (this.valid_from && asOf < this.valid_from) {
+      return `Exemption certificate ${this.certificate_number} is not valid yet`;
+    }
+    if (this.expires_at && asOf > this.expires_at) {
+      return `Exemption certificate ${this.certificate_number} has expired`;
+    }
+    if (!context.state || !(this.states || []).includes(context.state)) {
+      return `Exemption certificate ${this.certificate_number} does not cover deliveries to ${context.state || 'this location'}`;
+    }
+    if (this.customer_email && this.customer_email !== String(context.email || '').trim().toLowerCase()) {
+      return `Exemption certificate ${this.certificate_number} is registered to a different customer`;
+    }
+
+    return null;
+  };
+
+  TaxExemption.prototype.toExemptionResponse = function() {
+    return {
+      id: this.id,
+      certificateNumber: this.certificate_number,
+      customerName: this.customer_name,
+      customerEmail: this.customer_email,
+      states: this.states,
+      exemptionReason: this.exemption_reason,
+      status: this.status,
+      validFrom: this.valid_from,
+      expiresAt: this.expires_at,
+      documentUrl: this.document_url,
+      verifiedBy: this.verified_by,
+      verifiedAt: this.verified_at,
+      notes: this.notes,
+      createdAt: this.created_at
+    };
+  };
+
+  // Class methods
+  TaxExemption.findByCertificateNumber = async function(certificateNumber) {
+    return await this.findOne({
+      where: { certificate_number: String(certificateNumber).trim().toUpperCase() }
+    });
+  };
+
+  return TaxExemption;
+};
@@ -131,6 +131,19 @@ module.exports = (sequelize, DataTypes) => {
     return await this.findOne({ where: { clerk_id: clerkId } });
   };
   
+  // Local record for a signed-in user (see req.user from authenticateUser), created on first use
+  User.findOrCreateFromAuth = async function(authUser) {
+    const existing = await this.findByClerkId(authUser.id);
+    if (existing) return existing;
+
+    return await this.create({
+      clerk_id: authUser.id,
+      email: authUser.email,
+      first_name: authUser.firstName || null,
+      last_name: authUser.lastName || null
+    });
+  };
+  
   User.createFromClerk = async function(clerkUserData) {
     return await this.create({
       clerk_id: clerkUserData.id,
@@ -9,7 +9,17 @@ const logger = require('../utils/logger');
 // Import model definitions
 const User = require('./User');
 const Quote = require('./Quote');
+const QuoteRevision = require('./QuoteRevision');
 const Configuration = require('./Configuration');
+const PricingVersion = require('./PricingVersion');
+const PromoCode = require('./PromoCode');
+const TaxExemption = require('./TaxExemption');
+const QuoteShareLink = require('./QuoteShareLink');
+const Booking = require('./Booking');
+const Payment = require('./Payment');
+const Invoice = require('./Invoice');
+const IdempotencyKey = require('./IdempotencyKey');
+const MapsCacheEntry = require('./MapsCacheEntry');
 const ChatSession = require('./ChatSession');
 const Analytics = require('./Analytics');
 
@@ -17,7 +27,17 @@ const Analytics = require('./Analytics');
 const models = {
   User: User(sequelize, Sequelize.DataTypes),
   Quote: Quote(sequelize, Sequelize.DataTypes),
+  QuoteRevision: QuoteRevision(sequelize, Sequelize.DataTypes),
   Configuration: Configuration(sequelize, Sequelize.DataTypes),
+  PricingVersion: PricingVersion(sequelize, Sequelize.DataTypes),
+  PromoCode: PromoCode(sequelize, Sequelize.DataTypes),
+  TaxExemption: TaxExemption(sequelize, Sequelize.DataTypes),
+  QuoteShareLink: QuoteShareLink(sequelize, Sequelize.DataTypes),
+  Booking: Booking(sequelize, Sequelize.DataTypes),
+  Payment: Payment(sequelize, Sequelize.DataTypes),
+  Invoice: Invoice(sequelize, Sequelize.DataTypes),
+  IdempotencyKey: IdempotencyKey(sequelize, Sequelize.DataTypes),
+  MapsCacheEntry: MapsCacheEntry(sequelize, Sequelize.DataTypes),
   ChatSession: ChatSession(sequelize, Sequelize.DataTypes),
   Analytics: Analytics(sequelize, Sequelize.DataTypes)
 };
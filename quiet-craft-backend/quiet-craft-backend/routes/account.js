@@ -0,0 +1,157 @@
+/**
+ * Account Routes - Customer Self-Service API
+ * Lets a signed-in customer list, view, accept, cancel and re-quote their own quotes
+ */
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { authenticateUser } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const accountService = require('../services/accountService');
+const quoteTerms = require('../config/quoteTerms');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Every account route needs a signed-in customer
+router.use(authenticateUser);
+
+const validateQuoteId = [
+  param('quoteId')
+    .matches(/^QC-[A-Z0-9]+-[A-Z0-9]+$/i)
+    .withMessage('Quote ID must look like QC-XXXXXXXX-XXXXX')
+];
+
+// Run an account operation for the caller's local user record, mapping AppErrors to JSON responses
+const accountAction = (action) => catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await accountService.resolveUser(req.user);
+    const result = await action(user, req);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+
+    res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Quote plus the customer-facing booking summary
+const quoteResponse = (quote) => ({
+  ...quote.toQuoteResponse(),
+  booking: quote.booking ? quote.booking.toBookingResponse() : null
+});
+
+// List the caller's quotes
+router.get('/quotes', [
+  query('status').optional().isIn(['draft', 'active', 'accepted', 'expired', 'cancelled']).withMessage('Invalid status'),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+], accountAction(async (user, req) => {
+  const { quotes, pagination } = await accountService.listQuotes(user, {
+    status: req.query.status,
+    from: req.query.from,
+    to: req.query.to,
+    page: req.query.page ? parseInt(req.query.page) : undefined,
+    limit: req.query.limit ? parseInt(req.query.limit) : undefined
+  });
+
+  return { quotes: quotes.map(quoteResponse), pagination };
+}));
+
+// List the caller's bookings
+router.get('/bookings', [
+  query('status').optional().isIn(['pending', 'scheduled', 'completed', 'cancelled']).withMessage('Invalid status')
+], accountAction(async (user, req) => {
+  const bookings = await accountService.listBookings(user, { status: req.query.status });
+
+  return {
+    bookings: bookings.map(booking => ({
+      ...booking.toBookingResponse(),
+      quoteId: booking.quote ? booking.quote.quote_id : null
+    }))
+  };
+}));
+
+// One of the caller's quotes, with the terms to agree to when accepting
+router.get('/quotes/:quoteId', validateQuoteId, accountAction(async (user, req) => {
+  const quote = await accountService.findOwnedQuote(req.params.quoteId.toUpperCase(), user);
+
+  return {
+    quote: quoteResponse(quote),
+    terms: quoteTerms,
+    acceptable: quote.isActive()
+  };
+}));
+
+// Accept one of the caller's quotes
+router.post('/quotes/:quoteId/accept', idempotent, [
+  ...validateQuoteId,
+  body('name').optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('agreeToTerms')
+    .isBoolean({ strict: true })
+    .custom(value => value === true)
+    .withMessage('You must agree to the terms to accept the quote'),
+  body('termsVersion').isString().withMessage('Terms version is required'),
+  body('version').isInt({ min: 1 }).withMessage('Quote version is required')
+], accountAction(async (user, req) => {
+  const { quote, booking } = await accountService.acceptQuote(req.params.quoteId.toUpperCase(), user, {
+    name: req.body.name,
+    termsVersion: req.body.termsVersion,
+    version: parseInt(req.body.version),
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return { quote: quote.toQuoteResponse(), booking: booking.toBookingResponse() };
+}));
+
+// Cancel one of the caller's quotes (accepted quotes only while the booking is pending)
+router.post('/quotes/:quoteId/cancel', idempotent, [
+  ...validateQuoteId,
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be a string with max 500 characters')
+], accountAction(async (user, req) => {
+  const quote = await accountService.cancelQuote(req.params.quoteId.toUpperCase(), user, req.body.reason);
+  return { quote: quote.toQuoteResponse() };
+}));
+
+// Price a new quote from a past one, optionally changing the date, service level or items
+router.post('/quotes/:quoteId/requote', idempotent, [
+  ...validateQuoteId,
+  body('eventDate').optional().isISO8601().withMessage('Event date must be an ISO 8601 date'),
+  body('serviceLevel').optional().isIn(['standard', 'nextDay', 'sameDay', 'emergency']).withMessage('Invalid service level'),
+  body('items').optional().isArray({ min: 1, max: 50 }).withMessage('Items must be an array of 1-50 items'),
+  body('promoCode').optional({ values: 'null' }).isString().isLength({ max: 40 }).withMessage('Promo code must be a string with max 40 characters')
+], accountAction(async (user, req) => {
+  const changes = {};
+  ['eventDate', 'serviceLevel', 'items', 'promoCode'].forEach(field => {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  });
+
+  const quote = await accountService.requote(req.params.quoteId.toUpperCase(), user, changes);
+  return { quote: quote.toQuoteResponse(), requotedFrom: req.params.quoteId.toUpperCase() };
+}));
+
+module.exports = router;
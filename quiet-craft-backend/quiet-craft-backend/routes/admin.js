@@ -4,9 +4,14 @@
  */
 
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
-const { requireAdmin, enrichUserProfile } = require('../middleware/auth');
+const { body, query, param, validationResult } = require('express-validator');
+const { authenticateUser, requireAdmin, enrichUserProfile } = require('../middleware/auth');
 const pricingService = require('../services/pricingService');
+const pricingVersionService = require('../services/pricingVersionService');
+const pricingSimulationService = require('../services/pricingSimulationService');
+const discountService = require('../services/discountService');
+const taxService = require('../services/taxService');
+const invoiceService = require('../services/invoiceService');
 const aiService = require('../services/aiService');
 const mapsService = require('../services/mapsService');
 const logger = require('../utils/logger');
@@ -15,6 +20,7 @@ const { catchAsync, AppError } = require('../middleware/errorHandler');
 const router = express.Router();
 
 // Apply admin authentication to all routes
+router.use(authenticateUser);
 router.use(requireAdmin);
 router.use(enrichUserProfile);
 
@@ -38,7 +44,7 @@ router.get('/dashboard', catchAsync(async (req, res) => {
         },
         maps: {
           status: process.env.GOOGLE_MAPS_API_KEY ? 'operational' : 'limited',
-          stats: mapsService.getCacheStats(),
+          stats: await mapsService.getCacheStats(),
           configured: !!process.env.GOOGLE_MAPS_API_KEY
         },
         pricing: {
@@ -83,6 +89,12 @@ router.get('/dashboard', catchAsync(async (req, res) => {
 router.get('/config', catchAsync(async (req, res) => {
   const config = {
     pricing: pricingService.pricing,
+    pricingSource: pricingService.pricingSource,
+    tax: {
+      reviewedOn: taxService.rateTable.reviewedOn,
+      defaultRate: taxService.rateTable.defaultRate,
+      jurisdictions: taxService.rateTable.jurisdictions.map(jurisdiction => jurisdiction.state)
+    },
     ai: {
       model: aiService.defaultModel,
       fallbackModel: aiService.fallbackModel,
@@ -91,7 +103,7 @@ router.get('/config', catchAsync(async (req, res) => {
     },
     maps: {
       configured: !!process.env.GOOGLE_MAPS_API_KEY,
-      cacheSize: mapsService.getCacheStats().size
+      cacheSize: (await mapsService.getCacheStats()).size
     },
     environment: {
       nodeEnv: process.env.NODE_ENV,
@@ -118,7 +130,9 @@ router.put('/config/pricing', [
   body('distanceTiers').optional().isObject().withMessage('Distance tiers must be an object'),
   body('itemFees').optional().isObject().withMessage('Item fees must be an object'),
   body('serviceLevels').optional().isObject().withMessage('Service levels must be an object'),
-  body('additionalServices').optional().isObject().withMessage('Additional services must be an object')
+  body('additionalServices').optional().isObject().withMessage('Additional services must be an object'),
+  body('eventTypes').optional().isObject().withMessage('Event types must be an object'),
+  body('complexityFactors').optional().isObject().withMessage('Complexity factors must be an object')
 ], catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -130,8 +144,8 @@ router.put('/config/pricing', [
   }
 
   try {
-    // Update pricing configuration
-    pricingService.updatePricing(req.body);
+    // Validate and publish the changes as a new pricing version
+    const result = await pricingVersionService.publishChanges(req.body, req.user.id);
 
     logger.info('Pricing configuration updated', {
       userId: req.user.id,
@@ -144,10 +158,23 @@ router.put('/config/pricing', [
       success: true,
       message: 'Pricing configuration updated successfully',
       updatedFields: Object.keys(req.body),
+      pricing: result.pricing,
+      pricingVersion: result.version,
+      updatedBy: result.updatedBy,
+      updatedAt: result.updatedAt,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     logger.logError(error, {
       service: 'pricing config update',
       userId: req.user.id,
@@ -162,6 +189,397 @@ router.put('/config/pricing', [
   }
 }));
 
+// Validate a pricing version number in the URL
+const validateVersion = [
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer')
+];
+
+// Validate a rate card draft: either a complete rateCard or partial changes
+const validateDraft = [
+  body('rateCard').optional().isObject().withMessage('Rate card must be an object'),
+  body('changes').optional().isObject().withMessage('Changes must be an object'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be a string with max 1000 characters'),
+  body().custom(value => !!(value.rateCard || value.changes)).withMessage('Provide either rateCard or changes')
+];
+
+// Run a pricing operation, mapping service errors to JSON responses
+const pricingAction = (action) => catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await action(req);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+
+    res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      details: error.details,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List pricing versions
+router.get('/pricing/versions', [
+  query('status').optional().isIn(['draft', 'scheduled', 'published', 'archived']).withMessage('Invalid status')
+], pricingAction(async (req) => {
+  const versions = await pricingVersionService.listVersions({ status: req.query.status });
+  return { liveVersion: pricingService.pricingSource.version, versions };
+}));
+
+// Get a pricing version with its full rate card
+router.get('/pricing/versions/:version', validateVersion, pricingAction(async (req) => {
+  const pricingVersion = await pricingVersionService.findVersionOrFail(parseInt(req.params.version));
+  return { version: pricingVersion.toVersionResponse({ includeRateCard: true }) };
+}));
+
+// Draft a new rate card (based on the live version unless baseVersion is given)
+router.post('/pricing/versions', [
+  ...validateDraft,
+  body('baseVersion').optional().isInt({ min: 1 }).withMessage('Base version must be a positive integer')
+], pricingAction(async (req) => {
+  const pricingVersion = await pricingVersionService.createDraft({
+    rateCard: req.body.rateCard,
+    changes: req.body.changes,
+    baseVersion: req.body.baseVersion,
+    notes: req.body.notes
+  }, req.user.id);
+
+  logger.info('Pricing draft created', { userId: req.user.id, email: req.user.email, version: pricingVersion.version });
+  return { version: pricingVersion.toVersionResponse({ includeRateCard: true }) };
+}));
+
+// Edit a draft rate card
+router.put('/pricing/versions/:version', [
+  ...validateVersion,
+  ...validateDraft
+], pricingAction(async (req) => {
+  const pricingVersion = await pricingVersionService.updateDraft(parseInt(req.params.version), {
+    rateCard: req.body.rateCard,
+    changes: req.body.changes,
+    notes: req.body.notes
+  }, req.user.id);
+
+  return { version: pricingVersion.toVersionResponse({ includeRateCard: true }) };
+}));
+
+// Preview a quote request priced with a version next to the live rate card
+router.post('/pricing/versions/:version/preview', [
+  ...validateVersion,
+  body('pickup').isString().isLength({ min: 5, max: 200 }).withMessage('Pickup location must be 5-200 characters'),
+  body('delivery').isString().isLength({ min: 5, max: 200 }).withMessage('Delivery location must be 5-200 characters'),
+  body('items').optional().isArray({ max: 50 }).withMessage('Items must be an array with max 50 items')
+], pricingAction(async (req) => {
+  const preview = await pricingVersionService.previewVersion(parseInt(req.params.version), req.body);
+  return { preview };
+}));
+
+// Publish a version now, or schedule it with a future effectiveAt
+router.post('/pricing/versions/:version/publish', [
+  ...validateVersion,
+  body('effectiveAt').optional().isISO8601().withMessage('Effective time must be an ISO 8601 timestamp')
+], pricingAction(async (req) => {
+  const pricingVersion = await pricingVersionService.publishVersion(parseInt(req.params.version), {
+    effectiveAt: req.body.effectiveAt
+  }, req.user.id);
+
+  logger.info('Pricing version publish requested', {
+    userId: req.user.id,
+    email: req.user.email,
+    version: pricingVersion.version,
+    status: pricingVersion.status,
+    effectiveAt: pricingVersion.effective_at
+  });
+
+  return { version: pricingVersion.toVersionResponse(), liveVersion: pricingService.pricingSource.version };
+}));
+
+// Cancel a scheduled go-live (the version returns to draft)
+router.post('/pricing/versions/:version/unschedule', validateVersion, pricingAction(async (req) => {
+  const pricingVersion = await pricingVersionService.unscheduleVersion(parseInt(req.params.version), req.user.id);
+  return { version: pricingVersion.toVersionResponse() };
+}));
+
+// Restore a previously published version as the live rate card
+router.post('/pricing/versions/:version/rollback', [
+  ...validateVersion,
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be a string with max 1000 characters')
+], pricingAction(async (req) => {
+  const pricingVersion = await pricingVersionService.rollbackToVersion(parseInt(req.params.version), {
+    notes: req.body.notes
+  }, req.user.id);
+
+  logger.info('Pricing rolled back', {
+    userId: req.user.id,
+    email: req.user.email,
+    restoredVersion: parseInt(req.params.version),
+    version: pricingVersion.version
+  });
+
+  return { version: pricingVersion.toVersionResponse(), liveVersion: pricingService.pricingSource.version };
+}));
+
+// What-if: replay stored quotes with a proposed rate card
+router.post('/pricing/simulate', [
+  body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  body('rateCard').optional().isObject().withMessage('Rate card must be an object'),
+  body('changes').optional().isObject().withMessage('Changes must be an object'),
+  body().custom(value => !!(value.version || value.rateCard || value.changes)).withMessage('Provide a version, rateCard or changes to simulate'),
+  body('filters.from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  body('filters.to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  body('filters.statuses').optional().isArray().withMessage('Statuses must be an array'),
+  body('filters.eventType').optional().isString(),
+  body('filters.serviceLevel').optional().isString(),
+  body('filters.limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  query('details').optional().isBoolean().withMessage('Details must be true or false')
+], pricingAction(async (req) => {
+  const simulation = await pricingSimulationService.simulate({
+    version: req.body.version,
+    rateCard: req.body.rateCard,
+    changes: req.body.changes
+  }, req.body.filters || {});
+
+  // Per-quote rows can be large; omit them with ?details=false
+  if (req.query.details === 'false') {
+    delete simulation.quotes;
+  }
+
+  logger.info('Pricing simulation run', {
+    userId: req.user.id,
+    email: req.user.email,
+    proposedVersion: simulation.proposedVersion,
+    quoteCount: simulation.aggregate.quoteCount,
+    delta: simulation.aggregate.delta
+  });
+
+  return { simulation };
+}));
+
+// Validate promo code fields (required only when creating)
+const validatePromoCode = (isCreate) => {
+  const required = (chain) => (isCreate ? chain.exists() : chain.optional());
+
+  return [
+    required(body('code')).isString().matches(/^[A-Z0-9_-]{2,40}$/i).withMessage('Code must be 2-40 letters, numbers, dashes or underscores'),
+    required(body('discountType')).isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+    required(body('amount')).isFloat({ min: 0.01, max: 100000 }).withMessage('Amount must be a positive number'),
+    body('description').optional().isString().isLength({ max: 255 }).withMessage('Description must be a string with max 255 characters'),
+    body('maxDiscount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Max discount must be a positive number'),
+    body('minOrderValue').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be a positive number'),
+    body('eventTypes').optional().isArray().withMessage('Event types must be an array'),
+    body('eventTypes.*').optional().isIn(['conference', 'tradeShow', 'festival', 'corporateEvent', 'wedding', 'exhibition', 'concert', 'sportingEvent']).withMessage('Invalid event type'),
+    body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
+    body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('Start date must be an ISO 8601 timestamp'),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Expiry date must be an ISO 8601 timestamp'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// List promo codes
+router.get('/promo-codes', [
+  query('active').optional().isBoolean().withMessage('Active must be true or false')
+], pricingAction(async (req) => {
+  const promoCodes = await discountService.listPromoCodes({
+    active: req.query.active !== undefined ? req.query.active === 'true' : undefined
+  });
+  return { promoCodes: promoCodes.map(promoCode => promoCode.toPromoCodeResponse()) };
+}));
+
+// Create a promo code
+router.post('/promo-codes', validatePromoCode(true), pricingAction(async (req) => {
+  const promoCode = await discountService.createPromoCode(req.body, req.user.id);
+
+  logger.info('Promo code created by admin', { userId: req.user.id, email: req.user.email, code: promoCode.code });
+  return { promoCode: promoCode.toPromoCodeResponse() };
+}));
+
+// Change a promo code's rules, or deactivate it with { isActive: false }
+router.put('/promo-codes/:code', [
+  param('code').matches(/^[A-Z0-9_-]{2,40}$/i).withMessage('Invalid promo code'),
+  ...validatePromoCode(false)
+], pricingAction(async (req) => {
+  const promoCode = await discountService.updatePromoCode(req.params.code, req.body, req.user.id);
+  return { promoCode: promoCode.toPromoCodeResponse() };
+}));
+
+// Resolve the tax jurisdiction and rates for a delivery address
+router.get('/tax/jurisdiction', [
+  query('address').isString().isLength({ min: 2, max: 200 }).withMessage('Address is required')
+], pricingAction(async (req) => {
+  return { jurisdiction: taxService.resolveJurisdiction(req.query.address) };
+}));
+
+// Validate tax exemption certificate fields (required only when creating)
+const validateTaxExemption = (isCreate) => {
+  const required = (chain) => (isCreate ? chain.exists() : chain.optional());
+
+  return [
+    required(body('certificateNumber')).isString().matches(/^[A-Z0-9-]{4,60}$/i).withMessage('Certificate number must be 4-60 letters, numbers or dashes'),
+    required(body('customerName')).isString().isLength({ min: 1, max: 200 }).withMessage('Customer name is required'),
+    required(body('states')).isArray({ min: 1 }).withMessage('States must be a non-empty array'),
+    body('states.*').isString().matches(/^[A-Z]{2}$/i).withMessage('States must be two-letter abbreviations'),
+    required(body('exemptionReason')).isIn(['resale', 'nonprofit', 'government', 'other']).withMessage('Invalid exemption reason'),
+    body('customerEmail').optional({ values: 'null' }).isEmail().withMessage('Customer email must be valid'),
+    body('validFrom').optional({ values: 'null' }).isISO8601().withMessage('Valid from must be an ISO 8601 date'),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Expiry must be an ISO 8601 date'),
+    body('documentUrl').optional({ values: 'null' }).isURL().withMessage('Document URL must be a valid URL'),
+    body('notes').optional({ values: 'null' }).isString().isLength({ max: 1000 }),
+    ...(isCreate ? [] : [body('status').optional().isIn(['pending', 'verified', 'revoked']).withMessage('Status must be pending, verified or revoked')])
+  ];
+};
+
+// List tax exemption certificates
+router.get('/tax-exemptions', [
+  query('status').optional().isIn(['pending', 'verified', 'revoked']).withMessage('Invalid status'),
+  query('email').optional().isEmail().withMessage('Email must be valid')
+], pricingAction(async (req) => {
+  const exemptions = await taxService.listExemptions({
+    status: req.query.status,
+    email: req.query.email
+  });
+  return { exemptions: exemptions.map(exemption => exemption.toExemptionResponse()) };
+}));
+
+// Record a tax exemption certificate (pending until verified)
+router.post('/tax-exemptions', validateTaxExemption(true), pricingAction(async (req) => {
+  const exemption = await taxService.createExemption(req.body, req.user.id);
+
+  logger.info('Tax exemption certificate recorded by admin', {
+    userId: req.user.id,
+    email: req.user.email,
+    certificateNumber: exemption.certificate_number
+  });
+  return { exemption: exemption.toExemptionResponse() };
+}));
+
+// Update a certificate; { status: 'verified' } verifies it, { status: 'revoked' } revokes it
+router.put('/tax-exemptions/:certificateNumber', [
+  param('certificateNumber').matches(/^[A-Z0-9-]{4,60}$/i).withMessage('Invalid certificate number'),
+  ...validateTaxExemption(false)
+], pricingAction(async (req) => {
+  const exemption = await taxService.updateExemption(req.params.certificateNumber, req.body, req.user.id);
+  return { exemption: exemption.toExemptionResponse() };
+}));
+
+const validateInvoiceNumber = [
+  param('invoiceNumber').matches(/^[A-Z0-9-]{4,40}$/i).withMessage('Invalid invoice number')
+];
+
+// Validate final adjustments: actual wait time, stops added on the day and custom lines
+const validateInvoiceAdjustments = [
+  body('adjustments').optional().isObject().withMessage('Adjustments must be an object'),
+  body('adjustments.waitTimeHours').optional().isFloat({ min: 0, max: 48 }).withMessage('Wait time must be 0-48 hours'),
+  body('adjustments.extraStops').optional().isInt({ min: 0, max: 20 }).withMessage('Extra stops must be 0-20'),
+  body('adjustments.lines').optional().isArray({ max: 20 }).withMessage('Lines must be an array of at most 20'),
+  body('adjustments.lines.*.description').isString().isLength({ min: 1, max: 200 }).withMessage('Line description is required'),
+  body('adjustments.lines.*.quantity').optional().isFloat({ min: 0.01, max: 1000 }).withMessage('Line quantity must be 0.01-1000'),
+  body('adjustments.lines.*.unitPrice').isFloat({ min: -100000, max: 100000 }).withMessage('Line unit price must be a number'),
+  body('adjustments.lines.*.taxable').optional().isBoolean().withMessage('Line taxable must be true or false'),
+  body('paymentTerms').optional().isIn(['due_on_receipt', 'net_15', 'net_30', 'net_45']).withMessage('Invalid payment terms'),
+  body('notes').optional({ values: 'null' }).isString().isLength({ max: 1000 }).withMessage('Notes must be a string with max 1000 characters')
+];
+
+// Invoice with the quote's payment ledger
+const invoiceResponse = async (invoice) => {
+  const payments = await invoiceService.getPayments(invoice);
+  return { invoice: invoice.toInvoiceResponse(payments), payments };
+};
+
+// List invoices
+router.get('/invoices', [
+  query('status').optional().isIn(['draft', 'sent', 'paid', 'overdue']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be 1-500')
+], pricingAction(async (req) => {
+  const invoices = await invoiceService.listInvoices({
+    status: req.query.status,
+    limit: req.query.limit ? parseInt(req.query.limit) : undefined
+  });
+  return { invoices: invoices.map(invoice => invoice.toInvoiceResponse()) };
+}));
+
+// Generate a draft invoice from an accepted quote
+router.post('/invoices', [
+  body('quoteId').matches(/^QC-[A-Z0-9]+-[A-Z0-9]+$/i).withMessage('Invalid quote ID format'),
+  ...validateInvoiceAdjustments
+], pricingAction(async (req) => {
+  const invoice = await invoiceService.createFromQuote(req.body.quoteId.toUpperCase(), {
+    adjustments: req.body.adjustments,
+    paymentTerms: req.body.paymentTerms,
+    notes: req.body.notes,
+    userId: req.user.id
+  });
+  return await invoiceResponse(invoice);
+}));
+
+// Invoice details with payments received
+router.get('/invoices/:invoiceNumber', validateInvoiceNumber, pricingAction(async (req) => {
+  return await invoiceResponse(await invoiceService.findInvoiceOrFail(req.params.invoiceNumber));
+}));
+
+// Change a draft invoice; adjustments replace the previous adjustment lines
+router.put('/invoices/:invoiceNumber', [
+  ...validateInvoiceNumber,
+  ...validateInvoiceAdjustments
+], pricingAction(async (req) => {
+  const invoice = await invoiceService.updateDraft(req.params.invoiceNumber, req.body, { userId: req.user.id });
+  return await invoiceResponse(invoice);
+}));
+
+// Issue an invoice (or resend it) by email with the PDF attached
+router.post('/invoices/:invoiceNumber/send', [
+  ...validateInvoiceNumber,
+  body('to').optional().isEmail().withMessage('Recipient must be a valid email'),
+  body('message').optional().isString().isLength({ max: 2000 }).withMessage('Message must be a string with max 2000 characters'),
+  body('dueDate').optional().isISO8601().withMessage('Due date must be an ISO 8601 date')
+], pricingAction(async (req) => {
+  const { invoice, notification } = await invoiceService.sendInvoice(req.params.invoiceNumber, {
+    to: req.body.to,
+    message: req.body.message,
+    dueDate: req.body.dueDate,
+    userId: req.user.id
+  });
+  return { ...(await invoiceResponse(invoice)), notification };
+}));
+
+// Download an invoice as a printable PDF
+router.get('/invoices/:invoiceNumber/pdf', validateInvoiceNumber, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const invoice = await invoiceService.findInvoiceOrFail(req.params.invoiceNumber);
+  const pdf = await invoiceService.renderPdf(invoice);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${req.query.inline === 'true' ? 'inline' : 'attachment'}; filename="${invoice.invoice_number}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+}));
+
 // System health check with detailed diagnostics
 router.get('/health', catchAsync(async (req, res) => {
   const health = {
@@ -217,14 +635,28 @@ router.get('/health', catchAsync(async (req, res) => {
 // Clear service caches
 router.post('/cache/clear', [
   body('services').optional().isArray().withMessage('Services must be an array'),
-  body('services.*').isIn(['maps', 'ai', 'all']).withMessage('Invalid service name')
+  body('services.*').isIn(['maps', 'ai', 'all']).withMessage('Invalid service name'),
+  body('maps').optional().isObject().withMessage('Maps filters must be an object'),
+  body('maps.types').optional().isArray({ min: 1 }).withMessage('Maps cache types must be a non-empty array'),
+  body('maps.types.*').isIn(mapsService.cacheCallTypes).withMessage(`Maps cache types must be ${mapsService.cacheCallTypes.join(', ')}`),
+  body('maps.match').optional().isString().trim().isLength({ min: 2, max: 200 }).withMessage('Maps match must be 2-200 characters')
 ], catchAsync(async (req, res) => {
-  const { services = ['all'] } = req.body;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { services = ['all'], maps = {} } = req.body;
   const results = {};
 
   try {
     if (services.includes('all') || services.includes('maps')) {
-      results.maps = mapsService.clearCache();
+      // Only the call types and lookups asked for, or the whole maps cache
+      results.maps = await mapsService.clearCache({ types: maps.types, match: maps.match });
     }
 
     if (services.includes('all') || services.includes('ai')) {
@@ -320,7 +752,7 @@ router.get('/analytics', [
       data: {
         quotes: pricingService.getAnalytics(),
         ai: aiService.getStats(),
-        maps: mapsService.getCacheStats(),
+        maps: await mapsService.getCacheStats(),
         system: {
           uptime: process.uptime(),
           memory: process.memoryUsage(),
@@ -412,7 +844,7 @@ router.post('/maintenance', [
     switch (action) {
       case 'cleanup':
         // Perform cleanup tasks
-        result.maps = mapsService.clearCache();
+        result.maps = await mapsService.clearCache();
         aiService.cleanupContexts();
         result.ai = 'contexts_cleaned';
         break;
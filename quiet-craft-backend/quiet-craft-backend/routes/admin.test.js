@@ -0,0 +1,82 @@
+/**
+ * Admin routes - authentication, staff-only access and the pricing version API
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { useTestDatabase } = require('../test/database');
+
+// Bearer tokens are Clerk user IDs; "admin" signs in with the admin role
+jest.mock('@clerk/clerk-sdk-node', () => require('../test/clerk'));
+
+// The AI service is only read by the dashboard and keeps a cleanup timer running
+jest.mock('../services/aiService', () => ({}));
+
+const adminRoutes = require('./admin');
+const { errorHandler } = require('../middleware/errorHandler');
+const pricingService = require('../services/pricingService');
+const pricingConfigService = require('../services/pricingConfigService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+describe('admin routes', () => {
+  useTestDatabase();
+
+  beforeAll(async () => {
+    await pricingConfigService.loadPricing();
+  });
+
+  test('require a signed-in user', async () => {
+    const response = await request(app).get('/api/admin/pricing/versions');
+
+    expect(response.status).toBe(401);
+  });
+
+  test.each([
+    '/api/admin/pricing/versions',
+    '/api/admin/promo-codes',
+    '/api/admin/tax-exemptions',
+    '/api/admin/invoices'
+  ])('GET %s is open to admins and closed to customers', async (path) => {
+    const asAdmin = await request(app).get(path).set('Authorization', 'Bearer admin');
+    const asCustomer = await request(app).get(path).set('Authorization', 'Bearer user_customer');
+
+    expect(asAdmin.status).toBe(200);
+    expect(asAdmin.body.success).toBe(true);
+    expect(asCustomer.status).toBe(403);
+    expect(asCustomer.body.error).toBe('Admin access required');
+  });
+
+  test('an admin can draft and publish a pricing version', async () => {
+    const baseFee = pricingService.pricing.baseFee + 5;
+
+    const drafted = await request(app)
+      .post('/api/admin/pricing/versions')
+      .set('Authorization', 'Bearer admin')
+      .send({ changes: { baseFee }, notes: 'Raise the base fee' });
+
+    expect(drafted.status).toBe(200);
+    expect(drafted.body.version).toMatchObject({ version: 2, status: 'draft', createdBy: 'admin' });
+
+    const published = await request(app)
+      .post('/api/admin/pricing/versions/2/publish')
+      .set('Authorization', 'Bearer admin')
+      .send({});
+
+    expect(published.status).toBe(200);
+    expect(published.body.liveVersion).toBe(2);
+    expect(pricingService.pricing.baseFee).toBe(baseFee);
+  });
+
+  test('a customer cannot publish a pricing version', async () => {
+    const response = await request(app)
+      .post('/api/admin/pricing/versions/1/rollback')
+      .set('Authorization', 'Bearer user_customer')
+      .send({});
+
+    expect(response.status).toBe(403);
+  });
+});
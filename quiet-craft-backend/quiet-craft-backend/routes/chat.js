@@ -6,7 +6,9 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const aiService = require('../services/aiService');
+const { models } = require('../models');
 const logger = require('../utils/logger');
+const { idempotent } = require('../middleware/idempotency');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 
 const router = express.Router();
@@ -34,7 +36,11 @@ const validateChatMessage = [
   body('context')
     .optional()
     .isObject()
-    .withMessage('Context must be an object')
+    .withMessage('Context must be an object'),
+  body('context.quoteId')
+    .optional()
+    .matches(/^QC-[A-Z0-9]+-[A-Z0-9]+$/i)
+    .withMessage('Quote ID must look like QC-XXXXXXXX-XXXXX')
 ];
 
 const validateChatHistory = [
@@ -52,7 +58,7 @@ const validateChatHistory = [
 ];
 
 // Main chat endpoint
-router.post('/', validateChatMessage, catchAsync(async (req, res) => {
+router.post('/', idempotent, validateChatMessage, catchAsync(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -78,6 +84,21 @@ router.post('/', validateChatMessage, catchAsync(async (req, res) => {
     requestId: req.id
   };
 
+  // A quote being discussed is loaded here, so the AI only ever sees its stored explanation
+  enrichedContext.quote = null;
+  if (context.quoteId) {
+    const quote = await models.Quote.findByQuoteId(context.quoteId);
+    if (!quote) {
+      throw new AppError(`No quote exists with ID ${context.quoteId}`, 404);
+    }
+    const quoteResponse = quote.toQuoteResponse();
+    enrichedContext.quote = {
+      quoteId: quoteResponse.quoteId,
+      total: quoteResponse.total,
+      explanation: quoteResponse.explanation
+    };
+  }
+
   logger.info('Chat request', {
     userId: enrichedContext.userId,
     messageLength: message.length,
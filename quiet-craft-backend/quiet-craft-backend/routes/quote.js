@@ -4,77 +4,34 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const { body, query, param, validationResult } = require('express-validator');
 const pricingService = require('../services/pricingService');
 const mapsService = require('../services/mapsService');
 const aiService = require('../services/aiService');
+const quoteService = require('../services/quoteService');
+const discountService = require('../services/discountService');
+const quotePdfService = require('../services/quotePdfService');
+const notificationService = require('../services/notificationService');
+const paymentService = require('../services/paymentService');
+const invoiceService = require('../services/invoiceService');
+const accountService = require('../services/accountService');
+const bulkQuoteService = require('../services/bulkQuoteService');
+const pricingEngine = require('../shared/pricingEngine');
+const { models } = require('../models');
+const { authenticateUser, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { validateQuoteDetails, validateQuoteRequest } = require('../middleware/quoteValidation');
+const { idempotent } = require('../middleware/idempotency');
 const logger = require('../utils/logger');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
-// Validation schemas
-const validateQuoteRequest = [
-  body('pickup')
-    .notEmpty()
-    .isString()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Pickup location is required and must be 5-200 characters'),
-  body('delivery')
-    .notEmpty()
-    .isString()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Delivery location is required and must be 5-200 characters'),
-  body('eventType')
-    .optional()
-    .isIn(['conference', 'tradeShow', 'festival', 'corporateEvent', 'wedding', 'exhibition', 'concert', 'sportingEvent'])
-    .withMessage('Invalid event type'),
-  body('serviceLevel')
-    .optional()
-    .isIn(['standard', 'nextDay', 'sameDay', 'emergency'])
-    .withMessage('Invalid service level'),
-  body('eventDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Event date must be a valid ISO 8601 date'),
-  body('items')
-    .optional()
-    .isArray()
-    .withMessage('Items must be an array'),
-  body('items.*.description')
-    .optional()
-    .isString()
-    .isLength({ max: 200 })
-    .withMessage('Item description must be a string with max 200 characters'),
-  body('items.*.size')
-    .optional()
-    .isIn(['small', 'medium', 'large', 'extraLarge'])
-    .withMessage('Invalid item size'),
-  body('items.*.quantity')
-    .optional()
-    .isInt({ min: 1, max: 1000 })
-    .withMessage('Item quantity must be between 1 and 1000'),
-  body('additionalServices')
-    .optional()
-    .isArray()
-    .withMessage('Additional services must be an array'),
-  body('declaredValue')
-    .optional()
-    .isFloat({ min: 0, max: 10000000 })
-    .withMessage('Declared value must be between 0 and 10,000,000'),
-  body('contactInfo.name')
-    .optional()
-    .isString()
-    .isLength({ max: 100 })
-    .withMessage('Contact name must be a string with max 100 characters'),
-  body('contactInfo.email')
-    .optional()
-    .isEmail()
-    .withMessage('Contact email must be valid'),
-  body('contactInfo.phone')
-    .optional()
-    .isMobilePhone()
-    .withMessage('Contact phone must be valid')
+// Request fields a revision may change
+const REVISABLE_FIELDS = [
+  'pickup', 'delivery', 'eventType', 'serviceLevel', 'eventDate', 'items',
+  'additionalServices', 'specialRequirements', 'declaredValue', 'urgency', 'contactInfo', 'notes', 'promoCode',
+  'taxExemptionCertificate', 'stops', 'optimizeStopOrder', 'storage'
 ];
 
 const validateDistanceRequest = [
@@ -94,8 +51,14 @@ const validateDistanceRequest = [
     .withMessage('Invalid travel mode')
 ];
 
+const validateQuoteId = [
+  param('quoteId')
+    .matches(/^QC-[A-Z0-9]+-[A-Z0-9]+$/i)
+    .withMessage('Quote ID must look like QC-XXXXXXXX-XXXXX')
+];
+
 // Generate comprehensive quote
-router.post('/', validateQuoteRequest, catchAsync(async (req, res) => {
+router.post('/', optionalAuth, idempotent, validateQuoteRequest, catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -112,6 +75,13 @@ router.post('/', validateQuoteRequest, catchAsync(async (req, res) => {
     // Generate the quote
     const quote = await pricingService.generateQuote(req.body);
 
+    // Persist so the quote can be retrieved later by its QC- ID; signed-in customers see it in their account
+    const user = req.user ? await accountService.resolveUser(req.user).catch(error => {
+      logger.warn('Quote saved without an account', { userId: req.user.id, error: error.message });
+      return null;
+    }) : null;
+    await models.Quote.createFromPricing(quote, { userId: user ? user.id : null });
+
     // Log quote generation
     logger.info('Quote generated successfully', {
       quoteId: quote.quoteId,
@@ -134,7 +104,8 @@ router.post('/', validateQuoteRequest, catchAsync(async (req, res) => {
       request: req.body
     });
 
-    res.status(500).json({
+    // Requests the rate card cannot price (such as loads the fleet cannot carry) are the client's to change
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Quote generation failed',
       message: error.message,
@@ -143,11 +114,11 @@ router.post('/', validateQuoteRequest, catchAsync(async (req, res) => {
   }
 }));
 
-// Quick pricing estimate (simplified)
+// Quick pricing estimate from the rate card alone (before demand, promo codes and tax)
 router.post('/estimate', [
   body('pickup').notEmpty().withMessage('Pickup location required'),
   body('delivery').notEmpty().withMessage('Delivery location required'),
-  body('serviceLevel').optional().isIn(['standard', 'nextDay', 'sameDay', 'emergency'])
+  ...validateQuoteDetails
 ], catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -165,26 +136,30 @@ router.post('/estimate', [
       req.body.delivery
     );
 
-    // Generate simplified estimate
-    const baseFee = 75.00;
-    const distanceFee = pricingService.calculateDistanceFee(distanceInfo.distance.miles);
-    const serviceFee = pricingService.pricing.serviceLevels[req.body.serviceLevel || 'standard'];
-    
-    const estimate = baseFee + distanceFee + serviceFee;
+    // Same rate card pricing as full quotes and the website's instant quote
+    const estimate = pricingEngine.estimateQuote(pricingService.pricing, req.body, distanceInfo, {
+      emergencyMultiplier: pricingService.emergencyMultiplier
+    });
+
+    if (estimate.breakdown.loadingPlan && !estimate.breakdown.loadingPlan.fits) {
+      throw new AppError(`${estimate.breakdown.loadingPlan.reason}. Contact us for a custom quote.`, 400);
+    }
 
     res.json({
       success: true,
       estimate: {
-        basePrice: Math.round(estimate * 100) / 100,
+        basePrice: estimate.subtotal,
         priceRange: {
-          min: Math.round(estimate * 0.9 * 100) / 100,
-          max: Math.round(estimate * 1.3 * 100) / 100
+          min: Math.round(estimate.subtotal * 0.9 * 100) / 100,
+          max: Math.round(estimate.subtotal * 1.3 * 100) / 100
         },
+        breakdown: estimate.breakdown,
         distance: distanceInfo.distance,
         estimatedTime: distanceInfo.duration,
-        serviceLevel: req.body.serviceLevel || 'standard'
+        serviceLevel: req.body.serviceLevel || 'standard',
+        pricingVersion: pricingService.pricingSource.version
       },
-      note: 'This is a preliminary estimate. Request a detailed quote for accurate pricing.',
+      note: 'This is a preliminary estimate before demand pricing, promo codes and tax. Request a detailed quote for accurate pricing.',
       timestamp: new Date().toISOString()
     });
 
@@ -195,7 +170,7 @@ router.post('/estimate', [
       delivery: req.body.delivery
     });
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Estimation failed',
       message: error.message,
@@ -204,6 +179,128 @@ router.post('/estimate', [
   }
 }));
 
+// Compare one request across every service level (and optional alternative event dates)
+router.post('/compare', [
+  ...validateQuoteRequest,
+  body('alternativeDates')
+    .optional()
+    .isArray({ max: 4 })
+    .withMessage('Alternative dates must be an array of at most 4 dates'),
+  body('alternativeDates.*')
+    .isISO8601()
+    .withMessage('Alternative dates must be valid ISO 8601 dates')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  let normalizedRequest;
+  try {
+    normalizedRequest = pricingService.normalizeQuoteRequest(req.body);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  const alternativeDates = (req.body.alternativeDates || []).map(date => new Date(date));
+  if (alternativeDates.some(date => date < new Date())) {
+    throw new AppError('Alternative dates cannot be in the past', 400);
+  }
+
+  const comparison = await pricingService.compareServiceLevels(normalizedRequest, { alternativeDates });
+
+  logger.info('Service level comparison generated', {
+    pickup: req.body.pickup,
+    delivery: req.body.delivery,
+    dates: comparison.matrix.length,
+    baselineTotal: comparison.baseline.total
+  });
+
+  res.json({
+    success: true,
+    comparison,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Spreadsheet upload for bulk quotes: one .csv or .xlsx file in the "file" field, kept in memory
+const bulkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: bulkQuoteService.maxFileBytes, files: 1 }
+}).single('file');
+
+const receiveBulkFile = (req, res, next) => {
+  bulkUpload(req, res, (error) => {
+    if (!error) return next();
+
+    res.status(400).json({
+      success: false,
+      error: 'Upload failed',
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `Files can be at most ${Math.round(bulkQuoteService.maxFileBytes / (1024 * 1024))} MB`
+        : error.message,
+      timestamp: new Date().toISOString()
+    });
+  });
+};
+
+// Bulk quotes from a CSV or XLSX file of deliveries (signed-in users; quotes are saved to their account).
+// Returns the batch result as JSON, or the priced CSV with ?format=csv
+router.post('/bulk', authenticateUser, receiveBulkFile, idempotent, [
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  body('eventType').optional().isIn(['conference', 'tradeShow', 'festival', 'corporateEvent', 'wedding', 'exhibition', 'concert', 'sportingEvent']).withMessage('Invalid event type'),
+  body('serviceLevel').optional().isIn(['standard', 'nextDay', 'sameDay', 'emergency']).withMessage('Invalid service level'),
+  body('eventDate').optional().isISO8601().withMessage('Event date must be a valid ISO 8601 date')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  if (!req.file) {
+    throw new AppError('Attach a .csv or .xlsx file in the "file" field', 400);
+  }
+
+  const user = await accountService.resolveUser(req.user).catch(error => {
+    logger.warn('Bulk quotes saved without an account', { userId: req.user.id, error: error.message });
+    return null;
+  });
+
+  const batch = await bulkQuoteService.importFile(req.file, {
+    defaults: {
+      eventType: req.body.eventType,
+      serviceLevel: req.body.serviceLevel,
+      eventDate: req.body.eventDate
+    },
+    userId: user ? user.id : null
+  });
+
+  if (req.query.format === 'csv') {
+    const csv = bulkQuoteService.toPricedCsv(batch);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${batch.batchId}-priced.csv"`
+    });
+    return res.send(csv);
+  }
+
+  res.json({
+    success: true,
+    batch,
+    timestamp: new Date().toISOString()
+  });
+}));
+
 // Calculate distance between locations
 router.get('/distance', validateDistanceRequest, catchAsync(async (req, res) => {
   const errors = validationResult(req);
@@ -299,7 +396,13 @@ router.get('/pricing', catchAsync(async (req, res) => {
       extraLarge: pricingService.pricing.itemFees.extraLarge
     },
     additionalServices: pricingService.pricing.additionalServices,
+    dimensionalPricing: pricingService.pricing.dimensionalPricing || null,
+    storage: pricingService.pricing.storage || null,
     eventTypes: Object.keys(pricingService.pricing.eventTypes),
+    // Everything shared/pricingEngine.js needs to price instant quotes exactly as the backend does
+    rateCard: pricingEngine.publishRateCard(pricingService.pricing),
+    emergencyMultiplier: pricingService.emergencyMultiplier,
+    pricingVersion: pricingService.pricingSource.version,
     timestamp: new Date().toISOString()
   };
 
@@ -311,8 +414,44 @@ router.get('/pricing', catchAsync(async (req, res) => {
   });
 }));
 
+// Check a promo code before requesting a quote
+router.post('/promo-codes/validate', [
+  body('code')
+    .notEmpty()
+    .isString()
+    .matches(/^[A-Z0-9_-]{2,40}$/i)
+    .withMessage('Promo code must be 2-40 letters, numbers, dashes or underscores'),
+  body('eventType')
+    .optional()
+    .isString(),
+  body('subtotal')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Subtotal must be a positive number')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const promotion = await discountService.validatePromoCode(req.body.code, {
+    eventType: req.body.eventType,
+    subtotal: req.body.subtotal !== undefined ? parseFloat(req.body.subtotal) : undefined
+  });
+
+  res.json({
+    success: true,
+    promotion,
+    timestamp: new Date().toISOString()
+  });
+}));
+
 // AI-powered quote assistance
-router.post('/ai-quote', [
+router.post('/ai-quote', idempotent, [
   body('message')
     .notEmpty()
     .isString()
@@ -335,9 +474,29 @@ router.post('/ai-quote', [
   const { message, context = {} } = req.body;
 
   try {
-    // Enhanced context for quote-focused AI response
+    // Extract potential quote parameters from the message
+    const extractedParams = extractQuoteParams(message);
+
+    // Generate and persist a quote once both locations are known
+    let quote = null;
+    if (extractedParams.pickup && extractedParams.delivery) {
+      try {
+        quote = await pricingService.generateQuote({ ...context, ...extractedParams });
+        await models.Quote.createFromPricing(quote);
+      } catch (error) {
+        logger.warn('AI quote generation skipped', {
+          error: error.message,
+          extractedParams
+        });
+        quote = null;
+      }
+    }
+
+    // Enhanced context for quote-focused AI response. The quote is priced first so
+    // the AI explains it with its own explanation lines (never a client-supplied one).
     const quoteContext = {
       ...context,
+      quote: quote ? { quoteId: quote.quoteId, total: quote.total, explanation: quote.explanation } : null,
       mode: 'quote_assistance',
       userId: req.auth?.userId || `anon_${req.ip.replace(/\./g, '_')}`,
       timestamp: new Date().toISOString()
@@ -346,9 +505,6 @@ router.post('/ai-quote', [
     // Get AI response focused on quote generation
     const aiResponse = await aiService.generateResponse(message, quoteContext);
 
-    // Extract potential quote parameters from AI analysis
-    const extractedParams = this.extractQuoteParams(message);
-
     res.json({
       success: true,
       aiResponse: {
@@ -358,7 +514,8 @@ router.post('/ai-quote', [
         actions: aiResponse.actions
       },
       extractedParams,
-      nextSteps: this.getNextSteps(aiResponse.intent, extractedParams),
+      quote,
+      nextSteps: getNextSteps(aiResponse.intent, extractedParams),
       timestamp: new Date().toISOString()
     });
 
@@ -392,7 +549,7 @@ router.get('/analytics', catchAsync(async (req, res) => {
   }
 
   const analytics = pricingService.getAnalytics();
-  const mapsStats = mapsService.getCacheStats();
+  const mapsStats = await mapsService.getCacheStats();
 
   res.json({
     success: true,
@@ -412,8 +569,10 @@ router.get('/health', catchAsync(async (req, res) => {
     components: {
       pricing: 'operational',
       maps: {
-        status: mapsService.apiKey ? 'operational' : 'limited',
-        configured: !!process.env.GOOGLE_MAPS_API_KEY
+        status: mapsService.provider.name === 'offline' ? 'limited' : 'operational',
+        configured: !!process.env.GOOGLE_MAPS_API_KEY,
+        provider: mapsService.provider.name,
+        fallbackProvider: mapsService.fallbackProvider ? mapsService.fallbackProvider.name : null
       },
       ai: {
         status: 'operational',
@@ -426,6 +585,343 @@ router.get('/health', catchAsync(async (req, res) => {
   res.json(health);
 }));
 
+const validateShareToken = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{43}$/)
+    .withMessage('Quote link is not valid')
+];
+
+// Customer view of a quote opened from a share link
+router.get('/shared/:token', validateShareToken, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { quote, terms, acceptable } = await quoteService.viewSharedQuote(req.params.token);
+
+  res.json({
+    success: true,
+    quote: quote.toQuoteResponse(),
+    terms,
+    acceptable,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Customer acceptance through a share link
+router.post('/shared/:token/accept', idempotent, [
+  ...validateShareToken,
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Your full name is required to accept'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Email must be valid'),
+  body('agreeToTerms')
+    .isBoolean({ strict: true })
+    .custom(value => value === true)
+    .withMessage('You must agree to the terms to accept the quote'),
+  body('termsVersion')
+    .isString()
+    .withMessage('Terms version is required'),
+  body('version')
+    .isInt({ min: 1 })
+    .withMessage('Quote version is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { quote, booking } = await quoteService.acceptSharedQuote(req.params.token, {
+    name: req.body.name,
+    email: req.body.email,
+    termsVersion: req.body.termsVersion,
+    version: parseInt(req.body.version),
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({
+    success: true,
+    quote: quote.toQuoteResponse(),
+    booking: {
+      bookingNumber: booking.booking_number,
+      status: booking.status
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Retrieve a stored quote by its human-readable ID (staff, or the customer who owns it)
+router.get('/:quoteId', authenticateUser, validateQuoteId, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const quoteId = req.params.quoteId.toUpperCase();
+
+  try {
+    const quote = await accountService.findViewableQuote(quoteId, req.user);
+
+    res.json({
+      success: true,
+      quote: quote.toQuoteResponse(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+
+    res.status(error.statusCode).json({
+      success: false,
+      error: 'Quote not found',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}));
+
+// Build a handler that renders a quote as a printable PDF; findQuote resolves the quote the caller may see
+const quotePdf = (findQuote) => catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  let quote;
+  try {
+    quote = await findQuote(req);
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const pdf = await quotePdfService.renderQuote(quote);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${req.query.inline === 'true' ? 'inline' : 'attachment'}; filename="${quote.quote_id}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+});
+
+// Download a quote opened from a share link as a PDF
+router.get('/shared/:token/pdf', validateShareToken, quotePdf(async (req) => {
+  const link = await quoteService.resolveShareLink(req.params.token);
+  return link.quote;
+}));
+
+// Download a stored quote as a printable PDF (staff, or the customer who owns it)
+router.get('/:quoteId/pdf', authenticateUser, validateQuoteId, quotePdf(async (req) => {
+  return await accountService.findViewableQuote(req.params.quoteId.toUpperCase(), req.user);
+}));
+
+// Build a handler for an action on a stored quote, mapping AppErrors to JSON responses
+const quoteAction = (action) => catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const quoteId = req.params.quoteId.toUpperCase();
+
+  try {
+    const result = await action(quoteId, req);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+
+    res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      quoteId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Email a quote to the customer with the PDF attached (staff only)
+router.post('/:quoteId/email', authenticateUser, requireAdmin, [
+  ...validateQuoteId,
+  body('to').optional().isEmail().withMessage('Recipient must be a valid email'),
+  body('message').optional().isString().isLength({ max: 2000 }).withMessage('Message must be a string with max 2000 characters'),
+  body('attachPdf').optional().isBoolean({ strict: true }).withMessage('Attach PDF must be true or false'),
+  body('includeAcceptLink').optional().isBoolean({ strict: true }).withMessage('Include accept link must be true or false')
+], quoteAction(async (quoteId, req) => {
+  const quote = await models.Quote.findByQuoteId(quoteId);
+  if (!quote) {
+    throw new AppError(`No quote exists with ID ${quoteId}`, 404);
+  }
+
+  // Active quotes get a share link so the customer can accept without calling
+  let shareLink = null;
+  if (req.body.includeAcceptLink !== false && quote.isActive()) {
+    shareLink = await quoteService.createShareLink(quoteId, { userId: req.user.id });
+  }
+
+  const notification = await notificationService.sendQuote(quote, {
+    ...req.body,
+    acceptUrl: shareLink ? shareLink.url : null
+  });
+
+  logger.info('Quote emailed', { quoteId, sent: notification.sent, userId: req.user.id });
+  return { notification, shareLink };
+}));
+
+// Create a share link the customer can open to review and accept the quote (staff only)
+router.post('/:quoteId/share-links', authenticateUser, requireAdmin, [
+  ...validateQuoteId,
+  body('expiresInHours').optional().isInt({ min: 1, max: 720 }).withMessage('Link lifetime must be 1-720 hours')
+], quoteAction(async (quoteId, req) => {
+  const shareLink = await quoteService.createShareLink(quoteId, {
+    userId: req.user.id,
+    expiresInHours: req.body.expiresInHours ? parseInt(req.body.expiresInHours) : null
+  });
+  return { quoteId, shareLink };
+}));
+
+// Quote lifecycle transitions (staff only)
+router.post('/:quoteId/accept', authenticateUser, requireAdmin, validateQuoteId, quoteAction(async (quoteId, req) => {
+  const { quote, booking } = await quoteService.acceptQuote(quoteId, { userId: req.user.id });
+  return { quote: quote.toQuoteResponse(), booking: booking.toBookingResponse() };
+}));
+
+router.post('/:quoteId/cancel', authenticateUser, requireAdmin, [
+  ...validateQuoteId,
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be a string with max 500 characters')
+], quoteAction(async (quoteId, req) => {
+  const quote = await quoteService.cancelQuote(quoteId, { userId: req.user.id, reason: req.body.reason });
+  return { quote: quote.toQuoteResponse() };
+}));
+
+router.post('/:quoteId/reopen', authenticateUser, requireAdmin, validateQuoteId, quoteAction(async (quoteId, req) => {
+  const quote = await quoteService.reopenQuote(quoteId, { userId: req.user.id });
+  return { quote: quote.toQuoteResponse() };
+}));
+
+// Revise a quote (new version, same quote ID)
+router.post('/:quoteId/revisions', authenticateUser, requireAdmin, [
+  ...validateQuoteId,
+  body('pickup')
+    .optional()
+    .isString()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Pickup location must be 5-200 characters'),
+  body('delivery')
+    .optional()
+    .isString()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Delivery location must be 5-200 characters'),
+  ...validateQuoteDetails,
+  body('changeNote')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Change note must be a string with max 500 characters')
+], quoteAction(async (quoteId, req) => {
+  const changes = {};
+  REVISABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      changes[field] = req.body[field];
+    }
+  });
+
+  const quote = await quoteService.reviseQuote(quoteId, changes, {
+    userId: req.user.id,
+    note: req.body.changeNote
+  });
+
+  return {
+    quote: quote.toQuoteResponse(),
+    diff: await quoteService.diffVersions(quoteId, quote.version - 1, quote.version)
+  };
+}));
+
+// Payment ledger: deposit, balance due, payments, refunds and paid status (staff only)
+router.get('/:quoteId/payments', authenticateUser, requireAdmin, validateQuoteId, quoteAction(async (quoteId) => {
+  const ledger = await paymentService.getLedgerForQuoteId(quoteId);
+  return { ledger };
+}));
+
+// Record a payment or refund taken outside the payment provider (staff only)
+router.post('/:quoteId/payments', authenticateUser, requireAdmin, idempotent, [
+  ...validateQuoteId,
+  body('type').optional().isIn(['payment', 'refund']).withMessage('Type must be payment or refund'),
+  body('amount').isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000'),
+  body('purpose').optional().isIn(['deposit', 'balance', 'other']).withMessage('Purpose must be deposit, balance or other'),
+  body('method').optional().isIn(['card', 'ach', 'check', 'cash', 'wire', 'other']).withMessage('Invalid payment method'),
+  body('reference').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Reference must be 1-100 characters'),
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('Note must be a string with max 500 characters')
+], quoteAction(async (quoteId, req) => {
+  const { payment, ledger } = await paymentService.recordManualEntry(quoteId, req.body, req.user.id);
+  await invoiceService.syncPaidStatus(ledger);
+  return { payment: payment.toPaymentResponse(), ledger };
+}));
+
+// Version history for a quote (staff only)
+router.get('/:quoteId/revisions', authenticateUser, requireAdmin, validateQuoteId, quoteAction(async (quoteId) => {
+  const revisions = await quoteService.getRevisions(quoteId);
+  return { quoteId, revisions };
+}));
+
+// Line-by-line diff between two versions of a quote (staff only)
+router.get('/:quoteId/diff', authenticateUser, requireAdmin, [
+  ...validateQuoteId,
+  query('from').optional().isInt({ min: 1 }).withMessage('From version must be a positive integer'),
+  query('to').optional().isInt({ min: 1 }).withMessage('To version must be a positive integer')
+], quoteAction(async (quoteId, req) => {
+  const diff = await quoteService.diffVersions(
+    quoteId,
+    req.query.from ? parseInt(req.query.from) : null,
+    req.query.to ? parseInt(req.query.to) : null
+  );
+  return { quoteId, diff };
+}));
+
 // Helper function to extract quote parameters from natural language
 function extractQuoteParams(message) {
   const params = {};
@@ -0,0 +1,314 @@
+/**
+ * Quote routes - pricing, persistence, retrieval by quote ID and customer share links
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { useTestDatabase } = require('../test/database');
+const { quoteRequest, createQuote } = require('../test/quotes');
+
+// Bearer tokens are Clerk user IDs; "admin" signs in with the admin role
+jest.mock('@clerk/clerk-sdk-node', () => require('../test/clerk'));
+
+// The AI service is not used by these routes and keeps a cleanup timer running
+jest.mock('../services/aiService', () => ({}));
+
+const quoteRoutes = require('./quote');
+const { errorHandler } = require('../middleware/errorHandler');
+const { models } = require('../models');
+const pricingService = require('../services/pricingService');
+const mapsService = require('../services/mapsService');
+const pricingEngine = require('../shared/pricingEngine');
+const quoteTerms = require('../config/quoteTerms');
+
+const app = express();
+app.use(express.json());
+app.use('/api/quote', quoteRoutes);
+app.use(errorHandler);
+
+describe('quote routes', () => {
+  useTestDatabase();
+
+  let created;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/quote')
+      .set('Authorization', 'Bearer user_owner')
+      .send(quoteRequest);
+
+    expect(response.status).toBe(200);
+    created = response.body.quote;
+  });
+
+  test('POST / stores the quote it returns', async () => {
+    const stored = await models.Quote.findByQuoteId(created.quoteId);
+
+    expect(stored).not.toBeNull();
+    expect(parseFloat(stored.total)).toBe(created.total);
+    expect(stored.quote_request.pickup).toBe(quoteRequest.pickup);
+    expect(stored.status).toBe('active');
+  });
+
+  test('POST / links the quote to the signed-in customer', async () => {
+    const stored = await models.Quote.findByQuoteId(created.quoteId);
+    const owner = await models.User.findByClerkId('user_owner');
+
+    expect(stored.user_id).toBe(owner.id);
+  });
+
+  test('GET /:quoteId returns the stored quote to its owner', async () => {
+    const response = await request(app)
+      .get(`/api/quote/${created.quoteId}`)
+      .set('Authorization', 'Bearer user_owner');
+
+    expect(response.status).toBe(200);
+    expect(response.body.quote).toMatchObject({
+      quoteId: created.quoteId,
+      status: 'active',
+      subtotal: created.subtotal,
+      total: created.total
+    });
+    expect(response.body.quote.request.delivery).toBe(quoteRequest.delivery);
+  });
+
+  test('GET /:quoteId accepts a lowercase quote ID', async () => {
+    const response = await request(app)
+      .get(`/api/quote/${created.quoteId.toLowerCase()}`)
+      .set('Authorization', 'Bearer user_owner');
+
+    expect(response.status).toBe(200);
+    expect(response.body.quote.quoteId).toBe(created.quoteId);
+  });
+
+  test('GET /:quoteId returns any quote to staff', async () => {
+    const response = await request(app)
+      .get(`/api/quote/${created.quoteId}`)
+      .set('Authorization', 'Bearer admin');
+
+    expect(response.status).toBe(200);
+    expect(response.body.quote.quoteId).toBe(created.quoteId);
+  });
+
+  test('GET /:quoteId reports another customer\'s quote as missing', async () => {
+    const response = await request(app)
+      .get(`/api/quote/${created.quoteId}`)
+      .set('Authorization', 'Bearer user_other');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Quote not found');
+  });
+
+  test('GET /:quoteId requires a signed-in user', async () => {
+    const response = await request(app).get(`/api/quote/${created.quoteId}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  test('GET /:quoteId returns 404 for an unknown quote', async () => {
+    const response = await request(app)
+      .get('/api/quote/QC-00000000-ZZZZZ')
+      .set('Authorization', 'Bearer admin');
+
+    expect(response.status).toBe(404);
+  });
+
+  test('POST / rejects a negative item value', async () => {
+    const response = await request(app)
+      .post('/api/quote')
+      .send({
+        ...quoteRequest,
+        items: [{ description: 'Crate', size: 'small', value: -100000 }],
+        additionalServices: ['insurancePremium']
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.map(detail => detail.path)).toContain('items[0].value');
+  });
+
+  test('POST / rejects more than 50 item lines', async () => {
+    const response = await request(app)
+      .post('/api/quote')
+      .send({ ...quoteRequest, items: Array.from({ length: 51 }, () => ({ size: 'small', quantity: 1 })) });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.map(detail => detail.msg)).toContain('Items must be an array with max 50 items');
+  });
+
+  test('POST / rejects items adding up to more pieces than the vehicle planner packs', async () => {
+    const response = await request(app)
+      .post('/api/quote')
+      .send({ ...quoteRequest, items: [{ size: 'small', quantity: 1000 }, { size: 'small', quantity: 1000 }, { size: 'small', quantity: 1 }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.map(detail => detail.msg)).toContain('Items can add up to at most 2000 pieces');
+  });
+
+  test('POST / rejects a load no vehicle in the fleet can carry', async () => {
+    const before = await models.Quote.count();
+
+    const response = await request(app)
+      .post('/api/quote')
+      .send({
+        ...quoteRequest,
+        items: [{ description: 'Stage truss', quantity: 1, weight: 200, dimensions: { length: 400, width: 10, height: 10 } }]
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Quote generation failed: Stage truss is longer than any vehicle in the fleet. Contact us for a custom quote.');
+    expect(await models.Quote.count()).toBe(before);
+  });
+
+  test('POST /estimate prices with the live rate card', async () => {
+    const body = { pickup: quoteRequest.pickup, delivery: quoteRequest.delivery, serviceLevel: 'sameDay', items: quoteRequest.items };
+    const distanceInfo = await mapsService.calculateDistance(body.pickup, body.delivery);
+    const expected = pricingEngine.estimateQuote(pricingService.pricing, body, distanceInfo, {
+      emergencyMultiplier: pricingService.emergencyMultiplier
+    });
+
+    const response = await request(app).post('/api/quote/estimate').send(body);
+
+    expect(response.status).toBe(200);
+    expect(response.body.estimate.basePrice).toBe(expected.subtotal);
+    expect(response.body.estimate.breakdown.serviceLevelFee).toBe(pricingService.pricing.serviceLevels.sameDay);
+    expect(response.body.estimate.breakdown.vehicleFee).toBeGreaterThan(0);
+  });
+
+  test('GET /:quoteId rejects a malformed quote ID', async () => {
+    const response = await request(app)
+      .get('/api/quote/not-a-quote')
+      .set('Authorization', 'Bearer admin');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Validation failed');
+  });
+
+  describe('share links', () => {
+    /**
+     * Create a share link for a new active quote as staff
+     * @returns {Object} { quote, token }
+     */
+    const shareNewQuote = async () => {
+      const quote = await createQuote();
+      const response = await request(app)
+        .post(`/api/quote/${quote.quote_id}/share-links`)
+        .set('Authorization', 'Bearer admin')
+        .send({ expiresInHours: 48 });
+
+      expect(response.status).toBe(200);
+      return { quote, token: response.body.shareLink.token };
+    };
+
+    const acceptance = (quote, extra = {}) => ({
+      name: 'Dana Reyes',
+      email: 'dana@example.com',
+      agreeToTerms: true,
+      termsVersion: quoteTerms.version,
+      version: quote.version,
+      ...extra
+    });
+
+    test('POST /:quoteId/share-links returns a link whose token is only stored hashed', async () => {
+      const { quote, token } = await shareNewQuote();
+      const links = await models.QuoteShareLink.findAll({ where: { quote_id: quote.id } });
+
+      expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(links).toHaveLength(1);
+      expect(links[0].token_hash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+      expect(links[0].created_by).toBe('admin');
+      expect(JSON.stringify(links[0].toJSON())).not.toContain(token);
+    });
+
+    test('POST /:quoteId/share-links is staff only', async () => {
+      const quote = await createQuote();
+
+      const response = await request(app)
+        .post(`/api/quote/${quote.quote_id}/share-links`)
+        .set('Authorization', 'Bearer user_customer')
+        .send({});
+
+      expect(response.status).toBe(403);
+    });
+
+    test('GET /shared/:token shows the quote and terms and counts the view', async () => {
+      const { quote, token } = await shareNewQuote();
+
+      const response = await request(app).get(`/api/quote/shared/${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ acceptable: true, terms: { version: quoteTerms.version } });
+      expect(response.body.quote.quoteId).toBe(quote.quote_id);
+      expect((await models.QuoteShareLink.findOne({ where: { quote_id: quote.id } })).view_count).toBe(1);
+    });
+
+    test('an expired link can no longer be opened or accepted', async () => {
+      const { quote, token } = await shareNewQuote();
+      await models.QuoteShareLink.update({ expires_at: new Date(Date.now() - 1000) }, { where: { quote_id: quote.id } });
+
+      const viewed = await request(app).get(`/api/quote/shared/${token}`);
+      const accepted = await request(app).post(`/api/quote/shared/${token}/accept`).send(acceptance(quote));
+
+      expect(viewed.status).toBe(410);
+      expect(accepted.status).toBe(410);
+      expect((await quote.reload()).status).toBe('active');
+    });
+
+    test('unknown and malformed tokens are rejected', async () => {
+      const unknown = await request(app).get(`/api/quote/shared/${crypto.randomBytes(32).toString('base64url')}`);
+      const malformed = await request(app).get('/api/quote/shared/not-a-token');
+
+      expect(unknown.status).toBe(404);
+      expect(malformed.status).toBe(400);
+    });
+
+    test('POST /shared/:token/accept books the quote and records who accepted, from where', async () => {
+      const { quote, token } = await shareNewQuote();
+
+      const response = await request(app)
+        .post(`/api/quote/shared/${token}/accept`)
+        .set('User-Agent', 'Share link test')
+        .send(acceptance(quote));
+
+      expect(response.status).toBe(200);
+      expect(response.body.quote).toMatchObject({ status: 'accepted', acceptedBy: 'Dana Reyes' });
+      expect(response.body.booking.bookingNumber).toBeTruthy();
+
+      const link = await models.QuoteShareLink.findOne({ where: { quote_id: quote.id } });
+      await quote.reload();
+      expect(quote.acceptance).toMatchObject({
+        method: 'share_link',
+        name: 'Dana Reyes',
+        email: 'dana@example.com',
+        termsVersion: quoteTerms.version,
+        quoteVersion: quote.version,
+        userAgent: 'Share link test',
+        shareLinkId: link.id
+      });
+      expect(quote.acceptance.ip).toMatch(/127\.0\.0\.1|::1/);
+    });
+
+    test('a used link cannot accept the quote again', async () => {
+      const { quote, token } = await shareNewQuote();
+      await request(app).post(`/api/quote/shared/${token}/accept`).send(acceptance(quote));
+
+      const viewed = await request(app).get(`/api/quote/shared/${token}`);
+      const again = await request(app).post(`/api/quote/shared/${token}/accept`).send(acceptance(quote, { name: 'Someone Else' }));
+
+      expect(viewed.body.acceptable).toBe(false);
+      expect(again.status).toBe(409);
+      expect((await quote.reload()).acceptance.name).toBe('Dana Reyes');
+    });
+
+    test('accepting requires agreeing to the current terms', async () => {
+      const { quote, token } = await shareNewQuote();
+
+      const unchecked = await request(app).post(`/api/quote/shared/${token}/accept`).send(acceptance(quote, { agreeToTerms: false }));
+      const outdated = await request(app).post(`/api/quote/shared/${token}/accept`).send(acceptance(quote, { termsVersion: '2000-01-01' }));
+
+      expect(unchecked.status).toBe(400);
+      expect(outdated.status).toBe(409);
+      expect((await quote.reload()).status).toBe('active');
+    });
+  });
+});
@@ -6,6 +6,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
+const paymentService = require('../services/paymentService');
+const invoiceService = require('../services/invoiceService');
 const logger = require('../utils/logger');
 const { catchAsync } = require('../middleware/errorHandler');
 
@@ -41,13 +43,15 @@ const verifyWebhookSignature = (secretEnvVar) => {
 
     try {
       // Verify signature (implementation depends on the webhook provider)
-      const payload = JSON.stringify(req.body);
+      // The body is still raw unless the app-wide JSON parser already consumed it
+      const payload = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body);
       const expectedSignature = crypto
         .createHmac('sha256', secret)
         .update(payload)
         .digest('hex');
 
-      if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))) {
+      if (signature.length !== expectedSignature.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))) {
         logger.logSecurity('WEBHOOK_INVALID_SIGNATURE', {
           ip: req.ip,
           endpoint: req.originalUrl,
@@ -146,7 +150,7 @@ router.post('/clerk', express.raw({ type: 'application/json' }), catchAsync(asyn
 // Payment webhooks (placeholder for Stripe, PayPal, etc.)
 router.post('/payment', express.raw({ type: 'application/json' }), verifyWebhookSignature('PAYMENT_WEBHOOK_SECRET'), catchAsync(async (req, res) => {
   try {
-    const payload = JSON.parse(req.body);
+    const payload = Buffer.isBuffer(req.body) ? JSON.parse(req.body) : req.body;
     const { type, data } = payload;
 
     logger.info('Payment webhook received', {
@@ -156,17 +160,19 @@ router.post('/payment', express.raw({ type: 'application/json' }), verifyWebhook
       timestamp: new Date().toISOString()
     });
 
+    let reconciliation = null;
+
     switch (type) {
       case 'payment.succeeded':
-        await handlePaymentSucceeded(data);
+        reconciliation = await handlePaymentSucceeded(data);
         break;
 
       case 'payment.failed':
-        await handlePaymentFailed(data);
+        reconciliation = await handlePaymentFailed(data);
         break;
 
       case 'payment.refunded':
-        await handlePaymentRefunded(data);
+        reconciliation = await handlePaymentRefunded(data);
         break;
 
       case 'subscription.created':
@@ -185,6 +191,8 @@ router.post('/payment', express.raw({ type: 'application/json' }), verifyWebhook
       success: true,
       message: 'Payment webhook processed',
       type,
+      reconciled: reconciliation ? reconciliation.reconciled : null,
+      paidStatus: reconciliation && reconciliation.ledger ? reconciliation.ledger.status : null,
       timestamp: new Date().toISOString()
     });
 
@@ -417,9 +425,10 @@ async function handlePaymentSucceeded(paymentData) {
       currency: paymentData.currency
     });
 
-    // TODO: Update order status
-    // TODO: Send confirmation email
-    // TODO: Activate services
+    const reconciliation = await paymentService.reconcilePayment(paymentData, 'succeeded');
+    await invoiceService.syncPaidStatus(reconciliation.ledger);
+
+    return reconciliation;
 
   } catch (error) {
     logger.logError(error, { handler: 'handlePaymentSucceeded', paymentData });
@@ -435,9 +444,7 @@ async function handlePaymentFailed(paymentData) {
       reason: paymentData.failure_reason
     });
 
-    // TODO: Handle failed payment
-    // TODO: Send notification to user
-    // TODO: Retry logic if appropriate
+    return await paymentService.reconcilePayment(paymentData, 'failed');
 
   } catch (error) {
     logger.logError(error, { handler: 'handlePaymentFailed', paymentData });
@@ -452,9 +459,7 @@ async function handlePaymentRefunded(paymentData) {
       refundAmount: paymentData.refund_amount
     });
 
-    // TODO: Process refund
-    // TODO: Update order status
-    // TODO: Send refund confirmation
+    return await paymentService.reconcileRefund(paymentData);
 
   } catch (error) {
     logger.logError(error, { handler: 'handlePaymentRefunded', paymentData });
@@ -0,0 +1,158 @@
+/**
+ * Fake Payment Provider - Local Stand-in for a Card Processor
+ * Builds payment events, signs them with PAYMENT_WEBHOOK_SECRET the way verifyWebhookSignature expects
+ * and delivers them to the payment webhook, so the ledger can be exercised without a real provider.
+ *
+ * Usage: node scripts/fakePaymentProvider.js <succeed|fail> <quoteId> <amount in dollars>
+ *        node scripts/fakePaymentProvider.js refund <paymentId> <total refunded so far in dollars>
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+class FakePaymentProvider {
+  constructor() {
+    // Cumulative refunds per payment, reported the way real providers do
+    this.refunds = new Map();
+  }
+
+  /**
+   * Sign a payload with the payment webhook secret
+   * @param {Object} payload - Event payload
+   * @param {string} secret - Webhook secret (defaults to PAYMENT_WEBHOOK_SECRET)
+   * @returns {string} Hex HMAC-SHA256 of the JSON payload
+   */
+  sign(payload, secret = process.env.PAYMENT_WEBHOOK_SECRET) {
+    if (!secret) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+    }
+
+    return crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex');
+  }
+
+  /**
+   * Build a signed webhook request
+   * @param {string} type - Event type (payment.succeeded, payment.failed, payment.refunded)
+   * @param {Object} data - Event data
+   * @returns {Object} { payload, headers }
+   */
+  buildEvent(type, data) {
+    const payload = {
+      id: `evt_fake_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { provider: 'fake', ...data }
+    };
+
+    return {
+      payload,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Signature': this.sign(payload),
+        'X-Webhook-Timestamp': String(payload.created)
+      }
+    };
+  }
+
+  /**
+   * Deliver a signed event to the payment webhook
+   * @param {Object} event - Event from buildEvent
+   * @returns {Object} Webhook response body
+   */
+  async deliver(event) {
+    const webhookUrl = process.env.FAKE_PAYMENT_WEBHOOK_URL ||
+      `http://localhost:${process.env.PORT || 3000}/api/webhooks/payment`;
+
+    const response = await axios.post(webhookUrl, JSON.stringify(event.payload), {
+      headers: event.headers,
+      validateStatus: () => true
+    });
+
+    logger.info('Fake payment event delivered', {
+      type: event.payload.type,
+      paymentId: event.payload.data.id,
+      status: response.status
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Charge a quote
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {number} amount - Amount in dollars
+   * @param {Object} options - fail (with failureReason), purpose, paymentId, deliver (defaults to true)
+   * @returns {Object} { event, response }
+   */
+  async charge(quoteId, amount, options = {}) {
+    const event = this.buildEvent(options.fail ? 'payment.failed' : 'payment.succeeded', {
+      id: options.paymentId || `pay_fake_${crypto.randomBytes(8).toString('hex')}`,
+      amount: Math.round(amount * 100),
+      currency: 'usd',
+      payment_method: 'card',
+      failure_reason: options.fail ? (options.failureReason || 'card_declined') : undefined,
+      metadata: { quote_id: quoteId, purpose: options.purpose }
+    });
+
+    const response = options.deliver === false ? null : await this.deliver(event);
+    return { event, response };
+  }
+
+  /**
+   * Refund part or all of a payment
+   * @param {string} paymentId - Provider payment ID from charge
+   * @param {number} amount - Amount to refund now, in dollars
+   * @param {Object} options - quoteId, reason, deliver (defaults to true)
+   * @returns {Object} { event, response }
+   */
+  async refund(paymentId, amount, options = {}) {
+    const refunded = (this.refunds.get(paymentId) || 0) + Math.round(amount * 100);
+    this.refunds.set(paymentId, refunded);
+
+    const event = this.buildEvent('payment.refunded', {
+      id: paymentId,
+      refund_id: `re_fake_${crypto.randomBytes(8).toString('hex')}`,
+      refund_amount: refunded,
+      currency: 'usd',
+      reason: options.reason,
+      metadata: { quote_id: options.quoteId }
+    });
+
+    const response = options.deliver === false ? null : await this.deliver(event);
+    return { event, response };
+  }
+}
+
+// Initialize service
+const fakePaymentProvider = new FakePaymentProvider();
+
+module.exports = fakePaymentProvider;
+
+// Command line entry point for local testing
+if (require.main === module) {
+  require('dotenv').config();
+  const [action, target, amount] = process.argv.slice(2);
+
+  const run = {
+    succeed: () => fakePaymentProvider.charge(target, parseFloat(amount)),
+    fail: () => fakePaymentProvider.charge(target, parseFloat(amount), { fail: true }),
+    refund: () => fakePaymentProvider.refund(target, parseFloat(amount))
+  }[action];
+
+  if (!run || !target || !(parseFloat(amount) > 0)) {
+    console.error('Usage: node scripts/fakePaymentProvider.js <succeed|fail> <quoteId> <amount>');
+    console.error('       node scripts/fakePaymentProvider.js refund <paymentId> <total refunded so far>');
+    process.exit(1);
+  }
+
+  run()
+    .then(({ event, response }) => {
+      console.log(JSON.stringify({ event: event.payload, response }, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
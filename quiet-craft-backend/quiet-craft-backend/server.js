@@ -18,11 +18,19 @@ const { clerkMiddleware, requireAuth } = require('@clerk/express');
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
 const { securityMiddleware } = require('./middleware/security');
+const { syncDatabase } = require('./models');
+const quoteService = require('./services/quoteService');
+const pricingConfigService = require('./services/pricingConfigService');
+const pricingVersionService = require('./services/pricingVersionService');
+const invoiceService = require('./services/invoiceService');
+const idempotencyService = require('./services/idempotencyService');
+const mapsService = require('./services/mapsService');
 
 // Import route modules
 const chatRoutes = require('./routes/chat');
 const quoteRoutes = require('./routes/quote');
 const adminRoutes = require('./routes/admin');
+const accountRoutes = require('./routes/account');
 const analyticsRoutes = require('./routes/analytics');
 const webhookRoutes = require('./routes/webhooks');
 
@@ -71,7 +79,8 @@ app.use(cors({
     : ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -96,9 +105,13 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Modules shared with the website (e.g. storage pricing), served under /api so the static site's /api rewrite reaches them
+app.use('/api/shared', express.static(path.join(__dirname, 'shared'), { maxAge: '1h' }));
+
 // API Routes
 app.use('/api/chat', chatLimiter, chatRoutes);
 app.use('/api/quote', quoteRoutes);
+app.use('/api/account', accountRoutes);
 app.use('/api/admin', adminRoutes); // Temporarily removed requireAuth() for debugging
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/webhooks', webhookRoutes);
@@ -126,6 +139,22 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
+// Create tables before quotes start being persisted, load the stored rate card, then start background jobs
+syncDatabase()
+  .then(() => pricingConfigService.initialize())
+  .then(() => {
+    quoteService.startExpirySweeper();
+    pricingVersionService.startScheduler();
+    invoiceService.startOverdueSweeper();
+    idempotencyService.startPurger();
+    mapsService.startPurger();
+  })
+  .catch((error) => {
+    // Without the rate card and background jobs the server would quote from defaults; exit so the platform restarts it
+    logger.logError(error, { service: 'database startup' });
+    process.exit(1);
+  });
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   logger.info(`🚀 Quiet Craft Backend running on port ${PORT}`);
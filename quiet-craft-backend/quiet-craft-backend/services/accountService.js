@@ -0,0 +1,210 @@
+/**
+ * Account Service - Customer Self-Service for Quotes and Bookings
+ * Scopes quote lookups and lifecycle actions to the signed-in customer who owns the quote
+ */
+
+const { Op } = require('sequelize');
+const { models } = require('../models');
+const pricingService = require('./pricingService');
+const quoteService = require('./quoteService');
+const quoteTerms = require('../config/quoteTerms');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { isAdminUser } = require('../middleware/auth');
+
+class AccountService {
+  constructor() {
+    this.defaultPageSize = 20;
+    this.maxPageSize = 100;
+  }
+
+  /**
+   * Local user record for the signed-in customer
+   * @param {Object} authUser - req.user from authenticateUser
+   * @returns {Object} User record
+   */
+  async resolveUser(authUser) {
+    return await models.User.findOrCreateFromAuth(authUser);
+  }
+
+  /**
+   * Find a quote owned by the customer; someone else's quote is reported as missing
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} user - User record
+   * @returns {Object} Quote record with its booking
+   */
+  async findOwnedQuote(quoteId, user) {
+    const quote = await models.Quote.findOne({
+      where: { quote_id: quoteId, user_id: user.id },
+      include: [{ model: models.Booking, as: 'booking' }]
+    });
+
+    if (!quote) {
+      throw new AppError(`No quote exists with ID ${quoteId}`, 404);
+    }
+
+    return quote;
+  }
+
+  /**
+   * Find a quote the caller may see: staff see every quote, customers only their own
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} authUser - req.user from authenticateUser
+   * @returns {Object} Quote record
+   */
+  async findViewableQuote(quoteId, authUser) {
+    if (isAdminUser(authUser)) {
+      const quote = await models.Quote.findByQuoteId(quoteId);
+      if (!quote) {
+        throw new AppError(`No quote exists with ID ${quoteId}`, 404);
+      }
+      return quote;
+    }
+
+    return await this.findOwnedQuote(quoteId, await this.resolveUser(authUser));
+  }
+
+  /**
+   * List the customer's quotes, newest first
+   * @param {Object} user - User record
+   * @param {Object} filters - status, from / to (created date), page, limit
+   * @returns {Object} { quotes, pagination }
+   */
+  async listQuotes(user, filters = {}) {
+    const where = { user_id: user.id };
+    if (filters.status) where.status = filters.status;
+    if (filters.from || filters.to) {
+      where.created_at = {};
+      if (filters.from) where.created_at[Op.gte] = new Date(filters.from);
+      if (filters.to) where.created_at[Op.lte] = new Date(filters.to);
+    }
+
+    const limit = Math.min(filters.limit || this.defaultPageSize, this.maxPageSize);
+    const page = filters.page || 1;
+
+    const { rows, count } = await models.Quote.findAndCountAll({
+      where,
+      include: [{ model: models.Booking, as: 'booking' }],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return {
+      quotes: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * List the customer's bookings, soonest event first
+   * @param {Object} user - User record
+   * @param {Object} filters - Optional status filter
+   * @returns {Array} Booking records with their quotes
+   */
+  async listBookings(user, filters = {}) {
+    const where = { user_id: user.id };
+    if (filters.status) where.status = filters.status;
+
+    return await models.Booking.findAll({
+      where,
+      include: [{ model: models.Quote, as: 'quote' }],
+      order: [['event_date', 'ASC'], ['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Accept one of the customer's quotes, recording the terms they agreed to
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} user - User record
+   * @param {Object} details - name, version and termsVersion the customer reviewed, ip, userAgent
+   * @returns {Object} { quote, booking }
+   */
+  async acceptQuote(quoteId, user, details) {
+    await this.findOwnedQuote(quoteId, user);
+
+    if (details.termsVersion !== quoteTerms.version) {
+      throw new AppError('Our terms have changed since this page was loaded; reload to review them', 409);
+    }
+
+    return await quoteService.acceptQuote(quoteId, {
+      userId: user.clerk_id,
+      expectedVersion: details.version,
+      acceptance: {
+        method: 'account',
+        name: details.name || user.getFullName(),
+        email: user.email,
+        userId: user.clerk_id,
+        termsVersion: quoteTerms.version,
+        quoteVersion: details.version,
+        ip: details.ip,
+        userAgent: details.userAgent || null
+      }
+    });
+  }
+
+  /**
+   * Cancel one of the customer's quotes. Accepted quotes can only be cancelled while
+   * their booking is still pending; once dispatch schedules the job, staff handle changes.
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} user - User record
+   * @param {string} reason - Optional cancellation reason
+   * @returns {Object} Cancelled quote record
+   */
+  async cancelQuote(quoteId, user, reason) {
+    await this.findOwnedQuote(quoteId, user);
+
+    // Checked with the booking locked, so dispatch can't schedule it between the check and the cancellation
+    return await quoteService.cancelQuote(quoteId, {
+      userId: user.clerk_id,
+      reason: reason ? `${reason} (by customer)` : 'Cancelled by customer',
+      guard: (quote, booking) => {
+        if (booking && booking.status !== 'pending' && booking.status !== 'cancelled') {
+          throw new AppError(`Booking ${booking.booking_number} is ${booking.status}; contact us to change it`, 409);
+        }
+      }
+    });
+  }
+
+  /**
+   * Price a new quote from one of the customer's past quotes, with optional changes
+   * @param {string} quoteId - Human-readable quote ID to copy
+   * @param {Object} user - User record
+   * @param {Object} changes - Request fields to change (eventDate, serviceLevel, items, ...)
+   * @returns {Object} New quote record
+   */
+  async requote(quoteId, user, changes = {}) {
+    const source = await this.findOwnedQuote(quoteId, user);
+
+    // Promo codes on the original are checked again against the new request
+    let normalizedRequest;
+    try {
+      normalizedRequest = pricingService.normalizeQuoteRequest({ ...source.quote_request, ...changes });
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    const quote = await pricingService.generateQuote(normalizedRequest);
+    await models.Quote.createFromPricing(quote, { userId: user.id });
+
+    logger.info('Quote re-quoted by customer', {
+      quoteId: quote.quoteId,
+      requotedFrom: quoteId,
+      total: quote.total,
+      userId: user.clerk_id
+    });
+
+    return await models.Quote.findByQuoteId(quote.quoteId);
+  }
+}
+
+// Initialize service
+const accountService = new AccountService();
+
+module.exports = accountService;
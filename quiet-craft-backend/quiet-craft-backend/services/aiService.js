@@ -230,7 +230,12 @@ Guidelines:
 
     // Select system prompt based on intent
     const systemPromptKey = this.intentClassifiers[intentAnalysis.intent]?.systemPrompt || 'default';
-    const systemPrompt = this.systemPrompts[systemPromptKey];
+    let systemPrompt = this.systemPrompts[systemPromptKey];
+
+    // A priced quote is explained in its own words, never with invented reasons
+    if (this.hasQuoteExplanation(context.quote)) {
+      systemPrompt = `${systemPrompt}\n\n${this.getQuoteExplanationPrompt(context.quote)}`;
+    }
 
     // Determine model based on complexity
     const model = this.selectModel(message, intentAnalysis);
@@ -420,7 +425,45 @@ Guidelines:
     return actions;
   }
 
+  /**
+   * Check whether a quote in the chat context carries its explanation lines
+   * @param {Object} quote - Quote summary ({ quoteId, total, explanation })
+   * @returns {boolean} Whether the explanation can be quoted
+   */
+  hasQuoteExplanation(quote) {
+    return !!quote && Array.isArray(quote.explanation) && quote.explanation.length > 0;
+  }
+
+  /**
+   * Build the system prompt section that hands the model a quote's explanation
+   * @param {Object} quote - Quote summary ({ quoteId, total, explanation })
+   * @returns {string} Prompt section
+   */
+  getQuoteExplanationPrompt(quote) {
+    const lines = quote.explanation.map(line => `- ${line.text}`).join('\n');
+
+    return `The customer is asking about quote ${quote.quoteId}, which totals $${Number(quote.total).toFixed(2)}. ` +
+      'Its pricing is explained by the lines below. When you explain the price, quote these lines word for word. ' +
+      'Do not give any other reason for a fee, discount or multiplier, and do not estimate amounts that are not listed.\n' +
+      lines;
+  }
+
+  /**
+   * Explain a quote without the AI model, using its explanation lines as they are
+   * @param {Object} quote - Quote summary ({ quoteId, total, explanation })
+   * @returns {string} Explanation message
+   */
+  formatQuoteExplanation(quote) {
+    const lines = quote.explanation.map(line => `- ${line.text}`).join('\n');
+    return `Here is how quote ${quote.quoteId} ($${Number(quote.total).toFixed(2)}) is priced:\n${lines}`;
+  }
+
   getFallbackResponse(message, context) {
+    // A quote's explanation doesn't need the AI model
+    if (this.hasQuoteExplanation(context && context.quote)) {
+      return this.formatQuoteExplanation(context.quote);
+    }
+
     const fallbackResponses = [
       "I apologize, but I'm experiencing a temporary issue. However, I'm here to help with your logistics needs! Could you please tell me more about your event or delivery requirements?",
       "I'm having a brief technical difficulty, but our team is always ready to assist. What type of event logistics support do you need today?",
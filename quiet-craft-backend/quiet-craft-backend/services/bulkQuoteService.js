@@ -0,0 +1,415 @@
+/**
+ * Bulk Quote Service - Spreadsheet Imports for Event Planners
+ * Reads CSV or XLSX files of deliveries, validates each row with the quote request rules,
+ * prices the valid rows and builds the batch result and priced CSV
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const { models } = require('../models');
+const pricingService = require('./pricingService');
+const { validateQuoteRequest } = require('../middleware/quoteValidation');
+const { parseCsv, toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Column headers accepted for each field, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  reference: ['reference', 'ref', 'booth', 'boothnumber', 'id'],
+  pickup: ['pickup', 'pickupaddress', 'pickuplocation', 'from', 'origin'],
+  delivery: ['delivery', 'deliveryaddress', 'deliverylocation', 'to', 'destination'],
+  stops: ['stops'],
+  eventDate: ['eventdate', 'date', 'deliverydate'],
+  eventType: ['eventtype'],
+  serviceLevel: ['servicelevel', 'service'],
+  items: ['items'],
+  itemDescription: ['description', 'itemdescription', 'item'],
+  itemSize: ['size', 'itemsize'],
+  itemQuantity: ['quantity', 'qty', 'itemquantity'],
+  additionalServices: ['additionalservices', 'services'],
+  declaredValue: ['declaredvalue'],
+  promoCode: ['promocode', 'promo'],
+  contactName: ['contactname', 'name'],
+  contactEmail: ['contactemail', 'email'],
+  contactPhone: ['contactphone', 'phone'],
+  notes: ['notes']
+};
+
+const ITEM_SIZES = {
+  small: 'small',
+  medium: 'medium',
+  large: 'large',
+  extralarge: 'extraLarge',
+  xl: 'extraLarge'
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const keyOf = (value) => String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+
+class BulkQuoteService {
+  constructor() {
+    this.maxRows = parseInt(process.env.BULK_QUOTE_MAX_ROWS) || 200;
+    this.maxFileBytes = (parseFloat(process.env.BULK_QUOTE_MAX_FILE_MB) || 5) * 1024 * 1024;
+  }
+
+  /**
+   * File format from the upload's name or MIME type
+   * @param {Object} file - Multer file (originalname, mimetype)
+   * @returns {string} csv | xlsx
+   */
+  detectFormat(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+      return 'xlsx';
+    }
+    if (extension === '.csv' || ['text/csv', 'application/csv', 'text/plain'].includes(file.mimetype)) {
+      return 'csv';
+    }
+
+    throw new AppError('Upload a .csv or .xlsx file', 400);
+  }
+
+  /**
+   * Plain text of a spreadsheet cell (dates as ISO strings, formulas as their result)
+   * @param {*} value - ExcelJS cell value
+   * @returns {string} Cell text
+   */
+  cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+      if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+      if (value.text !== undefined) return String(value.text);
+      if (value.result !== undefined) return this.cellText(value.result);
+      return '';
+    }
+    return String(value);
+  }
+
+  /**
+   * Read an uploaded file into non-blank rows with their spreadsheet row numbers
+   * @param {Object} file - Multer file (buffer, originalname, mimetype)
+   * @returns {Array<Object>} { number, cells } rows, header first
+   */
+  async readRows(file) {
+    if (this.detectFormat(file) === 'csv') {
+      return parseCsv(file.buffer.toString('utf8'))
+        .map((cells, index) => ({ number: index + 1, cells }))
+        .filter(row => row.cells.some(cell => cell.trim() !== ''));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      throw new AppError(`The spreadsheet could not be read: ${error.message}`, 400);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      // row.values is 1-based
+      const cells = row.values.slice(1).map(value => this.cellText(value));
+      if (cells.some(cell => cell.trim() !== '')) {
+        rows.push({ number: row.number, cells });
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Map header cells to request fields
+   * @param {Array<string>} header - Header row
+   * @returns {Object} Field name to column index
+   */
+  mapColumns(header) {
+    const columns = {};
+
+    header.forEach((cell, index) => {
+      const normalized = normalizeHeader(cell);
+      const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(normalized));
+      if (field && columns[field] === undefined) {
+        columns[field] = index;
+      }
+    });
+
+    if (columns.pickup === undefined || columns.delivery === undefined) {
+      throw new AppError('The file needs pickup and delivery columns', 400);
+    }
+    if (columns.items === undefined && columns.itemSize === undefined && columns.itemDescription === undefined) {
+      throw new AppError('The file needs an items column, or description, size and quantity columns', 400);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Parse an items cell: entries like "2 x large Booth crates" separated by semicolons or line breaks
+   * @param {string} text - Items cell
+   * @returns {Object} { items, errors }
+   */
+  parseItems(text) {
+    const items = [];
+    const errors = [];
+
+    text.split(/[;\n]/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const match = entry.match(/^(\d+)\s*[x×*]\s*(small|medium|large|extra[\s-]?large|xl)\b\s*(.*)$/i);
+
+      if (!match) {
+        errors.push({ field: 'items', message: `Item "${entry}" must look like "2 x large Booth crates"` });
+        return;
+      }
+
+      items.push({
+        quantity: parseInt(match[1]),
+        size: ITEM_SIZES[keyOf(match[2])],
+        description: match[3].trim() || undefined
+      });
+    });
+
+    return { items, errors };
+  }
+
+  /**
+   * Event date cell as an ISO 8601 string (accepts ISO dates and US M/D/YYYY dates)
+   * @param {string} text - Date cell
+   * @returns {string} ISO date, or the original text for the validator to reject
+   */
+  parseDate(text) {
+    const usDate = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (usDate) {
+      return `${usDate[3]}-${usDate[1].padStart(2, '0')}-${usDate[2].padStart(2, '0')}`;
+    }
+    return text;
+  }
+
+  /**
+   * Build a quote request from one row
+   * @param {Array<string>} cells - Row cells
+   * @param {Object} columns - Column map from mapColumns
+   * @param {Object} defaults - eventType, serviceLevel and eventDate used when the row leaves them blank
+   * @returns {Object} { reference, request, errors }
+   */
+  buildRequest(cells, columns, defaults = {}) {
+    const cell = (field) => (columns[field] === undefined ? '' : String(cells[columns[field]] || '').trim());
+    const errors = [];
+
+    const request = {
+      pickup: cell('pickup'),
+      delivery: cell('delivery')
+    };
+
+    let items = [];
+    if (cell('items')) {
+      const parsed = this.parseItems(cell('items'));
+      items = parsed.items;
+      errors.push(...parsed.errors);
+    } else if (cell('itemSize') || cell('itemDescription')) {
+      items = [{
+        description: cell('itemDescription') || undefined,
+        size: ITEM_SIZES[keyOf(cell('itemSize'))] || cell('itemSize') || 'medium',
+        quantity: cell('itemQuantity') ? Number(cell('itemQuantity')) : 1
+      }];
+    }
+    if (items.length === 0 && errors.length === 0) {
+      errors.push({ field: 'items', message: 'At least one item is required' });
+    }
+    request.items = items;
+
+    const eventType = cell('eventType') || defaults.eventType;
+    if (eventType) {
+      request.eventType = ['conference', 'tradeShow', 'festival', 'corporateEvent', 'wedding', 'exhibition', 'concert', 'sportingEvent']
+        .find(type => type.toLowerCase() === keyOf(eventType)) || eventType;
+    }
+
+    const serviceLevel = cell('serviceLevel') || defaults.serviceLevel;
+    if (serviceLevel) {
+      request.serviceLevel = Object.keys(pricingService.pricing.serviceLevels)
+        .find(level => level.toLowerCase() === keyOf(serviceLevel)) || serviceLevel;
+    }
+
+    const eventDate = cell('eventDate') || defaults.eventDate;
+    if (eventDate) request.eventDate = this.parseDate(eventDate);
+
+    if (cell('stops')) {
+      request.stops = cell('stops').split(/[|\n]/).map(address => address.trim()).filter(Boolean).map(address => ({ address }));
+    }
+    if (cell('additionalServices')) {
+      request.additionalServices = cell('additionalServices').split(/[;,]/).map(service => service.trim()).filter(Boolean);
+    }
+    if (cell('declaredValue')) request.declaredValue = Number(cell('declaredValue').replace(/[$,]/g, ''));
+    if (cell('promoCode')) request.promoCode = cell('promoCode');
+    if (cell('notes')) request.notes = cell('notes');
+
+    const contactInfo = {};
+    if (cell('contactName')) contactInfo.name = cell('contactName');
+    if (cell('contactEmail')) contactInfo.email = cell('contactEmail');
+    if (cell('contactPhone')) contactInfo.phone = cell('contactPhone');
+    if (Object.keys(contactInfo).length > 0) request.contactInfo = contactInfo;
+
+    return { reference: cell('reference') || null, request, errors };
+  }
+
+  /**
+   * Check a row's request against the same rules as POST /api/quote
+   * @param {Object} request - Quote request built from the row
+   * @returns {Array} Errors ({ field, message })
+   */
+  async validateRequest(request) {
+    const req = { body: request };
+
+    for (const chain of validateQuoteRequest) {
+      await chain.run(req);
+    }
+
+    // One error per field: the chain's last failure carries its specific message
+    const byField = new Map();
+    validationResult(req).array().forEach(error => byField.set(error.path, error.msg));
+
+    return Array.from(byField, ([field, message]) => ({ field, message }));
+  }
+
+  /**
+   * Validate, price and save every row of an uploaded file
+   * @param {Object} file - Multer file (buffer, originalname, mimetype)
+   * @param {Object} options - defaults for blank cells, userId (local user the quotes are saved to)
+   * @returns {Object} Batch result with per-row outcomes and totals
+   */
+  async importFile(file, options = {}) {
+    const startTime = Date.now();
+    const [header, ...dataRows] = await this.readRows(file);
+
+    if (!header || dataRows.length === 0) {
+      throw new AppError('The file has no rows to quote', 400);
+    }
+    if (dataRows.length > this.maxRows) {
+      throw new AppError(`The file has ${dataRows.length} rows; the limit is ${this.maxRows} per upload`, 400);
+    }
+
+    const columns = this.mapColumns(header.cells);
+    const batchId = `BQ-${Date.now().toString(36).toUpperCase()}`;
+    const rows = [];
+
+    // One row at a time keeps distance lookups within the maps rate limits
+    for (const { number, cells } of dataRows) {
+      const { reference, request, errors } = this.buildRequest(cells, columns, options.defaults);
+      const row = { row: number, reference, pickup: request.pickup, delivery: request.delivery };
+
+      errors.push(...await this.validateRequest(request));
+      if (errors.length > 0) {
+        rows.push({ ...row, status: 'invalid', errors });
+        continue;
+      }
+
+      try {
+        pricingService.normalizeQuoteRequest(request);
+      } catch (error) {
+        rows.push({ ...row, status: 'invalid', errors: [{ field: null, message: error.message }] });
+        continue;
+      }
+
+      try {
+        const quote = await pricingService.generateQuote(request);
+        await models.Quote.createFromPricing(quote, { userId: options.userId || null });
+
+        rows.push({
+          ...row,
+          status: 'priced',
+          quoteId: quote.quoteId,
+          eventDate: quote.request.eventDate || null,
+          serviceLevel: quote.request.serviceLevel,
+          items: quote.request.items.map(item => `${item.quantity} x ${item.size}${item.description ? ` ${item.description}` : ''}`).join('; '),
+          distanceMiles: quote.distanceInfo?.distance?.miles ?? null,
+          subtotal: quote.subtotal,
+          discounts: quote.discounts || 0,
+          taxes: quote.taxes,
+          total: quote.total,
+          validUntil: quote.validUntil,
+          errors: []
+        });
+      } catch (error) {
+        rows.push({ ...row, status: 'failed', errors: [{ field: null, message: error.message }] });
+      }
+    }
+
+    const priced = rows.filter(row => row.status === 'priced');
+    const sum = (field) => round(priced.reduce((total, row) => total + row[field], 0));
+
+    const batch = {
+      batchId,
+      fileName: file.originalname,
+      rowCount: rows.length,
+      pricedCount: priced.length,
+      invalidCount: rows.filter(row => row.status === 'invalid').length,
+      failedCount: rows.filter(row => row.status === 'failed').length,
+      totals: {
+        subtotal: sum('subtotal'),
+        discounts: sum('discounts'),
+        taxes: sum('taxes'),
+        total: sum('total')
+      },
+      rows,
+      processingTime: Date.now() - startTime
+    };
+
+    logger.info('Bulk quote import processed', {
+      batchId,
+      fileName: file.originalname,
+      rowCount: batch.rowCount,
+      pricedCount: batch.pricedCount,
+      total: batch.totals.total,
+      processingTime: batch.processingTime
+    });
+
+    return batch;
+  }
+
+  /**
+   * Priced CSV of a batch: one line per row with its quote ID, amounts and any errors
+   * @param {Object} batch - Result of importFile
+   * @returns {string} CSV content
+   */
+  toPricedCsv(batch) {
+    const header = [
+      'Row', 'Reference', 'Status', 'Quote ID', 'Pickup', 'Delivery', 'Event Date', 'Service Level', 'Items',
+      'Distance (mi)', 'Subtotal', 'Discounts', 'Taxes', 'Total', 'Valid Until', 'Errors'
+    ];
+
+    const lines = batch.rows.map(row => [
+      row.row,
+      row.reference,
+      row.status,
+      row.quoteId,
+      row.pickup,
+      row.delivery,
+      row.eventDate,
+      row.serviceLevel,
+      row.items,
+      row.distanceMiles,
+      row.subtotal,
+      row.discounts,
+      row.taxes,
+      row.total,
+      row.validUntil,
+      row.errors.map(error => error.message).join('; ')
+    ]);
+
+    return toCsv([
+      header,
+      ...lines,
+      ['', '', 'totals', '', '', '', '', '', '', '', batch.totals.subtotal, batch.totals.discounts, batch.totals.taxes, batch.totals.total, '', '']
+    ]);
+  }
+}
+
+// Initialize service
+const bulkQuoteService = new BulkQuoteService();
+
+module.exports = bulkQuoteService;
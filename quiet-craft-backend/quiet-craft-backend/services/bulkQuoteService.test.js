@@ -0,0 +1,93 @@
+/**
+ * Bulk Quote Service - items cells, row limits and per-row results of an import
+ */
+
+const { useTestDatabase } = require('../test/database');
+const { DAY_MS } = require('../test/quotes');
+const { models } = require('../models');
+const bulkQuoteService = require('./bulkQuoteService');
+
+const eventDate = new Date(Date.now() + 30 * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * An uploaded CSV file as multer hands it over
+ * @param {string} text - CSV content
+ * @returns {Object} Multer file
+ */
+const csvFile = (text) => ({ originalname: 'deliveries.csv', mimetype: 'text/csv', buffer: Buffer.from(text, 'utf8') });
+
+describe('BulkQuoteService', () => {
+  describe('parseItems', () => {
+    test('reads quantity, size and description from each entry', () => {
+      expect(bulkQuoteService.parseItems('2 x large Booth crates; 1 × XL Arch\n3*small')).toEqual({
+        items: [
+          { quantity: 2, size: 'large', description: 'Booth crates' },
+          { quantity: 1, size: 'extraLarge', description: 'Arch' },
+          { quantity: 3, size: 'small', description: undefined }
+        ],
+        errors: []
+      });
+    });
+
+    test('accepts "extra large" spelled with a space or hyphen', () => {
+      const { items } = bulkQuoteService.parseItems('1 x extra large Truss; 1 x Extra-Large Screen');
+
+      expect(items.map(item => item.size)).toEqual(['extraLarge', 'extraLarge']);
+    });
+
+    test('reports entries that do not follow the pattern and keeps the rest', () => {
+      const { items, errors } = bulkQuoteService.parseItems('2 x large Crates; some banners; 1 x huge Stage');
+
+      expect(items).toHaveLength(1);
+      expect(errors).toEqual([
+        { field: 'items', message: 'Item "some banners" must look like "2 x large Booth crates"' },
+        { field: 'items', message: 'Item "1 x huge Stage" must look like "2 x large Booth crates"' }
+      ]);
+    });
+  });
+
+  describe('importFile', () => {
+    useTestDatabase();
+
+    test('prices valid rows and reports invalid ones against their spreadsheet row', async () => {
+      const batch = await bulkQuoteService.importFile(csvFile([
+        'Booth,Pickup,Delivery,Event date,Items,Notes',
+        `B-1,"New York, NY","Newark, NJ",${eventDate},"2 x large Booth crates\n1 x small Banner","Dock 4, after 6pm"`,
+        '',
+        `B-2,"New York, NY",,${eventDate},1 x small Banner,`,
+        `B-3,"New York, NY","Newark, NJ",${eventDate},lots of chairs,`
+      ].join('\r\n')));
+
+      expect(batch).toMatchObject({ fileName: 'deliveries.csv', rowCount: 3, pricedCount: 1, invalidCount: 2, failedCount: 0 });
+
+      const [first, second, third] = batch.rows;
+      // The quoted line break stays inside row 2, as in a spreadsheet; the blank line still counts as row 3
+      expect(first).toMatchObject({ row: 2, reference: 'B-1', status: 'priced', items: '2 x large Booth crates; 1 x small Banner' });
+      expect(second).toMatchObject({ row: 4, reference: 'B-2', status: 'invalid' });
+      expect(second.errors.map(error => error.field)).toContain('delivery');
+      expect(third).toMatchObject({ row: 5, reference: 'B-3', status: 'invalid' });
+      expect(third.errors[0].message).toBe('Item "lots of chairs" must look like "2 x large Booth crates"');
+
+      const quote = await models.Quote.findByQuoteId(first.quoteId);
+      expect(quote.quote_request.pickup).toBe('New York, NY');
+      expect(quote.quote_request.notes).toBe('Dock 4, after 6pm');
+      expect(batch.totals.total).toBe(first.total);
+    });
+
+    test('rejects files with more rows than the upload limit', async () => {
+      const row = `"New York, NY","Newark, NJ",1 x small Banner`;
+      const text = ['Pickup,Delivery,Items', ...Array(bulkQuoteService.maxRows + 1).fill(row)].join('\n');
+
+      await expect(bulkQuoteService.importFile(csvFile(text))).rejects.toMatchObject({
+        statusCode: 400,
+        message: `The file has ${bulkQuoteService.maxRows + 1} rows; the limit is ${bulkQuoteService.maxRows} per upload`
+      });
+      expect(await models.Quote.count()).toBe(1);
+    });
+
+    test('rejects files without pickup and delivery columns', async () => {
+      await expect(bulkQuoteService.importFile(csvFile('From address,To address,Items\na,b,1 x small Box')))
+        .rejects.toMatchObject({ statusCode: 400, message: 'The file needs pickup and delivery columns' });
+    });
+  });
+});
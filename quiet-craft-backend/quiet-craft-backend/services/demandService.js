@@ -0,0 +1,112 @@
+/**
+ * Demand Service - Surge Pricing from the Booking Calendar
+ * Measures how full the fleet is on an event date and picks the rate card's demand multiplier for that utilisation
+ */
+
+const { models } = require('../models');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DemandService {
+  /**
+   * UTC calendar day an event falls on
+   * @param {Date} eventDate - Event date
+   * @returns {Object} { date: 'YYYY-MM-DD', start, end }
+   */
+  getEventDay(eventDate) {
+    const start = new Date(Date.UTC(eventDate.getUTCFullYear(), eventDate.getUTCMonth(), eventDate.getUTCDate()));
+    return {
+      date: start.toISOString().split('T')[0],
+      start,
+      end: new Date(start.getTime() + DAY_MS)
+    };
+  }
+
+  /**
+   * Bookings the fleet can take on a date (a dated override wins over the daily capacity)
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} settings - demandPricing section of the rate card
+   * @returns {number} Capacity in bookings
+   */
+  getCapacity(date, settings) {
+    const overrides = settings.capacityOverrides || {};
+    return overrides[date] !== undefined ? overrides[date] : settings.dailyCapacity;
+  }
+
+  /**
+   * Pick the demand level for a utilisation, capped at the rate card's maximum multiplier
+   * @param {number} utilization - Committed bookings / capacity
+   * @param {Object} settings - demandPricing section of the rate card
+   * @returns {Object} { level, threshold, multiplier, capped }
+   */
+  calculateSurge(utilization, settings) {
+    const level = Object.entries(settings.levels || {})
+      .filter(([, entry]) => utilization >= entry.utilization)
+      .sort(([, a], [, b]) => b.utilization - a.utilization)[0];
+
+    if (!level) {
+      return { level: null, threshold: null, multiplier: 1.0, capped: false };
+    }
+
+    const [name, entry] = level;
+    const multiplier = Math.min(entry.multiplier, settings.maxMultiplier);
+
+    return {
+      level: name,
+      threshold: entry.utilization,
+      multiplier,
+      capped: multiplier < entry.multiplier
+    };
+  }
+
+  /**
+   * Snapshot demand on a request's event date. Quotes without a date, or priced while demand
+   * pricing is off, carry no surge. When the booking calendar can't be read the quote is priced without one.
+   * @param {Date} eventDate - Event date
+   * @param {Object} settings - demandPricing section of the rate card
+   * @param {Object} options - asOf: only count bookings made by this date (replaying an old quote);
+   *   lookups: preloaded records to count from instead of the database (pricing simulations)
+   * @returns {Object|null} Demand snapshot with the multiplier to apply
+   */
+  async resolveDemand(eventDate, settings, options = {}) {
+    if (!eventDate || !settings || !settings.enabled) {
+      return null;
+    }
+
+    const day = this.getEventDay(eventDate);
+    const capacity = this.getCapacity(day.date, settings);
+
+    let bookings;
+    try {
+      bookings = options.lookups
+        ? await options.lookups.countCommittedBookings(day.start, day.end, { asOf: options.asOf })
+        : await models.Booking.countCommitted(day.start, day.end, { asOf: options.asOf });
+    } catch (error) {
+      logger.warn('Booking calendar unavailable, pricing without demand surge', {
+        date: day.date,
+        error: error.message
+      });
+      return null;
+    }
+
+    const utilization = Math.round((bookings / capacity) * 10000) / 10000;
+    const surge = this.calculateSurge(utilization, settings);
+
+    return {
+      date: day.date,
+      bookings,
+      capacity,
+      utilization,
+      ...surge,
+      description: surge.level
+        ? `High demand on ${day.date} (${Math.round(utilization * 100)}% of capacity booked)`
+        : null
+    };
+  }
+}
+
+// Initialize service
+const demandService = new DemandService();
+
+module.exports = demandService;
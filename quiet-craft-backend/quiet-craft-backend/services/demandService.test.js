@@ -0,0 +1,137 @@
+/**
+ * Demand Service - demand levels, capacity and booking-calendar snapshots
+ */
+
+const { useTestDatabase } = require('../test/database');
+const { quoteRequest, createAcceptedQuote } = require('../test/quotes');
+const quoteService = require('./quoteService');
+const demandService = require('./demandService');
+
+const settings = {
+  enabled: true,
+  dailyCapacity: 10,
+  maxMultiplier: 1.4,
+  // Listed out of order: the highest threshold reached wins
+  levels: {
+    peak: { utilization: 0.9, multiplier: 1.5 },
+    busy: { utilization: 0.5, multiplier: 1.1 },
+    high: { utilization: 0.75, multiplier: 1.25 }
+  },
+  capacityOverrides: { '2027-03-14': 4 }
+};
+
+/**
+ * Booking-calendar lookups that report a fixed count
+ * @param {number} count - Committed bookings to report
+ * @returns {Object} Lookups with a jest mock countCommittedBookings
+ */
+const lookupsWith = (count) => ({ countCommittedBookings: jest.fn().mockResolvedValue(count) });
+
+describe('DemandService', () => {
+  describe('calculateSurge', () => {
+    test.each([
+      [0, null, 1.0],
+      [0.49, null, 1.0],
+      [0.5, 'busy', 1.1],
+      [0.74, 'busy', 1.1],
+      [0.75, 'high', 1.25],
+      [0.9, 'peak', 1.4],
+      [1.2, 'peak', 1.4]
+    ])('utilisation %p is level %p at %p', (utilization, level, multiplier) => {
+      expect(demandService.calculateSurge(utilization, settings)).toMatchObject({ level, multiplier });
+    });
+
+    test('reports when the maximum multiplier caps a level', () => {
+      expect(demandService.calculateSurge(0.95, settings)).toEqual({ level: 'peak', threshold: 0.9, multiplier: 1.4, capped: true });
+      expect(demandService.calculateSurge(0.8, settings).capped).toBe(false);
+    });
+
+    test('a rate card without levels never surges', () => {
+      expect(demandService.calculateSurge(1, { ...settings, levels: {} }).multiplier).toBe(1.0);
+    });
+  });
+
+  describe('getCapacity and getEventDay', () => {
+    test('a dated override replaces the daily capacity', () => {
+      expect(demandService.getCapacity('2027-03-14', settings)).toBe(4);
+      expect(demandService.getCapacity('2027-03-15', settings)).toBe(10);
+    });
+
+    test('the event day is the UTC calendar day', () => {
+      const day = demandService.getEventDay(new Date('2027-03-14T23:30:00-05:00'));
+
+      expect(day.date).toBe('2027-03-15');
+      expect(day.start.toISOString()).toBe('2027-03-15T00:00:00.000Z');
+      expect(day.end.toISOString()).toBe('2027-03-16T00:00:00.000Z');
+    });
+  });
+
+  describe('resolveDemand', () => {
+    test('snapshots bookings, capacity and the level they reach', async () => {
+      const demand = await demandService.resolveDemand(new Date('2027-03-15T15:00:00Z'), settings, { lookups: lookupsWith(8) });
+
+      expect(demand).toEqual({
+        date: '2027-03-15',
+        bookings: 8,
+        capacity: 10,
+        utilization: 0.8,
+        level: 'high',
+        threshold: 0.75,
+        multiplier: 1.25,
+        capped: false,
+        description: 'High demand on 2027-03-15 (80% of capacity booked)'
+      });
+    });
+
+    test('measures utilisation against a dated capacity override', async () => {
+      const demand = await demandService.resolveDemand(new Date('2027-03-14T15:00:00Z'), settings, { lookups: lookupsWith(2) });
+
+      expect(demand).toMatchObject({ capacity: 4, utilization: 0.5, level: 'busy' });
+    });
+
+    test('a quiet day carries no surge', async () => {
+      const demand = await demandService.resolveDemand(new Date('2027-03-15T15:00:00Z'), settings, { lookups: lookupsWith(1) });
+
+      expect(demand).toMatchObject({ level: null, multiplier: 1.0, description: null });
+    });
+
+    test('counts only bookings made by asOf when replaying an old quote', async () => {
+      const lookups = lookupsWith(0);
+      const asOf = new Date('2027-01-01T00:00:00Z');
+
+      await demandService.resolveDemand(new Date('2027-03-15T15:00:00Z'), settings, { lookups, asOf });
+
+      expect(lookups.countCommittedBookings).toHaveBeenCalledWith(
+        new Date('2027-03-15T00:00:00Z'),
+        new Date('2027-03-16T00:00:00Z'),
+        { asOf }
+      );
+    });
+
+    test('no date, disabled demand pricing or an unreadable calendar means no demand', async () => {
+      const unavailable = { countCommittedBookings: jest.fn().mockRejectedValue(new Error('connection refused')) };
+
+      expect(await demandService.resolveDemand(null, settings, { lookups: lookupsWith(8) })).toBeNull();
+      expect(await demandService.resolveDemand(new Date(), { ...settings, enabled: false }, { lookups: lookupsWith(8) })).toBeNull();
+      expect(await demandService.resolveDemand(new Date(), settings, { lookups: unavailable })).toBeNull();
+    });
+  });
+
+  describe('booking calendar', () => {
+    useTestDatabase();
+
+    const eventDate = new Date(Date.now() + 200 * 24 * 60 * 60 * 1000);
+    eventDate.setUTCHours(14, 0, 0, 0);
+
+    const bookQuote = () => createAcceptedQuote({}, { ...quoteRequest, eventDate: eventDate.toISOString() });
+
+    test('counts committed bookings on the event day, not cancelled ones', async () => {
+      const [, , cancelled] = await Promise.all([bookQuote(), bookQuote(), bookQuote()]);
+      await quoteService.cancelQuote(cancelled.quote_id);
+
+      const demand = await demandService.resolveDemand(eventDate, { ...settings, dailyCapacity: 4 });
+
+      expect(demand).toMatchObject({ date: eventDate.toISOString().split('T')[0], bookings: 2, capacity: 4, utilization: 0.5, level: 'busy' });
+    });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Discount Service - Promo Code Management and Discount Rules
+ * Resolves promo codes for quotes, calculates discount amounts and counts redemptions
+ */
+
+const { models } = require('../models');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class DiscountService {
+  /**
+   * Resolve a promo code entered on a quote request
+   * @param {string} code - Code as entered
+   * @param {Object} context - eventType, asOf (defaults to now), checkUsage (defaults to true),
+   *   lookups (preloaded records to use instead of the database)
+   * @returns {Object|null} { code, accepted, reason, rule } or null when no code was entered
+   */
+  async resolvePromotion(code, context = {}) {
+    if (!code || !String(code).trim()) {
+      return null;
+    }
+
+    const promoCode = context.lookups
+      ? await context.lookups.findPromoCode(code)
+      : await models.PromoCode.findByCode(code);
+    if (!promoCode) {
+      return {
+        code: String(code).trim().toUpperCase(),
+        accepted: false,
+        reason: `Promo code ${String(code).trim().toUpperCase()} does not exist`,
+        rule: null
+      };
+    }
+
+    const reason = promoCode.getIneligibilityReason(context);
+
+    return {
+      code: promoCode.code,
+      accepted: !reason,
+      reason,
+      rule: reason ? null : promoCode.toDiscountRule()
+    };
+  }
+
+  /**
+   * Calculate the discount a rule gives on a subtotal
+   * @param {Object} rule - Discount rule snapshot (see PromoCode.toDiscountRule)
+   * @param {number} subtotal - Pre-discount subtotal
+   * @returns {Object} Itemised discount line
+   */
+  calculateDiscount(rule, subtotal) {
+    const line = {
+      code: rule.code,
+      description: rule.description,
+      discountType: rule.discountType,
+      rate: rule.amount,
+      amount: 0,
+      applied: false,
+      reason: null
+    };
+
+    if (subtotal < rule.minOrderValue) {
+      line.reason = `Promo code ${rule.code} requires a minimum order of $${rule.minOrderValue.toFixed(2)}`;
+      return line;
+    }
+
+    let amount = rule.discountType === 'percentage'
+      ? subtotal * (rule.amount / 100)
+      : rule.amount;
+
+    if (rule.maxDiscount !== null && rule.maxDiscount !== undefined) {
+      amount = Math.min(amount, rule.maxDiscount);
+    }
+
+    // A discount can never take the order below zero
+    line.amount = round(Math.min(amount, subtotal));
+    line.applied = true;
+
+    return line;
+  }
+
+  /**
+   * Check a code for the website form before a quote is requested
+   * @param {string} code - Code as entered
+   * @param {Object} context - eventType and optional subtotal
+   * @returns {Object} Validity, reason and (when a subtotal is given) the discount amount
+   */
+  async validatePromoCode(code, context = {}) {
+    const promotion = await this.resolvePromotion(code, context);
+
+    if (!promotion.accepted) {
+      return { code: promotion.code, valid: false, reason: promotion.reason };
+    }
+
+    const result = {
+      code: promotion.code,
+      valid: true,
+      reason: null,
+      discount: promotion.rule
+    };
+
+    if (context.subtotal !== undefined) {
+      const line = this.calculateDiscount(promotion.rule, context.subtotal);
+      result.valid = line.applied;
+      result.reason = line.reason;
+      result.amount = line.amount;
+    }
+
+    return result;
+  }
+
+  /**
+   * Count a redemption for an accepted quote's promo code
+   * @param {Object} quote - Quote record being accepted
+   * @param {Object} transaction - Open transaction
+   */
+  async redeemForQuote(quote, transaction) {
+    if (!quote.promo_code || !(parseFloat(quote.discounts) > 0)) {
+      return;
+    }
+
+    const redeemed = await models.PromoCode.redeem(quote.promo_code, { transaction });
+    if (!redeemed) {
+      throw new AppError(`Promo code ${quote.promo_code} has reached its usage limit; revise quote ${quote.quote_id} without it to accept`, 409);
+    }
+
+    logger.info('Promo code redeemed', { code: quote.promo_code, quoteId: quote.quote_id });
+  }
+
+  /**
+   * Give back the redemption an accepted quote counted, so reopening and accepting it again counts once
+   * @param {Object} quote - Accepted quote record being cancelled
+   * @param {Object} transaction - Open transaction
+   */
+  async releaseForQuote(quote, transaction) {
+    if (!quote.promo_code || !(parseFloat(quote.discounts) > 0)) {
+      return;
+    }
+
+    await models.PromoCode.release(quote.promo_code, { transaction });
+
+    logger.info('Promo code redemption released', { code: quote.promo_code, quoteId: quote.quote_id });
+  }
+
+  /**
+   * List promo codes, newest first
+   * @param {Object} filters - Optional active filter
+   * @returns {Array} Promo code records
+   */
+  async listPromoCodes(filters = {}) {
+    const where = {};
+    if (filters.active !== undefined) {
+      where.is_active = filters.active;
+    }
+
+    return await models.PromoCode.findAll({
+      where,
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Find a promo code or fail with 404
+   * @param {string} code - Promo code
+   * @returns {Object} PromoCode record
+   */
+  async findPromoCodeOrFail(code) {
+    const promoCode = await models.PromoCode.findByCode(code);
+
+    if (!promoCode) {
+      throw new AppError(`No promo code ${String(code).toUpperCase()} exists`, 404);
+    }
+
+    return promoCode;
+  }
+
+  /**
+   * Map API field names to model attributes
+   * @param {Object} data - Promo code fields from the API
+   * @returns {Object} Model attributes
+   */
+  toAttributes(data) {
+    const fields = {
+      code: 'code',
+      description: 'description',
+      discountType: 'discount_type',
+      amount: 'amount',
+      maxDiscount: 'max_discount',
+      minOrderValue: 'min_order_value',
+      eventTypes: 'event_types',
+      usageLimit: 'usage_limit',
+      startsAt: 'starts_at',
+      expiresAt: 'expires_at',
+      isActive: 'is_active'
+    };
+
+    const attributes = {};
+    Object.entries(fields).forEach(([field, attribute]) => {
+      if (data[field] !== undefined) {
+        attributes[attribute] = data[field];
+      }
+    });
+
+    return attributes;
+  }
+
+  /**
+   * Reject percentage codes above 100%
+   * @param {Object} attributes - Model attributes after the change
+   */
+  assertValidAmount(attributes) {
+    if (attributes.discount_type === 'percentage' && parseFloat(attributes.amount) > 100) {
+      throw new AppError('Percentage discounts cannot exceed 100', 400);
+    }
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} data - Promo code fields
+   * @param {string} userId - ID of the admin creating it
+   * @returns {Object} PromoCode record
+   */
+  async createPromoCode(data, userId) {
+    const attributes = this.toAttributes(data);
+    this.assertValidAmount(attributes);
+
+    if (await models.PromoCode.findByCode(attributes.code)) {
+      throw new AppError(`Promo code ${String(attributes.code).toUpperCase()} already exists`, 409);
+    }
+
+    const promoCode = await models.PromoCode.create({ ...attributes, created_by: userId });
+
+    logger.info('Promo code created', { code: promoCode.code, userId });
+    return promoCode;
+  }
+
+  /**
+   * Change a promo code's rules (the code itself cannot change)
+   * @param {string} code - Promo code
+   * @param {Object} data - Fields to change
+   * @param {string} userId - ID of the admin editing it
+   * @returns {Object} PromoCode record
+   */
+  async updatePromoCode(code, data, userId) {
+    const promoCode = await this.findPromoCodeOrFail(code);
+    const attributes = this.toAttributes(data);
+    delete attributes.code;
+
+    this.assertValidAmount({
+      discount_type: attributes.discount_type || promoCode.discount_type,
+      amount: attributes.amount !== undefined ? attributes.amount : promoCode.amount
+    });
+
+    await promoCode.update(attributes);
+
+    logger.info('Promo code updated', { code: promoCode.code, changes: Object.keys(attributes), userId });
+    return promoCode;
+  }
+}
+
+// Initialize service
+const discountService = new DiscountService();
+
+module.exports = discountService;
@@ -0,0 +1,235 @@
+/**
+ * Google Geo Provider - Google Maps Distance Matrix, Geocoding and Places APIs
+ * Implements the geo provider interface used by MapsService:
+ * distance, distanceMatrix, geocode, reverseGeocode and nearbyPlaces.
+ */
+
+const axios = require('axios');
+
+class GoogleGeoProvider {
+  /**
+   * @param {Object} options - apiKey: Google Maps API key
+   */
+  constructor(options = {}) {
+    this.name = 'google';
+    this.cacheable = true;
+    this.apiKey = options.apiKey;
+    this.baseUrl = 'https://maps.googleapis.com/maps/api';
+  }
+
+  /**
+   * Whether the provider can make requests
+   * @returns {boolean} True when an API key is set
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Call a Google Maps endpoint
+   * @param {string} path - Endpoint path below the API base URL
+   * @param {Object} params - Query parameters (the key is added)
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Object} Response body
+   */
+  async request(path, params, timeout = 10000) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Maps API key not configured');
+    }
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/${path}`, {
+        params: { ...params, key: this.apiKey },
+        timeout
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 429) {
+        throw new Error('Google Maps quota exceeded. Please try again later.');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a Distance Matrix element to a route result
+   * @param {Object} element - Distance Matrix element
+   * @param {string} origin - Resolved origin address
+   * @param {string} destination - Resolved destination address
+   * @param {string} mode - Travel mode
+   * @returns {Object} Distance and duration information
+   */
+  toRoute(element, origin, destination, mode) {
+    return {
+      distance: {
+        text: element.distance.text,
+        value: element.distance.value, // meters
+        miles: Math.round(element.distance.value * 0.000621371 * 100) / 100 // Convert to miles
+      },
+      duration: {
+        text: element.duration.text,
+        value: element.duration.value, // seconds
+        minutes: Math.round(element.duration.value / 60)
+      },
+      origin,
+      destination,
+      mode,
+      provider: this.name,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Route between two locations
+   * @param {string} origin - Origin address or coordinates
+   * @param {string} destination - Destination address or coordinates
+   * @param {string} mode - Travel mode (driving, transit, walking, bicycling)
+   * @returns {Object} Distance and duration information
+   */
+  async distance(origin, destination, mode = 'driving') {
+    const data = await this.request('distancematrix/json', {
+      origins: origin,
+      destinations: destination,
+      mode: mode,
+      units: 'imperial' // Miles
+    });
+
+    if (data.status !== 'OK') {
+      throw new Error(`Google Maps API error: ${data.status} - ${data.error_message || 'Unknown error'}`);
+    }
+
+    const element = data.rows[0]?.elements[0];
+
+    if (!element || element.status !== 'OK') {
+      throw new Error(`No route found between ${origin} and ${destination}`);
+    }
+
+    return this.toRoute(element, data.origin_addresses[0], data.destination_addresses[0], mode);
+  }
+
+  /**
+   * Routes between every pair of locations in one request
+   * @param {Array} locations - Addresses or coordinates (at most 10)
+   * @param {string} mode - Travel mode (driving, transit, walking, bicycling)
+   * @returns {Array} Matrix where [i][j] is the route from locations[i] to locations[j] (null on the diagonal)
+   */
+  async distanceMatrix(locations, mode = 'driving') {
+    const data = await this.request('distancematrix/json', {
+      origins: locations.join('|'),
+      destinations: locations.join('|'),
+      mode: mode,
+      units: 'imperial' // Miles
+    }, 15000);
+
+    if (data.status !== 'OK') {
+      throw new Error(`Google Maps API error: ${data.status} - ${data.error_message || 'Unknown error'}`);
+    }
+
+    return locations.map((origin, i) => locations.map((destination, j) => {
+      if (i === j) return null;
+
+      const element = data.rows[i]?.elements[j];
+      if (!element || element.status !== 'OK') {
+        throw new Error(`No route found between ${origin} and ${destination}`);
+      }
+
+      return this.toRoute(element, data.origin_addresses[i], data.destination_addresses[j], mode);
+    }));
+  }
+
+  /**
+   * Geocode an address to coordinates
+   * @param {string} address - Address to geocode
+   * @returns {Object} Geocoding result with coordinates
+   */
+  async geocode(address) {
+    const data = await this.request('geocode/json', { address });
+
+    if (data.status !== 'OK') {
+      throw new Error(`Geocoding error: ${data.status} - ${data.error_message || 'Unknown error'}`);
+    }
+
+    if (!data.results || data.results.length === 0) {
+      throw new Error(`No results found for address: ${address}`);
+    }
+
+    const result = data.results[0];
+    const location = result.geometry.location;
+
+    return {
+      formattedAddress: result.formatted_address,
+      coordinates: {
+        lat: location.lat,
+        lng: location.lng
+      },
+      addressComponents: result.address_components,
+      placeId: result.place_id,
+      types: result.types,
+      provider: this.name,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Reverse geocode coordinates to an address
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Object} Address information
+   */
+  async reverseGeocode(lat, lng) {
+    const data = await this.request('geocode/json', { latlng: `${lat},${lng}` });
+
+    if (data.status !== 'OK') {
+      throw new Error(`Reverse geocoding error: ${data.status}`);
+    }
+
+    if (!data.results || data.results.length === 0) {
+      throw new Error(`No address found for coordinates: ${lat}, ${lng}`);
+    }
+
+    const result = data.results[0];
+
+    return {
+      formattedAddress: result.formatted_address,
+      coordinates: { lat, lng },
+      addressComponents: result.address_components,
+      placeId: result.place_id,
+      types: result.types,
+      provider: this.name,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Places near a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {string} type - Place type (e.g., 'lodging', 'restaurant')
+   * @param {number} radius - Search radius in meters
+   * @returns {Array} Nearby places
+   */
+  async nearbyPlaces(lat, lng, type = 'lodging', radius = 5000) {
+    const data = await this.request('place/nearbysearch/json', {
+      location: `${lat},${lng}`,
+      radius: radius,
+      type: type
+    });
+
+    if (data.status !== 'OK') {
+      throw new Error(`Places API error: ${data.status}`);
+    }
+
+    return data.results.map(place => ({
+      name: place.name,
+      vicinity: place.vicinity,
+      rating: place.rating,
+      priceLevel: place.price_level,
+      types: place.types,
+      placeId: place.place_id,
+      coordinates: place.geometry.location,
+      openNow: place.opening_hours?.open_now
+    }));
+  }
+}
+
+module.exports = GoogleGeoProvider;
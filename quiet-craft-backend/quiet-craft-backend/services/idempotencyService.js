@@ -0,0 +1,176 @@
+/**
+ * Idempotency Service - Replay Responses for Retried POST Requests
+ * Stores the response to a request sent with an Idempotency-Key header so a retry with the same key
+ * gets the original response instead of creating a second quote or AI call
+ */
+
+const cron = require('node-cron');
+const crypto = require('crypto');
+const { models } = require('../models');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+// Response headers replayed alongside the stored body
+const REPLAYED_HEADERS = ['content-type', 'content-disposition'];
+
+class IdempotencyService {
+  constructor() {
+    // How long a key and its response are kept (24 hours by default)
+    this.retentionHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+    // Purge schedule (hourly by default)
+    this.purgeSchedule = process.env.IDEMPOTENCY_PURGE_CRON || '30 * * * *';
+    this.purgeTask = null;
+  }
+
+  /**
+   * Serialize a value with object keys sorted, so the same body always hashes the same
+   * @param {*} value - Request body value
+   * @returns {string} Canonical JSON
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Fingerprint a request so a reused key can be checked against the request it was first sent with
+   * @param {Object} req - Express request (an uploaded file is included by content)
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(req) {
+    const hash = crypto.createHash('sha256')
+      .update(`${req.method} ${req.originalUrl}\n`)
+      .update(this.canonicalize(req.body || {}));
+
+    if (req.file && req.file.buffer) {
+      hash.update('\n').update(req.file.buffer);
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Claim a key for a request, or find the stored response to replay
+   * @param {string} key - Idempotency-Key header value
+   * @param {Object} req - Express request
+   * @returns {Object} { record } to process the request, or { replay } with the stored response
+   */
+  async claim(key, req) {
+    const owner = req.user ? req.user.id : 'anonymous';
+    const requestHash = this.fingerprint(req);
+
+    const existing = await models.IdempotencyKey.findByKey(key, owner);
+
+    if (existing && (existing.isExpired() || existing.isAbandoned())) {
+      await existing.destroy();
+    } else if (existing) {
+      if (existing.request_hash !== requestHash) {
+        throw new AppError('This Idempotency-Key was already used with a different request. Use a new key for a new request.', 422);
+      }
+
+      if (existing.status === 'processing') {
+        throw new AppError('A request with this Idempotency-Key is still being processed. Retry shortly.', 409);
+      }
+
+      return { replay: existing };
+    }
+
+    try {
+      const record = await models.IdempotencyKey.create({
+        key,
+        owner,
+        request_method: req.method,
+        request_path: req.originalUrl.slice(0, 500),
+        request_hash: requestHash,
+        status: 'processing',
+        expires_at: new Date(Date.now() + this.retentionHours * 60 * 60 * 1000)
+      });
+
+      return { record };
+
+    } catch (error) {
+      // Another request with the same key claimed it first
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new AppError('A request with this Idempotency-Key is still being processed. Retry shortly.', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store the response sent for a claimed key
+   * @param {Object} record - Claimed IdempotencyKey record
+   * @param {number} statusCode - Response status
+   * @param {Object} headers - Response headers
+   * @param {string} body - Response body
+   * @returns {Object} Completed record
+   */
+  async complete(record, statusCode, headers, body) {
+    const storedHeaders = {};
+    REPLAYED_HEADERS.forEach(name => {
+      if (headers[name] !== undefined) storedHeaders[name] = String(headers[name]);
+    });
+
+    return await record.update({
+      status: 'completed',
+      response_status: statusCode,
+      response_headers: storedHeaders,
+      response_body: body
+    });
+  }
+
+  /**
+   * Give up a claimed key so the client can retry it (the request failed on our side)
+   * @param {Object} record - Claimed IdempotencyKey record
+   */
+  async release(record) {
+    await record.destroy();
+  }
+
+  /**
+   * Delete keys past their retention window
+   * @returns {number} Number of keys deleted
+   */
+  async purgeExpiredKeys() {
+    const count = await models.IdempotencyKey.purgeExpired();
+
+    if (count > 0) {
+      logger.info('Expired idempotency keys purged', { count });
+    }
+
+    return count;
+  }
+
+  /**
+   * Start the background purge of expired keys
+   */
+  startPurger() {
+    if (this.purgeTask) return;
+
+    this.purgeTask = cron.schedule(this.purgeSchedule, async () => {
+      try {
+        await this.purgeExpiredKeys();
+      } catch (error) {
+        logger.logError(error, { service: 'IdempotencyService.purgeExpiredKeys' });
+      }
+    });
+
+    logger.info('Idempotency key purger started', { schedule: this.purgeSchedule, retentionHours: this.retentionHours });
+  }
+}
+
+// Initialize service
+const idempotencyService = new IdempotencyService();
+
+module.exports = idempotencyService;
@@ -0,0 +1,440 @@
+/**
+ * Invoice Service - Invoices from Accepted Quotes
+ * Builds invoices from the accepted quote, applies final adjustments (wait time, extra stops),
+ * sends them and flips unpaid invoices past their due date to overdue
+ */
+
+const cron = require('node-cron');
+const { sequelize, models } = require('../models');
+const pricingService = require('./pricingService');
+const paymentService = require('./paymentService');
+const quotePdfService = require('./quotePdfService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class InvoiceService {
+  constructor() {
+    this.numberPrefix = process.env.INVOICE_NUMBER_PREFIX || 'INV-';
+    this.defaultTerms = process.env.INVOICE_PAYMENT_TERMS || 'net_30';
+    this.waitTimeRate = parseFloat(process.env.WAIT_TIME_HOURLY_RATE) || 45.00;
+
+    // Sweeper schedule (hourly by default)
+    this.overdueSchedule = process.env.INVOICE_OVERDUE_CRON || '0 * * * *';
+    this.overdueTask = null;
+  }
+
+  /**
+   * Format a running number as an invoice number
+   * @param {number} sequence - Running number
+   * @returns {string} Invoice number (e.g., INV-000042)
+   */
+  formatNumber(sequence) {
+    return `${this.numberPrefix}${String(sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Find an invoice or fail with 404
+   * @param {string} invoiceNumber - Invoice number
+   * @returns {Object} Invoice record with its quote
+   */
+  async findInvoiceOrFail(invoiceNumber) {
+    const invoice = await models.Invoice.findByNumber(invoiceNumber);
+
+    if (!invoice) {
+      throw new AppError(`No invoice exists with number ${String(invoiceNumber).toUpperCase()}`, 404);
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Rate applied to taxable adjustments: the quote's combined rate, unless it was exempt
+   * @param {Object} quote - Quote record
+   * @returns {number} Combined tax rate
+   */
+  getAdjustmentTaxRate(quote) {
+    const tax = (quote.pricing_breakdown && quote.pricing_breakdown.breakdown && quote.pricing_breakdown.breakdown.tax) || null;
+    if (!tax) return 0;
+
+    if (tax.exemption && tax.exemption.accepted) return 0;
+
+    // Wait time and extra stops are delivery charges
+    const delivery = (tax.categories || []).find(category => category.category === 'delivery');
+    if (delivery && !delivery.taxable) return 0;
+
+    return (tax.lines || []).reduce((sum, line) => sum + line.rate, 0);
+  }
+
+  /**
+   * Line items carried over from the quote: the quoted charges and any discount
+   * @param {Object} quote - Quote record
+   * @returns {Array} Line items
+   */
+  buildQuotedLines(quote) {
+    const lines = [{
+      kind: 'quote',
+      description: `Delivery services per quote ${quote.quote_id} (version ${quote.version})`,
+      quantity: 1,
+      unitPrice: parseFloat(quote.subtotal),
+      amount: parseFloat(quote.subtotal),
+      taxable: false
+    }];
+
+    const discounts = parseFloat(quote.discounts) || 0;
+    if (discounts > 0) {
+      lines.push({
+        kind: 'discount',
+        description: quote.promo_code ? `Promo code ${quote.promo_code}` : 'Discount',
+        quantity: 1,
+        unitPrice: -discounts,
+        amount: -discounts,
+        taxable: false
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Final adjustment lines from what actually happened on the job
+   * @param {Object} adjustments - waitTimeHours, extraStops and custom lines ({ description, quantity, unitPrice, taxable })
+   * @returns {Array} Line items
+   */
+  buildAdjustmentLines(adjustments = {}) {
+    const lines = [];
+
+    if (adjustments.waitTimeHours > 0) {
+      const hours = parseFloat(adjustments.waitTimeHours);
+      lines.push({
+        kind: 'waitTime',
+        description: 'Wait time beyond the scheduled window',
+        quantity: hours,
+        unitPrice: this.waitTimeRate,
+        amount: round(hours * this.waitTimeRate),
+        taxable: true
+      });
+    }
+
+    if (adjustments.extraStops > 0) {
+      const stops = parseInt(adjustments.extraStops);
+      const rate = pricingService.pricing.additionalServices.multipleStops;
+      lines.push({
+        kind: 'extraStops',
+        description: 'Additional stops not on the quote',
+        quantity: stops,
+        unitPrice: rate,
+        amount: round(stops * rate),
+        taxable: true
+      });
+    }
+
+    (adjustments.lines || []).forEach(line => {
+      const quantity = line.quantity === undefined ? 1 : parseFloat(line.quantity);
+      const unitPrice = parseFloat(line.unitPrice);
+      lines.push({
+        kind: 'custom',
+        description: line.description,
+        quantity,
+        unitPrice,
+        amount: round(quantity * unitPrice),
+        taxable: line.taxable !== false
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Subtotal, tax and total for a set of line items
+   * @param {Array} lines - Line items
+   * @param {number} quotedTaxes - Tax already calculated on the quoted charges
+   * @param {number} adjustmentTaxRate - Rate for taxable adjustments
+   * @returns {Object} { subtotal, taxes, total }
+   */
+  calculateTotals(lines, quotedTaxes, adjustmentTaxRate) {
+    const subtotal = round(lines.reduce((sum, line) => sum + line.amount, 0));
+    const taxableAdjustments = lines
+      .filter(line => line.taxable)
+      .reduce((sum, line) => sum + line.amount, 0);
+    const taxes = round(quotedTaxes + Math.max(taxableAdjustments, 0) * adjustmentTaxRate);
+
+    return { subtotal, taxes, total: round(subtotal + taxes) };
+  }
+
+  /**
+   * Due date for payment terms, counted from the issue date
+   * @param {Date} issueDate - Issue date
+   * @param {string} terms - Payment terms
+   * @returns {Date} Due date
+   */
+  calculateDueDate(issueDate, terms) {
+    return new Date(issueDate.getTime() + (models.Invoice.TERM_DAYS[terms] || 0) * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Generate a draft invoice from an accepted quote
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} options - paymentTerms, adjustments, notes and actor details
+   * @returns {Object} Invoice record
+   */
+  async createFromQuote(quoteId, options = {}) {
+    const quote = await models.Quote.findByQuoteId(quoteId);
+
+    if (!quote) {
+      throw new AppError(`No quote exists with ID ${quoteId}`, 404);
+    }
+    if (quote.status !== 'accepted') {
+      throw new AppError(`Quote ${quoteId} is ${quote.status}; only accepted quotes can be invoiced`, 409);
+    }
+
+    const lines = [...this.buildQuotedLines(quote), ...this.buildAdjustmentLines(options.adjustments)];
+    const quotedTaxes = parseFloat(quote.taxes) || 0;
+    const adjustmentTaxRate = this.getAdjustmentTaxRate(quote);
+    const contact = quote.contact_info || {};
+
+    // Numbers are gapless; a concurrent invoice taking the same number just retries
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const invoice = await sequelize.transaction(async (transaction) => {
+          if (await models.Invoice.findOne({ where: { quote_id: quote.id }, transaction })) {
+            throw new AppError(`Quote ${quoteId} has already been invoiced`, 409);
+          }
+
+          const sequence = await models.Invoice.nextSequence({ transaction });
+
+          return await models.Invoice.create({
+            sequence,
+            invoice_number: this.formatNumber(sequence),
+            quote_id: quote.id,
+            status: 'draft',
+            line_items: lines,
+            quoted_taxes: quotedTaxes,
+            adjustment_tax_rate: adjustmentTaxRate,
+            ...this.calculateTotals(lines, quotedTaxes, adjustmentTaxRate),
+            payment_terms: options.paymentTerms || this.defaultTerms,
+            bill_to: {
+              name: contact.name || null,
+              company: contact.company || null,
+              email: contact.email || null,
+              phone: contact.phone || null
+            },
+            notes: options.notes || null,
+            created_by: options.userId || null
+          }, { transaction });
+        });
+
+        logger.info('Invoice created', { invoiceNumber: invoice.invoice_number, quoteId, total: invoice.total, userId: options.userId });
+        return await this.findInvoiceOrFail(invoice.invoice_number);
+
+      } catch (error) {
+        if (error.name !== 'SequelizeUniqueConstraintError') {
+          throw error;
+        }
+
+        // A concurrent request invoiced the same quote first
+        const fields = Object.keys(error.fields || {});
+        if (fields.includes('quote_id')) {
+          throw new AppError(`Quote ${quoteId} has already been invoiced`, 409);
+        }
+
+        const numberTaken = fields.includes('sequence') || fields.includes('invoice_number');
+        if (!numberTaken || attempt >= 3) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Change a draft invoice's adjustments, terms or notes
+   * @param {string} invoiceNumber - Invoice number
+   * @param {Object} changes - adjustments (replaces all adjustment lines), paymentTerms, notes
+   * @param {Object} options - Actor details
+   * @returns {Object} Invoice record
+   */
+  async updateDraft(invoiceNumber, changes, options = {}) {
+    const invoice = await this.findInvoiceOrFail(invoiceNumber);
+
+    if (!invoice.isEditable()) {
+      throw new AppError(`Invoice ${invoice.invoice_number} is ${invoice.status} and can no longer be changed`, 409);
+    }
+
+    if (changes.adjustments) {
+      const quotedLines = invoice.line_items.filter(line => ['quote', 'discount'].includes(line.kind));
+      const lines = [...quotedLines, ...this.buildAdjustmentLines(changes.adjustments)];
+
+      invoice.line_items = lines;
+      invoice.set(this.calculateTotals(lines, parseFloat(invoice.quoted_taxes), parseFloat(invoice.adjustment_tax_rate)));
+    }
+    if (changes.paymentTerms) invoice.payment_terms = changes.paymentTerms;
+    if (changes.notes !== undefined) invoice.notes = changes.notes;
+
+    await invoice.save();
+
+    logger.info('Invoice updated', { invoiceNumber: invoice.invoice_number, total: invoice.total, userId: options.userId });
+    return invoice;
+  }
+
+  /**
+   * Issue an invoice: set its issue and due dates and email it with the PDF attached
+   * @param {string} invoiceNumber - Invoice number
+   * @param {Object} options - to (defaults to the bill-to email), message, dueDate override, actor details
+   * @returns {Object} { invoice, notification }
+   */
+  async sendInvoice(invoiceNumber, options = {}) {
+    const invoice = await this.findInvoiceOrFail(invoiceNumber);
+
+    if (!['draft', 'sent', 'overdue'].includes(invoice.status)) {
+      throw new AppError(`Invoice ${invoice.invoice_number} is ${invoice.status} and cannot be sent`, 409);
+    }
+
+    const to = options.to || (invoice.bill_to && invoice.bill_to.email);
+    if (!to) {
+      throw new AppError(`Invoice ${invoice.invoice_number} has no bill-to email; pass a recipient`, 400);
+    }
+
+    // Resending keeps the original issue and due dates
+    if (invoice.status === 'draft') {
+      const issueDate = new Date();
+      invoice.set({
+        status: 'sent',
+        issue_date: issueDate,
+        due_date: options.dueDate ? new Date(options.dueDate) : this.calculateDueDate(issueDate, invoice.payment_terms),
+        sent_at: issueDate
+      });
+      await invoice.save();
+    }
+
+    const notification = await notificationService.sendEmail({
+      to,
+      subject: `Invoice ${invoice.invoice_number} from Quiet Craft Solutions`,
+      text: [
+        `Hello ${(invoice.bill_to && invoice.bill_to.name) || 'there'},`,
+        '',
+        options.message || `Please find invoice ${invoice.invoice_number} attached.`,
+        '',
+        `Total: $${parseFloat(invoice.total).toFixed(2)}`,
+        `Due: ${invoice.due_date.toISOString().split('T')[0]}`,
+        '',
+        'Quiet Craft Solutions'
+      ].join('\n'),
+      attachments: [{
+        filename: `${invoice.invoice_number}.pdf`,
+        content: await this.renderPdf(invoice),
+        contentType: 'application/pdf'
+      }]
+    });
+
+    logger.info('Invoice sent', { invoiceNumber: invoice.invoice_number, sent: notification.sent, userId: options.userId });
+    return { invoice, notification };
+  }
+
+  /**
+   * Payment ledger of the invoiced quote
+   * @param {Object} invoice - Invoice record with its quote
+   * @returns {Object} Ledger summary
+   */
+  async getPayments(invoice) {
+    return await paymentService.getLedger(invoice.quote);
+  }
+
+  /**
+   * Render an invoice as a PDF, with payments received so far
+   * @param {Object} invoice - Invoice record with its quote
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async renderPdf(invoice) {
+    return await quotePdfService.renderInvoice(invoice, await this.getPayments(invoice));
+  }
+
+  /**
+   * Mark a sent or overdue invoice paid once the quote's ledger covers its total
+   * @param {Object} ledger - Ledger summary of the quote (see PaymentService.getLedger)
+   * @returns {Object|null} Invoice record when it was marked paid
+   */
+  async syncPaidStatus(ledger) {
+    if (!ledger) return null;
+
+    const invoice = await models.Invoice.findOne({
+      where: { status: ['sent', 'overdue'] },
+      include: [{ model: models.Quote, as: 'quote', where: { quote_id: ledger.quoteId } }]
+    });
+    if (!invoice || ledger.netPaid < parseFloat(invoice.total)) return null;
+
+    await invoice.update({ status: 'paid', paid_at: new Date() });
+
+    logger.info('Invoice paid', { invoiceNumber: invoice.invoice_number, quoteId: ledger.quoteId });
+    return invoice;
+  }
+
+  /**
+   * List invoices
+   * @param {Object} filters - Optional status filter
+   * @returns {Array} Invoice records with their quotes
+   */
+  async listInvoices(filters = {}) {
+    const where = {};
+    if (filters.status) where.status = filters.status;
+
+    return await models.Invoice.findAll({
+      where,
+      include: [{ model: models.Quote, as: 'quote' }],
+      order: [['sequence', 'DESC']],
+      limit: filters.limit || 100
+    });
+  }
+
+  /**
+   * Settle paid invoices, then flip sent invoices past their due date to overdue
+   * @returns {Object} { paid, overdue } counts
+   */
+  async sweepOverdueInvoices() {
+    const open = await models.Invoice.findAll({
+      where: { status: ['sent', 'overdue'] },
+      include: [{ model: models.Quote, as: 'quote' }]
+    });
+
+    let paid = 0;
+    let overdue = 0;
+
+    for (const invoice of open) {
+      if (await this.syncPaidStatus(await paymentService.getLedger(invoice.quote))) {
+        paid++;
+      } else if (invoice.isOverdue()) {
+        await invoice.update({ status: 'overdue' });
+        overdue++;
+      }
+    }
+
+    if (paid > 0 || overdue > 0) {
+      logger.info('Invoice sweep complete', { paid, overdue });
+    }
+
+    return { paid, overdue };
+  }
+
+  /**
+   * Start the background overdue sweeper
+   */
+  startOverdueSweeper() {
+    if (this.overdueTask) return;
+
+    this.overdueTask = cron.schedule(this.overdueSchedule, async () => {
+      try {
+        await this.sweepOverdueInvoices();
+      } catch (error) {
+        logger.logError(error, { service: 'InvoiceService.sweepOverdueInvoices' });
+      }
+    });
+
+    logger.info('Invoice overdue sweeper started', { schedule: this.overdueSchedule });
+  }
+}
+
+// Initialize service
+const invoiceService = new InvoiceService();
+
+module.exports = invoiceService;
@@ -0,0 +1,187 @@
+/**
+ * Invoice Service - totals, adjustments and invoice numbering
+ */
+
+const { useTestDatabase } = require('../test/database');
+const { createQuote, createAcceptedQuote } = require('../test/quotes');
+const { models } = require('../models');
+const pricingService = require('./pricingService');
+const paymentService = require('./paymentService');
+const invoiceService = require('./invoiceService');
+
+// A quote of $1,000.00 plus $50.00 tax
+const quotedAmounts = { subtotal: 1000, discounts: 0, taxes: 50, total: 1050 };
+
+describe('InvoiceService', () => {
+  describe('calculateTotals', () => {
+    const lines = [
+      { kind: 'quote', amount: 1000, taxable: false },
+      { kind: 'discount', amount: -100, taxable: false },
+      { kind: 'waitTime', amount: 90, taxable: true },
+      { kind: 'custom', amount: 10, taxable: true }
+    ];
+
+    test('adds tax on taxable adjustments to the tax already on the quote', () => {
+      expect(invoiceService.calculateTotals(lines, 45, 0.1)).toEqual({ subtotal: 1000, taxes: 55, total: 1055 });
+    });
+
+    test('an exempt quote adds no tax on adjustments', () => {
+      expect(invoiceService.calculateTotals(lines, 0, 0)).toEqual({ subtotal: 1000, taxes: 0, total: 1000 });
+    });
+
+    test('taxable credits do not reduce the quoted tax', () => {
+      const credit = [{ kind: 'custom', amount: -200, taxable: true }];
+
+      expect(invoiceService.calculateTotals([lines[0], ...credit], 45, 0.1)).toEqual({ subtotal: 800, taxes: 45, total: 845 });
+    });
+  });
+
+  describe('buildAdjustmentLines', () => {
+    test('prices wait time, extra stops and custom lines', () => {
+      const lines = invoiceService.buildAdjustmentLines({
+        waitTimeHours: 1.5,
+        extraStops: 2,
+        lines: [{ description: 'Pallet jack rental', unitPrice: 35 }, { description: 'Permit', quantity: 2, unitPrice: 12.5, taxable: false }]
+      });
+      const stopRate = pricingService.pricing.additionalServices.multipleStops;
+
+      expect(lines.map(line => [line.kind, line.quantity, line.amount, line.taxable])).toEqual([
+        ['waitTime', 1.5, Math.round(1.5 * invoiceService.waitTimeRate * 100) / 100, true],
+        ['extraStops', 2, stopRate * 2, true],
+        ['custom', 1, 35, true],
+        ['custom', 2, 25, false]
+      ]);
+    });
+
+    test('no adjustments means no lines', () => {
+      expect(invoiceService.buildAdjustmentLines({ waitTimeHours: 0, extraStops: 0 })).toEqual([]);
+    });
+  });
+
+  describe('getAdjustmentTaxRate', () => {
+    const quoteWithTax = (tax) => ({ pricing_breakdown: { breakdown: { tax } } });
+    const lines = [{ rate: 0.04 }, { rate: 0.045 }];
+
+    test('uses the combined rate of the quote', () => {
+      const rate = invoiceService.getAdjustmentTaxRate(quoteWithTax({ lines, categories: [{ category: 'delivery', taxable: true }] }));
+
+      expect(rate).toBeCloseTo(0.085);
+    });
+
+    test('is zero when delivery charges are exempt or the quote has a certificate', () => {
+      expect(invoiceService.getAdjustmentTaxRate(quoteWithTax({ lines, categories: [{ category: 'delivery', taxable: false }] }))).toBe(0);
+      expect(invoiceService.getAdjustmentTaxRate(quoteWithTax({ lines, exemption: { accepted: true } }))).toBe(0);
+      expect(invoiceService.getAdjustmentTaxRate({ pricing_breakdown: {} })).toBe(0);
+    });
+  });
+
+  describe('invoices from quotes', () => {
+    useTestDatabase();
+
+    test('carries the quoted charges, discount and tax onto a draft invoice', async () => {
+      const quote = await createAcceptedQuote(quotedAmounts);
+      await quote.update({ discounts: 100, promo_code: 'EXPO10', taxes: 45, total: 945 });
+
+      const invoice = await invoiceService.createFromQuote(quote.quote_id, { userId: 'staff_1' });
+
+      expect(invoice.status).toBe('draft');
+      expect(invoice.line_items.map(line => [line.kind, line.amount])).toEqual([['quote', 1000], ['discount', -100]]);
+      expect(invoice.line_items[1].description).toBe('Promo code EXPO10');
+      expect(parseFloat(invoice.subtotal)).toBe(900);
+      expect(parseFloat(invoice.taxes)).toBe(45);
+      expect(parseFloat(invoice.total)).toBe(945);
+      expect(invoice.bill_to).toMatchObject({ name: 'Dana Reyes', email: 'dana@example.com' });
+    });
+
+    test('numbers invoices consecutively, even when created at the same time', async () => {
+      const quotes = await Promise.all([createAcceptedQuote(quotedAmounts), createAcceptedQuote(quotedAmounts), createAcceptedQuote(quotedAmounts)]);
+      const before = (await models.Invoice.max('sequence')) || 0;
+
+      const invoices = await Promise.all(quotes.map(quote => invoiceService.createFromQuote(quote.quote_id)));
+
+      const sequences = invoices.map(invoice => invoice.sequence).sort((a, b) => a - b);
+      expect(sequences).toEqual([before + 1, before + 2, before + 3]);
+      invoices.forEach(invoice => {
+        expect(invoice.invoice_number).toBe(invoiceService.formatNumber(invoice.sequence));
+      });
+    });
+
+    test('a quote is invoiced only once', async () => {
+      const quote = await createAcceptedQuote(quotedAmounts);
+      await invoiceService.createFromQuote(quote.quote_id);
+
+      await expect(invoiceService.createFromQuote(quote.quote_id)).rejects.toMatchObject({ statusCode: 409 });
+      expect(await models.Invoice.count({ where: { quote_id: quote.id } })).toBe(1);
+    });
+
+    test('only accepted quotes can be invoiced', async () => {
+      const quote = await createQuote();
+
+      await expect(invoiceService.createFromQuote(quote.quote_id)).rejects.toMatchObject({ statusCode: 409 });
+      await expect(invoiceService.createFromQuote('QC-00000000-ZZZZZ')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('editing a draft replaces its adjustments and recalculates the totals', async () => {
+      const quote = await createAcceptedQuote(quotedAmounts);
+      const created = await invoiceService.createFromQuote(quote.quote_id, { adjustments: { extraStops: 1 } });
+      const rate = parseFloat(created.adjustment_tax_rate);
+
+      const invoice = await invoiceService.updateDraft(created.invoice_number, {
+        adjustments: { lines: [{ description: 'Stair carry', unitPrice: 80 }] }
+      });
+
+      expect(invoice.line_items.map(line => line.kind)).toEqual(['quote', 'custom']);
+      expect(parseFloat(invoice.subtotal)).toBe(1080);
+      expect(parseFloat(invoice.taxes)).toBe(Math.round((50 + 80 * rate) * 100) / 100);
+      expect(parseFloat(invoice.total)).toBe(Math.round((1080 + parseFloat(invoice.taxes)) * 100) / 100);
+    });
+
+    test('a sent invoice can no longer be edited', async () => {
+      const quote = await createAcceptedQuote(quotedAmounts);
+      const created = await invoiceService.createFromQuote(quote.quote_id);
+      await created.update({ status: 'sent' });
+
+      await expect(invoiceService.updateDraft(created.invoice_number, { notes: 'Late change' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('a draft without a recipient stays a draft when sending fails', async () => {
+      const quote = await createAcceptedQuote(quotedAmounts);
+      const created = await invoiceService.createFromQuote(quote.quote_id);
+      await created.update({ bill_to: { ...created.bill_to, email: null } });
+
+      await expect(invoiceService.sendInvoice(created.invoice_number)).rejects.toMatchObject({ statusCode: 400 });
+
+      await created.reload();
+      expect(created).toMatchObject({ status: 'draft', issue_date: null, due_date: null, sent_at: null });
+    });
+
+    test('a sent invoice is marked paid once the ledger covers its total', async () => {
+      const quote = await createAcceptedQuote(quotedAmounts);
+      const created = await invoiceService.createFromQuote(quote.quote_id);
+      await created.update({ status: 'sent', issue_date: new Date(), due_date: new Date() });
+
+      const partial = await paymentService.recordManualEntry(quote.quote_id, { amount: 500, method: 'check', reference: 'CHK-1' }, 'staff_1');
+      expect(await invoiceService.syncPaidStatus(partial.ledger)).toBeNull();
+
+      const full = await paymentService.recordManualEntry(quote.quote_id, { amount: 550, method: 'check', reference: 'CHK-2' }, 'staff_1');
+      await invoiceService.syncPaidStatus(full.ledger);
+
+      await created.reload();
+      expect(created.status).toBe('paid');
+      expect(created.paid_at).toBeInstanceOf(Date);
+    });
+
+    test('the sweeper flips sent invoices past their due date to overdue', async () => {
+      const quote = await createAcceptedQuote(quotedAmounts);
+      const created = await invoiceService.createFromQuote(quote.quote_id);
+      await created.update({ status: 'sent', issue_date: new Date(), due_date: new Date(Date.now() - 60 * 1000) });
+
+      const result = await invoiceService.sweepOverdueInvoices();
+
+      await created.reload();
+      expect(result.overdue).toBeGreaterThanOrEqual(1);
+      expect(created.status).toBe('overdue');
+    });
+  });
+});
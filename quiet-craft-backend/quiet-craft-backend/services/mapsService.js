@@ -1,21 +1,153 @@
 /**
- * Google Maps Service - Distance and Location Services
- * Handles geocoding and distance calculations for Quiet Craft Solutions
+ * Maps Service - Distance and Location Services
+ * Handles geocoding and distance calculations for Quiet Craft Solutions through a geo provider
+ * (Google Maps, or the offline centroid table), with a shared cache and an offline fallback.
  */
 
-const axios = require('axios');
+const cron = require('node-cron');
 const logger = require('../utils/logger');
+const GoogleGeoProvider = require('./googleGeoProvider');
+const OfflineGeoProvider = require('./offlineGeoProvider');
+const MemoryMapsCache = require('./memoryMapsCache');
+const PostgresMapsCache = require('./postgresMapsCache');
+
+// Cached call types
+const CACHE_CALL_TYPES = ['distance', 'geocode', 'reverseGeocode', 'places'];
 
 class MapsService {
   constructor() {
     this.apiKey = process.env.GOOGLE_MAPS_API_KEY;
-    this.baseUrl = 'https://maps.googleapis.com/maps/api';
-    this.cache = new Map(); // In-memory cache for distance calculations
-    this.cacheTimeout = 24 * 60 * 60 * 1000; // 24 hours
-    
+
+    // MAPS_CACHE_BACKEND picks where lookups are cached (postgres by default, shared by every instance)
+    const cacheBackend = process.env.MAPS_CACHE_BACKEND || 'postgres';
+    this.cache = cacheBackend === 'memory' ? new MemoryMapsCache() : new PostgresMapsCache();
+    if (!['memory', 'postgres'].includes(cacheBackend)) {
+      logger.warn(`Unknown maps cache backend "${cacheBackend}", using postgres`);
+    }
+
+    // How long each call type is cached: addresses rarely move, routes and places change more often
+    this.cacheTtlHours = {
+      distance: parseFloat(process.env.MAPS_CACHE_DISTANCE_TTL_HOURS) || 7 * 24,
+      geocode: parseFloat(process.env.MAPS_CACHE_GEOCODE_TTL_HOURS) || 30 * 24,
+      reverseGeocode: parseFloat(process.env.MAPS_CACHE_REVERSE_GEOCODE_TTL_HOURS) || 30 * 24,
+      places: parseFloat(process.env.MAPS_CACHE_PLACES_TTL_HOURS) || 24
+    };
+
+    // Hits and misses by call type since this process started
+    this.cacheCallTypes = CACHE_CALL_TYPES;
+    this.cacheMetrics = {};
+    CACHE_CALL_TYPES.forEach(callType => {
+      this.cacheMetrics[callType] = { hits: 0, misses: 0, writes: 0, errors: 0 };
+    });
+    this.metricsSince = new Date().toISOString();
+
+    // Expired entry purge schedule (hourly by default)
+    this.purgeSchedule = process.env.MAPS_CACHE_PURGE_CRON || '45 * * * *';
+    this.purgeTask = null;
+
+    this.providers = {
+      google: new GoogleGeoProvider({ apiKey: this.apiKey }),
+      offline: new OfflineGeoProvider({ roadFactor: parseFloat(process.env.GEO_ROAD_FACTOR) || undefined })
+    };
+
+    // GEO_PROVIDER picks the provider; without it, Google is used when a key is configured
+    const providerName = process.env.GEO_PROVIDER || (this.apiKey ? 'google' : 'offline');
+    this.provider = this.providers[providerName];
+    if (!this.provider) {
+      logger.warn(`Unknown geo provider "${providerName}", using the offline provider`);
+      this.provider = this.providers.offline;
+    }
+
+    // When an online provider fails (outage, quota, unknown address), the offline table answers instead
+    this.fallbackProvider = this.provider !== this.providers.offline && process.env.GEO_OFFLINE_FALLBACK !== 'false'
+      ? this.providers.offline
+      : null;
+
     if (!this.apiKey) {
       logger.warn('Google Maps API key not configured');
     }
+    logger.info('Geo provider selected', {
+      provider: this.provider.name,
+      fallback: this.fallbackProvider ? this.fallbackProvider.name : null
+    });
+  }
+
+  /**
+   * Run a provider call, retrying it on the fallback provider when the primary one fails
+   * @param {string} operation - Operation name for logging
+   * @param {Function} call - Receives a provider and returns its result
+   * @returns {Object} { result, fallback } where fallback is true when the fallback provider answered
+   */
+  async useProvider(operation, call) {
+    try {
+      return { result: await call(this.provider), fallback: false };
+    } catch (error) {
+      if (!this.fallbackProvider) {
+        throw error;
+      }
+
+      logger.warn(`Geo provider ${this.provider.name} failed, using ${this.fallbackProvider.name}`, {
+        operation,
+        error: error.message
+      });
+      return { result: await call(this.fallbackProvider), fallback: true };
+    }
+  }
+
+  /**
+   * Normalized cache lookup, scoped to the provider so switching providers starts a fresh cache
+   * @param {...*} parts - Lookup parts (addresses, coordinates, mode)
+   * @returns {string} Lookup
+   */
+  cacheLookup(...parts) {
+    return [this.provider.name, ...parts].map(part => String(part).trim()).join('|').toLowerCase();
+  }
+
+  /**
+   * Read cached values, counting hits and misses. A cache failure is a miss, never a failed lookup.
+   * @param {string} callType - Call type
+   * @param {Array} lookups - Normalized lookups
+   * @returns {Map} Cached value by lookup
+   */
+  async readCache(callType, lookups) {
+    // Providers that answer locally aren't cached
+    if (!this.provider.cacheable) {
+      return new Map();
+    }
+
+    const metrics = this.cacheMetrics[callType];
+    try {
+      const found = await this.cache.getMany(callType, lookups);
+      metrics.hits += found.size;
+      metrics.misses += lookups.length - found.size;
+      return found;
+    } catch (error) {
+      metrics.errors++;
+      metrics.misses += lookups.length;
+      logger.warn('Maps cache read failed', { callType, backend: this.cache.name, error: error.message });
+      return new Map();
+    }
+  }
+
+  /**
+   * Cache a provider result for its call type's TTL
+   * @param {string} callType - Call type
+   * @param {string} lookup - Normalized lookup
+   * @param {Object} value - Provider result
+   */
+  async writeCache(callType, lookup, value) {
+    if (!this.provider.cacheable) {
+      return;
+    }
+
+    const metrics = this.cacheMetrics[callType];
+    try {
+      await this.cache.set(callType, lookup, value, this.cacheTtlHours[callType] * 60 * 60 * 1000, this.provider.name);
+      metrics.writes++;
+    } catch (error) {
+      metrics.errors++;
+      logger.warn('Maps cache write failed', { callType, backend: this.cache.name, error: error.message });
+    }
   }
 
   /**
@@ -26,68 +158,30 @@ class MapsService {
    * @returns {Object} Distance and duration information
    */
   async calculateDistance(origin, destination, mode = 'driving') {
-    const cacheKey = `${origin}-${destination}-${mode}`.toLowerCase();
-    
+    const lookup = this.cacheLookup(origin, destination, mode);
+
     // Check cache first
-    const cachedResult = this.cache.get(cacheKey);
-    if (cachedResult && Date.now() - cachedResult.timestamp < this.cacheTimeout) {
+    const cachedResult = (await this.readCache('distance', [lookup])).get(lookup);
+    if (cachedResult) {
       logger.info('Distance calculation cache hit', { origin, destination, mode });
-      return cachedResult.data;
+      return cachedResult;
     }
 
     try {
-      const response = await axios.get(`${this.baseUrl}/distancematrix/json`, {
-        params: {
-          origins: origin,
-          destinations: destination,
-          mode: mode,
-          units: 'imperial', // Miles
-          key: this.apiKey
-        },
-        timeout: 10000 // 10 second timeout
-      });
-
-      const data = response.data;
-      
-      if (data.status !== 'OK') {
-        throw new Error(`Google Maps API error: ${data.status} - ${data.error_message || 'Unknown error'}`);
-      }
+      const { result, fallback } = await this.useProvider('calculateDistance', provider => provider.distance(origin, destination, mode));
 
-      const element = data.rows[0]?.elements[0];
-      
-      if (!element || element.status !== 'OK') {
-        throw new Error(`No route found between ${origin} and ${destination}`);
+      // Fallback answers are not cached, so the primary provider is asked again next time
+      if (!fallback) {
+        await this.writeCache('distance', lookup, result);
       }
 
-      const result = {
-        distance: {
-          text: element.distance.text,
-          value: element.distance.value, // meters
-          miles: Math.round(element.distance.value * 0.000621371 * 100) / 100 // Convert to miles
-        },
-        duration: {
-          text: element.duration.text,
-          value: element.duration.value, // seconds
-          minutes: Math.round(element.duration.value / 60)
-        },
-        origin: data.origin_addresses[0],
-        destination: data.destination_addresses[0],
-        mode: mode,
-        timestamp: new Date().toISOString()
-      };
-
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
-
       logger.info('Distance calculated', {
         origin: result.origin,
         destination: result.destination,
         distance: result.distance.miles + ' miles',
         duration: result.duration.text,
-        mode
+        mode,
+        provider: result.provider
       });
 
       return result;
@@ -100,12 +194,55 @@ class MapsService {
         mode
       });
 
-      // Return fallback data if available
-      if (error.response?.status === 429) {
-        throw new Error('Google Maps quota exceeded. Please try again later.');
+      throw new Error(`Unable to calculate distance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calculate distances between every pair of locations in one request
+   * @param {Array} locations - Addresses or coordinates (at most 10)
+   * @param {string} mode - Travel mode (driving, transit, walking, bicycling)
+   * @returns {Array} Matrix where [i][j] is the route from locations[i] to locations[j] (null on the diagonal)
+   */
+  async calculateDistanceMatrix(locations, mode = 'driving') {
+    // Pairs share their cache entries with single-leg lookups
+    const lookup = (i, j) => this.cacheLookup(locations[i], locations[j], mode);
+    const lookups = [];
+    locations.forEach((origin, i) => locations.forEach((destination, j) => {
+      if (i !== j) lookups.push(lookup(i, j));
+    }));
+
+    const cached = await this.readCache('distance', lookups);
+    if (cached.size === lookups.length) {
+      const cachedMatrix = locations.map((origin, i) => locations.map((destination, j) => (
+        i === j ? null : cached.get(lookup(i, j))
+      )));
+      logger.info('Distance matrix cache hit', { locations: locations.length, mode });
+      return cachedMatrix;
+    }
+
+    try {
+      const { result: matrix, fallback } = await this.useProvider('calculateDistanceMatrix', provider => provider.distanceMatrix(locations, mode));
+
+      // Cache each pair so single-leg lookups reuse it
+      if (!fallback) {
+        await Promise.all(matrix.flatMap((row, i) => row.map((result, j) => (
+          result ? this.writeCache('distance', lookup(i, j), result) : null
+        ))));
       }
 
-      throw new Error(`Unable to calculate distance: ${error.message}`);
+      logger.info('Distance matrix calculated', { locations: locations.length, mode, provider: fallback ? this.fallbackProvider.name : this.provider.name });
+
+      return matrix;
+
+    } catch (error) {
+      logger.logError(error, {
+        service: 'MapsService.calculateDistanceMatrix',
+        locations,
+        mode
+      });
+
+      throw new Error(`Unable to calculate distance matrix: ${error.message}`);
     }
   }
 
@@ -115,55 +252,23 @@ class MapsService {
    * @returns {Object} Geocoding results with coordinates
    */
   async geocodeAddress(address) {
-    const cacheKey = `geocode-${address}`.toLowerCase();
-    
+    const lookup = this.cacheLookup(address);
+
     // Check cache
-    const cachedResult = this.cache.get(cacheKey);
-    if (cachedResult && Date.now() - cachedResult.timestamp < this.cacheTimeout) {
-      return cachedResult.data;
+    const cachedResult = (await this.readCache('geocode', [lookup])).get(lookup);
+    if (cachedResult) {
+      return cachedResult;
     }
 
     try {
-      const response = await axios.get(`${this.baseUrl}/geocode/json`, {
-        params: {
-          address: address,
-          key: this.apiKey
-        },
-        timeout: 10000
-      });
-
-      const data = response.data;
-
-      if (data.status !== 'OK') {
-        throw new Error(`Geocoding error: ${data.status} - ${data.error_message || 'Unknown error'}`);
-      }
-
-      if (!data.results || data.results.length === 0) {
-        throw new Error(`No results found for address: ${address}`);
-      }
-
-      const result = data.results[0];
-      const location = result.geometry.location;
-
-      const geocodeResult = {
-        formattedAddress: result.formatted_address,
-        coordinates: {
-          lat: location.lat,
-          lng: location.lng
-        },
-        addressComponents: result.address_components,
-        placeId: result.place_id,
-        types: result.types,
-        timestamp: new Date().toISOString()
-      };
+      const { result, fallback } = await this.useProvider('geocodeAddress', provider => provider.geocode(address));
 
       // Cache the result
-      this.cache.set(cacheKey, {
-        data: geocodeResult,
-        timestamp: Date.now()
-      });
+      if (!fallback) {
+        await this.writeCache('geocode', lookup, result);
+      }
 
-      return geocodeResult;
+      return result;
 
     } catch (error) {
       logger.logError(error, {
@@ -182,51 +287,23 @@ class MapsService {
    * @returns {Object} Address information
    */
   async reverseGeocode(lat, lng) {
-    const cacheKey = `reverse-${lat}-${lng}`;
-    
+    const lookup = this.cacheLookup(lat, lng);
+
     // Check cache
-    const cachedResult = this.cache.get(cacheKey);
-    if (cachedResult && Date.now() - cachedResult.timestamp < this.cacheTimeout) {
-      return cachedResult.data;
+    const cachedResult = (await this.readCache('reverseGeocode', [lookup])).get(lookup);
+    if (cachedResult) {
+      return cachedResult;
     }
 
     try {
-      const response = await axios.get(`${this.baseUrl}/geocode/json`, {
-        params: {
-          latlng: `${lat},${lng}`,
-          key: this.apiKey
-        },
-        timeout: 10000
-      });
-
-      const data = response.data;
-
-      if (data.status !== 'OK') {
-        throw new Error(`Reverse geocoding error: ${data.status}`);
-      }
-
-      if (!data.results || data.results.length === 0) {
-        throw new Error(`No address found for coordinates: ${lat}, ${lng}`);
-      }
-
-      const result = data.results[0];
-
-      const reverseResult = {
-        formattedAddress: result.formatted_address,
-        coordinates: { lat, lng },
-        addressComponents: result.address_components,
-        placeId: result.place_id,
-        types: result.types,
-        timestamp: new Date().toISOString()
-      };
+      const { result, fallback } = await this.useProvider('reverseGeocode', provider => provider.reverseGeocode(lat, lng));
 
       // Cache the result
-      this.cache.set(cacheKey, {
-        data: reverseResult,
-        timestamp: Date.now()
-      });
+      if (!fallback) {
+        await this.writeCache('reverseGeocode', lookup, result);
+      }
 
-      return reverseResult;
+      return result;
 
     } catch (error) {
       logger.logError(error, {
@@ -245,36 +322,26 @@ class MapsService {
    * @param {number} lng - Longitude
    * @param {string} type - Place type (e.g., 'lodging', 'restaurant')
    * @param {number} radius - Search radius in meters
-   * @returns {Array} Array of nearby places
+   * @returns {Array} Array of nearby places (empty from the offline provider)
    */
   async getNearbyPlaces(lat, lng, type = 'lodging', radius = 5000) {
-    try {
-      const response = await axios.get(`${this.baseUrl}/place/nearbysearch/json`, {
-        params: {
-          location: `${lat},${lng}`,
-          radius: radius,
-          type: type,
-          key: this.apiKey
-        },
-        timeout: 10000
-      });
+    const lookup = this.cacheLookup(lat, lng, type, radius);
+
+    // Check cache
+    const cachedResult = (await this.readCache('places', [lookup])).get(lookup);
+    if (cachedResult) {
+      return cachedResult;
+    }
 
-      const data = response.data;
+    try {
+      const { result, fallback } = await this.useProvider('getNearbyPlaces', provider => provider.nearbyPlaces(lat, lng, type, radius));
 
-      if (data.status !== 'OK') {
-        throw new Error(`Places API error: ${data.status}`);
+      // Cache the result
+      if (!fallback) {
+        await this.writeCache('places', lookup, result);
       }
 
-      return data.results.map(place => ({
-        name: place.name,
-        vicinity: place.vicinity,
-        rating: place.rating,
-        priceLevel: place.price_level,
-        types: place.types,
-        placeId: place.place_id,
-        coordinates: place.geometry.location,
-        openNow: place.opening_hours?.open_now
-      }));
+      return result;
 
     } catch (error) {
       logger.logError(error, {
@@ -326,10 +393,11 @@ class MapsService {
       /\b[A-Z]\d[A-Z] ?\d[A-Z]\d\b/g // Canadian postal codes
     ];
 
+    // The ZIP code comes last in an address; earlier 5-digit numbers are street numbers
     for (const pattern of zipPatterns) {
       const matches = address.match(pattern);
       if (matches && matches.length > 0) {
-        return matches[0];
+        return matches[matches.length - 1];
       }
     }
 
@@ -386,23 +454,87 @@ class MapsService {
   }
 
   /**
-   * Clear cache (for maintenance)
+   * Clear cached lookups (for maintenance), optionally only some of them
+   * @param {Object} filters - types: call types to clear; match: text the lookup must contain (e.g. an address)
+   * @returns {number} Entries removed
+   */
+  async clearCache(filters = {}) {
+    const removed = await this.cache.clear(filters);
+    logger.info(`Maps service cache cleared: ${removed} entries removed`, {
+      backend: this.cache.name,
+      types: filters.types || 'all',
+      match: filters.match || null
+    });
+    return removed;
+  }
+
+  /**
+   * Delete cache entries past their TTL
+   * @returns {number} Entries removed
    */
-  clearCache() {
-    const size = this.cache.size;
-    this.cache.clear();
-    logger.info(`Maps service cache cleared: ${size} entries removed`);
-    return size;
+  async purgeExpiredCache() {
+    const removed = await this.cache.purgeExpired();
+
+    if (removed > 0) {
+      logger.info('Expired maps cache entries purged', { removed, backend: this.cache.name });
+    }
+
+    return removed;
   }
 
   /**
-   * Get cache statistics
+   * Start the background purge of expired cache entries
    */
-  getCacheStats() {
+  startPurger() {
+    if (this.purgeTask) return;
+
+    this.purgeTask = cron.schedule(this.purgeSchedule, async () => {
+      try {
+        await this.purgeExpiredCache();
+      } catch (error) {
+        logger.logError(error, { service: 'MapsService.purgeExpiredCache' });
+      }
+    });
+
+    logger.info('Maps cache purger started', { schedule: this.purgeSchedule, backend: this.cache.name });
+  }
+
+  /**
+   * Get cache statistics: size, TTLs, and hit/miss metrics by call type since the process started
+   */
+  async getCacheStats() {
+    let size = null;
+    try {
+      size = await this.cache.count();
+    } catch (error) {
+      logger.warn('Maps cache size unavailable', { backend: this.cache.name, error: error.message });
+    }
+
+    const hitRate = (counts) => (counts.hits + counts.misses > 0
+      ? Math.round((counts.hits / (counts.hits + counts.misses)) * 1000) / 1000
+      : null);
+
+    const metrics = {};
+    const totals = { hits: 0, misses: 0, writes: 0, errors: 0 };
+    CACHE_CALL_TYPES.forEach(callType => {
+      const counts = this.cacheMetrics[callType];
+      metrics[callType] = { ...counts, hitRate: hitRate(counts) };
+      Object.keys(totals).forEach(name => {
+        totals[name] += counts[name];
+      });
+    });
+
     return {
-      size: this.cache.size,
-      maxAge: this.cacheTimeout,
-      apiConfigured: !!this.apiKey
+      backend: this.cache.name,
+      size,
+      ttlHours: this.cacheTtlHours,
+      metrics,
+      totals: { ...totals, hitRate: hitRate(totals) },
+      metricsSince: this.metricsSince,
+      cached: !!this.provider.cacheable,
+      apiConfigured: !!this.apiKey,
+      provider: this.provider.name,
+      fallbackProvider: this.fallbackProvider ? this.fallbackProvider.name : null
     };
   }
 }
@@ -410,14 +542,4 @@ class MapsService {
 // Initialize service
 const mapsService = new MapsService();
 
-// Cleanup cache periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of mapsService.cache.entries()) {
-    if (now - value.timestamp > mapsService.cacheTimeout) {
-      mapsService.cache.delete(key);
-    }
-  }
-}, 60 * 60 * 1000); // Clean every hour
-
 module.exports = mapsService;
@@ -0,0 +1,111 @@
+/**
+ * Maps Service - cache hits and misses, and the shared Postgres cache backend
+ */
+
+const { useTestDatabase } = require('../test/database');
+const { models } = require('../models');
+const mapsService = require('./mapsService');
+const MemoryMapsCache = require('./memoryMapsCache');
+const PostgresMapsCache = require('./postgresMapsCache');
+
+// A cacheable provider that answers every route with 20 miles
+const stubProvider = {
+  name: 'stub',
+  cacheable: true,
+  distance: jest.fn(async (origin, destination) => ({
+    origin,
+    destination,
+    distance: { miles: 20, text: '20 miles' },
+    duration: { minutes: 35, text: '35 mins' },
+    provider: 'stub'
+  }))
+};
+
+/**
+ * Point the service at the stub provider and a fresh cache, with zeroed counters
+ * @param {Object} cache - Cache backend
+ */
+const useCache = (cache) => {
+  mapsService.provider = stubProvider;
+  mapsService.fallbackProvider = null;
+  mapsService.cache = cache;
+  mapsService.cacheCallTypes.forEach(callType => {
+    mapsService.cacheMetrics[callType] = { hits: 0, misses: 0, writes: 0, errors: 0 };
+  });
+  stubProvider.distance.mockClear();
+};
+
+describe('MapsService', () => {
+  const originalProvider = mapsService.provider;
+  const originalCache = mapsService.cache;
+
+  afterAll(() => {
+    mapsService.provider = originalProvider;
+    mapsService.cache = originalCache;
+  });
+
+  describe('cache metrics', () => {
+    beforeEach(() => {
+      useCache(new MemoryMapsCache());
+    });
+
+    test('a repeated lookup is a hit and skips the provider', async () => {
+      await mapsService.calculateDistance('New York, NY', 'Newark, NJ');
+      const second = await mapsService.calculateDistance('new york, ny ', 'Newark, NJ');
+      const stats = await mapsService.getCacheStats();
+
+      expect(second.distance.miles).toBe(20);
+      expect(stubProvider.distance).toHaveBeenCalledTimes(1);
+      expect(stats.metrics.distance).toEqual({ hits: 1, misses: 1, writes: 1, errors: 0, hitRate: 0.5 });
+      expect(stats).toMatchObject({ backend: 'memory', size: 1, cached: true });
+    });
+
+    test('a failing cache counts errors and misses without failing the lookup', async () => {
+      mapsService.cache.getMany = async () => { throw new Error('cache down'); };
+
+      const result = await mapsService.calculateDistance('New York, NY', 'Newark, NJ');
+
+      expect(result.distance.miles).toBe(20);
+      expect(mapsService.cacheMetrics.distance).toMatchObject({ hits: 0, misses: 1, errors: 1 });
+    });
+
+    test('clearCache passes the filters to the backend', async () => {
+      await mapsService.calculateDistance('New York, NY', 'Newark, NJ');
+      await mapsService.calculateDistance('Newark, NJ', 'Trenton, NJ');
+
+      expect(await mapsService.clearCache({ types: ['geocode'] })).toBe(0);
+      expect(await mapsService.clearCache({ types: ['distance'], match: 'Trenton' })).toBe(1);
+      expect((await mapsService.getCacheStats()).size).toBe(1);
+    });
+  });
+
+  describe('Postgres cache backend', () => {
+    useTestDatabase();
+
+    beforeEach(async () => {
+      useCache(new PostgresMapsCache());
+      await models.MapsCacheEntry.destroy({ where: {} });
+    });
+
+    test('shares stored lookups, expires them after their TTL and clears by filter', async () => {
+      await mapsService.calculateDistance('New York, NY', 'Newark, NJ');
+      await mapsService.calculateDistance('New York, NY', 'Newark, NJ');
+      await mapsService.cache.set('geocode', 'stub|100%_newark', { lat: 40.73 }, 60 * 60 * 1000, 'stub');
+
+      expect(stubProvider.distance).toHaveBeenCalledTimes(1);
+      expect(mapsService.cacheMetrics.distance).toMatchObject({ hits: 1, misses: 1, writes: 1 });
+      expect(await mapsService.cache.count()).toBe(2);
+
+      // Wildcards in the match are literal text
+      expect(await mapsService.clearCache({ match: '%_Newark' })).toBe(1);
+
+      await models.MapsCacheEntry.update({ expires_at: new Date(Date.now() - 1000) }, { where: { call_type: 'distance' } });
+      expect(await mapsService.cache.count()).toBe(0);
+      await mapsService.calculateDistance('New York, NY', 'Newark, NJ');
+      expect(stubProvider.distance).toHaveBeenCalledTimes(2);
+
+      await models.MapsCacheEntry.update({ expires_at: new Date(Date.now() - 1000) }, { where: {} });
+      expect(await mapsService.purgeExpiredCache()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Memory Maps Cache - In-Process Cache Backend for MapsService
+ * Implements the maps cache interface (getMany, set, clear, purgeExpired, count) with a Map.
+ * Entries are lost on restart and are not shared between instances; use it for development and tests.
+ */
+
+class MemoryMapsCache {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  /**
+   * Live cached values for several lookups of one call type
+   * @param {string} callType - distance, geocode, reverseGeocode or places
+   * @param {Array} lookups - Normalized lookups
+   * @returns {Map} Cached value by lookup (expired and missing lookups are left out)
+   */
+  async getMany(callType, lookups) {
+    const now = Date.now();
+    const found = new Map();
+
+    lookups.forEach(lookup => {
+      const entry = this.entries.get(`${callType}:${lookup}`);
+      if (entry && entry.expiresAt > now) {
+        found.set(lookup, entry.value);
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Store a value
+   * @param {string} callType - Call type
+   * @param {string} lookup - Normalized lookup
+   * @param {Object} value - Provider result
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @param {string} provider - Provider that answered
+   */
+  async set(callType, lookup, value, ttlMs, provider) {
+    this.entries.set(`${callType}:${lookup}`, {
+      callType,
+      lookup,
+      value,
+      provider,
+      expiresAt: Date.now() + ttlMs
+    });
+  }
+
+  /**
+   * Remove entries, optionally only some call types or lookups containing some text
+   * @param {Object} filters - types: call types to clear; match: text the lookup must contain
+   * @returns {number} Entries removed
+   */
+  async clear(filters = {}) {
+    const match = filters.match ? filters.match.toLowerCase() : null;
+    let removed = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (filters.types && !filters.types.includes(entry.callType)) continue;
+      if (match && !entry.lookup.includes(match)) continue;
+      this.entries.delete(key);
+      removed++;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {number} Entries removed
+   */
+  async purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Number of live entries
+   * @returns {number} Entry count
+   */
+  async count() {
+    const now = Date.now();
+    return Array.from(this.entries.values()).filter(entry => entry.expiresAt > now).length;
+  }
+}
+
+module.exports = MemoryMapsCache;
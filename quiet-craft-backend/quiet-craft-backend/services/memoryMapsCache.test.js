@@ -0,0 +1,61 @@
+/**
+ * Memory Maps Cache - TTL expiry, purging and filtered clears
+ */
+
+const MemoryMapsCache = require('./memoryMapsCache');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('MemoryMapsCache', () => {
+  let cache;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: new Date('2026-06-01T12:00:00.000Z') });
+    cache = new MemoryMapsCache();
+
+    await cache.set('distance', 'google|new york, ny|newark, nj|driving', { miles: 14 }, HOUR_MS, 'google');
+    await cache.set('distance', 'google|newark, nj|trenton, nj|driving', { miles: 58 }, 24 * HOUR_MS, 'google');
+    await cache.set('geocode', 'google|newark, nj', { lat: 40.73 }, 24 * HOUR_MS, 'google');
+    await cache.set('places', 'google|40.73|-74.17|lodging|5000', [], HOUR_MS, 'google');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('returns live entries and leaves out missing ones', async () => {
+    const found = await cache.getMany('distance', ['google|new york, ny|newark, nj|driving', 'google|unknown|driving']);
+
+    expect(found).toEqual(new Map([['google|new york, ny|newark, nj|driving', { miles: 14 }]]));
+    expect(await cache.count()).toBe(4);
+  });
+
+  test('entries expire after their TTL and are purged', async () => {
+    jest.advanceTimersByTime(2 * HOUR_MS);
+
+    expect((await cache.getMany('distance', ['google|new york, ny|newark, nj|driving'])).size).toBe(0);
+    expect(await cache.count()).toBe(2);
+    expect(await cache.purgeExpired()).toBe(2);
+    expect(cache.entries.size).toBe(2);
+  });
+
+  test('clears only the given call types', async () => {
+    expect(await cache.clear({ types: ['distance', 'places'] })).toBe(3);
+    expect(Array.from(cache.entries.values()).map(entry => entry.callType)).toEqual(['geocode']);
+  });
+
+  test('clears only lookups containing the match, in any case', async () => {
+    expect(await cache.clear({ match: 'NEWARK' })).toBe(3);
+    expect(Array.from(cache.entries.values()).map(entry => entry.callType)).toEqual(['places']);
+  });
+
+  test('combines call types and match', async () => {
+    expect(await cache.clear({ types: ['distance'], match: 'trenton' })).toBe(1);
+    expect(await cache.count()).toBe(3);
+  });
+
+  test('clears everything without filters', async () => {
+    expect(await cache.clear()).toBe(4);
+    expect(await cache.count()).toBe(0);
+  });
+});
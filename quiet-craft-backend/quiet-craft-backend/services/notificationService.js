@@ -0,0 +1,136 @@
+/**
+ * Notification Service - Customer Email Notifications
+ * Sends email over SMTP (when ENABLE_EMAIL_NOTIFICATIONS is on) with optional quote PDF attachments
+ */
+
+const nodemailer = require('nodemailer');
+const quotePdfService = require('./quotePdfService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+class NotificationService {
+  constructor() {
+    this.enabled = process.env.ENABLE_EMAIL_NOTIFICATIONS === 'true';
+    this.from = process.env.EMAIL_FROM || 'Quiet Craft Solutions <quotes@quietcrafting.com>';
+    this.transporter = null;
+
+    if (this.enabled && !process.env.SMTP_HOST) {
+      logger.warn('Email notifications enabled but SMTP_HOST is not configured');
+    }
+  }
+
+  /**
+   * Whether email can be sent
+   * @returns {boolean} Enabled and configured
+   */
+  isConfigured() {
+    return this.enabled && !!process.env.SMTP_HOST;
+  }
+
+  /**
+   * SMTP transport, created on first use
+   * @returns {Object} Nodemailer transporter
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - to, subject, text, optional html and attachments
+   * @returns {Object} { sent, messageId } or { sent: false, reason } when email is not configured
+   */
+  async sendEmail(message) {
+    if (!this.isConfigured()) {
+      logger.warn('Email not sent: notifications are not configured', { to: message.to, subject: message.subject });
+      return { sent: false, reason: 'Email notifications are not configured' };
+    }
+
+    try {
+      const info = await this.getTransporter().sendMail({ from: this.from, ...message });
+
+      logger.info('Email sent', {
+        to: message.to,
+        subject: message.subject,
+        attachments: (message.attachments || []).map(attachment => attachment.filename),
+        messageId: info.messageId
+      });
+
+      return { sent: true, messageId: info.messageId };
+
+    } catch (error) {
+      logger.logError(error, { service: 'NotificationService.sendEmail', to: message.to, subject: message.subject });
+      throw new AppError(`Email could not be sent: ${error.message}`, 502);
+    }
+  }
+
+  /**
+   * Quote PDF as an email attachment
+   * @param {Object} quote - Quote record
+   * @returns {Object} Nodemailer attachment
+   */
+  async quoteAttachment(quote) {
+    return {
+      filename: `${quote.quote_id}.pdf`,
+      content: await quotePdfService.renderQuote(quote),
+      contentType: 'application/pdf'
+    };
+  }
+
+  /**
+   * Email a quote to its customer
+   * @param {Object} quote - Quote record
+   * @param {Object} options - to (defaults to the quote's contact email), message, attachPdf (defaults to true),
+   *   acceptUrl (share link for accepting online)
+   * @returns {Object} Send result
+   */
+  async sendQuote(quote, options = {}) {
+    const contact = quote.contact_info || {};
+    const to = options.to || contact.email;
+
+    if (!to) {
+      throw new AppError(`Quote ${quote.quote_id} has no contact email; pass a recipient`, 400);
+    }
+
+    const validUntil = quote.valid_until ? new Date(quote.valid_until).toISOString().split('T')[0] : null;
+    const lines = [
+      `Hello ${contact.name || 'there'},`,
+      '',
+      options.message || 'Thank you for your interest in Quiet Craft Solutions. Your quote is below.',
+      '',
+      `Quote: ${quote.quote_id}`,
+      `Route: ${quote.pickup_location} to ${quote.delivery_location}`,
+      `Total: $${parseFloat(quote.total).toFixed(2)}`,
+      validUntil ? `Valid until: ${validUntil}` : null,
+      options.acceptUrl ? `Review and accept online: ${options.acceptUrl}` : null,
+      '',
+      'Reply to this email or call us with any questions.',
+      'Quiet Craft Solutions'
+    ].filter(line => line !== null);
+
+    const attachments = options.attachPdf === false ? [] : [await this.quoteAttachment(quote)];
+
+    return await this.sendEmail({
+      to,
+      subject: `Your Quiet Craft Solutions quote ${quote.quote_id}`,
+      text: lines.join('\n'),
+      attachments
+    });
+  }
+}
+
+// Initialize service
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
@@ -0,0 +1,254 @@
+/**
+ * Offline Geo Provider - Distances from Bundled ZIP Prefix and City Centroids
+ * Implements the geo provider interface used by MapsService without any outside API.
+ * Addresses are placed at a city or 3-digit ZIP prefix centroid from config/geoCentroids.js.
+ * Road distance is the straight-line (haversine) distance times a road factor.
+ */
+
+const centroids = require('../config/geoCentroids');
+
+const EARTH_RADIUS_MILES = 3958.8;
+const METERS_PER_MILE = 1609.344;
+
+// Average speeds by trip length, as in MapsService.estimateTravelTime (without traffic)
+const DRIVING_SPEEDS_MPH = [
+  { maxMiles: 10, mph: 35 },
+  { maxMiles: 50, mph: 45 },
+  { maxMiles: Infinity, mph: 65 }
+];
+const MODE_SPEEDS_MPH = { walking: 3, bicycling: 10 };
+
+class OfflineGeoProvider {
+  /**
+   * @param {Object} options - roadFactor: road miles per straight-line mile; table: centroid table
+   */
+  constructor(options = {}) {
+    this.name = 'offline';
+    // Answers are computed locally, so caching them would save nothing
+    this.cacheable = false;
+    this.roadFactor = options.roadFactor || 1.3;
+    this.table = options.table || centroids;
+
+    // Every named place, from the city list and the ZIP prefixes
+    const places = new Map();
+    [...this.table.cities, ...Object.values(this.table.zipPrefixes)].forEach(place => {
+      const key = `${place.city}, ${place.state}`;
+      if (!places.has(key)) {
+        places.set(key, { ...place, key, pattern: this.buildPlacePattern(place) });
+      }
+    });
+    // Longest names first, so "East Rutherford, NJ" wins over a shorter name inside it
+    this.places = Array.from(places.values()).sort((a, b) => b.city.length - a.city.length);
+  }
+
+  /**
+   * The offline table is always available
+   * @returns {boolean} True
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Lowercase an address and drop periods, so "St. Louis,MO" reads "st louis,mo"
+   * @param {string} text - Address text
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return String(text).toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Pattern matching "City, ST" (comma optional) as whole words
+   * @param {Object} place - { city, state }
+   * @returns {RegExp} Pattern for normalized addresses
+   */
+  buildPlacePattern(place) {
+    const city = this.normalize(place.city).replace(/[-\\^$*+?()[\]{}|]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${city}\\s*,?\\s*${place.state.toLowerCase()}([^a-z]|$)`);
+  }
+
+  /**
+   * Place a location at a centroid
+   * @param {string} location - Address, "City, ST", ZIP code or "lat,lng"
+   * @returns {Object} { key, city, state, lat, lng, precision }
+   */
+  resolve(location) {
+    const text = String(location || '').trim();
+
+    const coordinates = text.match(/^(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)$/);
+    if (coordinates) {
+      const lat = parseFloat(coordinates[1]);
+      const lng = parseFloat(coordinates[2]);
+      return { key: `${lat},${lng}`, city: null, state: null, lat, lng, precision: 'coordinates' };
+    }
+
+    const normalized = this.normalize(text);
+    const place = this.places.find(candidate => candidate.pattern.test(normalized));
+    if (place) {
+      return { key: place.key, city: place.city, state: place.state, lat: place.lat, lng: place.lng, precision: 'city' };
+    }
+
+    // The ZIP code comes last in an address; earlier 5-digit numbers are street numbers
+    const zips = text.match(/\b\d{5}(?:-\d{4})?\b/g);
+    const prefix = zips ? zips[zips.length - 1].substring(0, 3) : null;
+    const zipPlace = prefix && this.table.zipPrefixes[prefix];
+    if (zipPlace) {
+      return { key: `zip-${prefix}`, city: zipPlace.city, state: zipPlace.state, lat: zipPlace.lat, lng: zipPlace.lng, precision: 'zipPrefix' };
+    }
+
+    throw new Error(`${text || 'Empty location'} is not in the offline location table`);
+  }
+
+  /**
+   * Straight-line distance between two points
+   * @param {Object} from - { lat, lng }
+   * @param {Object} to - { lat, lng }
+   * @returns {number} Miles along the earth's surface
+   */
+  haversineMiles(from, to) {
+    const radians = (degrees) => degrees * Math.PI / 180;
+    const dLat = radians(to.lat - from.lat);
+    const dLng = radians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Format minutes the way Google does ("45 mins", "1 hour 5 mins")
+   * @param {number} minutes - Duration in minutes
+   * @returns {string} Duration text
+   */
+  formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) {
+      return `${rest} mins`;
+    }
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'}${rest > 0 ? ` ${rest} mins` : ''}`;
+  }
+
+  /**
+   * Route between two resolved locations
+   * @param {string} origin - Origin as given
+   * @param {string} destination - Destination as given
+   * @param {Object} from - Resolved origin
+   * @param {Object} to - Resolved destination
+   * @param {string} mode - Travel mode
+   * @returns {Object} Distance and duration information (marked estimated)
+   */
+  buildRoute(origin, destination, from, to, mode) {
+    const miles = from.key === to.key
+      ? this.table.localMiles
+      : Math.round(this.haversineMiles(from, to) * this.roadFactor * 100) / 100;
+    const mph = MODE_SPEEDS_MPH[mode] || DRIVING_SPEEDS_MPH.find(band => miles < band.maxMiles).mph;
+    const minutes = Math.max(1, Math.round((miles / mph) * 60));
+
+    return {
+      distance: {
+        text: `${miles} mi (estimated)`,
+        value: Math.round(miles * METERS_PER_MILE), // meters
+        miles
+      },
+      duration: {
+        text: `${this.formatDuration(minutes)} (estimated)`,
+        value: minutes * 60, // seconds
+        minutes
+      },
+      origin,
+      destination,
+      mode,
+      provider: this.name,
+      estimated: true,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Route between two locations
+   * @param {string} origin - Origin address or coordinates
+   * @param {string} destination - Destination address or coordinates
+   * @param {string} mode - Travel mode (driving, transit, walking, bicycling)
+   * @returns {Object} Distance and duration information
+   */
+  async distance(origin, destination, mode = 'driving') {
+    return this.buildRoute(origin, destination, this.resolve(origin), this.resolve(destination), mode);
+  }
+
+  /**
+   * Routes between every pair of locations
+   * @param {Array} locations - Addresses or coordinates
+   * @param {string} mode - Travel mode (driving, transit, walking, bicycling)
+   * @returns {Array} Matrix where [i][j] is the route from locations[i] to locations[j] (null on the diagonal)
+   */
+  async distanceMatrix(locations, mode = 'driving') {
+    const resolved = locations.map(location => this.resolve(location));
+
+    return locations.map((origin, i) => locations.map((destination, j) => (
+      i === j ? null : this.buildRoute(origin, destination, resolved[i], resolved[j], mode)
+    )));
+  }
+
+  /**
+   * Describe a resolved place in the shape of a geocoding result
+   * @param {Object} place - Resolved place
+   * @returns {Object} Geocoding result (placeId is always null)
+   */
+  toGeocodeResult(place) {
+    return {
+      formattedAddress: place.city ? `${place.city}, ${place.state}` : `${place.lat}, ${place.lng}`,
+      coordinates: { lat: place.lat, lng: place.lng },
+      addressComponents: place.city
+        ? [
+          { long_name: place.city, short_name: place.city, types: ['locality', 'political'] },
+          { long_name: place.state, short_name: place.state, types: ['administrative_area_level_1', 'political'] }
+        ]
+        : [],
+      placeId: null,
+      types: ['approximate'],
+      precision: place.precision,
+      provider: this.name,
+      estimated: true,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Geocode an address to the centroid it falls in
+   * @param {string} address - Address to geocode
+   * @returns {Object} Geocoding result with coordinates
+   */
+  async geocode(address) {
+    return this.toGeocodeResult(this.resolve(address));
+  }
+
+  /**
+   * Reverse geocode coordinates to the nearest place in the table
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Object} Address information
+   */
+  async reverseGeocode(lat, lng) {
+    const point = { lat, lng };
+    const nearest = this.places.reduce((best, place) => (
+      this.haversineMiles(point, place) < this.haversineMiles(point, best) ? place : best
+    ));
+
+    return {
+      ...this.toGeocodeResult({ ...nearest, precision: 'nearestCity' }),
+      coordinates: { lat, lng }
+    };
+  }
+
+  /**
+   * The offline table has no points of interest
+   * @returns {Array} Always empty
+   */
+  async nearbyPlaces() {
+    return [];
+  }
+}
+
+module.exports = OfflineGeoProvider;
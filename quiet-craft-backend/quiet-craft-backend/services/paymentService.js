@@ -0,0 +1,339 @@
+/**
+ * Payment Service - Deposit and Payment Ledger for Quotes
+ * Reconciles payment provider events and staff-recorded payments against a quote's ledger
+ * and computes the deposit, balance due and paid status from it
+ */
+
+const { sequelize, models } = require('../models');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class PaymentService {
+  constructor() {
+    // Share of the quote total collected up front (percent)
+    this.depositPercentage = process.env.DEPOSIT_PERCENTAGE !== undefined
+      ? parseFloat(process.env.DEPOSIT_PERCENTAGE)
+      : 25;
+    this.defaultProvider = process.env.PAYMENT_PROVIDER || 'external';
+  }
+
+  /**
+   * Convert a provider amount in cents to dollars
+   * @param {number|string} cents - Amount in the currency's minor unit
+   * @returns {number} Amount in dollars
+   */
+  fromCents(cents) {
+    return round(parseInt(cents) / 100);
+  }
+
+  /**
+   * Whether a provider amount is a whole, non-negative number of cents (as a number or digit string)
+   * @param {*} cents - Amount from the event
+   * @returns {boolean} True when the amount can be reconciled
+   */
+  isValidCents(cents) {
+    return (typeof cents === 'number' || typeof cents === 'string') && /^\d+$/.test(String(cents));
+  }
+
+  /**
+   * Quote ID carried by a provider event (metadata.quote_id, or quote_id at the top level)
+   * @param {Object} data - Provider event data
+   * @returns {string|null} Human-readable quote ID
+   */
+  getEventQuoteId(data) {
+    const quoteId = (data.metadata && data.metadata.quote_id) || data.quote_id;
+    return quoteId ? String(quoteId).toUpperCase() : null;
+  }
+
+  /**
+   * Find the quote a provider event belongs to
+   * @param {Object} data - Provider event data
+   * @param {Object} options - Optional transaction
+   * @returns {Object|null} Quote record, or null when the event cannot be matched
+   */
+  async findEventQuote(data, options = {}) {
+    const quoteId = this.getEventQuoteId(data);
+    if (!quoteId) return null;
+
+    return await models.Quote.findOne({ where: { quote_id: quoteId }, transaction: options.transaction });
+  }
+
+  /**
+   * Deposit percentage for a quote: the one snapshotted on its booking, else the current one
+   * @param {Object} quote - Quote record
+   * @param {Object} options - Optional transaction
+   * @returns {number} Deposit percentage
+   */
+  async getDepositPercentage(quote, options = {}) {
+    const booking = await models.Booking.findByQuote(quote.id, options);
+
+    return booking && booking.deposit_percentage !== null
+      ? parseFloat(booking.deposit_percentage)
+      : this.depositPercentage;
+  }
+
+  /**
+   * Paid status from the amounts on the ledger
+   * @param {Object} amounts - total, depositAmount, netPaid, refundedAmount
+   * @returns {string} unpaid | partially_paid | deposit_paid | paid | refunded
+   */
+  getPaidStatus({ total, depositAmount, netPaid, refundedAmount }) {
+    if (netPaid <= 0) {
+      return refundedAmount > 0 ? 'refunded' : 'unpaid';
+    }
+    if (netPaid >= total) return 'paid';
+    if (netPaid >= depositAmount) return 'deposit_paid';
+    return 'partially_paid';
+  }
+
+  /**
+   * Ledger summary for a quote
+   * @param {Object} quote - Quote record
+   * @param {Object} options - Optional transaction
+   * @returns {Object} Amounts, paid status and ledger entries
+   */
+  async getLedger(quote, options = {}) {
+    const entries = await models.Payment.findAllForQuote(quote.id, options);
+    const depositPercentage = await this.getDepositPercentage(quote, options);
+
+    const total = parseFloat(quote.total);
+    const depositAmount = round(total * depositPercentage / 100);
+    const succeeded = entries.filter(entry => entry.status === 'succeeded');
+    const paidAmount = round(succeeded
+      .filter(entry => entry.entry_type === 'payment')
+      .reduce((sum, entry) => sum + parseFloat(entry.amount), 0));
+    const refundedAmount = round(succeeded
+      .filter(entry => entry.entry_type === 'refund')
+      .reduce((sum, entry) => sum + parseFloat(entry.amount), 0));
+    const netPaid = round(paidAmount - refundedAmount);
+
+    return {
+      quoteId: quote.quote_id,
+      quoteStatus: quote.status,
+      currency: 'USD',
+      total,
+      depositPercentage,
+      depositAmount,
+      depositDue: round(Math.max(depositAmount - netPaid, 0)),
+      paidAmount,
+      refundedAmount,
+      netPaid,
+      balanceDue: round(Math.max(total - netPaid, 0)),
+      overpaidAmount: round(Math.max(netPaid - total, 0)),
+      status: this.getPaidStatus({ total, depositAmount, netPaid, refundedAmount }),
+      entries: entries.map(entry => entry.toPaymentResponse())
+    };
+  }
+
+  /**
+   * Ledger summary by quote ID
+   * @param {string} quoteId - Human-readable quote ID
+   * @returns {Object} Ledger summary
+   */
+  async getLedgerForQuoteId(quoteId) {
+    const quote = await models.Quote.findByQuoteId(quoteId);
+    if (!quote) {
+      throw new AppError(`No quote exists with ID ${quoteId}`, 404);
+    }
+
+    return await this.getLedger(quote);
+  }
+
+  /**
+   * Purpose of a new payment: the deposit until it is covered, the balance after that
+   * @param {Object} quote - Quote record
+   * @param {Object} options - Optional transaction
+   * @returns {string} deposit | balance
+   */
+  async getNextPurpose(quote, options = {}) {
+    const ledger = await this.getLedger(quote, options);
+    return ledger.depositDue > 0 ? 'deposit' : 'balance';
+  }
+
+  /**
+   * Reconcile a provider payment event (succeeded, failed or pending) with the ledger
+   * @param {Object} data - Provider event data: id, amount (cents), currency, metadata.quote_id, ...
+   * @param {string} status - succeeded | failed | pending
+   * @returns {Object} { reconciled, reason, payment, ledger }
+   */
+  async reconcilePayment(data, status) {
+    if (!this.isValidCents(data.amount)) {
+      logger.warn('Payment event has no valid amount', { paymentId: data.id, amount: data.amount });
+      return { reconciled: false, reason: 'Event amount must be a whole number of cents' };
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const quote = await this.findEventQuote(data, { transaction });
+      if (!quote) {
+        logger.warn('Payment event does not match a quote', { paymentId: data.id, quoteId: this.getEventQuoteId(data) });
+        return { reconciled: false, reason: 'No quote matches the event' };
+      }
+
+      let payment = await models.Payment.findByReference(data.id, { transaction });
+
+      if (payment && payment.entry_type !== 'payment') {
+        return { reconciled: false, reason: `Reference ${data.id} is a ${payment.entry_type}` };
+      }
+
+      // Events can arrive out of order; a succeeded payment never goes back to failed or pending
+      if (payment && payment.status === 'succeeded' && status !== 'succeeded') {
+        logger.warn('Ignoring stale payment event', { paymentId: data.id, status });
+        return { reconciled: true, payment, ledger: await this.getLedger(quote, { transaction }) };
+      }
+
+      const attributes = {
+        status,
+        amount: this.fromCents(data.amount),
+        currency: String(data.currency || 'usd').toUpperCase(),
+        method: data.payment_method || data.method || null,
+        failure_reason: status === 'failed' ? (data.failure_reason || 'Payment failed') : null,
+        processed_at: status === 'pending' ? null : new Date()
+      };
+
+      if (payment) {
+        await payment.update(attributes, { transaction });
+      } else {
+        const purpose = (data.metadata && data.metadata.purpose) || await this.getNextPurpose(quote, { transaction });
+
+        payment = await models.Payment.create({
+          ...attributes,
+          quote_id: quote.id,
+          entry_type: 'payment',
+          purpose: ['deposit', 'balance', 'other'].includes(purpose) ? purpose : 'other',
+          provider: data.provider || this.defaultProvider,
+          provider_reference: data.id
+        }, { transaction });
+      }
+
+      const ledger = await this.getLedger(quote, { transaction });
+
+      logger.info('Payment reconciled', {
+        quoteId: quote.quote_id,
+        paymentId: data.id,
+        status,
+        amount: attributes.amount,
+        paidStatus: ledger.status
+      });
+
+      return { reconciled: true, payment, ledger };
+    });
+  }
+
+  /**
+   * Reconcile a provider refund event. refund_amount is the total refunded on the payment so far
+   * (in cents), so redelivered events and partial refunds both settle to the right amount.
+   * @param {Object} data - Provider event data: id (payment), refund_amount (cents), refund_id, metadata.quote_id
+   * @returns {Object} { reconciled, reason, refund, ledger }
+   */
+  async reconcileRefund(data) {
+    if (!this.isValidCents(data.refund_amount)) {
+      logger.warn('Refund event has no valid refund amount', { paymentId: data.id, refundAmount: data.refund_amount });
+      return { reconciled: false, reason: 'Event refund_amount must be a whole number of cents' };
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const payment = await models.Payment.findByReference(data.id, { transaction });
+      const quote = payment
+        ? await models.Quote.findByPk(payment.quote_id, { transaction })
+        : await this.findEventQuote(data, { transaction });
+
+      if (!quote) {
+        logger.warn('Refund event does not match a quote', { paymentId: data.id, quoteId: this.getEventQuoteId(data) });
+        return { reconciled: false, reason: 'No quote matches the event' };
+      }
+
+      const refunds = await models.Payment.findAll({
+        where: { payment_reference: data.id, entry_type: 'refund', status: 'succeeded' },
+        transaction
+      });
+      const alreadyRefunded = round(refunds.reduce((sum, refund) => sum + parseFloat(refund.amount), 0));
+      const refundedTotal = this.fromCents(data.refund_amount);
+      const amount = round(refundedTotal - alreadyRefunded);
+
+      // Redelivered or superseded event
+      if (amount <= 0) {
+        return { reconciled: true, refund: null, ledger: await this.getLedger(quote, { transaction }) };
+      }
+
+      const refund = await models.Payment.create({
+        quote_id: quote.id,
+        entry_type: 'refund',
+        purpose: payment ? payment.purpose : 'other',
+        status: 'succeeded',
+        amount,
+        currency: String(data.currency || (payment && payment.currency) || 'usd').toUpperCase(),
+        provider: data.provider || (payment && payment.provider) || this.defaultProvider,
+        provider_reference: data.refund_id || `${data.id}:refund:${data.refund_amount}`,
+        payment_reference: data.id,
+        note: data.reason || null,
+        processed_at: new Date()
+      }, { transaction });
+
+      const ledger = await this.getLedger(quote, { transaction });
+
+      logger.info('Refund reconciled', {
+        quoteId: quote.quote_id,
+        paymentId: data.id,
+        amount,
+        paidStatus: ledger.status
+      });
+
+      return { reconciled: true, refund, ledger };
+    });
+  }
+
+  /**
+   * Record a payment or refund taken outside the provider (check, bank transfer, cash)
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} entry - type (payment | refund), amount (dollars), method, reference, purpose, note
+   * @param {string} userId - ID of the staff member recording it
+   * @returns {Object} { payment, ledger }
+   */
+  async recordManualEntry(quoteId, entry, userId) {
+    return await sequelize.transaction(async (transaction) => {
+      const quote = await models.Quote.findOne({ where: { quote_id: quoteId }, transaction });
+      if (!quote) {
+        throw new AppError(`No quote exists with ID ${quoteId}`, 404);
+      }
+
+      const type = entry.type || 'payment';
+      const amount = round(parseFloat(entry.amount));
+      const before = await this.getLedger(quote, { transaction });
+
+      if (type === 'refund' && amount > before.netPaid) {
+        throw new AppError(`Refund of $${amount.toFixed(2)} exceeds the $${before.netPaid.toFixed(2)} paid on quote ${quoteId}`, 400);
+      }
+
+      const reference = entry.reference || `manual-${quoteId}-${Date.now()}`;
+      if (await models.Payment.findByReference(reference, { transaction })) {
+        throw new AppError(`Payment reference ${reference} is already on the ledger`, 409);
+      }
+
+      const payment = await models.Payment.create({
+        quote_id: quote.id,
+        entry_type: type,
+        purpose: entry.purpose || (type === 'payment' ? (before.depositDue > 0 ? 'deposit' : 'balance') : 'other'),
+        status: 'succeeded',
+        amount,
+        provider: 'manual',
+        provider_reference: reference,
+        method: entry.method || null,
+        recorded_by: userId,
+        note: entry.note || null,
+        processed_at: new Date()
+      }, { transaction });
+
+      const ledger = await this.getLedger(quote, { transaction });
+
+      logger.info('Manual ledger entry recorded', { quoteId, type, amount, paidStatus: ledger.status, userId });
+      return { payment, ledger };
+    });
+  }
+}
+
+// Initialize service
+const paymentService = new PaymentService();
+
+module.exports = paymentService;
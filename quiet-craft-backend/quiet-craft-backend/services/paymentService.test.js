@@ -0,0 +1,172 @@
+/**
+ * Payment Service - ledger amounts, webhook reconciliation and refund redelivery
+ */
+
+const { useTestDatabase } = require('../test/database');
+const { createAcceptedQuote } = require('../test/quotes');
+const { models } = require('../models');
+const paymentService = require('./paymentService');
+
+/**
+ * Accept a $1,000.00 quote with a 25% deposit on its booking
+ * @returns {Object} Quote record
+ */
+const createBookedQuote = async () => {
+  const quote = await createAcceptedQuote({ total: 1000 });
+  await (await models.Booking.findByQuote(quote.id)).update({ deposit_percentage: 25 });
+  return quote;
+};
+
+const paymentEvent = (quote, id, cents, extra = {}) => ({
+  id,
+  amount: cents,
+  currency: 'usd',
+  metadata: { quote_id: quote.quote_id.toLowerCase() },
+  ...extra
+});
+
+describe('PaymentService', () => {
+  describe('getPaidStatus', () => {
+    const amounts = { total: 1000, depositAmount: 250, refundedAmount: 0 };
+
+    test.each([
+      [0, 0, 'unpaid'],
+      [100, 0, 'partially_paid'],
+      [250, 0, 'deposit_paid'],
+      [1000, 0, 'paid'],
+      [1200, 0, 'paid'],
+      [0, 250, 'refunded']
+    ])('net paid %p with %p refunded is %p', (netPaid, refundedAmount, status) => {
+      expect(paymentService.getPaidStatus({ ...amounts, netPaid, refundedAmount })).toBe(status);
+    });
+  });
+
+  describe('isValidCents', () => {
+    test('accepts whole non-negative cents as numbers or digit strings', () => {
+      expect([25000, '25000', 0].map(cents => paymentService.isValidCents(cents))).toEqual([true, true, true]);
+    });
+
+    test('rejects fractions, negatives, blanks and non-numbers', () => {
+      expect([12.5, '12.50', -100, '', null, undefined, '1e3', {}].map(cents => paymentService.isValidCents(cents)))
+        .toEqual([false, false, false, false, false, false, false, false]);
+    });
+  });
+
+  describe('reconciliation', () => {
+    useTestDatabase();
+
+    test('a deposit payment event fills the deposit first', async () => {
+      const quote = await createBookedQuote();
+
+      const { reconciled, payment, ledger } = await paymentService.reconcilePayment(paymentEvent(quote, 'pi_deposit_1', 25000), 'succeeded');
+
+      expect(reconciled).toBe(true);
+      expect(payment.purpose).toBe('deposit');
+      expect(ledger).toMatchObject({
+        total: 1000,
+        depositPercentage: 25,
+        depositAmount: 250,
+        depositDue: 0,
+        paidAmount: 250,
+        netPaid: 250,
+        balanceDue: 750,
+        status: 'deposit_paid'
+      });
+    });
+
+    test('redelivered and out-of-order events do not change the ledger', async () => {
+      const quote = await createBookedQuote();
+      const event = paymentEvent(quote, 'pi_redelivered_1', 25000);
+
+      await paymentService.reconcilePayment(event, 'succeeded');
+      await paymentService.reconcilePayment(event, 'succeeded');
+      const { ledger } = await paymentService.reconcilePayment(event, 'pending');
+
+      expect(ledger.entries).toHaveLength(1);
+      expect(ledger.entries[0].status).toBe('succeeded');
+      expect(ledger.netPaid).toBe(250);
+    });
+
+    test('failed payments stay on the ledger without counting towards it', async () => {
+      const quote = await createBookedQuote();
+
+      const { ledger } = await paymentService.reconcilePayment(
+        paymentEvent(quote, 'pi_failed_1', 25000, { failure_reason: 'Card declined' }),
+        'failed'
+      );
+
+      expect(ledger.entries).toEqual([expect.objectContaining({ status: 'failed', failureReason: 'Card declined' })]);
+      expect(ledger).toMatchObject({ netPaid: 0, depositDue: 250, status: 'unpaid' });
+    });
+
+    test('the balance payment marks the quote paid', async () => {
+      const quote = await createBookedQuote();
+
+      await paymentService.reconcilePayment(paymentEvent(quote, 'pi_deposit_2', 25000), 'succeeded');
+      const { payment, ledger } = await paymentService.reconcilePayment(paymentEvent(quote, 'pi_balance_2', 75000), 'succeeded');
+
+      expect(payment.purpose).toBe('balance');
+      expect(ledger).toMatchObject({ netPaid: 1000, balanceDue: 0, overpaidAmount: 0, status: 'paid' });
+    });
+
+    test('refund events settle to the cumulative refunded amount, so redelivery is harmless', async () => {
+      const quote = await createBookedQuote();
+      await paymentService.reconcilePayment(paymentEvent(quote, 'pi_paid_3', 100000), 'succeeded');
+
+      const first = await paymentService.reconcileRefund({ id: 'pi_paid_3', refund_amount: 10000 });
+      const redelivered = await paymentService.reconcileRefund({ id: 'pi_paid_3', refund_amount: 10000 });
+      const second = await paymentService.reconcileRefund({ id: 'pi_paid_3', refund_amount: 15000 });
+
+      expect(parseFloat(first.refund.amount)).toBe(100);
+      expect(redelivered.refund).toBeNull();
+      expect(parseFloat(second.refund.amount)).toBe(50);
+      expect(second.ledger).toMatchObject({
+        paidAmount: 1000,
+        refundedAmount: 150,
+        netPaid: 850,
+        balanceDue: 150,
+        status: 'deposit_paid'
+      });
+    });
+
+    test('a full refund leaves the quote refunded', async () => {
+      const quote = await createBookedQuote();
+      await paymentService.reconcilePayment(paymentEvent(quote, 'pi_paid_4', 25000), 'succeeded');
+
+      const { ledger } = await paymentService.reconcileRefund({ id: 'pi_paid_4', refund_amount: 25000 });
+
+      expect(ledger).toMatchObject({ netPaid: 0, refundedAmount: 250, status: 'refunded' });
+    });
+
+    test('events without a whole-cent amount are not reconciled', async () => {
+      const quote = await createBookedQuote();
+
+      const payment = await paymentService.reconcilePayment(paymentEvent(quote, 'pi_bad_5', '250.00'), 'succeeded');
+      const refund = await paymentService.reconcileRefund({ id: 'pi_bad_5', refund_amount: -100 });
+
+      expect(payment).toEqual({ reconciled: false, reason: 'Event amount must be a whole number of cents' });
+      expect(refund.reconciled).toBe(false);
+      expect(await models.Payment.count({ where: { quote_id: quote.id } })).toBe(0);
+    });
+
+    test('events for an unknown quote are not reconciled', async () => {
+      const result = await paymentService.reconcilePayment(
+        { id: 'pi_orphan_6', amount: 1000, metadata: { quote_id: 'QC-00000000-ZZZZZ' } },
+        'succeeded'
+      );
+
+      expect(result).toEqual({ reconciled: false, reason: 'No quote matches the event' });
+    });
+
+    test('a manual refund cannot exceed what has been paid', async () => {
+      const quote = await createBookedQuote();
+      await paymentService.recordManualEntry(quote.quote_id, { amount: 100, method: 'check' }, 'staff_1');
+
+      await expect(paymentService.recordManualEntry(quote.quote_id, { type: 'refund', amount: 150 }, 'staff_1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      const { ledger } = await paymentService.recordManualEntry(quote.quote_id, { type: 'refund', amount: 100 }, 'staff_1');
+      expect(ledger).toMatchObject({ netPaid: 0, status: 'refunded' });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Postgres Maps Cache - Shared Cache Backend for MapsService
+ * Implements the maps cache interface (getMany, set, clear, purgeExpired, count) on the
+ * maps_cache_entries table, so lookups survive deploys and are shared by every instance.
+ */
+
+const crypto = require('crypto');
+const { models, Sequelize } = require('../models');
+
+const { Op } = Sequelize;
+
+class PostgresMapsCache {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  /**
+   * Row key for a lookup
+   * @param {string} callType - Call type
+   * @param {string} lookup - Normalized lookup
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(callType, lookup) {
+    return crypto.createHash('sha256').update(`${callType}:${lookup}`).digest('hex');
+  }
+
+  /**
+   * Live cached values for several lookups of one call type, in one query
+   * @param {string} callType - distance, geocode, reverseGeocode or places
+   * @param {Array} lookups - Normalized lookups
+   * @returns {Map} Cached value by lookup (expired and missing lookups are left out)
+   */
+  async getMany(callType, lookups) {
+    const keys = new Map(lookups.map(lookup => [this.hashKey(callType, lookup), lookup]));
+    const entries = await models.MapsCacheEntry.findLive(Array.from(keys.keys()));
+
+    return new Map(entries.map(entry => [keys.get(entry.cache_key), entry.value]));
+  }
+
+  /**
+   * Store a value, replacing an older entry for the same lookup
+   * @param {string} callType - Call type
+   * @param {string} lookup - Normalized lookup
+   * @param {Object} value - Provider result
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @param {string} provider - Provider that answered
+   */
+  async set(callType, lookup, value, ttlMs, provider) {
+    const cacheKey = this.hashKey(callType, lookup);
+    const attributes = {
+      call_type: callType,
+      provider,
+      lookup,
+      value,
+      expires_at: new Date(Date.now() + ttlMs)
+    };
+
+    const existing = await models.MapsCacheEntry.findOne({ where: { cache_key: cacheKey } });
+    if (existing) {
+      await existing.update(attributes);
+      return;
+    }
+
+    try {
+      await models.MapsCacheEntry.create({ cache_key: cacheKey, ...attributes });
+    } catch (error) {
+      // Another instance stored the same lookup first; its answer is as good as ours
+      if (error.name !== 'SequelizeUniqueConstraintError') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Remove entries, optionally only some call types or lookups containing some text
+   * @param {Object} filters - types: call types to clear; match: text the lookup must contain
+   * @returns {number} Entries removed
+   */
+  async clear(filters = {}) {
+    const where = {};
+    if (filters.types) {
+      where.call_type = { [Op.in]: filters.types };
+    }
+    if (filters.match) {
+      where.lookup = { [Op.like]: `%${filters.match.toLowerCase().replace(/[\\%_]/g, '\\$&')}%` };
+    }
+
+    return await models.MapsCacheEntry.destroy({ where });
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {number} Entries removed
+   */
+  async purgeExpired() {
+    return await models.MapsCacheEntry.purgeExpired();
+  }
+
+  /**
+   * Number of live entries
+   * @returns {number} Entry count
+   */
+  async count() {
+    return await models.MapsCacheEntry.count({
+      where: { expires_at: { [Op.gt]: new Date() } }
+    });
+  }
+}
+
+module.exports = PostgresMapsCache;
@@ -0,0 +1,258 @@
+/**
+ * Pricing Config Service - Database-Backed Rate Card
+ * Loads the live pricing table from the Configuration model, switches it between pricing versions and keeps every instance in sync
+ */
+
+const { models } = require('../models');
+const pricingService = require('./pricingService');
+const logger = require('../utils/logger');
+const { validatePricing } = require('../config/pricingSchema');
+const { AppError } = require('../middleware/errorHandler');
+
+class PricingConfigService {
+  constructor() {
+    this.configKey = 'pricing_rate_card';
+    this.versionKey = 'pricing_rate_card_version';
+    this.category = 'pricing';
+
+    // How often instances check for a rate card changed elsewhere (1 minute by default)
+    this.syncIntervalMs = parseInt(process.env.PRICING_SYNC_INTERVAL_MS) || 60 * 1000;
+    this.syncTimer = null;
+
+    // updated_at of the rate card currently applied
+    this.loadedVersion = null;
+  }
+
+  /**
+   * Build a validation error carrying per-field details
+   * @param {Array} errors - Violations from validatePricing
+   * @returns {AppError} Error with a details array
+   */
+  validationError(errors) {
+    const error = new AppError('Pricing configuration is invalid', 400);
+    error.details = errors;
+    return error;
+  }
+
+  /**
+   * Apply a stored rate card row to the pricing engine
+   * @param {Object} config - Rate card configuration record
+   * @param {Object} versionConfig - Active version configuration record
+   * @returns {boolean} Whether the rate card was applied
+   */
+  applyConfig(config, versionConfig) {
+    const pricing = config.getParsedValue();
+    const errors = validatePricing(pricing);
+
+    if (errors.length > 0) {
+      // Keep serving the last good rate card rather than pricing from a broken one
+      logger.logError(new Error('Stored pricing configuration failed validation'), {
+        service: 'PricingConfigService.applyConfig',
+        errors
+      });
+      return false;
+    }
+
+    pricingService.setPricing(pricing, {
+      source: 'database',
+      version: versionConfig ? versionConfig.getParsedValue() : null,
+      updatedBy: config.updated_by,
+      updatedAt: config.updated_at
+    });
+    this.loadedVersion = new Date(config.updated_at).getTime();
+
+    return true;
+  }
+
+  /**
+   * Read the live rate card and version rows
+   * @param {Object} options - Query options (transaction, lock)
+   * @returns {Array} [rateCardConfig, versionConfig]
+   */
+  async findLiveConfig(options = {}) {
+    return await Promise.all([
+      models.Configuration.findOne({ where: { key: this.configKey }, ...options }),
+      models.Configuration.findOne({ where: { key: this.versionKey }, ...options })
+    ]);
+  }
+
+  /**
+   * Load the rate card, seeding it and version 1 from the built-in defaults on first run
+   * @returns {Object} Active pricing table
+   */
+  async loadPricing() {
+    const [config, created] = await models.Configuration.findOrCreate({
+      where: { key: this.configKey },
+      defaults: {
+        key: this.configKey,
+        value: JSON.stringify(pricingService.pricing),
+        type: 'json',
+        category: this.category,
+        description: 'Pricing rate card used for every quote',
+        is_system: true,
+        updated_by: 'system'
+      }
+    });
+
+    if (created) {
+      logger.info('Pricing configuration seeded from defaults');
+    }
+
+    // Rate cards saved before versioning become version 1
+    if (await models.PricingVersion.count() === 0) {
+      try {
+        await models.PricingVersion.create({
+          version: 1,
+          status: 'published',
+          rate_card: config.getParsedValue(),
+          notes: 'Initial rate card',
+          published_at: new Date(),
+          created_by: config.updated_by,
+          published_by: config.updated_by
+        });
+      } catch (error) {
+        // Another instance starting at the same time seeded version 1 first
+        if (error.name !== 'SequelizeUniqueConstraintError') {
+          throw error;
+        }
+      }
+
+      await models.Configuration.findOrCreate({
+        where: { key: this.versionKey },
+        defaults: {
+          key: this.versionKey,
+          value: '1',
+          type: 'number',
+          category: this.category,
+          description: 'Pricing version currently live',
+          is_system: true,
+          updated_by: config.updated_by
+        }
+      });
+    }
+
+    const [liveConfig, versionConfig] = await this.findLiveConfig();
+    this.applyConfig(liveConfig, versionConfig);
+
+    logger.info('Pricing configuration loaded', {
+      version: pricingService.pricingSource.version,
+      updatedBy: liveConfig.updated_by,
+      updatedAt: liveConfig.updated_at
+    });
+
+    return pricingService.pricing;
+  }
+
+  /**
+   * Make a pricing version the live rate card.
+   * Callers apply it locally with syncPricing() once the transaction commits;
+   * other instances pick it up on their next sync.
+   * @param {Object} pricingVersion - PricingVersion record to publish
+   * @param {string} userId - ID of the admin publishing (null for scheduled go-lives)
+   * @param {Object} transaction - Open transaction
+   */
+  async activateVersion(pricingVersion, userId, transaction) {
+    const now = new Date();
+
+    const [config, versionConfig] = await this.findLiveConfig({
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!config) {
+      throw new AppError('Pricing configuration has not been loaded', 503);
+    }
+
+    const current = await models.PricingVersion.findPublished({ transaction });
+    if (current && current.id !== pricingVersion.id) {
+      await current.update({ status: 'archived', archived_at: now }, { transaction });
+    }
+
+    await pricingVersion.update({
+      status: 'published',
+      published_at: now,
+      published_by: userId || pricingVersion.published_by,
+      archived_at: null
+    }, { transaction });
+
+    const updatedBy = userId || pricingVersion.published_by || 'system';
+
+    config.setValue(pricingVersion.rate_card);
+    config.updated_by = updatedBy;
+    // Always bump updated_at so other instances notice a version switch to an identical rate card
+    config.changed('value', true);
+    await config.save({ transaction });
+
+    if (versionConfig) {
+      versionConfig.setValue(pricingVersion.version);
+      versionConfig.updated_by = updatedBy;
+      await versionConfig.save({ transaction });
+    } else {
+      await models.Configuration.create({
+        key: this.versionKey,
+        value: String(pricingVersion.version),
+        type: 'number',
+        category: this.category,
+        description: 'Pricing version currently live',
+        is_system: true,
+        updated_by: updatedBy
+      }, { transaction });
+    }
+  }
+
+  /**
+   * Reload the rate card if another instance changed it
+   * @returns {boolean} Whether a newer rate card was applied
+   */
+  async syncPricing() {
+    const [config, versionConfig] = await this.findLiveConfig();
+
+    if (!config || new Date(config.updated_at).getTime() === this.loadedVersion) {
+      return false;
+    }
+
+    const applied = this.applyConfig(config, versionConfig);
+    if (applied) {
+      logger.info('Pricing configuration reloaded', {
+        version: pricingService.pricingSource.version,
+        updatedBy: config.updated_by,
+        updatedAt: config.updated_at
+      });
+    }
+
+    return applied;
+  }
+
+  /**
+   * Load the rate card and start polling for changes
+   */
+  async initialize() {
+    await this.loadPricing();
+
+    if (this.syncTimer) return;
+
+    this.syncTimer = setInterval(() => {
+      this.syncPricing().catch(error => {
+        logger.logError(error, { service: 'PricingConfigService.syncPricing' });
+      });
+    }, this.syncIntervalMs);
+    this.syncTimer.unref();
+
+    logger.info('Pricing configuration sync started', { intervalMs: this.syncIntervalMs });
+  }
+
+  /**
+   * Stop polling for changes
+   */
+  stopSync() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+  }
+}
+
+// Initialize service
+const pricingConfigService = new PricingConfigService();
+
+module.exports = pricingConfigService;
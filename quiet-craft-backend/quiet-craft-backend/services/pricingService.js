@@ -4,11 +4,19 @@
  */
 
 const mapsService = require('./mapsService');
+const discountService = require('./discountService');
+const taxService = require('./taxService');
+const demandService = require('./demandService');
+const storagePricing = require('../shared/storagePricing');
+const pricingEngine = require('../shared/pricingEngine');
 const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { mergePricing } = require('../config/pricingSchema');
 
 class PricingService {
   constructor() {
-    // Base pricing configuration (can be overridden via environment variables)
+    // Default pricing configuration (can be overridden via environment variables).
+    // Seeds the stored rate card on first start; the database copy wins afterwards.
     this.pricing = {
       baseFee: parseFloat(process.env.BASE_DELIVERY_FEE) || 75.00,
       
@@ -50,7 +58,7 @@ class PricingService {
         venueCoordination: 100.00,
         onSiteSupport: 75.00,
         setupAssistance: 125.00,
-        storageDaily: 25.00,
+        storageDaily: 25.00, // flat fee for requests without storage dates (see storage below)
         customsHandling: 150.00,
         insurancePremium: 0.02, // 2% of declared value
         weekendDelivery: 50.00,
@@ -78,9 +86,94 @@ class PricingService {
         hazardous: 1.8,
         timeRestricted: 1.4,
         specialEquipment: 1.6
+      },
+
+      // Dimensional-weight item pricing (weights in lbs, dimensions in inches)
+      dimensionalPricing: {
+        enabled: false,
+        divisors: {
+          domestic: 139, // cubic inches per billable lb
+          international: 166
+        },
+        sizeLimits: {
+          small: 20, // billable lbs up to which an item bills as small
+          medium: 70,
+          large: 150 // heavier bills as extraLarge
+        },
+        overweight: {
+          thresholdLbs: 150,
+          ratePerLb: 0.50 // per actual lb above the threshold, per unit
+        }
+      },
+
+      // Vehicle catalog for capacity-aware quoting
+      fleet: {
+        enabled: true,
+        maxVehicles: 6,
+        loadFactor: 0.85, // share of cargo volume usable once items are stacked
+        vehicles: {
+          cargoVan: { cargoCubicFeet: 250, payloadLbs: 3000, maxLengthInches: 120, hourlyRate: 45.00, mileageRate: 0.75, minimumHours: 2 },
+          boxTruck: { cargoCubicFeet: 800, payloadLbs: 5000, maxLengthInches: 192, hourlyRate: 70.00, mileageRate: 1.10, minimumHours: 2 },
+          truck26: { cargoCubicFeet: 1700, payloadLbs: 10000, maxLengthInches: 312, hourlyRate: 95.00, mileageRate: 1.50, minimumHours: 3 }
+        },
+        // Assumed per-unit volume and weight of items without measurements
+        sizeDefaults: {
+          small: { cubicFeet: 2, weightLbs: 10 },
+          medium: { cubicFeet: 8, weightLbs: 35 },
+          large: { cubicFeet: 25, weightLbs: 100 },
+          extraLarge: { cubicFeet: 60, weightLbs: 250 }
+        }
+      },
+
+      // Warehouse storage quoted by stay and space (see shared/storagePricing.js, also used by the website)
+      storage: {
+        dailyRatePerPallet: 1.50,
+        monthlyRates: {
+          monthly: { minMonths: 1, ratePerPallet: 35.00 }, // per 30 days
+          quarterly: { minMonths: 3, ratePerPallet: 30.00 },
+          longTerm: { minMonths: 6, ratePerPallet: 26.00 }
+        },
+        handlingInPerPallet: 12.00,
+        handlingOutPerPallet: 12.00,
+        cubicFeetPerPallet: 60, // usable volume of one pallet position (40 x 48 in, stacked 54 in high)
+        minimumDays: 1,
+        minimumCharge: 25.00,
+        // Assumed per-unit volume of items without dimensions
+        sizeCubicFeet: {
+          small: 2,
+          medium: 8,
+          large: 25,
+          extraLarge: 60
+        }
+      },
+
+      // Surge pricing from the booking calendar (utilisation = committed bookings / capacity on the event date)
+      demandPricing: {
+        enabled: false,
+        dailyCapacity: 10, // bookings the fleet can take per event date
+        maxMultiplier: 1.5, // cap on the demand multiplier whatever the level
+        levels: {
+          busy: { utilization: 0.6, multiplier: 1.1 },
+          peak: { utilization: 0.8, multiplier: 1.25 },
+          nearCapacity: { utilization: 0.95, multiplier: 1.4 }
+        },
+        // Capacity for specific dates ('YYYY-MM-DD': bookings), e.g. extra trucks hired for a trade-show week
+        capacityOverrides: {}
       }
     };
 
+    // Kept to fill in sections added since a stored rate card was saved
+    this.defaultPricing = this.pricing;
+
+    // Built-in defaults until the stored rate card is loaded
+    this.pricingSource = { source: 'defaults', version: null, updatedBy: null, updatedAt: null };
+
+    // Urgency multiplier for emergency requests
+    this.emergencyMultiplier = parseFloat(process.env.EMERGENCY_MULTIPLIER) || pricingEngine.DEFAULT_EMERGENCY_MULTIPLIER;
+
+    // How long a generated quote stays valid
+    this.quoteValidityDays = parseInt(process.env.QUOTE_VALIDITY_DAYS) || 7;
+
     // Quote history for analytics
     this.quoteHistory = [];
   }
@@ -97,20 +190,8 @@ class PricingService {
       // Validate and normalize request
       const normalizedRequest = this.normalizeQuoteRequest(quoteRequest);
       
-      // Calculate distance if locations provided
-      let distanceInfo = null;
-      if (normalizedRequest.pickup && normalizedRequest.delivery) {
-        distanceInfo = await this.calculateDistance(
-          normalizedRequest.pickup,
-          normalizedRequest.delivery
-        );
-      }
-
-      // Build quote components
-      const quoteComponents = await this.buildQuoteComponents(normalizedRequest, distanceInfo);
-      
-      // Calculate final pricing
-      const pricing = this.calculateFinalPricing(quoteComponents);
+      // Price the request
+      const { distanceInfo, ...pricing } = await this.calculateQuote(normalizedRequest);
       
       // Generate quote ID and metadata
       const quoteId = this.generateQuoteId();
@@ -119,8 +200,7 @@ class PricingService {
         ...pricing,
         request: normalizedRequest,
         distanceInfo,
-        components: quoteComponents,
-        validUntil: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+        validUntil: new Date(Date.now() + this.quoteValidityDays * 24 * 60 * 60 * 1000),
         createdAt: new Date().toISOString(),
         processingTime: Date.now() - startTime
       };
@@ -155,10 +235,126 @@ class PricingService {
         request: quoteRequest
       });
 
-      throw new Error(`Quote generation failed: ${error.message}`);
+      throw new AppError(`Quote generation failed: ${error.message}`, error.statusCode || 500);
     }
   }
 
+  /**
+   * Price a normalized request without assigning a quote ID
+   * @param {Object} normalizedRequest - Output of normalizeQuoteRequest
+   * @returns {Object} Final pricing plus components, distance information and the plain-English explanation
+   */
+  async calculateQuote(normalizedRequest) {
+    const pricedAt = new Date();
+    const distanceInfo = await this.calculateRequestDistance(normalizedRequest);
+
+    // Build quote components
+    const components = await this.buildQuoteComponents(normalizedRequest, distanceInfo);
+
+    // Calculate final pricing
+    const pricing = this.calculateFinalPricing(components);
+
+    return {
+      ...pricing,
+      pricingVersion: this.pricingSource.version,
+      distanceInfo,
+      components,
+      // Why each fee and multiplier applies (the AI chat quotes these lines verbatim)
+      explanation: pricingEngine.explainQuote(components, {
+        request: normalizedRequest,
+        distanceInfo,
+        asOf: pricedAt,
+        breakdown: pricing.breakdown
+      })
+    };
+  }
+
+  /**
+   * Price one request at every service level, optionally on alternative event dates too.
+   * The route is calculated once and shared by every option.
+   * @param {Object} normalizedRequest - Output of normalizeQuoteRequest
+   * @param {Object} options - alternativeDates: other event dates (Date) to price
+   * @returns {Object} Matrix of totals with deltas against the requested service level and date
+   */
+  async compareServiceLevels(normalizedRequest, options = {}) {
+    const distanceInfo = await this.calculateRequestDistance(normalizedRequest);
+    const serviceLevels = Object.keys(this.pricing.serviceLevels);
+
+    // Requested date first, then alternatives (duplicates dropped)
+    const dates = [normalizedRequest.eventDate, ...(options.alternativeDates || [])]
+      .filter((date, index, all) => all.findIndex(other => (other ? other.getTime() : null) === (date ? date.getTime() : null)) === index);
+
+    const matrix = [];
+    for (const eventDate of dates) {
+      const row = { eventDate: eventDate ? eventDate.toISOString() : null, options: [] };
+
+      for (const serviceLevel of serviceLevels) {
+        const components = await this.buildQuoteComponents({ ...normalizedRequest, serviceLevel, eventDate }, distanceInfo);
+        const pricing = this.calculateFinalPricing(components);
+
+        row.options.push({
+          serviceLevel,
+          subtotal: pricing.subtotal,
+          discounts: pricing.discounts,
+          taxes: pricing.taxes,
+          total: pricing.total,
+          urgencyMultiplier: components.urgencyMultiplier,
+          demandMultiplier: components.demand ? components.demand.multiplier : 1.0
+        });
+      }
+
+      matrix.push(row);
+    }
+
+    const baseline = matrix[0].options.find(option => option.serviceLevel === normalizedRequest.serviceLevel) || matrix[0].options[0];
+    let cheapest = null;
+
+    matrix.forEach(row => {
+      row.options.forEach(option => {
+        option.delta = Math.round((option.total - baseline.total) * 100) / 100;
+        option.deltaPercent = baseline.total > 0 ? Math.round((option.delta / baseline.total) * 10000) / 100 : 0;
+
+        if (!cheapest || option.total < cheapest.total) {
+          cheapest = { serviceLevel: option.serviceLevel, eventDate: row.eventDate, total: option.total };
+        }
+      });
+    });
+
+    return {
+      pricingVersion: this.pricingSource.version,
+      baseline: { serviceLevel: baseline.serviceLevel, eventDate: matrix[0].eventDate, total: baseline.total },
+      cheapest,
+      serviceLevels,
+      matrix,
+      distanceInfo
+    };
+  }
+
+  /**
+   * Calculate the distance for a request, leg by leg when there are intermediate stops
+   * @param {Object} normalizedRequest - Output of normalizeQuoteRequest
+   * @returns {Object|null} Distance information
+   */
+  async calculateRequestDistance(normalizedRequest) {
+    if (!normalizedRequest.pickup || !normalizedRequest.delivery) {
+      return null;
+    }
+
+    if (normalizedRequest.stops.length > 0) {
+      return await this.calculateRoute(
+        normalizedRequest.pickup,
+        normalizedRequest.stops,
+        normalizedRequest.delivery,
+        { optimize: normalizedRequest.optimizeStopOrder }
+      );
+    }
+
+    return await this.calculateDistance(
+      normalizedRequest.pickup,
+      normalizedRequest.delivery
+    );
+  }
+
   /**
    * Normalize and validate quote request
    * @param {Object} request - Raw quote request
@@ -166,18 +362,15 @@ class PricingService {
    */
   normalizeQuoteRequest(request) {
     const normalized = {
-      eventType: request.eventType || 'corporateEvent',
-      serviceLevel: request.serviceLevel || 'standard',
+      ...pricingEngine.normalizeRequest(request),
       pickup: request.pickup || request.origin,
       delivery: request.delivery || request.destination,
-      eventDate: request.eventDate ? new Date(request.eventDate) : null,
-      items: Array.isArray(request.items) ? request.items : [],
-      additionalServices: Array.isArray(request.additionalServices) ? request.additionalServices : [],
-      specialRequirements: request.specialRequirements || [],
-      declaredValue: parseFloat(request.declaredValue) || 0,
-      urgency: request.urgency || 'standard',
+      optimizeStopOrder: request.optimizeStopOrder === true,
+      declaredValue: Math.max(parseFloat(request.declaredValue) || 0, 0),
       contactInfo: request.contactInfo || {},
-      notes: request.notes || ''
+      notes: request.notes || '',
+      promoCode: request.promoCode ? String(request.promoCode).trim().toUpperCase() : null,
+      taxExemptionCertificate: request.taxExemptionCertificate ? String(request.taxExemptionCertificate).trim().toUpperCase() : null
     };
 
     // Validate required fields
@@ -190,16 +383,10 @@ class PricingService {
       throw new Error('Event date cannot be in the past');
     }
 
-    // Ensure items have required properties
-    normalized.items = normalized.items.map(item => ({
-      description: item.description || 'Item',
-      size: item.size || 'medium',
-      quantity: parseInt(item.quantity) || 1,
-      weight: parseFloat(item.weight) || 0,
-      dimensions: item.dimensions || {},
-      special: Array.isArray(item.special) ? item.special : [],
-      value: parseFloat(item.value) || 0
-    }));
+    // Validate storage stay
+    if (normalized.storage) {
+      storagePricing.countDays(normalized.storage.inDate, normalized.storage.outDate, 1);
+    }
 
     return normalized;
   }
@@ -220,7 +407,7 @@ class PricingService {
         error: error.message
       });
 
-      // Return fallback distance estimate
+      // Neither the geo provider nor the offline table could place the addresses
       return {
         distance: { miles: 25, text: '25 miles (estimated)' },
         duration: { minutes: 45, text: '45 mins (estimated)' },
@@ -231,196 +418,174 @@ class PricingService {
   }
 
   /**
-   * Build quote components
-   * @param {Object} request - Normalized request
-   * @param {Object} distanceInfo - Distance calculation results
-   * @returns {Object} Quote components
+   * Calculate a route from pickup through intermediate stops to delivery, leg by leg
+   * @param {string} pickup - Pickup location
+   * @param {Array} stops - Intermediate stops ({ address, notes }) in requested order
+   * @param {string} delivery - Delivery location
+   * @param {Object} options - optimize: reorder the intermediate stops for the shortest route
+   * @returns {Object} Total distance information with legs, ordered stops and optimisation result
    */
-  async buildQuoteComponents(request, distanceInfo) {
-    const components = {
-      baseFee: this.pricing.baseFee,
-      distanceFee: 0,
-      itemFees: [],
-      serviceLevelFee: 0,
-      additionalServiceFees: [],
-      eventTypeMultiplier: 1.0,
-      complexityMultipliers: [],
-      urgencyMultiplier: 1.0,
-      subtotal: 0,
-      taxes: 0,
-      discounts: 0
-    };
-
-    // Calculate distance fee
-    if (distanceInfo && distanceInfo.distance) {
-      components.distanceFee = this.calculateDistanceFee(distanceInfo.distance.miles);
+  async calculateRoute(pickup, stops, delivery, options = {}) {
+    let order = stops.map((stop, index) => index);
+    let matrix = null;
+    let optimization = null;
+
+    if (options.optimize) {
+      optimization = { requested: true, applied: false, savedMiles: 0, reason: null };
+
+      if (stops.length < 2) {
+        optimization.reason = 'Fewer than two intermediate stops';
+      } else {
+        try {
+          matrix = await mapsService.calculateDistanceMatrix([pickup, ...stops.map(stop => stop.address), delivery]);
+          const requested = this.measureStopOrder(matrix, order);
+          const shortest = this.findShortestStopOrder(matrix, stops.length);
+
+          if (shortest.miles < requested) {
+            order = shortest.order;
+            optimization.applied = true;
+            optimization.savedMiles = Math.round((requested - shortest.miles) * 100) / 100;
+          } else {
+            optimization.reason = 'Requested order is already the shortest';
+          }
+        } catch (error) {
+          logger.warn('Stop order optimisation failed, keeping requested order', { error: error.message });
+          optimization.reason = `Stop order kept: ${error.message}`;
+        }
+      }
     }
 
-    // Calculate item fees
-    components.itemFees = this.calculateItemFees(request.items);
-
-    // Service level fee
-    components.serviceLevelFee = this.pricing.serviceLevels[request.serviceLevel] || 0;
+    // Matrix indexes: 0 is the pickup, stop i is i + 1, the delivery is last
+    const route = [0, ...order.map(index => index + 1), stops.length + 1];
+    const addresses = [pickup, ...stops.map(stop => stop.address), delivery];
 
-    // Additional service fees
-    components.additionalServiceFees = this.calculateAdditionalServiceFees(request.additionalServices);
+    const legs = await Promise.all(route.slice(1).map(async (to, index) => {
+      const from = route[index];
+      const leg = matrix ? matrix[from][to] : await this.calculateDistance(addresses[from], addresses[to]);
 
-    // Event type multiplier
-    components.eventTypeMultiplier = this.pricing.eventTypes[request.eventType] || 1.0;
-
-    // Complexity multipliers
-    components.complexityMultipliers = this.calculateComplexityMultipliers(request);
+      return {
+        sequence: index + 1,
+        from: addresses[from],
+        to: addresses[to],
+        distance: { miles: leg.distance.miles, text: leg.distance.text },
+        duration: { minutes: leg.duration.minutes, text: leg.duration.text },
+        estimated: !!leg.estimated
+      };
+    }));
 
-    // Urgency multiplier
-    components.urgencyMultiplier = this.calculateUrgencyMultiplier(request.eventDate, request.urgency);
+    const miles = Math.round(legs.reduce((sum, leg) => sum + leg.distance.miles, 0) * 100) / 100;
+    const minutes = legs.reduce((sum, leg) => sum + leg.duration.minutes, 0);
+    const estimated = legs.some(leg => leg.estimated);
 
-    return components;
+    return {
+      distance: { miles, text: `${miles} miles${estimated ? ' (estimated)' : ''}` },
+      duration: { minutes, text: `${minutes} mins${estimated ? ' (estimated)' : ''}` },
+      estimated,
+      legs,
+      stops: order.map((index, position) => ({ ...stops[index], sequence: position + 1, requestedSequence: index + 1 })),
+      optimization
+    };
   }
 
   /**
-   * Calculate distance-based fees
-   * @param {number} miles - Distance in miles
-   * @returns {number} Distance fee
+   * Miles for visiting the intermediate stops in a given order
+   * @param {Array} matrix - Distance matrix (pickup, stops, delivery)
+   * @param {Array} order - Stop indexes in visiting order
+   * @returns {number} Route miles
    */
-  calculateDistanceFee(miles) {
-    const tiers = this.pricing.distanceTiers;
-    
-    if (miles <= tiers.tier1.maxMiles) {
-      return miles * tiers.tier1.rate;
-    } else if (miles <= tiers.tier2.maxMiles) {
-      const tier1Fee = tiers.tier1.maxMiles * tiers.tier1.rate;
-      const tier2Miles = miles - tiers.tier1.maxMiles;
-      return tier1Fee + (tier2Miles * tiers.tier2.rate);
-    } else {
-      const tier1Fee = tiers.tier1.maxMiles * tiers.tier1.rate;
-      const tier2Fee = (tiers.tier2.maxMiles - tiers.tier1.maxMiles) * tiers.tier2.rate;
-      const tier3Miles = miles - tiers.tier2.maxMiles;
-      return tier1Fee + tier2Fee + (tier3Miles * tiers.tier3.rate);
-    }
+  measureStopOrder(matrix, order) {
+    const route = [0, ...order.map(index => index + 1), order.length + 1];
+    return route.slice(1).reduce((sum, to, index) => sum + matrix[route[index]][to].distance.miles, 0);
   }
 
   /**
-   * Calculate fees for all items
-   * @param {Array} items - Array of items
-   * @returns {Array} Item fee details
+   * Shortest order for the intermediate stops (exhaustive search; stops are capped at 8)
+   * @param {Array} matrix - Distance matrix (pickup, stops, delivery)
+   * @param {number} count - Number of intermediate stops
+   * @returns {Object} Stop indexes in visiting order and route miles
    */
-  calculateItemFees(items) {
-    return items.map(item => {
-      let baseFee = this.pricing.itemFees[item.size] || this.pricing.itemFees.medium;
-      let specialFees = 0;
-
-      // Add special handling fees
-      if (item.special && item.special.length > 0) {
-        item.special.forEach(special => {
-          switch (special) {
-            case 'delicate':
-              specialFees += this.pricing.itemFees.delicate;
-              break;
-            case 'highValue':
-              specialFees += this.pricing.itemFees.highValue;
-              break;
-            case 'hazardous':
-              specialFees += baseFee * 0.5; // 50% surcharge
-              break;
-            case 'oversized':
-              specialFees += this.pricing.itemFees.extraLarge;
-              break;
-          }
-        });
+  findShortestStopOrder(matrix, count) {
+    const end = count + 1;
+    let best = { order: null, miles: Infinity };
+
+    const visit = (order, last, miles, remaining) => {
+      if (miles >= best.miles) return;
+
+      if (remaining.length === 0) {
+        const total = miles + matrix[last][end].distance.miles;
+        if (total < best.miles) best = { order, miles: total };
+        return;
       }
 
-      const totalFee = (baseFee + specialFees) * item.quantity;
+      remaining.forEach(next => {
+        visit([...order, next - 1], next, miles + matrix[last][next].distance.miles, remaining.filter(stop => stop !== next));
+      });
+    };
 
-      return {
-        description: item.description,
-        size: item.size,
-        quantity: item.quantity,
-        baseFee,
-        specialFees,
-        totalFee,
-        details: item.special || []
-      };
-    });
+    visit([], 0, 0, Array.from({ length: count }, (value, index) => index + 1));
+    return best;
   }
 
   /**
-   * Calculate additional service fees
-   * @param {Array} services - Additional services requested
-   * @returns {Array} Service fee details
+   * Build quote components
+   * @param {Object} request - Normalized request
+   * @param {Object} distanceInfo - Distance calculation results
+   * @param {Object} options - asOf: date to measure notice periods, promo and certificate validity from (defaults to now);
+   *   checkUsage: false to ignore promo usage limits when replaying old quotes;
+   *   lookups: preloaded promo codes, certificates and bookings to use instead of the database
+   * @returns {Object} Quote components
    */
-  calculateAdditionalServiceFees(services) {
-    return services.map(service => {
-      const fee = this.pricing.additionalServices[service] || 0;
-      return {
-        service,
-        fee,
-        description: this.getServiceDescription(service)
-      };
+  async buildQuoteComponents(request, distanceInfo, options = {}) {
+    // Rate card fees and multipliers (shared/pricingEngine.js, also used by the website's instant quotes)
+    const components = pricingEngine.buildComponents(this.pricing, request, distanceInfo, {
+      asOf: options.asOf,
+      emergencyMultiplier: this.emergencyMultiplier
     });
-  }
 
-  /**
-   * Calculate complexity multipliers
-   * @param {Object} request - Quote request
-   * @returns {Array} Complexity factors applied
-   */
-  calculateComplexityMultipliers(request) {
-    const multipliers = [];
-
-    // Check for various complexity factors
-    if (request.specialRequirements.includes('multiVenue')) {
-      multipliers.push({
-        factor: 'multiVenue',
-        multiplier: this.pricing.complexityFactors.multiVenue,
-        description: 'Multiple venue coordination'
-      });
+    // Loads the fleet cannot carry have no vehicle price; they are quoted by hand
+    if (components.vehiclePlan && !components.vehiclePlan.fits) {
+      throw new AppError(`${components.vehiclePlan.reason}. Contact us for a custom quote.`, 400);
     }
 
-    if (request.specialRequirements.includes('multiDay')) {
-      multipliers.push({
-        factor: 'multiDay',
-        multiplier: this.pricing.complexityFactors.multiDay,
-        description: 'Multi-day event logistics'
-      });
-    }
+    // Tax category of each additional service
+    components.additionalServiceFees = components.additionalServiceFees.map(service => ({
+      ...service,
+      taxCategory: taxService.getServiceCategory(service.service)
+    }));
 
-    if (request.specialRequirements.includes('international')) {
-      multipliers.push({
-        factor: 'international',
-        multiplier: this.pricing.complexityFactors.international,
-        description: 'International shipping requirements'
-      });
+    // Demand surge from bookings already committed on the event date
+    components.demand = await demandService.resolveDemand(request.eventDate, this.pricing.demandPricing, {
+      asOf: options.asOf,
+      lookups: options.lookups
+    });
+
+    // Promo code (the rule is snapshotted; the amount depends on the subtotal)
+    const promotion = await discountService.resolvePromotion(request.promoCode, {
+      eventType: request.eventType,
+      asOf: options.asOf,
+      checkUsage: options.checkUsage,
+      lookups: options.lookups
+    });
+    if (promotion) {
+      components.promoCode = { code: promotion.code, accepted: promotion.accepted, reason: promotion.reason };
+      if (promotion.rule) {
+        components.discounts.push(promotion.rule);
+      }
     }
 
-    // Add more complexity checks as needed
+    // Tax jurisdiction, rates and exemption certificate (snapshotted like the promo rule)
+    components.tax = await taxService.resolveTaxProfile(request, { asOf: options.asOf, lookups: options.lookups });
 
-    return multipliers;
+    return components;
   }
 
   /**
-   * Calculate urgency multiplier based on notice period
-   * @param {Date} eventDate - Event date
-   * @param {string} urgency - Urgency level
-   * @returns {number} Urgency multiplier
+   * Calculate distance-based fees with the active rate card
+   * @param {number} miles - Distance in miles
+   * @returns {number} Distance fee
    */
-  calculateUrgencyMultiplier(eventDate, urgency) {
-    if (urgency === 'emergency') {
-      return parseFloat(process.env.EMERGENCY_MULTIPLIER) || 2.0;
-    }
-
-    if (!eventDate) return 1.0;
-
-    const daysUntilEvent = Math.ceil((eventDate - new Date()) / (1000 * 60 * 60 * 24));
-
-    if (daysUntilEvent <= 1) {
-      return 1.8; // Same day
-    } else if (daysUntilEvent <= 2) {
-      return 1.4; // Next day
-    } else if (daysUntilEvent <= 7) {
-      return 1.2; // Within a week
-    }
-
-    return 1.0; // Standard notice
+  calculateDistanceFee(miles) {
+    return pricingEngine.calculateDistanceFee(this.pricing, miles);
   }
 
   /**
@@ -429,55 +594,92 @@ class PricingService {
    * @returns {Object} Final pricing breakdown
    */
   calculateFinalPricing(components) {
-    // Calculate base subtotal
-    let subtotal = components.baseFee + components.distanceFee + components.serviceLevelFee;
-
-    // Add item fees
-    const totalItemFees = components.itemFees.reduce((sum, item) => sum + item.totalFee, 0);
-    subtotal += totalItemFees;
-
-    // Add additional service fees
-    const totalAdditionalFees = components.additionalServiceFees.reduce((sum, service) => sum + service.fee, 0);
-    subtotal += totalAdditionalFees;
-
-    // Apply event type multiplier
-    subtotal *= components.eventTypeMultiplier;
-
-    // Apply complexity multipliers
-    components.complexityMultipliers.forEach(complexity => {
-      subtotal *= complexity.multiplier;
-    });
-
-    // Apply urgency multiplier
-    subtotal *= components.urgencyMultiplier;
+    // Fees, then the event type, complexity, urgency and demand multipliers
+    const { subtotal, itemFees: totalItemFees, additionalServices: totalAdditionalFees } = pricingEngine.calculateSubtotal(components);
+
+    // Apply discounts (never more than the subtotal)
+    const discountLines = (components.discounts || []).map(rule => discountService.calculateDiscount(rule, subtotal));
+    const appliedDiscounts = discountLines.filter(line => line.applied);
+    const discounts = Math.min(appliedDiscounts.reduce((sum, line) => sum + line.amount, 0), subtotal);
+
+    let promoCode = components.promoCode || null;
+    const rejectedLine = discountLines.find(line => !line.applied);
+    if (promoCode && rejectedLine) {
+      promoCode = { ...promoCode, accepted: false, reason: rejectedLine.reason };
+    }
 
-    // Calculate taxes (example: 8.5% sales tax)
-    const taxRate = parseFloat(process.env.TAX_RATE) || 0.085;
-    const taxes = subtotal * taxRate;
+    // Calculate taxes on the discounted amount by delivery jurisdiction and service category
+    const tax = taxService.calculateTax(
+      components.tax || taxService.resolveJurisdiction(null),
+      this.getTaxCategoryTotals(components),
+      subtotal - discounts
+    );
+    const taxes = tax.taxes;
 
     // Calculate total
-    const total = subtotal + taxes - components.discounts;
+    const total = subtotal - discounts + taxes;
 
     return {
       subtotal: Math.round(subtotal * 100) / 100,
       taxes: Math.round(taxes * 100) / 100,
-      discounts: components.discounts,
+      discounts: Math.round(discounts * 100) / 100,
       total: Math.round(total * 100) / 100,
       breakdown: {
         baseFee: components.baseFee,
         distanceFee: components.distanceFee,
         itemFees: totalItemFees,
+        vehicleFee: components.vehicleFee || 0,
         serviceLevelFee: components.serviceLevelFee,
         additionalServices: totalAdditionalFees,
         multipliers: {
           eventType: components.eventTypeMultiplier,
           complexity: components.complexityMultipliers,
-          urgency: components.urgencyMultiplier
+          urgency: components.urgencyMultiplier,
+          demand: components.demand || null
+        },
+        discounts: appliedDiscounts,
+        promoCode,
+        sizeMismatches: components.itemFees
+          .filter(item => item.sizeMismatch)
+          .map(item => ({
+            description: item.description,
+            declaredSize: item.size,
+            measuredSize: item.measurement.measuredSize,
+            billableWeight: item.measurement.billableWeight
+          })),
+        loadingPlan: components.vehiclePlan || null,
+        storage: components.storage || null,
+        tax: {
+          jurisdiction: tax.jurisdiction,
+          lines: tax.lines,
+          taxableAmount: tax.taxableAmount,
+          exemptAmount: tax.exemptAmount,
+          categories: tax.categories,
+          exemption: tax.exemption
         }
       }
     };
   }
 
+  /**
+   * Total pre-multiplier fees by tax category
+   * @param {Object} components - Quote components
+   * @returns {Object} Fees keyed by tax category
+   */
+  getTaxCategoryTotals(components) {
+    const totals = {
+      delivery: components.baseFee + components.distanceFee + (components.vehicleFee || 0) + components.serviceLevelFee,
+      handling: components.itemFees.reduce((sum, item) => sum + item.totalFee, 0)
+    };
+
+    components.additionalServiceFees.forEach(service => {
+      const category = service.taxCategory || taxService.getServiceCategory(service.service);
+      totals[category] = (totals[category] || 0) + service.fee;
+    });
+
+    return totals;
+  }
+
   /**
    * Generate unique quote ID
    * @returns {string} Quote ID
@@ -494,19 +696,7 @@ class PricingService {
    * @returns {string} Service description
    */
   getServiceDescription(service) {
-    const descriptions = {
-      venueCoordination: 'Venue coordination and liaison services',
-      onSiteSupport: 'On-site support and supervision',
-      setupAssistance: 'Setup and installation assistance',
-      storageDaily: 'Temporary storage (per day)',
-      customsHandling: 'Customs and documentation handling',
-      insurancePremium: 'Premium insurance coverage',
-      weekendDelivery: 'Weekend delivery service',
-      afterHoursDelivery: 'After-hours delivery service',
-      multipleStops: 'Multiple pickup/delivery locations'
-    };
-
-    return descriptions[service] || 'Additional service';
+    return pricingEngine.getServiceDescription(service);
   }
 
   /**
@@ -541,12 +731,52 @@ class PricingService {
   }
 
   /**
-   * Update pricing configuration
-   * @param {Object} newPricing - Updated pricing rules
+   * Fill in the sections a stored rate card predates (dimensionalPricing, fleet, storage, demandPricing)
+   * from the built-in defaults. Sections the rate card has are kept as stored.
+   * @param {Object} pricing - Rate card
+   * @returns {Object} Rate card with every section
    */
-  updatePricing(newPricing) {
-    this.pricing = { ...this.pricing, ...newPricing };
-    logger.info('Pricing configuration updated', { newPricing });
+  withDefaultSections(pricing) {
+    const missing = Object.keys(this.defaultPricing).filter(section => pricing[section] === undefined);
+    if (missing.length === 0) {
+      return pricing;
+    }
+
+    const defaults = Object.fromEntries(missing.map(section => [section, this.defaultPricing[section]]));
+    return mergePricing(defaults, pricing);
+  }
+
+  /**
+   * Replace the active pricing table
+   * @param {Object} pricing - Validated rate card
+   * @param {Object} source - Where the rate card came from (source, updatedBy, updatedAt)
+   */
+  setPricing(pricing, source = {}) {
+    this.pricing = this.withDefaultSections(pricing);
+    this.pricingSource = {
+      source: source.source || 'defaults',
+      version: source.version || null,
+      updatedBy: source.updatedBy || null,
+      updatedAt: source.updatedAt || null
+    };
+  }
+
+  /**
+   * Get a pricing engine bound to a different rate card
+   * @param {Object} pricing - Rate card to price with
+   * @param {Object} source - Where the rate card came from (source, version)
+   * @returns {PricingService} Engine sharing this service's code but not its active rate card
+   */
+  forRateCard(pricing, source = {}) {
+    const engine = Object.create(this);
+    engine.pricing = this.withDefaultSections(pricing);
+    engine.pricingSource = {
+      source: source.source || 'preview',
+      version: source.version || null,
+      updatedBy: null,
+      updatedAt: null
+    };
+    return engine;
   }
 }
 
@@ -0,0 +1,266 @@
+/**
+ * Pricing Simulation Service - What-If Replay of Stored Quotes
+ * Re-prices historical quote requests with a proposed rate card through the production pricing code
+ */
+
+const { models, Sequelize } = require('../models');
+const pricingService = require('./pricingService');
+const pricingVersionService = require('./pricingVersionService');
+const logger = require('../utils/logger');
+const { mergePricing } = require('../config/pricingSchema');
+
+const { Op } = Sequelize;
+const round = (value) => Math.round(value * 100) / 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PricingSimulationService {
+  constructor() {
+    // Upper bound on quotes replayed per simulation; the replay runs inside one admin request
+    this.maxQuotes = parseInt(process.env.PRICING_SIMULATION_MAX_QUOTES) || 500;
+  }
+
+  /**
+   * Resolve the proposed rate card from a version, a complete rate card or partial changes
+   * @param {Object} proposal - version, rateCard or changes
+   * @returns {Object} { rateCard, version }
+   */
+  async resolveProposal(proposal) {
+    if (proposal.version) {
+      const pricingVersion = await pricingVersionService.findVersionOrFail(proposal.version);
+      return { rateCard: pricingVersion.rate_card, version: pricingVersion.version };
+    }
+
+    const rateCard = proposal.rateCard || mergePricing(pricingService.pricing, proposal.changes);
+    pricingVersionService.assertValid(rateCard);
+
+    return { rateCard, version: null };
+  }
+
+  /**
+   * Load the stored quotes to replay
+   * @param {Object} filters - from, to, statuses, eventType, serviceLevel, limit
+   * @returns {Array} Quote records with a stored request
+   */
+  async findQuotes(filters = {}) {
+    const where = {
+      quote_request: { [Op.ne]: null }
+    };
+
+    if (filters.from || filters.to) {
+      where.created_at = {};
+      if (filters.from) where.created_at[Op.gte] = new Date(filters.from);
+      if (filters.to) where.created_at[Op.lte] = new Date(filters.to);
+    }
+    if (filters.statuses && filters.statuses.length > 0) {
+      where.status = { [Op.in]: filters.statuses };
+    }
+    if (filters.eventType) {
+      where.event_type = filters.eventType;
+    }
+    if (filters.serviceLevel) {
+      where.service_level = filters.serviceLevel;
+    }
+
+    return await models.Quote.findAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: Math.min(filters.limit || this.maxQuotes, this.maxQuotes)
+    });
+  }
+
+  /**
+   * Load every promo code, exemption certificate and committed booking the replayed quotes refer to,
+   * in three queries, so replays price from memory instead of querying per quote
+   * @param {Array} quotes - Quote records to replay
+   * @returns {Object} Lookups for buildQuoteComponents (findPromoCode, findTaxExemption, countCommittedBookings)
+   */
+  async preloadLookups(quotes) {
+    const requests = quotes.map(quote => quote.quote_request);
+    const normalize = (value) => String(value).trim().toUpperCase();
+    const codes = [...new Set(requests.filter(request => request.promoCode).map(request => normalize(request.promoCode)))];
+    const certificates = [...new Set(requests.filter(request => request.taxExemptionCertificate)
+      .map(request => normalize(request.taxExemptionCertificate)))];
+    const eventTimes = requests.filter(request => request.eventDate).map(request => new Date(request.eventDate).getTime());
+
+    const [promoCodes, exemptions, bookings] = await Promise.all([
+      codes.length > 0
+        ? models.PromoCode.findAll({ where: { code: { [Op.in]: codes } } })
+        : [],
+      certificates.length > 0
+        ? models.TaxExemption.findAll({ where: { certificate_number: { [Op.in]: certificates } } })
+        : [],
+      eventTimes.length > 0
+        ? models.Booking.findAll({
+          attributes: ['event_date', 'created_at'],
+          where: {
+            status: { [Op.in]: models.Booking.COMMITTED_STATUSES },
+            event_date: {
+              [Op.gte]: new Date(Math.min(...eventTimes) - DAY_MS),
+              [Op.lt]: new Date(Math.max(...eventTimes) + DAY_MS)
+            }
+          },
+          raw: true
+        })
+        : []
+    ]);
+
+    const promoCodesByCode = new Map(promoCodes.map(promoCode => [promoCode.code, promoCode]));
+    const exemptionsByNumber = new Map(exemptions.map(exemption => [exemption.certificate_number, exemption]));
+
+    return {
+      findPromoCode: async (code) => promoCodesByCode.get(normalize(code)) || null,
+      findTaxExemption: async (certificateNumber) => exemptionsByNumber.get(normalize(certificateNumber)) || null,
+      countCommittedBookings: async (dayStart, dayEnd, options = {}) => bookings.filter(booking => {
+        const eventDate = new Date(booking.event_date);
+        return eventDate >= dayStart && eventDate < dayEnd &&
+          (!options.asOf || new Date(booking.created_at) <= options.asOf);
+      }).length
+    };
+  }
+
+  /**
+   * Rebuild a normalized request from its stored JSON form
+   * @param {Object} storedRequest - quote_request column value
+   * @returns {Object} Request ready for buildQuoteComponents
+   */
+  hydrateRequest(storedRequest) {
+    return {
+      ...storedRequest,
+      eventDate: storedRequest.eventDate ? new Date(storedRequest.eventDate) : null,
+      items: storedRequest.items || [],
+      additionalServices: storedRequest.additionalServices || [],
+      specialRequirements: storedRequest.specialRequirements || []
+    };
+  }
+
+  /**
+   * Price a stored quote with an engine, reusing its stored distance and original quote date.
+   * Promo usage limits are ignored so codes redeemed since then still replay.
+   * @param {Object} engine - Pricing engine (pricingService or pricingService.forRateCard())
+   * @param {Object} quote - Quote record
+   * @param {Object} lookups - Preloaded records from preloadLookups
+   * @returns {Object} Final pricing
+   */
+  async replayQuote(engine, quote, lookups) {
+    const request = this.hydrateRequest(quote.quote_request);
+    const components = await engine.buildQuoteComponents(request, quote.distance_info, {
+      asOf: new Date(quote.created_at),
+      checkUsage: false,
+      lookups
+    });
+
+    return engine.calculateFinalPricing(components);
+  }
+
+  /**
+   * Add one quote's figures to an aggregate bucket
+   * @param {Object} buckets - Buckets keyed by group value
+   * @param {string} key - Group value (event type, service level, or 'all')
+   * @param {Object} result - Per-quote simulation result
+   */
+  addToBucket(buckets, key, result) {
+    if (!buckets[key]) {
+      buckets[key] = { quoteCount: 0, currentRevenue: 0, proposedRevenue: 0 };
+    }
+
+    const bucket = buckets[key];
+    bucket.quoteCount += 1;
+    bucket.currentRevenue += result.current.subtotal;
+    bucket.proposedRevenue += result.proposed.subtotal;
+  }
+
+  /**
+   * Round a bucket and add its deltas
+   * @param {Object} bucket - Aggregate bucket
+   * @returns {Object} Summary with delta and deltaPercent
+   */
+  summarizeBucket(bucket) {
+    const delta = bucket.proposedRevenue - bucket.currentRevenue;
+
+    return {
+      quoteCount: bucket.quoteCount,
+      currentRevenue: round(bucket.currentRevenue),
+      proposedRevenue: round(bucket.proposedRevenue),
+      delta: round(delta),
+      deltaPercent: bucket.currentRevenue > 0 ? round((delta / bucket.currentRevenue) * 100) : null
+    };
+  }
+
+  /**
+   * Replay stored quotes with the live and a proposed rate card
+   * @param {Object} proposal - version, rateCard or changes to simulate
+   * @param {Object} filters - Which stored quotes to replay
+   * @returns {Object} Per-quote results and aggregate revenue deltas (revenue is pre-tax subtotal)
+   */
+  async simulate(proposal, filters = {}) {
+    const startTime = Date.now();
+    const { rateCard, version } = await this.resolveProposal(proposal);
+    const proposedEngine = pricingService.forRateCard(rateCard, { source: 'simulation', version });
+
+    const quotes = await this.findQuotes(filters);
+    const lookups = await this.preloadLookups(quotes);
+    const results = [];
+    const skipped = [];
+    const overall = {};
+    const byEventType = {};
+    const byServiceLevel = {};
+
+    for (const quote of quotes) {
+      try {
+        const [current, proposed] = await Promise.all([
+          this.replayQuote(pricingService, quote, lookups),
+          this.replayQuote(proposedEngine, quote, lookups)
+        ]);
+
+        const result = {
+          quoteId: quote.quote_id,
+          status: quote.status,
+          eventType: quote.event_type,
+          serviceLevel: quote.service_level,
+          pricingVersion: quote.pricing_version,
+          storedTotal: parseFloat(quote.total),
+          current: { subtotal: current.subtotal, total: current.total },
+          proposed: { subtotal: proposed.subtotal, total: proposed.total },
+          delta: round(proposed.subtotal - current.subtotal)
+        };
+
+        results.push(result);
+        this.addToBucket(overall, 'all', result);
+        this.addToBucket(byEventType, result.eventType || 'unknown', result);
+        this.addToBucket(byServiceLevel, result.serviceLevel || 'unknown', result);
+
+      } catch (error) {
+        skipped.push({ quoteId: quote.quote_id, reason: error.message });
+      }
+    }
+
+    const mapBuckets = (buckets) => Object.fromEntries(
+      Object.entries(buckets).map(([key, bucket]) => [key, this.summarizeBucket(bucket)])
+    );
+
+    logger.info('Pricing simulation completed', {
+      proposedVersion: version,
+      quoteCount: results.length,
+      skipped: skipped.length,
+      processingTime: Date.now() - startTime
+    });
+
+    return {
+      baselineVersion: pricingService.pricingSource.version,
+      proposedVersion: version,
+      aggregate: {
+        ...this.summarizeBucket(overall.all || { quoteCount: 0, currentRevenue: 0, proposedRevenue: 0 }),
+        byEventType: mapBuckets(byEventType),
+        byServiceLevel: mapBuckets(byServiceLevel)
+      },
+      quotes: results,
+      skipped,
+      processingTime: Date.now() - startTime
+    };
+  }
+}
+
+// Initialize service
+const pricingSimulationService = new PricingSimulationService();
+
+module.exports = pricingSimulationService;
@@ -0,0 +1,364 @@
+/**
+ * Pricing Version Service - Draft, Preview, Publish and Rollback of Rate Cards
+ * Every pricing change becomes a numbered version; publishing switches the live rate card
+ */
+
+const cron = require('node-cron');
+const { sequelize, models } = require('../models');
+const pricingService = require('./pricingService');
+const pricingConfigService = require('./pricingConfigService');
+const logger = require('../utils/logger');
+const { validatePricing, mergePricing } = require('../config/pricingSchema');
+const { diffComponents } = require('../utils/quoteDiff');
+const { AppError } = require('../middleware/errorHandler');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class PricingVersionService {
+  constructor() {
+    // How often scheduled versions are checked for go-live (every minute by default)
+    this.publishSchedule = process.env.PRICING_PUBLISH_CRON || '* * * * *';
+    this.publishTask = null;
+  }
+
+  /**
+   * Find a pricing version or fail with 404
+   * @param {number} version - Version number
+   * @param {Object} options - Query options (transaction, lock)
+   * @returns {Object} PricingVersion record
+   */
+  async findVersionOrFail(version, options = {}) {
+    const pricingVersion = await models.PricingVersion.findByVersion(version, options);
+
+    if (!pricingVersion) {
+      throw new AppError(`No pricing version ${version} exists`, 404);
+    }
+
+    return pricingVersion;
+  }
+
+  /**
+   * Reject a rate card that fails the pricing schema
+   * @param {Object} rateCard - Complete rate card
+   */
+  assertValid(rateCard) {
+    const errors = validatePricing(rateCard);
+    if (errors.length > 0) {
+      throw pricingConfigService.validationError(errors);
+    }
+  }
+
+  /**
+   * List pricing versions, newest first
+   * @param {Object} filters - Optional status filter
+   * @returns {Array} Version summaries
+   */
+  async listVersions(filters = {}) {
+    const where = {};
+    if (filters.status) {
+      where.status = filters.status;
+    }
+
+    const versions = await models.PricingVersion.findAll({
+      where,
+      order: [['version', 'DESC']]
+    });
+
+    return versions.map(version => version.toVersionResponse());
+  }
+
+  /**
+   * Draft a new rate card from an existing version
+   * @param {Object} draft - rateCard (complete) or changes (merged over the base version)
+   * @param {string} userId - ID of the admin drafting
+   * @returns {Object} Draft PricingVersion record
+   */
+  async createDraft(draft, userId) {
+    return await sequelize.transaction(async (transaction) => {
+      const base = draft.baseVersion
+        ? await this.findVersionOrFail(draft.baseVersion, { transaction })
+        : await models.PricingVersion.findPublished({ transaction });
+
+      const baseRateCard = base ? pricingService.withDefaultSections(base.rate_card) : pricingService.pricing;
+      const rateCard = draft.rateCard || mergePricing(baseRateCard, draft.changes);
+      this.assertValid(rateCard);
+
+      const pricingVersion = await models.PricingVersion.create({
+        version: await models.PricingVersion.nextVersionNumber({ transaction }),
+        status: 'draft',
+        rate_card: rateCard,
+        based_on_version: base ? base.version : null,
+        notes: draft.notes || null,
+        created_by: userId
+      }, { transaction });
+
+      logger.info('Pricing version drafted', {
+        version: pricingVersion.version,
+        basedOnVersion: pricingVersion.based_on_version,
+        userId
+      });
+
+      return pricingVersion;
+    });
+  }
+
+  /**
+   * Edit a draft rate card
+   * @param {number} version - Draft version number
+   * @param {Object} draft - rateCard (complete) or changes (merged over the draft), notes
+   * @param {string} userId - ID of the admin editing
+   * @returns {Object} Updated PricingVersion record
+   */
+  async updateDraft(version, draft, userId) {
+    return await sequelize.transaction(async (transaction) => {
+      const pricingVersion = await this.findVersionOrFail(version, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (pricingVersion.status !== 'draft') {
+        throw new AppError(`Pricing version ${version} is ${pricingVersion.status} and can no longer be edited`, 409);
+      }
+
+      const rateCard = draft.rateCard || mergePricing(pricingService.withDefaultSections(pricingVersion.rate_card), draft.changes);
+      this.assertValid(rateCard);
+
+      await pricingVersion.update({
+        rate_card: rateCard,
+        notes: draft.notes !== undefined ? draft.notes : pricingVersion.notes
+      }, { transaction });
+
+      logger.info('Pricing version edited', { version, userId });
+      return pricingVersion;
+    });
+  }
+
+  /**
+   * Price a request with both the live rate card and a given version
+   * @param {number} version - Version number to preview
+   * @param {Object} quoteRequest - Raw quote request
+   * @returns {Object} Live and proposed pricing with their differences
+   */
+  async previewVersion(version, quoteRequest) {
+    const pricingVersion = await this.findVersionOrFail(version);
+
+    let request;
+    try {
+      request = pricingService.normalizeQuoteRequest(quoteRequest);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    const engine = pricingService.forRateCard(pricingVersion.rate_card, { version: pricingVersion.version });
+    const [current, proposed] = await Promise.all([
+      pricingService.calculateQuote(request),
+      engine.calculateQuote(request)
+    ]);
+
+    const summarize = (pricing) => ({
+      pricingVersion: pricing.pricingVersion,
+      subtotal: pricing.subtotal,
+      taxes: pricing.taxes,
+      discounts: pricing.discounts,
+      total: pricing.total,
+      breakdown: pricing.breakdown
+    });
+
+    return {
+      request,
+      current: summarize(current),
+      proposed: summarize(proposed),
+      difference: {
+        subtotal: round(proposed.subtotal - current.subtotal),
+        taxes: round(proposed.taxes - current.taxes),
+        total: round(proposed.total - current.total)
+      },
+      components: diffComponents(current.components, proposed.components)
+    };
+  }
+
+  /**
+   * Publish a draft now, or schedule it to go live at a future time
+   * @param {number} version - Version number
+   * @param {Object} options - effectiveAt (optional future timestamp)
+   * @param {string} userId - ID of the admin publishing
+   * @returns {Object} Published or scheduled PricingVersion record
+   */
+  async publishVersion(version, options, userId) {
+    const effectiveAt = options.effectiveAt ? new Date(options.effectiveAt) : null;
+
+    const pricingVersion = await sequelize.transaction(async (transaction) => {
+      const pricingVersion = await this.findVersionOrFail(version, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!['draft', 'scheduled'].includes(pricingVersion.status)) {
+        throw new AppError(`Pricing version ${version} is ${pricingVersion.status}; only drafts can be published (use rollback for older versions)`, 409);
+      }
+
+      this.assertValid(pricingVersion.rate_card);
+
+      if (effectiveAt && effectiveAt > new Date()) {
+        return await pricingVersion.update({
+          status: 'scheduled',
+          effective_at: effectiveAt,
+          published_by: userId
+        }, { transaction });
+      }
+
+      await pricingVersion.update({ effective_at: new Date() }, { transaction });
+      await pricingConfigService.activateVersion(pricingVersion, userId, transaction);
+      return pricingVersion;
+    });
+
+    if (pricingVersion.status === 'published') {
+      await pricingConfigService.syncPricing();
+    }
+
+    logger.info(pricingVersion.status === 'scheduled' ? 'Pricing version scheduled' : 'Pricing version published', {
+      version,
+      effectiveAt: pricingVersion.effective_at,
+      userId
+    });
+
+    return pricingVersion;
+  }
+
+  /**
+   * Return a scheduled version to draft before it goes live
+   * @param {number} version - Version number
+   * @param {string} userId - ID of the admin unscheduling
+   * @returns {Object} Draft PricingVersion record
+   */
+  async unscheduleVersion(version, userId) {
+    const pricingVersion = await sequelize.transaction(async (transaction) => {
+      const pricingVersion = await this.findVersionOrFail(version, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (pricingVersion.status !== 'scheduled') {
+        throw new AppError(`Pricing version ${version} is ${pricingVersion.status}, not scheduled`, 409);
+      }
+
+      return await pricingVersion.update({
+        status: 'draft',
+        effective_at: null,
+        published_by: null
+      }, { transaction });
+    });
+
+    logger.info('Pricing version unscheduled', { version, userId });
+    return pricingVersion;
+  }
+
+  /**
+   * Restore a previously live rate card as a new, immediately published version
+   * @param {number} version - Archived version to restore
+   * @param {Object} options - Optional notes
+   * @param {string} userId - ID of the admin rolling back
+   * @returns {Object} New published PricingVersion record
+   */
+  async rollbackToVersion(version, options, userId) {
+    const pricingVersion = await sequelize.transaction(async (transaction) => {
+      const target = await this.findVersionOrFail(version, { transaction });
+
+      if (target.status !== 'archived' || !target.published_at) {
+        throw new AppError(`Pricing version ${version} is ${target.status}; only previously published versions can be restored`, 409);
+      }
+
+      const restored = await models.PricingVersion.create({
+        version: await models.PricingVersion.nextVersionNumber({ transaction }),
+        status: 'draft',
+        rate_card: target.rate_card,
+        based_on_version: target.version,
+        notes: options.notes || `Rollback to version ${target.version}`,
+        effective_at: new Date(),
+        created_by: userId
+      }, { transaction });
+
+      await pricingConfigService.activateVersion(restored, userId, transaction);
+      return restored;
+    });
+
+    await pricingConfigService.syncPricing();
+
+    logger.info('Pricing rolled back', { restoredVersion: version, version: pricingVersion.version, userId });
+    return pricingVersion;
+  }
+
+  /**
+   * Apply a partial change to the live rate card as a new published version
+   * @param {Object} changes - Partial rate card (sections are merged, not replaced)
+   * @param {string} userId - ID of the admin making the change
+   * @returns {Object} Live pricing table with audit metadata
+   */
+  async publishChanges(changes, userId) {
+    const draft = await this.createDraft({ changes, notes: `Direct update: ${Object.keys(changes).join(', ')}` }, userId);
+    const pricingVersion = await this.publishVersion(draft.version, {}, userId);
+
+    return {
+      pricing: pricingService.pricing,
+      version: pricingVersion.version,
+      updatedBy: userId,
+      updatedAt: pricingVersion.published_at
+    };
+  }
+
+  /**
+   * Put scheduled versions whose effective time has passed live
+   * @returns {Object|null} Version that went live, if any
+   */
+  async publishDueVersions() {
+    const promoted = await sequelize.transaction(async (transaction) => {
+      const due = await models.PricingVersion.findDueScheduled(new Date(), {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (due.length === 0) return null;
+
+      // Only the latest due version goes live; earlier ones were overtaken before they could
+      const latest = due[due.length - 1];
+      for (const skipped of due.slice(0, -1)) {
+        await skipped.update({ status: 'archived', archived_at: new Date() }, { transaction });
+      }
+
+      await pricingConfigService.activateVersion(latest, null, transaction);
+      return latest;
+    });
+
+    if (promoted) {
+      await pricingConfigService.syncPricing();
+      logger.info('Scheduled pricing version published', {
+        version: promoted.version,
+        effectiveAt: promoted.effective_at
+      });
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Start the background job that publishes scheduled versions
+   */
+  startScheduler() {
+    if (this.publishTask) return;
+
+    this.publishTask = cron.schedule(this.publishSchedule, async () => {
+      try {
+        await this.publishDueVersions();
+      } catch (error) {
+        logger.logError(error, { service: 'PricingVersionService.publishDueVersions' });
+      }
+    });
+
+    logger.info('Pricing version scheduler started', { schedule: this.publishSchedule });
+  }
+}
+
+// Initialize service
+const pricingVersionService = new PricingVersionService();
+
+module.exports = pricingVersionService;
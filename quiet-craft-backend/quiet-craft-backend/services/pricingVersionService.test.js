@@ -0,0 +1,159 @@
+/**
+ * Pricing Version Service - drafts, publishing, scheduled go-live, unscheduling and rollback
+ */
+
+const { useTestDatabase } = require('../test/database');
+const { createQuote } = require('../test/quotes');
+const { models } = require('../models');
+const pricingService = require('./pricingService');
+const pricingConfigService = require('./pricingConfigService');
+const pricingVersionService = require('./pricingVersionService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Draft a version that only changes the base fee
+ * @param {number} baseFee - Base fee of the draft
+ * @returns {Object} Draft PricingVersion record
+ */
+const draftBaseFee = (baseFee) => pricingVersionService.createDraft({ changes: { baseFee }, notes: `Base fee ${baseFee}` }, 'admin_1');
+
+const liveVersion = () => pricingService.pricingSource.version;
+
+describe('PricingVersionService', () => {
+  useTestDatabase();
+
+  let initialBaseFee;
+
+  beforeAll(async () => {
+    await pricingConfigService.loadPricing();
+    initialBaseFee = pricingService.pricing.baseFee;
+  });
+
+  test('the first load seeds the built-in rate card as published version 1', async () => {
+    const versions = await pricingVersionService.listVersions();
+
+    expect(versions).toEqual([expect.objectContaining({ version: 1, status: 'published' })]);
+    expect(liveVersion()).toBe(1);
+  });
+
+  test('an instance that loses the race to seed version 1 loads the seeded version', async () => {
+    // Both instances counted no versions before either created one
+    jest.spyOn(models.PricingVersion, 'count').mockResolvedValueOnce(0);
+
+    await pricingConfigService.loadPricing();
+
+    expect(await models.PricingVersion.count()).toBe(1);
+    expect(liveVersion()).toBe(1);
+  });
+
+  test('a draft is based on the live version and does not change pricing', async () => {
+    const draft = await draftBaseFee(initialBaseFee + 10);
+
+    expect(draft).toMatchObject({ status: 'draft', based_on_version: liveVersion(), created_by: 'admin_1' });
+    expect(draft.rate_card.baseFee).toBe(initialBaseFee + 10);
+    expect(pricingService.pricing.baseFee).toBe(initialBaseFee);
+  });
+
+  test('an invalid draft is rejected with the failing fields', async () => {
+    await expect(draftBaseFee(-5)).rejects.toMatchObject({
+      statusCode: 400,
+      details: expect.arrayContaining([expect.objectContaining({ path: 'baseFee' })])
+    });
+  });
+
+  test('publishing now makes the draft live and archives the previous version', async () => {
+    const previous = liveVersion();
+    const draft = await draftBaseFee(initialBaseFee + 20);
+
+    const published = await pricingVersionService.publishVersion(draft.version, {}, 'admin_1');
+
+    expect(published).toMatchObject({ status: 'published', published_by: 'admin_1' });
+    expect(liveVersion()).toBe(draft.version);
+    expect(pricingService.pricing.baseFee).toBe(initialBaseFee + 20);
+    expect((await models.PricingVersion.findByVersion(previous)).status).toBe('archived');
+  });
+
+  test('a published version cannot be published or edited again', async () => {
+    await expect(pricingVersionService.publishVersion(liveVersion(), {}, 'admin_1')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(pricingVersionService.updateDraft(liveVersion(), { changes: { baseFee: 1 } }, 'admin_1'))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('a scheduled version goes live once its effective time passes', async () => {
+    const live = liveVersion();
+    const draft = await draftBaseFee(initialBaseFee + 30);
+
+    const scheduled = await pricingVersionService.publishVersion(draft.version, {
+      effectiveAt: new Date(Date.now() + HOUR_MS).toISOString()
+    }, 'admin_1');
+
+    expect(scheduled.status).toBe('scheduled');
+    expect(await pricingVersionService.publishDueVersions()).toBeNull();
+    expect(liveVersion()).toBe(live);
+
+    await scheduled.update({ effective_at: new Date(Date.now() - 1000) });
+    const promoted = await pricingVersionService.publishDueVersions();
+
+    expect(promoted.version).toBe(draft.version);
+    expect(liveVersion()).toBe(draft.version);
+    expect(pricingService.pricing.baseFee).toBe(initialBaseFee + 30);
+  });
+
+  test('when several scheduled versions are due only the latest goes live', async () => {
+    const earlier = await draftBaseFee(initialBaseFee + 40);
+    const later = await draftBaseFee(initialBaseFee + 50);
+    const effectiveAt = new Date(Date.now() + HOUR_MS).toISOString();
+    await pricingVersionService.publishVersion(earlier.version, { effectiveAt }, 'admin_1');
+    await pricingVersionService.publishVersion(later.version, { effectiveAt }, 'admin_1');
+    await models.PricingVersion.update({ effective_at: new Date(Date.now() - 1000) }, { where: { status: 'scheduled' } });
+
+    await pricingVersionService.publishDueVersions();
+
+    expect(liveVersion()).toBe(later.version);
+    expect((await models.PricingVersion.findByVersion(earlier.version)).status).toBe('archived');
+  });
+
+  test('unscheduling returns a scheduled version to draft', async () => {
+    const draft = await draftBaseFee(initialBaseFee + 60);
+    await pricingVersionService.publishVersion(draft.version, {
+      effectiveAt: new Date(Date.now() + HOUR_MS).toISOString()
+    }, 'admin_1');
+
+    const unscheduled = await pricingVersionService.unscheduleVersion(draft.version, 'admin_1');
+
+    expect(unscheduled).toMatchObject({ status: 'draft', effective_at: null, published_by: null });
+    await expect(pricingVersionService.unscheduleVersion(draft.version, 'admin_1')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('rollback restores an earlier rate card as a new published version', async () => {
+    const restored = await pricingVersionService.rollbackToVersion(1, {}, 'admin_2');
+
+    expect(restored).toMatchObject({
+      status: 'published',
+      based_on_version: 1,
+      notes: 'Rollback to version 1',
+      published_by: 'admin_2'
+    });
+    expect(restored.version).toBeGreaterThan(1);
+    expect(liveVersion()).toBe(restored.version);
+    expect(pricingService.pricing.baseFee).toBe(initialBaseFee);
+  });
+
+  test('only previously published versions can be rolled back to', async () => {
+    const draft = await draftBaseFee(initialBaseFee + 70);
+
+    await expect(pricingVersionService.rollbackToVersion(draft.version, {}, 'admin_1')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(pricingVersionService.rollbackToVersion(9999, {}, 'admin_1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('a saved quote records the version that priced it', async () => {
+    const draft = await draftBaseFee(initialBaseFee + 80);
+    await pricingVersionService.publishVersion(draft.version, {}, 'admin_1');
+
+    const quote = await createQuote();
+
+    expect(quote.pricing_version).toBe(draft.version);
+    expect(quote.pricing_breakdown.breakdown.baseFee).toBe(initialBaseFee + 80);
+  });
+});
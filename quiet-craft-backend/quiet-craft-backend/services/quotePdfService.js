@@ -0,0 +1,447 @@
+/**
+ * Quote PDF Service - Branded Printable Quotes and Invoices
+ * Renders stored quotes and invoices to PDF locally with PDFKit (built-in fonts, no external services)
+ */
+
+const PDFDocument = require('pdfkit');
+const pricingService = require('./pricingService');
+const pricingEngine = require('../shared/pricingEngine');
+const logger = require('../utils/logger');
+
+const BRAND = {
+  name: 'Quiet Craft Solutions',
+  tagline: 'Event Logistics & Delivery',
+  email: process.env.QUOTE_CONTACT_EMAIL || 'admin@quietcrafting.com',
+  website: process.env.FRONTEND_URL || 'https://quietcrafting.com',
+  color: '#1f3a5f',
+  muted: '#6b7280',
+  rule: '#e5e7eb'
+};
+
+const SERVICE_LEVEL_NAMES = {
+  standard: 'Standard',
+  nextDay: 'Next day',
+  sameDay: 'Same day',
+  emergency: 'Emergency'
+};
+
+const PAYMENT_TERM_NAMES = {
+  due_on_receipt: 'Due on receipt',
+  net_15: 'Net 15',
+  net_30: 'Net 30',
+  net_45: 'Net 45'
+};
+
+const money = (amount) => (parseFloat(amount) || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+const longDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+  : 'Not specified');
+
+class QuotePdfService {
+  constructor() {
+    this.pageMargin = 50;
+    this.columns = { description: 50, detail: 300, amount: 460, end: 562 };
+  }
+
+  /**
+   * Start a PDF document and collect its bytes
+   * @param {Object} info - PDF metadata (Title, Subject)
+   * @returns {Object} { doc, rendered } where rendered resolves to the PDF bytes once doc.end() is called
+   */
+  createDocument(info) {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: this.pageMargin,
+      info: { Author: BRAND.name, ...info }
+    });
+
+    const chunks = [];
+    const rendered = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    return { doc, rendered };
+  }
+
+  /**
+   * Render a stored quote as a PDF
+   * @param {Object} quote - Quote record
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async renderQuote(quote) {
+    const data = quote.toQuoteResponse();
+    const startTime = Date.now();
+
+    const { doc, rendered } = this.createDocument({ Title: `Quote ${data.quoteId}`, Subject: 'Logistics quote' });
+
+    this.renderHeader(doc, data);
+    this.renderParties(doc, data);
+    this.renderLineItems(doc, data);
+    this.renderAdjustments(doc, data);
+    this.renderTotals(doc, data);
+    this.renderFooter(doc, data);
+    doc.end();
+
+    const pdf = await rendered;
+    logger.info('Quote PDF rendered', { quoteId: data.quoteId, bytes: pdf.length, processingTime: Date.now() - startTime });
+    return pdf;
+  }
+
+  /**
+   * Render an invoice as a PDF
+   * @param {Object} invoice - Invoice record with its quote
+   * @param {Object} payments - Ledger summary of the invoiced quote (see PaymentService.getLedger)
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async renderInvoice(invoice, payments = null) {
+    const data = invoice.toInvoiceResponse(payments);
+    const startTime = Date.now();
+
+    const { doc, rendered } = this.createDocument({ Title: `Invoice ${data.invoiceNumber}`, Subject: 'Invoice' });
+
+    this.renderBrandBand(doc, `INVOICE ${data.invoiceNumber}`, `Quote ${data.quoteId}`);
+    doc.y = 110;
+    doc.font('Helvetica').fontSize(10).fillColor('#111827');
+    doc.text(`Issued: ${data.issueDate ? longDate(data.issueDate) : 'Draft'}`, this.pageMargin);
+    doc.font('Helvetica-Bold').text(`Due: ${data.dueDate ? longDate(data.dueDate) : PAYMENT_TERM_NAMES[data.paymentTerms]}`);
+    doc.font('Helvetica').text(`Terms: ${PAYMENT_TERM_NAMES[data.paymentTerms] || data.paymentTerms}`);
+    doc.text(`Status: ${data.status}`);
+
+    const billTo = data.billTo || {};
+    this.renderSectionTitle(doc, 'Bill to');
+    doc.font('Helvetica').fontSize(10).fillColor('#111827');
+    doc.text(billTo.name || 'Customer');
+    if (billTo.company) doc.text(billTo.company);
+    if (billTo.email) doc.text(billTo.email);
+    if (billTo.phone) doc.text(billTo.phone);
+
+    this.renderSectionTitle(doc, 'Charges');
+    (data.lineItems || []).forEach(line => {
+      this.renderRow(doc, {
+        description: line.description,
+        detail: line.quantity !== 1 ? `${line.quantity} × ${money(line.unitPrice)}` : '',
+        amount: line.amount < 0 ? `-${money(-line.amount)}` : money(line.amount)
+      });
+    });
+
+    this.renderSectionTitle(doc, 'Summary');
+    this.renderRow(doc, { description: 'Subtotal', amount: money(data.subtotal) });
+    this.renderRow(doc, { description: 'Taxes', amount: money(data.taxes) });
+    this.renderRow(doc, { description: 'Total', amount: money(data.total), bold: true });
+    if (data.amountPaid !== undefined) {
+      this.renderRow(doc, { description: 'Payments received', amount: `-${money(data.amountPaid)}` });
+    }
+
+    this.ensureSpace(doc, 40);
+    const y = doc.y + 4;
+    doc.moveTo(this.columns.detail, y).lineTo(this.columns.end, y).strokeColor(BRAND.color).lineWidth(1.5).stroke();
+    const totalY = y + 8;
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(BRAND.color)
+      .text('Balance due', this.columns.detail, totalY);
+    doc.text(money(data.balanceDue === undefined ? data.total : data.balanceDue), this.columns.amount - 40, totalY, {
+      width: this.columns.end - this.columns.amount + 40,
+      align: 'right'
+    });
+
+    if (data.notes) {
+      doc.moveDown(1.5);
+      this.ensureSpace(doc, 40);
+      doc.font('Helvetica').fontSize(9).fillColor(BRAND.muted).text(data.notes, this.pageMargin, doc.y, { width: this.columns.end - this.pageMargin });
+    }
+
+    this.renderFooterText(doc,
+      `Please include invoice ${data.invoiceNumber} with your payment. ` +
+      `Questions? Contact ${BRAND.email} or visit ${BRAND.website}.`
+    );
+    doc.end();
+
+    const pdf = await rendered;
+    logger.info('Invoice PDF rendered', { invoiceNumber: data.invoiceNumber, bytes: pdf.length, processingTime: Date.now() - startTime });
+    return pdf;
+  }
+
+  /**
+   * Start a new page when fewer than the given points remain
+   * @param {Object} doc - PDF document
+   * @param {number} space - Points needed
+   */
+  ensureSpace(doc, space) {
+    if (doc.y + space > doc.page.height - this.pageMargin - 40) {
+      doc.addPage();
+    }
+  }
+
+  /**
+   * Draw a section heading with a rule underneath
+   * @param {Object} doc - PDF document
+   * @param {string} title - Heading text
+   */
+  renderSectionTitle(doc, title) {
+    this.ensureSpace(doc, 60);
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND.color).text(title.toUpperCase(), this.columns.description);
+    const y = doc.y + 2;
+    doc.moveTo(this.columns.description, y).lineTo(this.columns.end, y).strokeColor(BRAND.rule).lineWidth(1).stroke();
+    doc.moveDown(0.5);
+  }
+
+  /**
+   * Draw one description / detail / amount row
+   * @param {Object} doc - PDF document
+   * @param {Object} row - { description, detail, amount, bold }
+   */
+  renderRow(doc, row) {
+    this.ensureSpace(doc, 20);
+    const y = doc.y;
+    const font = row.bold ? 'Helvetica-Bold' : 'Helvetica';
+
+    doc.font(font).fontSize(10).fillColor('#111827')
+      .text(row.description, this.columns.description, y, { width: this.columns.detail - this.columns.description - 10 });
+    const descriptionBottom = doc.y;
+
+    doc.font('Helvetica').fontSize(9).fillColor(BRAND.muted)
+      .text(row.detail || '', this.columns.detail, y, { width: this.columns.amount - this.columns.detail - 10 });
+    const detailBottom = doc.y;
+
+    doc.font(font).fontSize(10).fillColor('#111827')
+      .text(row.amount, this.columns.amount, y, { width: this.columns.end - this.columns.amount, align: 'right' });
+
+    doc.y = Math.max(descriptionBottom, detailBottom, doc.y) + 4;
+  }
+
+  /**
+   * Brand band across the top of the first page with the document title on the right
+   * @param {Object} doc - PDF document
+   * @param {string} title - Document title (e.g., QUOTE QC-...)
+   * @param {string} subtitle - Smaller line under the title
+   */
+  renderBrandBand(doc, title, subtitle) {
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND.color);
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#ffffff').text(BRAND.name, this.pageMargin, 28);
+    doc.font('Helvetica').fontSize(10).fillColor('#dbe4f0').text(BRAND.tagline, this.pageMargin, 56);
+
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#ffffff')
+      .text(title, 300, 30, { width: this.columns.end - 300, align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor('#dbe4f0')
+      .text(subtitle, 300, 48, { width: this.columns.end - 300, align: 'right' });
+  }
+
+  /**
+   * Brand band, quote number and validity
+   * @param {Object} doc - PDF document
+   * @param {Object} data - Quote response (see Quote.toQuoteResponse)
+   */
+  renderHeader(doc, data) {
+    this.renderBrandBand(doc, `QUOTE ${data.quoteId}`,
+      `Version ${data.version || 1}${data.pricingVersion ? ` · Rate card v${data.pricingVersion}` : ''}`);
+
+    doc.y = 110;
+    doc.font('Helvetica').fontSize(10).fillColor('#111827');
+    doc.text(`Issued: ${longDate(data.createdAt)}`, this.pageMargin);
+    doc.font('Helvetica-Bold').text(`Valid until: ${longDate(data.validUntil)}`);
+    doc.font('Helvetica').text(`Status: ${data.status}`);
+  }
+
+  /**
+   * Customer contact and shipment route
+   * @param {Object} doc - PDF document
+   * @param {Object} data - Quote response (see Quote.toQuoteResponse)
+   */
+  renderParties(doc, data) {
+    const request = data.request || {};
+    const contact = request.contactInfo || {};
+    const distanceInfo = data.distanceInfo || {};
+
+    this.renderSectionTitle(doc, 'Prepared for');
+    doc.font('Helvetica').fontSize(10).fillColor('#111827');
+    doc.text(contact.name || 'Customer');
+    if (contact.company) doc.text(contact.company);
+    if (contact.email) doc.text(contact.email);
+    if (contact.phone) doc.text(contact.phone);
+
+    this.renderSectionTitle(doc, 'Shipment');
+    const stops = distanceInfo.stops || request.stops || [];
+    const route = [
+      ['Pickup', request.pickup],
+      ...stops.map((stop, index) => [`Stop ${index + 1}`, stop.address]),
+      ['Delivery', request.delivery]
+    ];
+    route.forEach(([label, address]) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(address || 'Not specified');
+    });
+
+    const details = [
+      `Event: ${request.eventType || 'corporateEvent'}`,
+      `Event date: ${longDate(request.eventDate)}`,
+      `Service level: ${SERVICE_LEVEL_NAMES[request.serviceLevel] || request.serviceLevel || 'Standard'}`
+    ];
+    if (distanceInfo.distance) {
+      details.push(`Distance: ${distanceInfo.distance.text || `${distanceInfo.distance.miles} miles`}`);
+    }
+    doc.moveDown(0.3).fillColor(BRAND.muted).fontSize(9).text(details.join('   ·   '));
+  }
+
+  /**
+   * Fees before multipliers, one row per charge
+   * @param {Object} doc - PDF document
+   * @param {Object} data - Quote response (see Quote.toQuoteResponse)
+   */
+  renderLineItems(doc, data) {
+    const components = data.components || {};
+    const request = data.request || {};
+
+    this.renderSectionTitle(doc, 'Charges');
+
+    const rows = [
+      { description: 'Base delivery fee', amount: money(components.baseFee) }
+    ];
+
+    if (components.distanceFee) {
+      rows.push({
+        description: 'Distance',
+        detail: data.distanceInfo?.distance ? `${data.distanceInfo.distance.miles} miles` : '',
+        amount: money(components.distanceFee)
+      });
+    }
+
+    (components.itemFees || []).forEach(item => {
+      const size = item.billableSize || item.size;
+      const extras = [];
+      if (item.specialFees) extras.push(`special handling ${money(item.specialFees)}`);
+      if (item.overweightFee) extras.push(`overweight ${money(item.overweightFee)}`);
+
+      rows.push({
+        description: item.description,
+        detail: `${item.quantity} × ${size}${extras.length ? ` (${extras.join(', ')})` : ''}`,
+        amount: money(item.totalFee)
+      });
+    });
+
+    if (components.vehicleFee) {
+      const vehicles = (components.vehiclePlan?.vehicles || []).map(vehicle => vehicle.description);
+      rows.push({ description: 'Vehicles', detail: vehicles.join(', '), amount: money(components.vehicleFee) });
+    }
+
+    if (components.serviceLevelFee) {
+      rows.push({
+        description: `${SERVICE_LEVEL_NAMES[request.serviceLevel] || request.serviceLevel} service`,
+        amount: money(components.serviceLevelFee)
+      });
+    }
+
+    (components.additionalServiceFees || []).forEach(service => {
+      rows.push({
+        description: service.description || pricingService.getServiceDescription(service.service),
+        detail: service.detail || (service.quantity > 1 ? `${service.quantity} ×` : ''),
+        amount: money(service.fee)
+      });
+    });
+
+    rows.forEach(row => this.renderRow(doc, row));
+  }
+
+  /**
+   * Event type, complexity, urgency and demand multipliers
+   * @param {Object} doc - PDF document
+   * @param {Object} data - Quote response (see Quote.toQuoteResponse)
+   */
+  renderAdjustments(doc, data) {
+    const multipliers = data.breakdown?.multipliers;
+    if (!multipliers) return;
+
+    const rows = [];
+    if (multipliers.eventType && multipliers.eventType !== 1) {
+      rows.push({ description: `Event type (${data.request?.eventType})`, amount: `× ${multipliers.eventType}` });
+    }
+    (multipliers.complexity || []).forEach(factor => {
+      rows.push({ description: factor.description, amount: `× ${factor.multiplier}` });
+    });
+    if (multipliers.urgency && multipliers.urgency !== 1) {
+      rows.push({ description: 'Short-notice scheduling', amount: `× ${multipliers.urgency}` });
+    }
+    if (multipliers.demand && multipliers.demand.multiplier !== 1) {
+      rows.push({ description: `High-demand date (${Math.round(multipliers.demand.utilization * 100)}% booked)`, amount: `× ${multipliers.demand.multiplier}` });
+    }
+
+    if (rows.length === 0) return;
+
+    this.renderSectionTitle(doc, 'Adjustments');
+    rows.forEach(row => this.renderRow(doc, row));
+  }
+
+  /**
+   * Subtotal, discounts, tax lines and total
+   * @param {Object} doc - PDF document
+   * @param {Object} data - Quote response (see Quote.toQuoteResponse)
+   */
+  renderTotals(doc, data) {
+    const breakdown = data.breakdown || {};
+    const tax = breakdown.tax;
+
+    this.renderSectionTitle(doc, 'Summary');
+    this.renderRow(doc, { description: 'Subtotal', amount: money(data.subtotal) });
+
+    (Array.isArray(breakdown.discounts) ? breakdown.discounts : []).forEach(line => {
+      this.renderRow(doc, { description: line.description || `Promo code ${line.code}`, detail: line.code, amount: `-${money(line.amount)}` });
+    });
+
+    if (tax && Array.isArray(tax.lines) && tax.lines.length > 0) {
+      tax.lines.forEach(line => {
+        this.renderRow(doc, {
+          description: `${line.jurisdiction} sales tax`,
+          detail: `${pricingEngine.formatRate(line.rate)} of ${money(line.taxableAmount)}`,
+          amount: money(line.amount)
+        });
+      });
+      if (tax.exemption && tax.exemption.accepted) {
+        this.renderRow(doc, { description: 'Tax exempt', detail: `Certificate ${tax.exemption.certificateNumber}`, amount: '' });
+      }
+    } else {
+      this.renderRow(doc, { description: 'Taxes', amount: money(data.taxes) });
+    }
+
+    this.ensureSpace(doc, 40);
+    const y = doc.y + 4;
+    doc.moveTo(this.columns.detail, y).lineTo(this.columns.end, y).strokeColor(BRAND.color).lineWidth(1.5).stroke();
+    const totalY = y + 8;
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(BRAND.color)
+      .text('Total', this.columns.detail, totalY);
+    doc.text(money(data.total), this.columns.amount - 40, totalY, { width: this.columns.end - this.columns.amount + 40, align: 'right' });
+  }
+
+  /**
+   * Validity terms and contact details
+   * @param {Object} doc - PDF document
+   * @param {Object} data - Quote response (see Quote.toQuoteResponse)
+   */
+  renderFooter(doc, data) {
+    this.renderFooterText(doc,
+      `Prices are valid until ${longDate(data.validUntil)} and are based on the details above; changes to items, ` +
+      'locations or dates may change the price. ' +
+      `Questions? Contact ${BRAND.email} or visit ${BRAND.website} and quote ${data.quoteId}.`
+    );
+  }
+
+  /**
+   * Small print pinned to the bottom of the last page
+   * @param {Object} doc - PDF document
+   * @param {string} text - Footer text
+   */
+  renderFooterText(doc, text) {
+    const footerY = doc.page.height - this.pageMargin - 40;
+    if (doc.y + 20 > footerY) {
+      doc.addPage();
+    }
+
+    doc.font('Helvetica').fontSize(8.5).fillColor(BRAND.muted).text(text, this.pageMargin, footerY, {
+      width: this.columns.end - this.pageMargin
+    });
+  }
+}
+
+// Initialize service
+const quotePdfService = new QuotePdfService();
+
+module.exports = quotePdfService;
@@ -0,0 +1,426 @@
+/**
+ * Quote Service - Stored Quote Lifecycle Management
+ * Moves persisted quotes between states and expires quotes past their validity window
+ */
+
+const cron = require('node-cron');
+const crypto = require('crypto');
+const { sequelize, models } = require('../models');
+const pricingService = require('./pricingService');
+const discountService = require('./discountService');
+const paymentService = require('./paymentService');
+const quoteTerms = require('../config/quoteTerms');
+const logger = require('../utils/logger');
+const { diffRevisions, diffRequests } = require('../utils/quoteDiff');
+const { AppError } = require('../middleware/errorHandler');
+
+class QuoteService {
+  constructor() {
+    // Sweeper schedule (every 15 minutes by default)
+    this.expirySchedule = process.env.QUOTE_EXPIRY_CRON || '*/15 * * * *';
+    this.expiryTask = null;
+
+    // Customer share links (7 days by default, never past the quote's validity)
+    this.shareLinkHours = parseInt(process.env.QUOTE_LINK_TTL_HOURS) || 168;
+    this.acceptPageUrl = process.env.QUOTE_ACCEPT_URL || `${process.env.FRONTEND_URL || 'https://quietcrafting.com'}/accept.html`;
+  }
+
+  /**
+   * Load a quote row-locked inside a transaction and run an action against it
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Function} action - Receives (quote, transaction)
+   * @returns {Object} Updated quote record
+   */
+  async withLockedQuote(quoteId, action) {
+    return await sequelize.transaction(async (transaction) => {
+      const quote = await models.Quote.findOne({
+        where: { quote_id: quoteId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!quote) {
+        throw new AppError(`No quote exists with ID ${quoteId}`, 404);
+      }
+
+      return await action(quote, transaction);
+    });
+  }
+
+  /**
+   * Reject a status change the quote's current state does not allow
+   * @param {Object} quote - Quote record
+   * @param {string} status - Target status
+   */
+  assertTransition(quote, status) {
+    if (!quote.canTransitionTo(status)) {
+      throw new AppError(`Quote ${quote.quote_id} cannot move from ${quote.status} to ${status}`, 409);
+    }
+  }
+
+  /**
+   * Accept an active quote that is still within its validity window and book the job
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} options - userId (staff acceptance), or acceptance details from a share link;
+   *   expectedVersion rejects the acceptance if the quote was revised in the meantime
+   * @returns {Object} { quote, booking }
+   */
+  async acceptQuote(quoteId, options = {}) {
+    const acceptance = options.acceptance || { method: 'staff', userId: options.userId };
+
+    const { quote, booking } = await this.withLockedQuote(quoteId, async (quote, transaction) => {
+      this.assertTransition(quote, 'accepted');
+
+      if (options.expectedVersion && quote.version !== options.expectedVersion) {
+        throw new AppError(`Quote ${quoteId} is now at version ${quote.version}; review the latest version before accepting`, 409);
+      }
+
+      if (quote.isExpired()) {
+        await quote.expire({ transaction });
+        return { quote };
+      }
+
+      // Promo codes count against their usage limit when the quote is accepted
+      await discountService.redeemForQuote(quote, transaction);
+
+      await quote.accept(acceptance, { transaction });
+      const booking = await models.Booking.createFromQuote(quote, {
+        transaction,
+        depositPercentage: paymentService.depositPercentage
+      });
+
+      return { quote, booking };
+    });
+
+    if (quote.status !== 'accepted') {
+      throw new AppError(`Quote ${quoteId} expired on ${quote.valid_until.toISOString()} and can no longer be accepted`, 409);
+    }
+
+    logger.info('Quote accepted', {
+      quoteId,
+      bookingNumber: booking.booking_number,
+      method: acceptance.method,
+      userId: options.userId
+    });
+    return { quote, booking };
+  }
+
+  /**
+   * Hash a share link token for lookup (tokens are only ever stored hashed)
+   * @param {string} token - Share link token
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashShareToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Create an unguessable, expiring link the customer can use to review and accept a quote
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} options - expiresInHours and actor details
+   * @returns {Object} { token, url, expiresAt }
+   */
+  async createShareLink(quoteId, options = {}) {
+    const quote = await this.findQuoteOrFail(quoteId);
+
+    if (!quote.isActive()) {
+      throw new AppError(`Quote ${quoteId} is ${quote.isExpired() ? 'past its validity date' : quote.status} and cannot be shared for acceptance`, 409);
+    }
+
+    const hours = options.expiresInHours || this.shareLinkHours;
+    const expiresAt = new Date(Math.min(Date.now() + hours * 60 * 60 * 1000, new Date(quote.valid_until).getTime()));
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await models.QuoteShareLink.create({
+      quote_id: quote.id,
+      token_hash: this.hashShareToken(token),
+      expires_at: expiresAt,
+      created_by: options.userId || null
+    });
+
+    logger.info('Quote share link created', { quoteId, expiresAt: expiresAt.toISOString(), userId: options.userId });
+
+    return {
+      token,
+      url: `${this.acceptPageUrl}?token=${token}`,
+      expiresAt
+    };
+  }
+
+  /**
+   * Resolve a share link token to its link and quote
+   * @param {string} token - Share link token
+   * @returns {Object} QuoteShareLink record with its quote
+   */
+  async resolveShareLink(token) {
+    const link = await models.QuoteShareLink.findByTokenHash(this.hashShareToken(token));
+
+    if (!link || link.revoked_at || !link.quote) {
+      throw new AppError('This quote link is not valid', 404);
+    }
+    if (link.isExpired()) {
+      throw new AppError('This quote link has expired; ask us for a new one', 410);
+    }
+
+    return link;
+  }
+
+  /**
+   * Quote behind a share link, counting the view
+   * @param {string} token - Share link token
+   * @returns {Object} { quote, terms, acceptable }
+   */
+  async viewSharedQuote(token) {
+    const link = await this.resolveShareLink(token);
+    await link.recordView();
+
+    return {
+      quote: link.quote,
+      terms: quoteTerms,
+      acceptable: link.quote.isActive()
+    };
+  }
+
+  /**
+   * Accept a quote through its share link, recording who accepted and the terms they agreed to
+   * @param {string} token - Share link token
+   * @param {Object} details - name, email, version and termsVersion the customer reviewed, ip, userAgent
+   * @returns {Object} { quote, booking }
+   */
+  async acceptSharedQuote(token, details) {
+    const link = await this.resolveShareLink(token);
+
+    if (details.termsVersion !== quoteTerms.version) {
+      throw new AppError('Our terms have changed since this page was loaded; reload to review them', 409);
+    }
+
+    return await this.acceptQuote(link.quote.quote_id, {
+      expectedVersion: details.version,
+      acceptance: {
+        method: 'share_link',
+        name: details.name,
+        email: details.email || null,
+        termsVersion: quoteTerms.version,
+        quoteVersion: details.version,
+        ip: details.ip,
+        userAgent: details.userAgent || null,
+        shareLinkId: link.id
+      }
+    });
+  }
+
+  /**
+   * Cancel a draft, active or accepted quote
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} options - Cancellation reason and actor details; guard(quote, booking) runs with
+   *   both rows locked and throws to refuse the cancellation
+   * @returns {Object} Cancelled quote record
+   */
+  async cancelQuote(quoteId, options = {}) {
+    const quote = await this.withLockedQuote(quoteId, async (quote, transaction) => {
+      this.assertTransition(quote, 'cancelled');
+
+      const booking = await models.Booking.findByQuote(quote.id, { lock: transaction.LOCK.UPDATE, transaction });
+      if (options.guard) {
+        options.guard(quote, booking);
+      }
+
+      if (options.reason) {
+        quote.notes = [quote.notes, `Cancelled: ${options.reason}`].filter(Boolean).join('\n');
+      }
+
+      // An accepted quote's booking goes with it
+      if (booking && booking.status !== 'cancelled') {
+        await booking.cancel({ transaction });
+      }
+
+      // ...and so does the promo code redemption it counted on acceptance
+      if (quote.status === 'accepted') {
+        await discountService.releaseForQuote(quote, transaction);
+      }
+
+      return await quote.cancel({ transaction });
+    });
+
+    logger.info('Quote cancelled', { quoteId, userId: options.userId, reason: options.reason });
+    return quote;
+  }
+
+  /**
+   * Reopen an expired or cancelled quote with a fresh validity window
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} options - Actor details for the audit log
+   * @returns {Object} Reactivated quote record
+   */
+  async reopenQuote(quoteId, options = {}) {
+    const validUntil = new Date(Date.now() + pricingService.quoteValidityDays * 24 * 60 * 60 * 1000);
+
+    const quote = await this.withLockedQuote(quoteId, async (quote, transaction) => {
+      this.assertTransition(quote, 'active');
+      return await quote.reopen(validUntil, { transaction });
+    });
+
+    logger.info('Quote reopened', { quoteId, userId: options.userId, validUntil: validUntil.toISOString() });
+    return quote;
+  }
+
+  /**
+   * Find a stored quote or fail with 404
+   * @param {string} quoteId - Human-readable quote ID
+   * @returns {Object} Quote record
+   */
+  async findQuoteOrFail(quoteId) {
+    const quote = await models.Quote.findByQuoteId(quoteId);
+
+    if (!quote) {
+      throw new AppError(`No quote exists with ID ${quoteId}`, 404);
+    }
+
+    return quote;
+  }
+
+  /**
+   * Re-price a quote with changed request fields, keeping the same quote ID
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {Object} changes - Request fields to change (items, delivery, ...)
+   * @param {Object} options - Change note and actor details
+   * @returns {Object} Revised quote record
+   */
+  async reviseQuote(quoteId, changes, options = {}) {
+    const existing = await this.findQuoteOrFail(quoteId);
+
+    if (!['draft', 'active'].includes(existing.status)) {
+      throw new AppError(`Quote ${quoteId} is ${existing.status} and cannot be revised`, 409);
+    }
+
+    // Price outside the transaction so distance lookups don't hold the row lock
+    let request;
+    try {
+      request = pricingService.normalizeQuoteRequest({ ...existing.quote_request, ...changes });
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    const pricing = await pricingService.calculateQuote(request);
+    const changedFields = diffRequests(existing.quote_request, request).map(change => change.field);
+
+    if (changedFields.length === 0) {
+      throw new AppError(`Revision does not change quote ${quoteId}`, 400);
+    }
+
+    const quote = await this.withLockedQuote(quoteId, async (quote, transaction) => {
+      if (quote.version !== existing.version) {
+        throw new AppError(`Quote ${quoteId} was revised concurrently, please retry`, 409);
+      }
+
+      // Quotes created before their first revision have no v1 snapshot yet
+      const revisionCount = await models.QuoteRevision.count({ where: { quote_id: quote.id }, transaction });
+      if (revisionCount === 0) {
+        await models.QuoteRevision.create(quote.toRevisionSnapshot(), { transaction });
+      }
+
+      quote.set({
+        ...models.Quote.pricingAttributes(pricing, request),
+        version: quote.version + 1,
+        valid_until: new Date(Date.now() + pricingService.quoteValidityDays * 24 * 60 * 60 * 1000)
+      });
+      await quote.save({ transaction });
+
+      await models.QuoteRevision.create({
+        ...quote.toRevisionSnapshot(),
+        changed_fields: changedFields,
+        change_note: options.note || null,
+        created_by: options.userId || null
+      }, { transaction });
+
+      return quote;
+    });
+
+    logger.info('Quote revised', {
+      quoteId,
+      version: quote.version,
+      changedFields,
+      total: pricing.total,
+      userId: options.userId
+    });
+
+    return quote;
+  }
+
+  /**
+   * List every revision of a quote, oldest first
+   * @param {string} quoteId - Human-readable quote ID
+   * @returns {Array} Revision responses
+   */
+  async getRevisions(quoteId) {
+    const quote = await this.findQuoteOrFail(quoteId);
+    const revisions = await models.QuoteRevision.findAllForQuote(quote.id);
+
+    // An unrevised quote is its own first version
+    if (revisions.length === 0) {
+      return [models.QuoteRevision.build(quote.toRevisionSnapshot()).toRevisionResponse()];
+    }
+
+    return revisions.map(revision => revision.toRevisionResponse());
+  }
+
+  /**
+   * Diff two versions of a quote
+   * @param {string} quoteId - Human-readable quote ID
+   * @param {number} fromVersion - Older version (defaults to the one before toVersion)
+   * @param {number} toVersion - Newer version (defaults to the latest)
+   * @returns {Object} Version diff
+   */
+  async diffVersions(quoteId, fromVersion, toVersion) {
+    const revisions = await this.getRevisions(quoteId);
+    const latest = revisions[revisions.length - 1].version;
+
+    const to = toVersion || latest;
+    const from = fromVersion || Math.max(to - 1, 1);
+
+    const fromRevision = revisions.find(revision => revision.version === from);
+    const toRevision = revisions.find(revision => revision.version === to);
+
+    if (!fromRevision || !toRevision) {
+      throw new AppError(`Quote ${quoteId} has versions 1-${latest}`, 404);
+    }
+
+    return diffRevisions(fromRevision, toRevision);
+  }
+
+  /**
+   * Flip active quotes past valid_until to expired
+   * @returns {number} Number of quotes expired
+   */
+  async expireStaleQuotes() {
+    const count = await models.Quote.expireStaleQuotes();
+
+    if (count > 0) {
+      logger.info('Stale quotes expired', { count });
+    }
+
+    return count;
+  }
+
+  /**
+   * Start the background expiry sweeper
+   */
+  startExpirySweeper() {
+    if (this.expiryTask) return;
+
+    this.expiryTask = cron.schedule(this.expirySchedule, async () => {
+      try {
+        await this.expireStaleQuotes();
+      } catch (error) {
+        logger.logError(error, { service: 'QuoteService.expireStaleQuotes' });
+      }
+    });
+
+    logger.info('Quote expiry sweeper started', { schedule: this.expirySchedule });
+  }
+}
+
+// Initialize service
+const quoteService = new QuoteService();
+
+module.exports = quoteService;
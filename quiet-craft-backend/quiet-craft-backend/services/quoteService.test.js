@@ -0,0 +1,206 @@
+/**
+ * Quote Service - status transitions, expiry and revisions
+ */
+
+const { useTestDatabase } = require('../test/database');
+const { DAY_MS, quoteRequest, createQuote } = require('../test/quotes');
+const { models } = require('../models');
+const pricingService = require('./pricingService');
+const quoteService = require('./quoteService');
+
+describe('QuoteService', () => {
+  useTestDatabase();
+
+  describe('status transitions', () => {
+    test('the transition table allows only the documented moves', () => {
+      const quote = models.Quote.build({ status: 'active' });
+      expect(quote.canTransitionTo('accepted')).toBe(true);
+      expect(quote.canTransitionTo('expired')).toBe(true);
+      expect(quote.canTransitionTo('draft')).toBe(false);
+
+      quote.status = 'accepted';
+      expect(quote.canTransitionTo('cancelled')).toBe(true);
+      expect(quote.canTransitionTo('active')).toBe(false);
+
+      quote.status = 'expired';
+      expect(quote.canTransitionTo('active')).toBe(true);
+      expect(quote.canTransitionTo('accepted')).toBe(false);
+    });
+
+    test('accepting an active quote records the acceptance and books the job', async () => {
+      const created = await createQuote();
+
+      const { quote, booking } = await quoteService.acceptQuote(created.quote_id, { userId: 'staff_1' });
+
+      expect(quote.status).toBe('accepted');
+      expect(quote.accepted_at).toBeInstanceOf(Date);
+      expect(quote.acceptance).toMatchObject({ method: 'staff', userId: 'staff_1' });
+      expect(booking.quote_id).toBe(quote.id);
+      expect(booking.status).toBe('pending');
+    });
+
+    test('a cancelled quote cannot be accepted', async () => {
+      const created = await createQuote({ status: 'cancelled' });
+
+      await expect(quoteService.acceptQuote(created.quote_id, { userId: 'staff_1' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      await created.reload();
+      expect(created.status).toBe('cancelled');
+    });
+
+    test('accepting a quote past its validity expires it instead', async () => {
+      const created = await createQuote({ valid_until: new Date(Date.now() - DAY_MS) });
+
+      await expect(quoteService.acceptQuote(created.quote_id, { userId: 'staff_1' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      await created.reload();
+      expect(created.status).toBe('expired');
+      expect(created.expired_at).toBeInstanceOf(Date);
+      expect(await models.Booking.findByQuote(created.id)).toBeNull();
+    });
+
+    test('cancelling an accepted quote cancels its booking', async () => {
+      const created = await createQuote();
+      await quoteService.acceptQuote(created.quote_id, { userId: 'staff_1' });
+
+      const quote = await quoteService.cancelQuote(created.quote_id, { reason: 'Event postponed' });
+
+      expect(quote.status).toBe('cancelled');
+      expect(quote.notes).toContain('Cancelled: Event postponed');
+      expect((await models.Booking.findByQuote(created.id)).status).toBe('cancelled');
+    });
+
+    test('reopening a cancelled quote gives it a fresh validity window', async () => {
+      const created = await createQuote();
+      await quoteService.acceptQuote(created.quote_id, { userId: 'staff_1' });
+      await quoteService.cancelQuote(created.quote_id);
+
+      const quote = await quoteService.reopenQuote(created.quote_id);
+
+      expect(quote.status).toBe('active');
+      expect(quote.accepted_at).toBeNull();
+      expect(quote.acceptance).toBeNull();
+      expect(quote.valid_until.getTime()).toBeGreaterThan(Date.now() + (pricingService.quoteValidityDays - 1) * DAY_MS);
+    });
+
+    test('cancelling an accepted quote releases its promo code redemption', async () => {
+      const promoCode = await models.PromoCode.create({ code: 'ONCE50', discount_type: 'fixed', amount: 50, usage_limit: 1 });
+      const created = await createQuote({}, { ...quoteRequest, promoCode: 'ONCE50' });
+
+      await quoteService.acceptQuote(created.quote_id, { userId: 'staff_1' });
+      expect((await promoCode.reload()).usage_count).toBe(1);
+
+      await quoteService.cancelQuote(created.quote_id);
+      expect((await promoCode.reload()).usage_count).toBe(0);
+
+      await quoteService.reopenQuote(created.quote_id);
+      const { quote } = await quoteService.acceptQuote(created.quote_id, { userId: 'staff_1' });
+
+      expect(quote.status).toBe('accepted');
+      expect((await promoCode.reload()).usage_count).toBe(1);
+    });
+
+    test('an active quote cannot be reopened', async () => {
+      const created = await createQuote();
+
+      await expect(quoteService.reopenQuote(created.quote_id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('an unknown quote is reported as missing', async () => {
+      await expect(quoteService.cancelQuote('QC-00000000-ZZZZZ')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('expireStaleQuotes', () => {
+    test('expires active quotes past valid_until and leaves the rest', async () => {
+      await models.Quote.update({ status: 'cancelled' }, { where: { status: 'active' } });
+
+      const stale = await createQuote({ valid_until: new Date(Date.now() - 60 * 1000) });
+      const current = await createQuote();
+      const accepted = await createQuote({ status: 'accepted', valid_until: new Date(Date.now() - DAY_MS) });
+
+      expect(await quoteService.expireStaleQuotes()).toBe(1);
+
+      await Promise.all([stale.reload(), current.reload(), accepted.reload()]);
+      expect(stale.status).toBe('expired');
+      expect(stale.expired_at).toBeInstanceOf(Date);
+      expect(current.status).toBe('active');
+      expect(accepted.status).toBe('accepted');
+    });
+
+    test('an expired quote can be reopened', async () => {
+      const created = await createQuote({ status: 'expired', expired_at: new Date() });
+
+      const quote = await quoteService.reopenQuote(created.quote_id);
+
+      expect(quote.status).toBe('active');
+      expect(quote.expired_at).toBeNull();
+    });
+  });
+
+  describe('revisions', () => {
+    test('revising a quote re-prices it and keeps both versions', async () => {
+      const created = await createQuote();
+
+      const quote = await quoteService.reviseQuote(created.quote_id, {
+        items: [{ description: 'Booth crates', size: 'medium', quantity: 6 }]
+      }, { note: 'Four more crates', userId: 'staff_1' });
+
+      expect(quote.version).toBe(2);
+      expect(quote.quote_id).toBe(created.quote_id);
+      expect(parseFloat(quote.total)).toBeGreaterThan(parseFloat(created.total));
+
+      const revisions = await quoteService.getRevisions(created.quote_id);
+      expect(revisions.map(revision => revision.version)).toEqual([1, 2]);
+      expect(revisions[0].total).toBe(parseFloat(created.total));
+      expect(revisions[1]).toMatchObject({ changedFields: ['items'], changeNote: 'Four more crates', createdBy: 'staff_1' });
+    });
+
+    test('the diff between versions shows the total, component and request changes', async () => {
+      const created = await createQuote();
+      await quoteService.reviseQuote(created.quote_id, {
+        items: [{ description: 'Booth crates', size: 'medium', quantity: 6 }]
+      });
+
+      const diff = await quoteService.diffVersions(created.quote_id);
+      const revised = await models.Quote.findByQuoteId(created.quote_id);
+
+      expect(diff.fromVersion).toBe(1);
+      expect(diff.toVersion).toBe(2);
+      expect(diff.totals.total).toEqual({
+        from: parseFloat(created.total),
+        to: parseFloat(revised.total),
+        delta: Math.round((revised.total - created.total) * 10000) / 10000
+      });
+      expect(diff.request.map(change => change.field)).toEqual(['items']);
+      expect(diff.components.length).toBeGreaterThan(0);
+    });
+
+    test('an unrevised quote is its own first version', async () => {
+      const created = await createQuote();
+
+      const revisions = await quoteService.getRevisions(created.quote_id);
+
+      expect(revisions).toHaveLength(1);
+      expect(revisions[0].version).toBe(1);
+      await expect(quoteService.diffVersions(created.quote_id, 1, 2)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('a revision that changes nothing is rejected', async () => {
+      const created = await createQuote();
+
+      await expect(quoteService.reviseQuote(created.quote_id, { delivery: quoteRequest.delivery }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('an accepted quote cannot be revised', async () => {
+      const created = await createQuote();
+      await quoteService.acceptQuote(created.quote_id, { userId: 'staff_1' });
+
+      await expect(quoteService.reviseQuote(created.quote_id, { serviceLevel: 'nextDay' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Tax Service - Sales Tax by Delivery Jurisdiction
+ * Resolves the destination jurisdiction from the local rate table, splits taxable and exempt services
+ * and applies verified exemption certificates
+ */
+
+const { models } = require('../models');
+const mapsService = require('./mapsService');
+const taxRates = require('../config/taxRates');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class TaxService {
+  constructor() {
+    this.rateTable = taxRates;
+  }
+
+  /**
+   * Check whether a 5-digit ZIP falls in any of a list of inclusive ranges
+   * @param {string} zip - 5-digit ZIP code
+   * @param {Array} ranges - [[from, to], ...]
+   * @returns {boolean} Whether the ZIP is in range
+   */
+  zipInRanges(zip, ranges) {
+    return ranges.some(([from, to]) => zip >= from && zip <= to);
+  }
+
+  /**
+   * Find the 5-digit ZIP of an address. A ZIP follows the state ("Trenton, NJ 08608"), so when the
+   * address names a state without one, 5-digit street numbers ("10001 Main St") are not taken for a ZIP.
+   * @param {string} address - Delivery address
+   * @returns {string|null} 5-digit ZIP code
+   */
+  extractZip(address) {
+    const text = String(address || '').toUpperCase();
+
+    const afterState = text.match(/\b[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/g);
+    if (afterState) {
+      return afterState[afterState.length - 1].match(/\d{5}/)[0];
+    }
+    if (this.matchTrailingState(text)) {
+      return null;
+    }
+
+    const rawZip = mapsService.extractZipCode(text);
+    return rawZip && /^\d{5}/.test(rawZip) ? rawZip.substring(0, 5) : null;
+  }
+
+  /**
+   * Trailing state abbreviation of an address ("..., NJ", "..., NJ 08608", "..., NJ, USA")
+   * @param {string} address - Delivery address
+   * @returns {string|null} Two-letter state
+   */
+  matchTrailingState(address) {
+    const stateMatch = String(address).toUpperCase().match(/(?:,|\s)\s*([A-Z]{2})(?:\s+\d{5}(?:-\d{4})?)?\s*(?:,\s*USA?)?\s*$/);
+    return stateMatch ? stateMatch[1] : null;
+  }
+
+  /**
+   * Resolve the tax jurisdiction of a delivery address
+   * @param {string} address - Delivery address
+   * @returns {Object} Jurisdiction with state and local rates
+   */
+  resolveJurisdiction(address) {
+    const zip = this.extractZip(address);
+
+    let jurisdiction = null;
+    let source = 'default';
+
+    if (zip) {
+      jurisdiction = this.rateTable.jurisdictions.find(entry => this.zipInRanges(zip, entry.zipRanges));
+      source = 'zip';
+    }
+
+    // No ZIP (or one outside the table): fall back to a trailing state abbreviation
+    if (!jurisdiction && address) {
+      const state = this.matchTrailingState(address);
+      if (state) {
+        jurisdiction = this.rateTable.jurisdictions.find(entry => entry.state === state);
+        source = 'state';
+      }
+    }
+
+    if (!jurisdiction) {
+      return {
+        state: null,
+        name: 'Default',
+        zip,
+        source: 'default',
+        rates: [{ level: 'default', name: 'Default sales tax', rate: this.rateTable.defaultRate }],
+        exemptCategories: this.rateTable.defaultExemptCategories
+      };
+    }
+
+    const rates = [{ level: 'state', name: jurisdiction.name, rate: jurisdiction.rate }];
+
+    // Local rates can only be resolved from a ZIP
+    if (zip && source === 'zip') {
+      const local = jurisdiction.localRates.find(entry => this.zipInRanges(zip, entry.zipRanges));
+      if (local) {
+        rates.push({ level: 'local', name: local.name, rate: local.rate });
+      }
+    }
+
+    return {
+      state: jurisdiction.state,
+      name: jurisdiction.name,
+      zip,
+      source,
+      rates,
+      exemptCategories: jurisdiction.exemptCategories || this.rateTable.defaultExemptCategories
+    };
+  }
+
+  /**
+   * Tax category of an additional service
+   * @param {string} service - Additional service key
+   * @returns {string} Tax category
+   */
+  getServiceCategory(service) {
+    return this.rateTable.serviceCategories[service] || 'delivery';
+  }
+
+  /**
+   * Resolve the tax profile for a quote request (snapshotted into the quote components)
+   * @param {Object} request - Normalized quote request
+   * @param {Object} context - asOf: date to check certificate validity at (defaults to now);
+   *   lookups: preloaded records to use instead of the database
+   * @returns {Object} Jurisdiction, rates, exempt categories and exemption status
+   */
+  async resolveTaxProfile(request, context = {}) {
+    const jurisdiction = this.resolveJurisdiction(request.delivery);
+    const profile = { ...jurisdiction, exemption: null };
+
+    if (request.taxExemptionCertificate) {
+      const certificateNumber = String(request.taxExemptionCertificate).trim().toUpperCase();
+      const certificate = context.lookups
+        ? await context.lookups.findTaxExemption(certificateNumber)
+        : await models.TaxExemption.findByCertificateNumber(certificateNumber);
+
+      const reason = certificate
+        ? certificate.getIneligibilityReason({
+          asOf: context.asOf,
+          state: jurisdiction.state,
+          email: request.contactInfo && request.contactInfo.email
+        })
+        : `Exemption certificate ${certificateNumber} is not on file`;
+
+      profile.exemption = {
+        certificateNumber,
+        accepted: !reason,
+        reason,
+        exemptionReason: certificate && !reason ? certificate.exemption_reason : null
+      };
+    }
+
+    return profile;
+  }
+
+  /**
+   * Calculate tax lines for a priced quote
+   * @param {Object} profile - Tax profile from resolveTaxProfile
+   * @param {Object} categoryTotals - Pre-multiplier fees by tax category
+   * @param {number} taxableBase - Discounted subtotal the fees add up to after multipliers
+   * @returns {Object} Tax total, lines and taxable/exempt split
+   */
+  calculateTax(profile, categoryTotals, taxableBase) {
+    const feeTotal = Object.values(categoryTotals).reduce((sum, amount) => sum + amount, 0);
+    const exemptCategories = profile.exemptCategories || [];
+
+    // Multipliers and discounts apply evenly, so each category keeps its share of the base
+    const categories = Object.entries(categoryTotals).map(([category, amount]) => ({
+      category,
+      amount: round(feeTotal > 0 ? taxableBase * (amount / feeTotal) : 0),
+      taxable: !exemptCategories.includes(category)
+    }));
+
+    const taxableAmount = round(categories.filter(entry => entry.taxable).reduce((sum, entry) => sum + entry.amount, 0));
+    const exemptAmount = round(Math.max(taxableBase - taxableAmount, 0));
+    const certificateExempt = !!(profile.exemption && profile.exemption.accepted);
+
+    const lines = profile.rates.map(rate => ({
+      level: rate.level,
+      jurisdiction: rate.name,
+      rate: rate.rate,
+      taxableAmount: certificateExempt ? 0 : taxableAmount,
+      amount: certificateExempt ? 0 : round(taxableAmount * rate.rate)
+    }));
+
+    return {
+      taxes: round(lines.reduce((sum, line) => sum + line.amount, 0)),
+      jurisdiction: {
+        state: profile.state,
+        name: profile.name,
+        zip: profile.zip,
+        source: profile.source
+      },
+      lines,
+      categories,
+      taxableAmount: certificateExempt ? 0 : taxableAmount,
+      exemptAmount: certificateExempt ? round(taxableBase) : exemptAmount,
+      exemption: profile.exemption
+    };
+  }
+
+  /**
+   * List exemption certificates
+   * @param {Object} filters - Optional status and email filters
+   * @returns {Array} TaxExemption records
+   */
+  async listExemptions(filters = {}) {
+    const where = {};
+    if (filters.status) where.status = filters.status;
+    if (filters.email) where.customer_email = String(filters.email).trim().toLowerCase();
+
+    return await models.TaxExemption.findAll({
+      where,
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Map API field names to model attributes
+   * @param {Object} data - Certificate fields from the API
+   * @returns {Object} Model attributes
+   */
+  toAttributes(data) {
+    const fields = {
+      certificateNumber: 'certificate_number',
+      customerName: 'customer_name',
+      customerEmail: 'customer_email',
+      states: 'states',
+      exemptionReason: 'exemption_reason',
+      validFrom: 'valid_from',
+      expiresAt: 'expires_at',
+      documentUrl: 'document_url',
+      notes: 'notes'
+    };
+
+    const attributes = {};
+    Object.entries(fields).forEach(([field, attribute]) => {
+      if (data[field] !== undefined) {
+        attributes[attribute] = attribute === 'states'
+          ? data[field].map(state => String(state).toUpperCase())
+          : data[field];
+      }
+    });
+
+    return attributes;
+  }
+
+  /**
+   * Record an exemption certificate (pending until verified)
+   * @param {Object} data - Certificate fields
+   * @param {string} userId - ID of the admin recording it
+   * @returns {Object} TaxExemption record
+   */
+  async createExemption(data, userId) {
+    const attributes = this.toAttributes(data);
+
+    if (await models.TaxExemption.findByCertificateNumber(attributes.certificate_number)) {
+      throw new AppError(`Exemption certificate ${String(attributes.certificate_number).toUpperCase()} is already on file`, 409);
+    }
+
+    const exemption = await models.TaxExemption.create(attributes);
+
+    logger.info('Tax exemption certificate recorded', { certificateNumber: exemption.certificate_number, userId });
+    return exemption;
+  }
+
+  /**
+   * Update a certificate, including verifying or revoking it
+   * @param {string} certificateNumber - Certificate number
+   * @param {Object} data - Fields to change (status: verified | revoked | pending)
+   * @param {string} userId - ID of the admin making the change
+   * @returns {Object} TaxExemption record
+   */
+  async updateExemption(certificateNumber, data, userId) {
+    const exemption = await models.TaxExemption.findByCertificateNumber(certificateNumber);
+    if (!exemption) {
+      throw new AppError(`No exemption certificate ${String(certificateNumber).toUpperCase()} is on file`, 404);
+    }
+
+    const attributes = this.toAttributes(data);
+    delete attributes.certificate_number;
+
+    if (data.status && data.status !== exemption.status) {
+      attributes.status = data.status;
+      if (data.status === 'verified') {
+        attributes.verified_by = userId;
+        attributes.verified_at = new Date();
+      }
+    }
+
+    await exemption.update(attributes);
+
+    logger.info('Tax exemption certificate updated', {
+      certificateNumber: exemption.certificate_number,
+      changes: Object.keys(attributes),
+      userId
+    });
+    return exemption;
+  }
+}
+
+// Initialize service
+const taxService = new TaxService();
+
+module.exports = taxService;
@@ -0,0 +1,160 @@
+/**
+ * Tax Service - jurisdiction resolution, tax lines and exemption certificates
+ */
+
+const { useTestDatabase } = require('../test/database');
+const { models } = require('../models');
+const taxService = require('./taxService');
+
+describe('TaxService', () => {
+  describe('resolveJurisdiction', () => {
+    test('uses the state and local rate of the delivery ZIP', () => {
+      const jurisdiction = taxService.resolveJurisdiction('350 5th Ave, New York, NY 10118');
+
+      expect(jurisdiction).toMatchObject({ state: 'NY', zip: '10118', source: 'zip' });
+      expect(jurisdiction.rates).toEqual([
+        { level: 'state', name: 'New York', rate: 0.04 },
+        { level: 'local', name: 'New York City', rate: 0.04875 }
+      ]);
+    });
+
+    test('takes the ZIP after the state, not a 5-digit street number', () => {
+      const jurisdiction = taxService.resolveJurisdiction('10001 Market St, Philadelphia, PA 19107');
+
+      expect(jurisdiction).toMatchObject({ state: 'PA', zip: '19107', source: 'zip' });
+      expect(jurisdiction.rates.map(rate => rate.name)).toEqual(['Pennsylvania', 'Philadelphia']);
+    });
+
+    test('ignores a 5-digit street number when the address ends with a state and no ZIP', () => {
+      const jurisdiction = taxService.resolveJurisdiction('10001 Main St, Trenton, NJ');
+
+      expect(jurisdiction).toMatchObject({ state: 'NJ', zip: null, source: 'state' });
+      expect(jurisdiction.rates).toEqual([{ level: 'state', name: 'New Jersey', rate: 0.06625 }]);
+    });
+
+    test('falls back to the trailing state when the ZIP is outside the table', () => {
+      const jurisdiction = taxService.resolveJurisdiction('1 Main St, Newark, DE 99999');
+
+      expect(jurisdiction).toMatchObject({ state: 'DE', source: 'state' });
+    });
+
+    test('uses the default rate for an address outside every jurisdiction', () => {
+      const jurisdiction = taxService.resolveJurisdiction('600 Congress Ave, Austin, TX 78701');
+
+      expect(jurisdiction).toMatchObject({ state: null, name: 'Default', source: 'default' });
+      expect(jurisdiction.rates).toEqual([
+        { level: 'default', name: 'Default sales tax', rate: taxService.rateTable.defaultRate }
+      ]);
+    });
+
+    test('reads a ZIP+4 and a trailing country', () => {
+      const jurisdiction = taxService.resolveJurisdiction('1 Stamford Forum, Stamford, CT 06901-3516, USA');
+
+      expect(jurisdiction).toMatchObject({ state: 'CT', zip: '06901', source: 'zip' });
+    });
+  });
+
+  describe('calculateTax', () => {
+    const newYorkCity = taxService.resolveJurisdiction('New York, NY 10118');
+
+    test('taxes only the categories the jurisdiction does not exempt', () => {
+      const tax = taxService.calculateTax(
+        { ...newYorkCity, exemption: null },
+        { delivery: 200, handling: 100 },
+        300
+      );
+
+      expect(tax.categories).toEqual([
+        { category: 'delivery', amount: 200, taxable: false },
+        { category: 'handling', amount: 100, taxable: true }
+      ]);
+      expect(tax.taxableAmount).toBe(100);
+      expect(tax.exemptAmount).toBe(200);
+      expect(tax.lines.map(line => line.amount)).toEqual([4, 4.88]);
+      expect(tax.taxes).toBe(8.88);
+    });
+
+    test('spreads multipliers and discounts across categories by their share of the fees', () => {
+      const tax = taxService.calculateTax(
+        { ...newYorkCity, exemption: null },
+        { delivery: 150, handling: 50 },
+        300
+      );
+
+      expect(tax.categories.map(entry => entry.amount)).toEqual([225, 75]);
+      expect(tax.taxableAmount).toBe(75);
+    });
+
+    test('an accepted exemption certificate zeroes every line', () => {
+      const tax = taxService.calculateTax(
+        { ...newYorkCity, exemption: { certificateNumber: 'NY-1', accepted: true } },
+        { delivery: 200, handling: 100 },
+        300
+      );
+
+      expect(tax.taxes).toBe(0);
+      expect(tax.taxableAmount).toBe(0);
+      expect(tax.exemptAmount).toBe(300);
+    });
+  });
+
+  describe('resolveTaxProfile', () => {
+    useTestDatabase();
+
+    const request = {
+      delivery: '1 Riverfront Plaza, Newark, NJ 07102',
+      contactInfo: { email: 'Buyer@Example.com' }
+    };
+
+    beforeAll(async () => {
+      await models.TaxExemption.bulkCreate([
+        { certificate_number: 'nj-resale-1', customer_name: 'Expo Rentals', customer_email: 'buyer@example.com', states: ['NJ'], exemption_reason: 'resale', status: 'verified' },
+        { certificate_number: 'NJ-PENDING-1', customer_name: 'Expo Rentals', states: ['NJ'], exemption_reason: 'resale', status: 'pending' },
+        { certificate_number: 'NY-ONLY-1', customer_name: 'Expo Rentals', states: ['NY'], exemption_reason: 'nonprofit', status: 'verified' }
+      ]);
+    });
+
+    test('accepts a verified certificate for the delivery state and customer', async () => {
+      const profile = await taxService.resolveTaxProfile({ ...request, taxExemptionCertificate: ' nj-resale-1 ' });
+
+      expect(profile.state).toBe('NJ');
+      expect(profile.exemption).toEqual({
+        certificateNumber: 'NJ-RESALE-1',
+        accepted: true,
+        reason: null,
+        exemptionReason: 'resale'
+      });
+    });
+
+    test('rejects a certificate registered to another customer', async () => {
+      const profile = await taxService.resolveTaxProfile({
+        ...request,
+        contactInfo: { email: 'someone@else.com' },
+        taxExemptionCertificate: 'NJ-RESALE-1'
+      });
+
+      expect(profile.exemption.accepted).toBe(false);
+      expect(profile.exemption.reason).toMatch(/different customer/);
+    });
+
+    test('rejects unverified, out-of-state and unknown certificates', async () => {
+      const reasons = [];
+      for (const certificate of ['NJ-PENDING-1', 'NY-ONLY-1', 'NJ-MISSING-1']) {
+        const profile = await taxService.resolveTaxProfile({ ...request, taxExemptionCertificate: certificate });
+        expect(profile.exemption.accepted).toBe(false);
+        reasons.push(profile.exemption.reason);
+      }
+
+      expect(reasons[0]).toMatch(/is pending/);
+      expect(reasons[1]).toMatch(/does not cover deliveries to NJ/);
+      expect(reasons[2]).toMatch(/is not on file/);
+    });
+
+    test('a request without a certificate has no exemption', async () => {
+      const profile = await taxService.resolveTaxProfile(request);
+
+      expect(profile.exemption).toBeNull();
+      expect(profile.rates).toEqual([{ level: 'state', name: 'New Jersey', rate: 0.06625 }]);
+    });
+  });
+});
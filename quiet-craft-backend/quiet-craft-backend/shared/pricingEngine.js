@@ -0,0 +1,928 @@
+/**
+ * Pricing Engine - Rate Card Pricing Shared by the Backend and the Website
+ * Pure, synchronous pricing from a rate card: the backend PricingService (require) adds demand, promo codes and tax on top,
+ * and the website quote calculator (served at /api/shared/pricingEngine.js, exposed as window.PricingEngine after
+ * /api/shared/storagePricing.js) prices instant quotes with the rate card published at /api/quote/pricing.
+ * shared/pricingVectors.json holds requests with the subtotals both sides must produce (see runVectors).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./storagePricing'));
+  } else {
+    root.PricingEngine = factory(root.StoragePricing);
+  }
+})(typeof self !== 'undefined' ? self : this, function (storagePricing) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Urgency multipliers by days of notice before the event
+  const URGENCY_MULTIPLIERS = [
+    { maxDays: 1, multiplier: 1.8 }, // Same day
+    { maxDays: 2, multiplier: 1.4 }, // Next day
+    { maxDays: 7, multiplier: 1.2 } // Within a week
+  ];
+  const DEFAULT_EMERGENCY_MULTIPLIER = 2.0;
+
+  // Most pieces a request can hold; the vehicle planner packs each piece separately
+  const MAX_PLANNED_UNITS = 2000;
+
+  // Rate card sections the engine prices with (published to the website by /api/quote/pricing)
+  const RATE_CARD_SECTIONS = [
+    'baseFee', 'distanceTiers', 'itemFees', 'serviceLevels', 'additionalServices',
+    'eventTypes', 'complexityFactors', 'dimensionalPricing', 'fleet', 'storage'
+  ];
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  /**
+   * The parts of a rate card the engine needs, safe to publish
+   * @param {Object} pricing - Full rate card
+   * @returns {Object} Rate card sections used for pricing (absent optional sections are null)
+   */
+  const publishRateCard = (pricing) => RATE_CARD_SECTIONS.reduce((card, section) => {
+    card[section] = pricing[section] === undefined ? null : pricing[section];
+    return card;
+  }, {});
+
+  /**
+   * Normalize the priced fields of a quote request (no validation; the backend validates its own requests)
+   * @param {Object} request - Raw quote request
+   * @returns {Object} Request with defaults, parsed dates and normalized items, stops and storage
+   */
+  const normalizeRequest = (request) => ({
+    eventType: request.eventType || 'corporateEvent',
+    serviceLevel: request.serviceLevel || 'standard',
+    stops: Array.isArray(request.stops)
+      ? request.stops.filter(stop => stop && stop.address).map(stop => ({ address: stop.address, notes: stop.notes || '' }))
+      : [],
+    eventDate: request.eventDate ? new Date(request.eventDate) : null,
+    items: normalizeItems(request.items),
+    additionalServices: Array.isArray(request.additionalServices) ? request.additionalServices : [],
+    specialRequirements: request.specialRequirements || [],
+    storage: request.storage && (request.storage.inDate || request.storage.outDate)
+      ? {
+        inDate: new Date(request.storage.inDate),
+        outDate: new Date(request.storage.outDate),
+        pallets: parseInt(request.storage.pallets) || null
+      }
+      : null,
+    urgency: request.urgency || 'standard'
+  });
+
+  /**
+   * Ensure items have the properties pricing reads
+   * @param {Array} items - Raw items
+   * @returns {Array} Normalized items
+   */
+  const normalizeItems = (items) => (Array.isArray(items) ? items : []).map(item => ({
+    description: item.description || 'Item',
+    size: item.size || 'medium',
+    quantity: parseInt(item.quantity) || 1,
+    sizeDeclared: !!item.size,
+    weight: parseFloat(item.weight) || 0,
+    weightUnit: item.weightUnit === 'kg' ? 'kg' : 'lb',
+    dimensions: item.dimensions || {},
+    special: Array.isArray(item.special) ? item.special : [],
+    value: Math.max(parseFloat(item.value) || 0, 0)
+  }));
+
+  /**
+   * Calculate distance-based fees
+   * @param {Object} pricing - Rate card
+   * @param {number} miles - Distance in miles
+   * @returns {number} Distance fee
+   */
+  const calculateDistanceFee = (pricing, miles) => {
+    const tiers = pricing.distanceTiers;
+
+    if (miles <= tiers.tier1.maxMiles) {
+      return miles * tiers.tier1.rate;
+    } else if (miles <= tiers.tier2.maxMiles) {
+      const tier1Fee = tiers.tier1.maxMiles * tiers.tier1.rate;
+      const tier2Miles = miles - tiers.tier1.maxMiles;
+      return tier1Fee + (tier2Miles * tiers.tier2.rate);
+    } else {
+      const tier1Fee = tiers.tier1.maxMiles * tiers.tier1.rate;
+      const tier2Fee = (tiers.tier2.maxMiles - tiers.tier1.maxMiles) * tiers.tier2.rate;
+      const tier3Miles = miles - tiers.tier2.maxMiles;
+      return tier1Fee + tier2Fee + (tier3Miles * tiers.tier3.rate);
+    }
+  };
+
+  /**
+   * Item length, width and height in inches
+   * @param {Object} item - Normalized item
+   * @returns {Array|null} Sides in inches, or null unless all three are given
+   */
+  const getItemSides = (item) => {
+    const dimensions = item.dimensions || {};
+    const toInches = dimensions.unit === 'cm' ? 1 / 2.54 : 1;
+    const sides = [dimensions.length, dimensions.width, dimensions.height].map(side => (parseFloat(side) || 0) * toInches);
+
+    return sides.every(side => side > 0) ? sides : null;
+  };
+
+  /**
+   * Item weight in lbs
+   * @param {Object} item - Normalized item
+   * @returns {number} Weight in lbs (0 when not given)
+   */
+  const getItemWeight = (item) => (item.weightUnit === 'kg' ? item.weight * 2.20462 : item.weight);
+
+  /**
+   * Measure an item's billable weight from its weight and dimensions
+   * @param {Object} pricing - Rate card
+   * @param {Object} item - Normalized item
+   * @param {number} divisor - Cubic inches per billable lb
+   * @returns {Object|null} Weights in lbs and the size class they fall in, or null without measurements
+   */
+  const measureItem = (pricing, item, divisor) => {
+    const settings = pricing.dimensionalPricing;
+    const sides = getItemSides(item);
+    const actualWeight = getItemWeight(item);
+    const dimensionalWeight = sides ? (sides[0] * sides[1] * sides[2]) / divisor : 0;
+
+    if (!settings || (actualWeight <= 0 && dimensionalWeight <= 0)) {
+      return null;
+    }
+
+    const billableWeight = Math.max(actualWeight, dimensionalWeight);
+    const limits = settings.sizeLimits;
+    let measuredSize = 'extraLarge';
+    if (billableWeight <= limits.small) {
+      measuredSize = 'small';
+    } else if (billableWeight <= limits.medium) {
+      measuredSize = 'medium';
+    } else if (billableWeight <= limits.large) {
+      measuredSize = 'large';
+    }
+
+    return {
+      actualWeight: Math.round(actualWeight * 10) / 10,
+      dimensionalWeight: Math.round(dimensionalWeight * 10) / 10,
+      billableWeight: Math.round(billableWeight * 10) / 10,
+      measuredSize
+    };
+  };
+
+  /**
+   * Calculate fees for all items
+   * @param {Object} pricing - Rate card
+   * @param {Array} items - Normalized items
+   * @param {Object} options - international: use the international dimensional divisor
+   * @returns {Array} Item fee details
+   */
+  const calculateItemFees = (pricing, items, options = {}) => {
+    const settings = pricing.dimensionalPricing;
+    const divisor = settings
+      ? settings.divisors[options.international ? 'international' : 'domestic']
+      : null;
+
+    return items.map(item => {
+      const measurement = measureItem(pricing, item, divisor);
+      const dimensional = !!(settings && settings.enabled && measurement);
+
+      // Billable size comes from measurements in dimensional mode, otherwise from the label
+      const billableSize = dimensional ? measurement.measuredSize : item.size;
+      const baseFee = pricing.itemFees[billableSize] || pricing.itemFees.medium;
+      let specialFees = 0;
+      let overweightFee = 0;
+
+      if (dimensional && measurement.actualWeight > settings.overweight.thresholdLbs) {
+        overweightFee = (measurement.actualWeight - settings.overweight.thresholdLbs) * settings.overweight.ratePerLb;
+      }
+
+      // Add special handling fees
+      if (item.special && item.special.length > 0) {
+        item.special.forEach(special => {
+          switch (special) {
+            case 'delicate':
+              specialFees += pricing.itemFees.delicate;
+              break;
+            case 'highValue':
+              specialFees += pricing.itemFees.highValue;
+              break;
+            case 'hazardous':
+              specialFees += baseFee * 0.5; // 50% surcharge
+              break;
+            case 'oversized':
+              specialFees += pricing.itemFees.extraLarge;
+              break;
+          }
+        });
+      }
+
+      const totalFee = (baseFee + specialFees + overweightFee) * item.quantity;
+
+      return {
+        description: item.description,
+        size: item.size,
+        billableSize,
+        pricingMode: dimensional ? 'dimensional' : 'sizeLabel',
+        quantity: item.quantity,
+        baseFee,
+        specialFees,
+        overweightFee: round(overweightFee),
+        totalFee,
+        measurement,
+        // Flag declared sizes the measurements contradict (in either pricing mode)
+        sizeMismatch: !!(measurement && item.sizeDeclared !== false && measurement.measuredSize !== item.size),
+        details: item.special || []
+      };
+    });
+  };
+
+  /**
+   * Cargo space and weight one unit of an item takes up
+   * @param {Object} pricing - Rate card
+   * @param {Object} item - Normalized item
+   * @returns {Object} cubicFeet, weightLbs, lengthInches and whether size defaults were assumed
+   */
+  const getItemLoad = (pricing, item) => {
+    const sizeDefaults = pricing.fleet.sizeDefaults;
+    const defaults = sizeDefaults[item.size] || sizeDefaults.medium;
+    const sides = getItemSides(item);
+    const weight = getItemWeight(item);
+
+    return {
+      cubicFeet: sides ? (sides[0] * sides[1] * sides[2]) / 1728 : defaults.cubicFeet,
+      weightLbs: weight > 0 ? weight : defaults.weightLbs,
+      lengthInches: sides ? Math.max(...sides) : 0,
+      estimated: !sides || !(weight > 0)
+    };
+  };
+
+  /**
+   * Cost of one vehicle for the trip
+   * @param {Object} vehicle - Vehicle from the fleet catalog
+   * @param {Object} distanceInfo - Distance calculation results
+   * @returns {Object} Billable hours, miles and cost
+   */
+  const calculateVehicleCost = (vehicle, distanceInfo) => {
+    const miles = (distanceInfo && distanceInfo.distance && distanceInfo.distance.miles) || 0;
+    const minutes = (distanceInfo && distanceInfo.duration && distanceInfo.duration.minutes) || 0;
+    const driveHours = Math.ceil((minutes / 60) * 2) / 2; // rounded up to the half hour
+    const hours = Math.max(vehicle.minimumHours, driveHours);
+
+    return {
+      hours,
+      miles,
+      cost: round(hours * vehicle.hourlyRate + miles * vehicle.mileageRate)
+    };
+  };
+
+  /**
+   * Every mix of vehicle types up to the fleet's vehicle limit
+   * @param {Array} types - Vehicle type keys
+   * @param {number} maxVehicles - Most vehicles one quote may use
+   * @returns {Array} Counts by vehicle type
+   */
+  const listVehicleCombinations = (types, maxVehicles) => {
+    const combinations = [];
+
+    const build = (index, counts, total) => {
+      if (index === types.length) {
+        if (total > 0) combinations.push(counts);
+        return;
+      }
+      for (let count = 0; total + count <= maxVehicles; count++) {
+        build(index + 1, { ...counts, [types[index]]: count }, total + count);
+      }
+    };
+
+    build(0, {}, 0);
+    return combinations;
+  };
+
+  /**
+   * Pack item units into a set of vehicles (best-fit decreasing by volume)
+   * @param {Array} units - Item units, largest first
+   * @param {Array} bins - Vehicles to load ({ type, vehicle })
+   * @param {number} loadFactor - Usable share of cargo volume
+   * @returns {Array|null} Loaded vehicles, or null when the units do not fit
+   */
+  const packLoad = (units, bins, loadFactor) => {
+    const loads = bins.map(bin => ({
+      ...bin,
+      capacity: bin.vehicle.cargoCubicFeet * loadFactor,
+      cubicFeet: 0,
+      weightLbs: 0,
+      units: []
+    }));
+
+    for (const unit of units) {
+      let best = null;
+
+      loads.forEach(load => {
+        const fits = unit.lengthInches <= load.vehicle.maxLengthInches &&
+          load.cubicFeet + unit.cubicFeet <= load.capacity &&
+          load.weightLbs + unit.weightLbs <= load.vehicle.payloadLbs;
+
+        if (fits && (!best || load.capacity - load.cubicFeet < best.capacity - best.cubicFeet)) {
+          best = load;
+        }
+      });
+
+      if (!best) return null;
+
+      best.cubicFeet += unit.cubicFeet;
+      best.weightLbs += unit.weightLbs;
+      best.units.push(unit);
+    }
+
+    return loads;
+  };
+
+  /**
+   * Group packed units back into item lines
+   * @param {Array} units - Units loaded into one vehicle
+   * @returns {Array} Item descriptions and quantities
+   */
+  const summarizeUnits = (units) => {
+    const lines = new Map();
+    units.forEach(unit => {
+      const line = lines.get(unit.index) || { description: unit.description, quantity: 0 };
+      line.quantity += 1;
+      lines.set(unit.index, line);
+    });
+
+    return [...lines.values()];
+  };
+
+  /**
+   * Get vehicle description
+   * @param {string} type - Vehicle type key
+   * @returns {string} Description
+   */
+  const getVehicleDescription = (type) => {
+    const descriptions = {
+      cargoVan: 'Cargo van',
+      boxTruck: '16\' box truck',
+      truck26: '26\' straight truck'
+    };
+
+    return descriptions[type] || type;
+  };
+
+  /**
+   * Choose the cheapest vehicles the items fit in and summarise how they are loaded
+   * @param {Object} pricing - Rate card
+   * @param {Array} items - Normalized items
+   * @param {Object} distanceInfo - Distance calculation results
+   * @returns {Object|null} Loading plan with vehicle cost (fits is false, with a reason, when no vehicles can carry the load),
+   *   or null when the fleet is disabled
+   */
+  const planVehicles = (pricing, items, distanceInfo) => {
+    const fleet = pricing.fleet;
+    if (!fleet || !fleet.enabled) {
+      return null;
+    }
+
+    const loads = items.map(item => getItemLoad(pricing, item));
+    const pieces = items.reduce((sum, item) => sum + item.quantity, 0);
+    const totalCubicFeet = loads.reduce((sum, load, index) => sum + load.cubicFeet * items[index].quantity, 0);
+    const totalWeightLbs = loads.reduce((sum, load, index) => sum + load.weightLbs * items[index].quantity, 0);
+    const plan = {
+      fits: false,
+      reason: null,
+      totalCubicFeet: Math.round(totalCubicFeet * 10) / 10,
+      totalWeightLbs: Math.round(totalWeightLbs * 10) / 10,
+      estimatedMeasurements: loads.some(load => load.estimated),
+      vehicles: [],
+      cost: 0
+    };
+
+    if (pieces > MAX_PLANNED_UNITS) {
+      plan.reason = `The load has more than ${MAX_PLANNED_UNITS} pieces`;
+      return plan;
+    }
+
+    // One entry per unit so quantities can be split across vehicles
+    const units = [];
+    items.forEach((item, index) => {
+      for (let i = 0; i < item.quantity; i++) {
+        units.push({ index, description: item.description, ...loads[index] });
+      }
+    });
+    units.sort((a, b) => b.cubicFeet - a.cubicFeet);
+
+    const vehicleCosts = {};
+    Object.entries(fleet.vehicles).forEach(([type, vehicle]) => {
+      vehicleCosts[type] = calculateVehicleCost(vehicle, distanceInfo);
+    });
+
+    // Cheapest combinations first; the first one the load packs into wins
+    const combinations = listVehicleCombinations(Object.keys(fleet.vehicles), fleet.maxVehicles)
+      .map(counts => ({
+        counts,
+        vehicleCount: Object.values(counts).reduce((sum, count) => sum + count, 0),
+        cost: Object.entries(counts).reduce((sum, [type, count]) => sum + vehicleCosts[type].cost * count, 0)
+      }))
+      .sort((a, b) => a.cost - b.cost || a.vehicleCount - b.vehicleCount);
+
+    for (const combination of combinations) {
+      const bins = [];
+      Object.entries(combination.counts).forEach(([type, count]) => {
+        for (let i = 0; i < count; i++) {
+          bins.push({ type, vehicle: fleet.vehicles[type] });
+        }
+      });
+
+      // Skip mixes that cannot hold the total volume or weight before trying to pack them
+      const capacity = bins.reduce((sum, bin) => sum + bin.vehicle.cargoCubicFeet * fleet.loadFactor, 0);
+      const payload = bins.reduce((sum, bin) => sum + bin.vehicle.payloadLbs, 0);
+      if (capacity < totalCubicFeet || payload < totalWeightLbs) continue;
+
+      const packed = packLoad(units, bins, fleet.loadFactor);
+      if (!packed) continue;
+
+      plan.fits = true;
+      plan.cost = round(combination.cost);
+      plan.vehicles = packed.map(load => ({
+        type: load.type,
+        description: getVehicleDescription(load.type),
+        cargoCubicFeet: load.vehicle.cargoCubicFeet,
+        payloadLbs: load.vehicle.payloadLbs,
+        loadedCubicFeet: Math.round(load.cubicFeet * 10) / 10,
+        loadedWeightLbs: Math.round(load.weightLbs * 10) / 10,
+        utilization: Math.round((load.cubicFeet / load.vehicle.cargoCubicFeet) * 100),
+        items: summarizeUnits(load.units),
+        ...vehicleCosts[load.type]
+      }));
+
+      return plan;
+    }
+
+    const tooLong = units.find(unit => Object.values(fleet.vehicles).every(vehicle => unit.lengthInches > vehicle.maxLengthInches));
+    plan.reason = tooLong
+      ? `${tooLong.description} is longer than any vehicle in the fleet`
+      : `The load does not fit in ${fleet.maxVehicles} vehicles`;
+
+    return plan;
+  };
+
+  /**
+   * Price a request's storage stay
+   * @param {Object} pricing - Rate card
+   * @param {Object} request - Normalized quote request
+   * @returns {Object|null} Storage quote, or null when no storage dates were given
+   */
+  const calculateStorage = (pricing, request) => {
+    if (!request.storage) {
+      return null;
+    }
+
+    const settings = pricing.storage;
+
+    // Rate cards saved before storage rates existed bill the stay at the flat daily fee
+    if (!settings) {
+      const days = storagePricing.countDays(request.storage.inDate, request.storage.outDate, 1);
+      const fee = round(days * (pricing.additionalServices.storageDaily || 0));
+      return {
+        inDate: new Date(request.storage.inDate).toISOString(),
+        outDate: new Date(request.storage.outDate).toISOString(),
+        days,
+        pallets: null,
+        storageFee: fee,
+        handlingFee: 0,
+        total: fee
+      };
+    }
+
+    return storagePricing.quoteStorage({ ...request.storage, items: request.items }, settings);
+  };
+
+  /**
+   * Get service description
+   * @param {string} service - Service key
+   * @returns {string} Service description
+   */
+  const getServiceDescription = (service) => {
+    const descriptions = {
+      venueCoordination: 'Venue coordination and liaison services',
+      onSiteSupport: 'On-site support and supervision',
+      setupAssistance: 'Setup and installation assistance',
+      storageDaily: 'Temporary storage (per day)',
+      storage: 'Warehouse storage with handling in and out',
+      customsHandling: 'Customs and documentation handling',
+      insurancePremium: 'Premium insurance coverage',
+      weekendDelivery: 'Weekend delivery service',
+      afterHoursDelivery: 'After-hours delivery service',
+      multipleStops: 'Multiple pickup/delivery locations'
+    };
+
+    return descriptions[service] || 'Additional service';
+  };
+
+  /**
+   * Calculate additional service fees
+   * @param {Object} pricing - Rate card
+   * @param {Array} services - Additional services requested
+   * @param {Object} options - stopCount: intermediate stops, each charged at the multipleStops rate;
+   *   storage: storage quote, which replaces the flat storageDaily fee
+   * @returns {Array} Service fee details
+   */
+  const calculateAdditionalServiceFees = (pricing, services, options = {}) => {
+    const stopCount = options.stopCount || 0;
+    let requested = stopCount > 0 && !services.includes('multipleStops')
+      ? [...services, 'multipleStops']
+      : services;
+
+    if (options.storage) {
+      requested = requested.filter(service => service !== 'storageDaily');
+    }
+
+    const fees = requested.map(service => {
+      const quantity = service === 'multipleStops' && stopCount > 0 ? stopCount : 1;
+      return {
+        service,
+        fee: (pricing.additionalServices[service] || 0) * quantity,
+        quantity,
+        description: getServiceDescription(service)
+      };
+    });
+
+    if (options.storage) {
+      fees.push({
+        service: 'storage',
+        fee: options.storage.total,
+        quantity: 1,
+        description: getServiceDescription('storage'),
+        detail: options.storage.pallets
+          ? storagePricing.describeStorage(options.storage)
+          : `${options.storage.days} day${options.storage.days === 1 ? '' : 's'}`
+      });
+    }
+
+    return fees;
+  };
+
+  /**
+   * Calculate complexity multipliers
+   * @param {Object} pricing - Rate card
+   * @param {Object} request - Normalized quote request
+   * @returns {Array} Complexity factors applied
+   */
+  const calculateComplexityMultipliers = (pricing, request) => {
+    const factors = [
+      { factor: 'multiVenue', description: 'Multiple venue coordination' },
+      { factor: 'multiDay', description: 'Multi-day event logistics' },
+      { factor: 'international', description: 'International shipping requirements' }
+    ];
+
+    return factors
+      .filter(({ factor }) => request.specialRequirements.includes(factor))
+      .map(({ factor, description }) => ({
+        factor,
+        multiplier: pricing.complexityFactors[factor],
+        description
+      }));
+  };
+
+  /**
+   * Urgency multiplier for a notice period
+   * @param {number} daysUntilEvent - Whole days between quoting and the event
+   * @returns {number} Urgency multiplier (1.0 for a week's notice or more)
+   */
+  const getUrgencyMultiplier = (daysUntilEvent) => {
+    const band = URGENCY_MULTIPLIERS.find(entry => daysUntilEvent <= entry.maxDays);
+    return band ? band.multiplier : 1.0;
+  };
+
+  /**
+   * Calculate urgency multiplier based on notice period
+   * @param {Date} eventDate - Event date
+   * @param {string} urgency - Urgency level
+   * @param {Object} options - asOf: date the notice period is measured from (defaults to now);
+   *   emergencyMultiplier: multiplier for emergency requests
+   * @returns {number} Urgency multiplier
+   */
+  const calculateUrgencyMultiplier = (eventDate, urgency, options = {}) => {
+    if (urgency === 'emergency') {
+      return options.emergencyMultiplier || DEFAULT_EMERGENCY_MULTIPLIER;
+    }
+
+    if (!eventDate) return 1.0;
+
+    const asOf = options.asOf || new Date();
+    return getUrgencyMultiplier(Math.ceil((eventDate - asOf) / DAY_MS));
+  };
+
+  /**
+   * Build the quote components a rate card prices on its own. Demand, promo codes and tax are left empty
+   * for the backend to resolve.
+   * @param {Object} pricing - Rate card
+   * @param {Object} request - Normalized quote request
+   * @param {Object} distanceInfo - Distance calculation results
+   * @param {Object} options - asOf and emergencyMultiplier (see calculateUrgencyMultiplier)
+   * @returns {Object} Quote components
+   */
+  const buildComponents = (pricing, request, distanceInfo, options = {}) => {
+    const vehiclePlan = planVehicles(pricing, request.items, distanceInfo);
+    const storage = calculateStorage(pricing, request);
+
+    return {
+      baseFee: pricing.baseFee,
+      distanceFee: distanceInfo && distanceInfo.distance ? calculateDistanceFee(pricing, distanceInfo.distance.miles) : 0,
+      itemFees: calculateItemFees(pricing, request.items, {
+        international: request.specialRequirements.includes('international')
+      }),
+      vehiclePlan,
+      // A load that does not fit has no vehicle price: the backend rejects it and the website shows the plan's reason
+      vehicleFee: vehiclePlan && vehiclePlan.fits ? vehiclePlan.cost : 0,
+      serviceLevelFee: pricing.serviceLevels[request.serviceLevel] || 0,
+      additionalServiceFees: calculateAdditionalServiceFees(pricing, request.additionalServices, {
+        stopCount: (request.stops || []).length,
+        storage
+      }),
+      storage,
+      eventTypeMultiplier: pricing.eventTypes[request.eventType] || 1.0,
+      complexityMultipliers: calculateComplexityMultipliers(pricing, request),
+      urgencyMultiplier: calculateUrgencyMultiplier(request.eventDate, request.urgency, options),
+      demand: null,
+      subtotal: 0,
+      taxes: 0,
+      discounts: [],
+      promoCode: null,
+      tax: null
+    };
+  };
+
+  /**
+   * Subtotal of a quote's components: fees, then the event type, complexity, urgency and demand multipliers
+   * @param {Object} components - Quote components
+   * @returns {Object} Unrounded subtotal with the item and additional service totals
+   */
+  const calculateSubtotal = (components) => {
+    const itemFees = components.itemFees.reduce((sum, item) => sum + item.totalFee, 0);
+    const additionalServices = components.additionalServiceFees.reduce((sum, service) => sum + service.fee, 0);
+
+    let subtotal = components.baseFee + components.distanceFee + components.serviceLevelFee +
+      itemFees + (components.vehicleFee || 0) + additionalServices;
+
+    subtotal *= components.eventTypeMultiplier;
+    components.complexityMultipliers.forEach(complexity => {
+      subtotal *= complexity.multiplier;
+    });
+    subtotal *= components.urgencyMultiplier;
+    subtotal *= components.demand ? components.demand.multiplier : 1.0;
+
+    return { subtotal, itemFees, additionalServices };
+  };
+
+  /**
+   * Price a request from the rate card alone (before demand, promo codes and tax)
+   * @param {Object} pricing - Rate card
+   * @param {Object} request - Raw or normalized quote request
+   * @param {Object} distanceInfo - Distance calculation results (null when there is no route)
+   * @param {Object} options - asOf and emergencyMultiplier (see calculateUrgencyMultiplier)
+   * @returns {Object} Rounded subtotal, breakdown and components
+   */
+  const estimateQuote = (pricing, request, distanceInfo, options = {}) => {
+    const components = buildComponents(pricing, normalizeRequest(request), distanceInfo, options);
+    const totals = calculateSubtotal(components);
+
+    return {
+      subtotal: round(totals.subtotal),
+      breakdown: {
+        baseFee: components.baseFee,
+        distanceFee: components.distanceFee,
+        itemFees: totals.itemFees,
+        vehicleFee: components.vehicleFee,
+        serviceLevelFee: components.serviceLevelFee,
+        additionalServices: totals.additionalServices,
+        storage: components.storage,
+        multipliers: {
+          eventType: components.eventTypeMultiplier,
+          complexity: components.complexityMultipliers,
+          urgency: components.urgencyMultiplier
+        },
+        loadingPlan: components.vehiclePlan
+      },
+      components
+    };
+  };
+
+  const SERVICE_LEVEL_LABELS = {
+    standard: 'Standard',
+    nextDay: 'Next-day',
+    sameDay: 'Same-day',
+    emergency: 'Emergency'
+  };
+
+  const formatMoney = (value) => {
+    const [whole, cents] = round(value).toFixed(2).split('.');
+    return `$${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${cents}`;
+  };
+
+  // 0.06625 -> '6.625%' (tax rates go to three decimals; trailing zeros are dropped)
+  const formatRate = (rate) => `${(rate * 100).toFixed(3).replace(/\.?0+$/, '')}%`;
+
+  const formatFactor = (multiplier) => `${Math.round(multiplier * 100) / 100}×`;
+
+  // 'tradeShow' -> 'trade show'
+  const humanize = (key) => String(key).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+
+  const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+  /**
+   * Explain one item line's handling fee
+   * @param {Object} item - Item fee line from calculateItemFees
+   * @returns {string} Sentence
+   */
+  const explainItem = (item) => {
+    const sizing = item.pricingMode === 'dimensional'
+      ? `billed as ${humanize(item.billableSize)} from a billable weight of ${item.measurement.billableWeight} lbs`
+      : `${humanize(item.billableSize)} item handling`;
+    const extras = [];
+    if (item.specialFees > 0) {
+      extras.push(`${formatMoney(item.specialFees)} each for ${(item.details || []).map(humanize).join(' and ')} handling`);
+    }
+    if (item.overweightFee > 0) {
+      extras.push(`${formatMoney(item.overweightFee)} each for weight over the overweight limit`);
+    }
+
+    return `${item.quantity} × ${item.description}: ${sizing} at ${formatMoney(item.baseFee)} each` +
+      `${extras.length > 0 ? `, plus ${extras.join(' and ')}` : ''}, ${formatMoney(item.totalFee)} in total.`;
+  };
+
+  /**
+   * Explain the urgency multiplier
+   * @param {number} multiplier - Urgency multiplier applied
+   * @param {Object} request - Quote request (eventDate, urgency)
+   * @param {Date} asOf - When the quote was priced
+   * @returns {string} Sentence
+   */
+  const explainUrgency = (multiplier, request, asOf) => {
+    if (request.urgency === 'emergency') {
+      return `Emergency request: ${formatFactor(multiplier)} urgency multiplier.`;
+    }
+
+    const days = Math.ceil((new Date(request.eventDate) - asOf) / DAY_MS);
+    const when = days <= 0 ? 'Event is today' : `Event is ${plural(days, 'day')} away`;
+    return `${when}: ${formatFactor(multiplier)} rush multiplier.`;
+  };
+
+  /**
+   * Plain-English explanation of why each fee and multiplier in a quote applies. Built only from the quote's
+   * components (and the final breakdown for discounts and tax), so the same quote always gets the same wording.
+   * @param {Object} components - Quote components (buildComponents, plus the backend's demand, promo and tax)
+   * @param {Object} context - request, distanceInfo, asOf (when the quote was priced), breakdown (final pricing, optional)
+   * @returns {Array} Lines of { component, text } in the order the price is built
+   */
+  const explainQuote = (components, context = {}) => {
+    const request = context.request || {};
+    const asOf = context.asOf ? new Date(context.asOf) : new Date();
+    const breakdown = context.breakdown || null;
+    const miles = context.distanceInfo && context.distanceInfo.distance ? context.distanceInfo.distance.miles : null;
+    const lines = [];
+    const add = (component, text) => lines.push({ component, text });
+
+    add('baseFee', `Every delivery starts with a ${formatMoney(components.baseFee)} base fee.`);
+
+    if (miles !== null) {
+      add('distanceFee', components.distanceFee > 0
+        ? `The ${miles}-mile route adds ${formatMoney(components.distanceFee)} in distance charges.`
+        : `The ${miles}-mile route is within the distance included in the base fee.`);
+    }
+
+    (components.itemFees || []).forEach(item => add('itemFees', explainItem(item)));
+
+    const plan = components.vehiclePlan;
+    if (plan && plan.fits) {
+      const vehicles = plan.vehicles
+        .map(vehicle => `${vehicle.description} (${plural(vehicle.hours, 'hour')}, ${plural(vehicle.miles, 'mile')})`)
+        .join(' and ');
+      add('vehicleFee', `${vehicles}: ${formatMoney(components.vehicleFee)} for the vehicle${plan.vehicles.length === 1 ? '' : 's'} the load fits in.`);
+    } else if (plan) {
+      add('vehicleFee', `No vehicle is priced yet: ${plan.reason}.`);
+    }
+
+    if (components.serviceLevelFee > 0) {
+      const level = SERVICE_LEVEL_LABELS[request.serviceLevel] || capitalize(humanize(request.serviceLevel || 'selected'));
+      add('serviceLevelFee', `${level} service adds ${formatMoney(components.serviceLevelFee)}.`);
+    }
+
+    (components.additionalServiceFees || []).forEach(service => {
+      if (service.service === 'multipleStops' && service.quantity > 1) {
+        add('additionalServices', `${plural(service.quantity, 'intermediate stop')} at ${formatMoney(service.fee / service.quantity)} each: ${formatMoney(service.fee)}.`);
+      } else {
+        add('additionalServices', `${service.description}${service.detail ? ` (${service.detail})` : ''}: ${formatMoney(service.fee)}.`);
+      }
+    });
+
+    // Multipliers, in the order they are applied
+    const factors = [];
+    if (components.eventTypeMultiplier !== 1) {
+      factors.push(components.eventTypeMultiplier);
+      const eventType = capitalize(humanize(request.eventType || 'event').replace(/ event$/, ''));
+      add('eventTypeMultiplier', `${eventType} events carry a ${formatFactor(components.eventTypeMultiplier)} handling factor.`);
+    }
+    (components.complexityMultipliers || []).forEach(complexity => {
+      factors.push(complexity.multiplier);
+      add('complexityMultipliers', `${complexity.description}: ${formatFactor(complexity.multiplier)} complexity factor.`);
+    });
+    if (components.urgencyMultiplier !== 1) {
+      factors.push(components.urgencyMultiplier);
+      add('urgencyMultiplier', explainUrgency(components.urgencyMultiplier, request, asOf));
+    }
+    if (components.demand && components.demand.multiplier !== 1) {
+      factors.push(components.demand.multiplier);
+      add('demand', `${components.demand.description}: ${formatFactor(components.demand.multiplier)} demand multiplier` +
+        `${components.demand.capped ? ' (capped at the maximum)' : ''}.`);
+    }
+
+    const totals = calculateSubtotal(components);
+    const fees = totals.subtotal / factors.reduce((product, factor) => product * factor, 1);
+    add('subtotal', factors.length > 0
+      ? `Fees total ${formatMoney(fees)}; the ${factors.map(formatFactor).join(' × ')} ${factors.length === 1 ? 'multiplier applies' : 'multipliers apply'} to that total, giving a subtotal of ${formatMoney(totals.subtotal)}.`
+      : `Fees total ${formatMoney(fees)}, which is the subtotal.`);
+
+    if (breakdown) {
+      (breakdown.discounts || []).forEach(discount => {
+        add('discounts', `Promo code ${discount.code}${discount.description ? ` (${discount.description})` : ''} takes off ${formatMoney(discount.amount)}.`);
+      });
+      if (breakdown.promoCode && !breakdown.promoCode.accepted) {
+        add('discounts', `Promo code ${breakdown.promoCode.code} was not applied: ${breakdown.promoCode.reason}.`);
+      }
+
+      const tax = breakdown.tax;
+      if (tax && tax.exemption && tax.exemption.accepted) {
+        add('taxes', `Exemption certificate ${tax.exemption.certificateNumber} is accepted, so no sales tax is charged.`);
+      } else if (tax) {
+        (tax.lines || []).filter(line => line.amount > 0).forEach(line => {
+          add('taxes', `${line.jurisdiction} at ${formatRate(line.rate)} on ${formatMoney(line.taxableAmount)} of taxable services: ${formatMoney(line.amount)}.`);
+        });
+      }
+    }
+
+    return lines;
+  };
+
+  /**
+   * Check the engine against shared test vectors (shared/pricingVectors.json)
+   * @param {Object} suite - { rateCard, vectors: [{ name, rateCard (sections to replace), request, distanceInfo, asOf, expected }] }
+   * @returns {Array} { name, passed, mismatches: [{ field, expected, actual }] } per vector
+   */
+  const runVectors = (suite) => suite.vectors.map(vector => {
+    const result = estimateQuote({ ...suite.rateCard, ...(vector.rateCard || {}) }, vector.request, vector.distanceInfo, {
+      asOf: new Date(vector.asOf)
+    });
+    const breakdown = result.breakdown;
+    const actual = {
+      subtotal: result.subtotal,
+      baseFee: breakdown.baseFee,
+      distanceFee: breakdown.distanceFee,
+      itemFees: breakdown.itemFees,
+      vehicleFee: breakdown.vehicleFee,
+      serviceLevelFee: breakdown.serviceLevelFee,
+      additionalServices: breakdown.additionalServices,
+      storage: breakdown.storage ? breakdown.storage.total : 0,
+      eventTypeMultiplier: breakdown.multipliers.eventType,
+      urgencyMultiplier: breakdown.multipliers.urgency,
+      vehicles: breakdown.loadingPlan && breakdown.loadingPlan.fits ? breakdown.loadingPlan.vehicles.map(vehicle => vehicle.type) : []
+    };
+
+    const mismatches = Object.keys(vector.expected)
+      .filter(field => (typeof vector.expected[field] === 'number'
+        ? Math.abs(vector.expected[field] - actual[field]) >= 0.005
+        : JSON.stringify(vector.expected[field]) !== JSON.stringify(actual[field])))
+      .map(field => ({ field, expected: vector.expected[field], actual: actual[field] }));
+
+    return { name: vector.name, passed: mismatches.length === 0, mismatches };
+  });
+
+  return {
+    DEFAULT_EMERGENCY_MULTIPLIER,
+    MAX_PLANNED_UNITS,
+    publishRateCard,
+    normalizeRequest,
+    normalizeItems,
+    calculateDistanceFee,
+    getItemSides,
+    getItemWeight,
+    measureItem,
+    calculateItemFees,
+    getItemLoad,
+    calculateVehicleCost,
+    listVehicleCombinations,
+    packLoad,
+    summarizeUnits,
+    getVehicleDescription,
+    planVehicles,
+    calculateStorage,
+    getServiceDescription,
+    calculateAdditionalServiceFees,
+    calculateComplexityMultipliers,
+    getUrgencyMultiplier,
+    calculateUrgencyMultiplier,
+    buildComponents,
+    calculateSubtotal,
+    estimateQuote,
+    explainQuote,
+    formatRate,
+    runVectors
+  };
+});
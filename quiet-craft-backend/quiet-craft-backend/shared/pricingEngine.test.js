@@ -0,0 +1,175 @@
+/**
+ * Shared Pricing Engine - vehicle selection and load packing
+ */
+
+const pricingEngine = require('./pricingEngine');
+
+// 20 miles and 40 minutes: every vehicle bills its minimum hours
+const distanceInfo = { distance: { miles: 20 }, duration: { minutes: 40 } };
+
+const vehicles = {
+  // 2 h × $40 + 20 mi × $0.50 = $90
+  cargoVan: { cargoCubicFeet: 250, payloadLbs: 3000, maxLengthInches: 120, hourlyRate: 40, mileageRate: 0.5, minimumHours: 2 },
+  // 2 h × $70 + 20 mi × $1.00 = $160
+  boxTruck: { cargoCubicFeet: 800, payloadLbs: 5000, maxLengthInches: 192, hourlyRate: 70, mileageRate: 1, minimumHours: 2 },
+  // 3 h × $100 + 20 mi × $1.50 = $330
+  truck26: { cargoCubicFeet: 1700, payloadLbs: 10000, maxLengthInches: 312, hourlyRate: 100, mileageRate: 1.5, minimumHours: 3 }
+};
+
+const pricingWithFleet = (fleet = {}) => ({
+  fleet: {
+    enabled: true,
+    maxVehicles: 3,
+    loadFactor: 0.8,
+    vehicles,
+    sizeDefaults: {
+      small: { cubicFeet: 2, weightLbs: 10 },
+      medium: { cubicFeet: 8, weightLbs: 35 },
+      large: { cubicFeet: 25, weightLbs: 100 }
+    },
+    ...fleet
+  }
+});
+
+const plan = (items, fleet) => pricingEngine.planVehicles(pricingWithFleet(fleet), pricingEngine.normalizeItems(items), distanceInfo);
+
+describe('planVehicles', () => {
+  test('a small load goes in one cargo van', () => {
+    const result = plan([{ description: 'Crate', size: 'medium', quantity: 10 }]);
+
+    expect(result).toMatchObject({ fits: true, cost: 90, totalCubicFeet: 80, totalWeightLbs: 350, estimatedMeasurements: true });
+    expect(result.vehicles).toEqual([expect.objectContaining({
+      type: 'cargoVan',
+      loadedCubicFeet: 80,
+      utilization: 32,
+      items: [{ description: 'Crate', quantity: 10 }],
+      hours: 2,
+      cost: 90
+    })]);
+  });
+
+  test('picks one box truck over two cargo vans when it is cheaper', () => {
+    // 300 cu ft is more than one van's usable 200
+    const result = plan([{ description: 'Booth wall', size: 'large', quantity: 12 }]);
+
+    expect(result.cost).toBe(160);
+    expect(result.vehicles.map(vehicle => vehicle.type)).toEqual(['boxTruck']);
+  });
+
+  test('splits an item line across vehicles, filling the first before the next', () => {
+    const result = plan([{ description: 'Booth wall', size: 'large', quantity: 12 }], {
+      vehicles: { cargoVan: vehicles.cargoVan }
+    });
+
+    expect(result.cost).toBe(180);
+    expect(result.vehicles.map(vehicle => vehicle.items)).toEqual([
+      [{ description: 'Booth wall', quantity: 8 }],
+      [{ description: 'Booth wall', quantity: 4 }]
+    ]);
+  });
+
+  test('uses measured dimensions and weight instead of the size defaults', () => {
+    const result = plan([{
+      description: 'Kiosk',
+      quantity: 1,
+      weight: 90,
+      dimensions: { length: 24, width: 24, height: 24 }
+    }]);
+
+    expect(result).toMatchObject({ totalCubicFeet: 8, totalWeightLbs: 90, estimatedMeasurements: false });
+  });
+
+  test('an item longer than the van needs a bigger vehicle', () => {
+    const result = plan([{
+      description: 'Truss',
+      quantity: 1,
+      weight: 80,
+      dimensions: { length: 150, width: 12, height: 12 }
+    }]);
+
+    expect(result.vehicles.map(vehicle => vehicle.type)).toEqual(['boxTruck']);
+  });
+
+  test('weight as well as volume decides the vehicle', () => {
+    const result = plan([{
+      description: 'Generator',
+      quantity: 4,
+      weight: 1000,
+      dimensions: { length: 36, width: 24, height: 24 }
+    }]);
+
+    expect(result.totalWeightLbs).toBe(4000);
+    expect(result.vehicles.map(vehicle => vehicle.type)).toEqual(['boxTruck']);
+  });
+
+  test('reports an item longer than every vehicle', () => {
+    const result = plan([{
+      description: 'Mast',
+      quantity: 1,
+      weight: 200,
+      dimensions: { length: 400, width: 10, height: 10 }
+    }]);
+
+    expect(result).toMatchObject({ fits: false, cost: 0, vehicles: [], reason: 'Mast is longer than any vehicle in the fleet' });
+  });
+
+  test('reports a load too big for the vehicle limit', () => {
+    const result = plan([{ description: 'Pallet', size: 'large', quantity: 300 }], { maxVehicles: 2 });
+
+    expect(result).toMatchObject({ fits: false, reason: 'The load does not fit in 2 vehicles' });
+  });
+
+  test('reports a load with more pieces than the planner packs', () => {
+    const result = plan([
+      { description: 'Flyer box', size: 'small', quantity: 1000 },
+      { description: 'Flyer box', size: 'small', quantity: 1001 }
+    ]);
+
+    expect(result).toMatchObject({ fits: false, cost: 0, totalCubicFeet: 4002, reason: 'The load has more than 2000 pieces' });
+  });
+
+  test('returns no plan when the fleet is disabled', () => {
+    expect(plan([{ size: 'medium', quantity: 1 }], { enabled: false })).toBeNull();
+  });
+});
+
+describe('normalizeItems', () => {
+  test('never gives an item a negative value', () => {
+    const [item] = pricingEngine.normalizeItems([{ size: 'small', value: -100000 }]);
+
+    expect(item.value).toBe(0);
+  });
+});
+
+describe('packLoad', () => {
+  const bins = [
+    { type: 'big', vehicle: { cargoCubicFeet: 100, payloadLbs: 1000, maxLengthInches: 200 } },
+    { type: 'small', vehicle: { cargoCubicFeet: 50, payloadLbs: 1000, maxLengthInches: 200 } }
+  ];
+  const unit = (cubicFeet) => ({ index: 0, description: 'Box', cubicFeet, weightLbs: 1, lengthInches: 0 });
+
+  test('puts each unit in the fullest vehicle it still fits in', () => {
+    const loads = pricingEngine.packLoad([unit(60), unit(40), unit(30)], bins, 1);
+
+    expect(loads.map(load => load.cubicFeet)).toEqual([100, 30]);
+  });
+
+  test('returns null when a unit fits nowhere', () => {
+    expect(pricingEngine.packLoad([unit(90), unit(90)], bins, 1)).toBeNull();
+  });
+});
+
+describe('listVehicleCombinations', () => {
+  test('lists every non-empty mix up to the vehicle limit', () => {
+    const combinations = pricingEngine.listVehicleCombinations(['van', 'truck'], 2);
+
+    expect(combinations).toEqual(expect.arrayContaining([
+      { van: 0, truck: 1 },
+      { van: 0, truck: 2 },
+      { van: 1, truck: 0 },
+      { van: 1, truck: 1 },
+      { van: 2, truck: 0 }
+    ]));
+    expect(combinations).toHaveLength(5);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Shared pricing test vectors - the engine, and PricingService on top of it, must reproduce every expected subtotal and fee
+ */
+
+const pricingEngine = require('./pricingEngine');
+const pricingService = require('../services/pricingService');
+const suite = require('./pricingVectors.json');
+
+const results = pricingEngine.runVectors(suite);
+
+// Nothing on file: no bookings to surge demand, no promo codes or exemption certificates
+const noLookups = {
+  findPromoCode: async () => null,
+  findTaxExemption: async () => null,
+  countCommittedBookings: async () => 0
+};
+
+/**
+ * Price a vector the way the backend prices a quote, with the vector's rate card, route and date
+ * @param {Object} vector - Test vector
+ * @returns {Object} Fields compared against vector.expected
+ */
+const priceWithService = async (vector) => {
+  const engine = pricingService.forRateCard({ ...suite.rateCard, ...(vector.rateCard || {}) });
+  const request = {
+    ...pricingEngine.normalizeRequest(vector.request),
+    pickup: vector.request.pickup || null,
+    delivery: vector.request.delivery || null
+  };
+
+  const components = await engine.buildQuoteComponents(request, vector.distanceInfo, {
+    asOf: new Date(vector.asOf),
+    lookups: noLookups
+  });
+  const pricing = engine.calculateFinalPricing(components);
+  const breakdown = pricing.breakdown;
+
+  return {
+    subtotal: pricing.subtotal,
+    baseFee: breakdown.baseFee,
+    distanceFee: breakdown.distanceFee,
+    itemFees: breakdown.itemFees,
+    vehicleFee: breakdown.vehicleFee,
+    serviceLevelFee: breakdown.serviceLevelFee,
+    additionalServices: breakdown.additionalServices,
+    storage: breakdown.storage ? breakdown.storage.total : 0,
+    eventTypeMultiplier: breakdown.multipliers.eventType,
+    urgencyMultiplier: breakdown.multipliers.urgency,
+    vehicles: breakdown.loadingPlan && breakdown.loadingPlan.fits ? breakdown.loadingPlan.vehicles.map(vehicle => vehicle.type) : []
+  };
+};
+
+describe('pricing vectors', () => {
+  test('every vector is checked', () => {
+    expect(results).toHaveLength(suite.vectors.length);
+    expect(results.length).toBeGreaterThan(0);
+  });
+
+  test.each(results.map(result => [result.name, result]))('%s', (name, result) => {
+    expect(result.mismatches).toEqual([]);
+    expect(result.passed).toBe(true);
+  });
+
+  describe('through PricingService', () => {
+    test.each(suite.vectors.map(vector => [vector.name, vector]))('%s', async (name, vector) => {
+      const actual = await priceWithService(vector);
+
+      Object.entries(vector.expected).forEach(([field, expected]) => {
+        if (typeof expected === 'number') {
+          expect({ field, value: actual[field] }).toEqual({ field, value: expect.closeTo(expected, 2) });
+        } else {
+          expect({ field, value: actual[field] }).toEqual({ field, value: expected });
+        }
+      });
+    });
+  });
+});
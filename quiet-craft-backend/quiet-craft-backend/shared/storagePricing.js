@@ -0,0 +1,139 @@
+/**
+ * Storage Pricing - Warehouse Storage Charges by Duration and Space
+ * Used by shared/pricingEngine.js on the backend (require) and in the website (served at /api/shared/storagePricing.js,
+ * exposed as window.StoragePricing), so both price storage with the same rules from the rate card's storage section
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StoragePricing = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const DAYS_PER_MONTH = 30;
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  /**
+   * Cubic feet a list of items takes up (measured items by their dimensions, others by their size)
+   * @param {Array} items - Items with size, quantity and optional dimensions { length, width, height, unit: 'in'|'cm' }
+   * @param {Object} sizeCubicFeet - Assumed cubic feet per unit by size
+   * @returns {number} Total cubic feet
+   */
+  const measureCubicFeet = (items, sizeCubicFeet) => (items || []).reduce((sum, item) => {
+    const dimensions = item.dimensions || {};
+    const toInches = dimensions.unit === 'cm' ? 1 / 2.54 : 1;
+    const sides = [dimensions.length, dimensions.width, dimensions.height].map(side => (parseFloat(side) || 0) * toInches);
+    const unitCubicFeet = sides.every(side => side > 0)
+      ? (sides[0] * sides[1] * sides[2]) / 1728
+      : (sizeCubicFeet[item.size] || sizeCubicFeet.medium || 0);
+
+    return sum + unitCubicFeet * (parseInt(item.quantity) || 1);
+  }, 0);
+
+  /**
+   * Days billed for a stay (part days count as whole days)
+   * @param {Date|string} inDate - Date the goods arrive at the warehouse
+   * @param {Date|string} outDate - Date they leave
+   * @param {number} minimumDays - Shortest stay billed
+   * @returns {number} Billable days
+   */
+  const countDays = (inDate, outDate, minimumDays) => {
+    const start = new Date(inDate);
+    const end = new Date(outDate);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new Error('Storage in and out dates are required');
+    }
+    if (end <= start) {
+      throw new Error('Storage out date must be after the in date');
+    }
+
+    return Math.max(minimumDays || 1, Math.ceil((end - start) / DAY_MS));
+  };
+
+  /**
+   * Monthly rate break for a stay: the break with the longest minimum the stay reaches
+   * @param {number} months - Whole months stored
+   * @param {Object} monthlyRates - Named breaks { minMonths, ratePerPallet }
+   * @returns {Object|null} { name, minMonths, ratePerPallet }, or null when there are no breaks
+   */
+  const selectRateBreak = (months, monthlyRates) => {
+    const breaks = Object.keys(monthlyRates || {})
+      .map(name => ({ name, minMonths: monthlyRates[name].minMonths, ratePerPallet: monthlyRates[name].ratePerPallet }))
+      .sort((a, b) => a.minMonths - b.minMonths);
+
+    if (breaks.length === 0) return null;
+
+    const reached = breaks.filter(entry => months >= entry.minMonths);
+    return reached.length > 0 ? reached[reached.length - 1] : breaks[0];
+  };
+
+  /**
+   * Price storage for a stay. Whole months are billed at the monthly rate break the stay reaches and leftover days
+   * at the daily rate, never more than one more month. Handling in and out is charged per pallet.
+   * @param {Object} storage - { inDate, outDate, pallets (optional), items (used when pallets is not given) }
+   * @param {Object} settings - Rate card storage section
+   * @returns {Object} Days, pallets, rate break and the storage, handling and total charges
+   */
+  const quoteStorage = (storage, settings) => {
+    const days = countDays(storage.inDate, storage.outDate, settings.minimumDays);
+
+    const declaredPallets = parseInt(storage.pallets) || 0;
+    const cubicFeet = round(measureCubicFeet(storage.items, settings.sizeCubicFeet || {}));
+    const pallets = declaredPallets > 0
+      ? declaredPallets
+      : Math.max(1, Math.ceil(cubicFeet / settings.cubicFeetPerPallet));
+
+    const months = Math.floor(days / DAYS_PER_MONTH);
+    const extraDays = days % DAYS_PER_MONTH;
+    const rateBreak = selectRateBreak(months, settings.monthlyRates);
+
+    // A partial month never costs more than a full one
+    const monthlyRate = rateBreak ? rateBreak.ratePerPallet : Infinity;
+    const perPallet = months * (rateBreak ? rateBreak.ratePerPallet : 0) +
+      Math.min(extraDays * settings.dailyRatePerPallet, monthlyRate);
+
+    const storageFee = round(Math.max(perPallet * pallets, settings.minimumCharge || 0));
+    const handlingIn = round(pallets * settings.handlingInPerPallet);
+    const handlingOut = round(pallets * settings.handlingOutPerPallet);
+
+    return {
+      inDate: new Date(storage.inDate).toISOString(),
+      outDate: new Date(storage.outDate).toISOString(),
+      days,
+      months,
+      extraDays,
+      pallets,
+      palletSource: declaredPallets > 0 ? 'declared' : 'items',
+      cubicFeet,
+      rateBreak: months > 0 && rateBreak ? rateBreak.name : null,
+      monthlyRatePerPallet: months > 0 && rateBreak ? rateBreak.ratePerPallet : null,
+      dailyRatePerPallet: settings.dailyRatePerPallet,
+      minimumApplied: perPallet * pallets < (settings.minimumCharge || 0),
+      storageFee,
+      handlingIn,
+      handlingOut,
+      handlingFee: round(handlingIn + handlingOut),
+      total: round(storageFee + handlingIn + handlingOut)
+    };
+  };
+
+  /**
+   * One-line summary of a storage quote, e.g. "3 pallets for 45 days"
+   * @param {Object} result - quoteStorage result
+   * @returns {string} Summary
+   */
+  const describeStorage = (result) =>
+    `${result.pallets} pallet${result.pallets === 1 ? '' : 's'} for ${result.days} day${result.days === 1 ? '' : 's'}`;
+
+  return {
+    measureCubicFeet,
+    countDays,
+    selectRateBreak,
+    quoteStorage,
+    describeStorage
+  };
+});
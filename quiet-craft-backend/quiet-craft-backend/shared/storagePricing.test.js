@@ -0,0 +1,143 @@
+/**
+ * Storage Pricing - billable days, monthly rate breaks and pallet counts
+ */
+
+const storagePricing = require('./storagePricing');
+
+const settings = {
+  dailyRatePerPallet: 1.5,
+  monthlyRates: {
+    monthly: { minMonths: 1, ratePerPallet: 35 },
+    quarterly: { minMonths: 3, ratePerPallet: 30 },
+    longTerm: { minMonths: 6, ratePerPallet: 26 }
+  },
+  handlingInPerPallet: 12,
+  handlingOutPerPallet: 12,
+  cubicFeetPerPallet: 60,
+  minimumDays: 1,
+  minimumCharge: 25,
+  sizeCubicFeet: { small: 2, medium: 8, large: 25, extraLarge: 60 }
+};
+
+const IN_DATE = '2027-01-04T09:00:00.000Z';
+
+/**
+ * Quote a stay of a number of days from IN_DATE
+ * @param {number} days - Length of the stay
+ * @param {Object} storage - pallets or items
+ * @returns {Object} quoteStorage result
+ */
+const quoteDays = (days, storage = { pallets: 1 }) => storagePricing.quoteStorage({
+  inDate: IN_DATE,
+  outDate: new Date(new Date(IN_DATE).getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+  ...storage
+}, settings);
+
+describe('countDays', () => {
+  test('bills a part day as a whole day', () => {
+    expect(storagePricing.countDays(IN_DATE, '2027-01-06T10:00:00.000Z', 1)).toBe(3);
+  });
+
+  test('never bills less than the minimum stay', () => {
+    expect(storagePricing.countDays(IN_DATE, '2027-01-05T09:00:00.000Z', 3)).toBe(3);
+  });
+
+  test('rejects missing dates and an out date before the in date', () => {
+    expect(() => storagePricing.countDays(IN_DATE, undefined, 1)).toThrow('Storage in and out dates are required');
+    expect(() => storagePricing.countDays(IN_DATE, IN_DATE, 1)).toThrow('Storage out date must be after the in date');
+  });
+});
+
+describe('selectRateBreak', () => {
+  test.each([
+    [0, 'monthly'],
+    [1, 'monthly'],
+    [2, 'monthly'],
+    [3, 'quarterly'],
+    [5, 'quarterly'],
+    [6, 'longTerm'],
+    [24, 'longTerm']
+  ])('%p months uses the %p break', (months, name) => {
+    expect(storagePricing.selectRateBreak(months, settings.monthlyRates).name).toBe(name);
+  });
+
+  test('does not depend on the order the breaks are listed in', () => {
+    const { longTerm, monthly, quarterly } = settings.monthlyRates;
+
+    expect(storagePricing.selectRateBreak(4, { longTerm, quarterly, monthly })).toEqual({ name: 'quarterly', minMonths: 3, ratePerPallet: 30 });
+  });
+
+  test('a rate card without breaks has none', () => {
+    expect(storagePricing.selectRateBreak(3, {})).toBeNull();
+  });
+});
+
+describe('quoteStorage', () => {
+  test('a short stay is billed by the day, plus handling in and out', () => {
+    const result = quoteDays(10, { pallets: 2 });
+
+    expect(result).toMatchObject({
+      days: 10,
+      months: 0,
+      extraDays: 10,
+      rateBreak: null,
+      monthlyRatePerPallet: null,
+      storageFee: 30,
+      handlingIn: 24,
+      handlingOut: 24,
+      handlingFee: 48,
+      total: 78
+    });
+  });
+
+  test('a stay under the minimum charge is billed the minimum', () => {
+    expect(quoteDays(5)).toMatchObject({ storageFee: 25, minimumApplied: true });
+  });
+
+  test('leftover days never cost more than a month', () => {
+    expect(quoteDays(29).storageFee).toBe(35);
+    expect(quoteDays(59).storageFee).toBe(70);
+  });
+
+  test('whole months use the monthly break and leftover days the daily rate', () => {
+    const result = quoteDays(45, { pallets: 2 });
+
+    expect(result).toMatchObject({ months: 1, extraDays: 15, rateBreak: 'monthly', monthlyRatePerPallet: 35 });
+    expect(result.storageFee).toBe((35 + 15 * 1.5) * 2);
+  });
+
+  test.each([
+    [90, 'quarterly', 3 * 30],
+    [100, 'quarterly', 3 * 30 + 10 * 1.5],
+    [180, 'longTerm', 6 * 26],
+    [365, 'longTerm', 12 * 26 + 5 * 1.5]
+  ])('%p days reaches the %p break', (days, rateBreak, storageFee) => {
+    expect(quoteDays(days)).toMatchObject({ rateBreak, storageFee });
+  });
+
+  test('counts pallets from the items when none are declared', () => {
+    const result = quoteDays(10, {
+      items: [
+        { size: 'large', quantity: 3 },
+        { size: 'medium', quantity: 10 },
+        { quantity: 1, dimensions: { length: 120, width: 100, height: 72, unit: 'cm' } }
+      ]
+    });
+
+    // 75 + 80 + 30.51 cubic feet over 60 per pallet
+    expect(result).toMatchObject({ pallets: 4, palletSource: 'items', cubicFeet: 185.51 });
+  });
+
+  test('declared pallets win over the items', () => {
+    const result = quoteDays(10, { pallets: 2, items: [{ size: 'extraLarge', quantity: 10 }] });
+
+    expect(result).toMatchObject({ pallets: 2, palletSource: 'declared' });
+  });
+});
+
+describe('describeStorage', () => {
+  test('summarises pallets and days', () => {
+    expect(storagePricing.describeStorage({ pallets: 1, days: 1 })).toBe('1 pallet for 1 day');
+    expect(storagePricing.describeStorage(quoteDays(45, { pallets: 3 }))).toBe('3 pallets for 45 days');
+  });
+});
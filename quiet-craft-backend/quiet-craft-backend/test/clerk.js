@@ -0,0 +1,24 @@
+/**
+ * Test Clerk Client
+ * Stands in for @clerk/clerk-sdk-node in route tests: a bearer token is the Clerk user ID,
+ * and the users "admin" and "super_admin" sign in with that role.
+ *
+ *   jest.mock('@clerk/clerk-sdk-node', () => require('../test/clerk'));
+ */
+
+const STAFF_ROLES = ['admin', 'super_admin'];
+
+module.exports = {
+  clerkClient: {
+    sessions: {
+      verifySession: async (token) => ({ userId: token })
+    },
+    users: {
+      getUser: async (userId) => ({
+        id: userId,
+        emailAddresses: [{ emailAddress: `${userId}@example.com` }],
+        publicMetadata: STAFF_ROLES.includes(userId) ? { roles: [userId] } : {}
+      })
+    }
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Test Database Helper
+ * Tests that touch the database run against TEST_DATABASE_URL (the test settings in config/database.js).
+ * useTestDatabase recreates every table before a test file runs and closes the pool when it finishes.
+ */
+
+const { sequelize, syncDatabase } = require('../models');
+
+/**
+ * Register beforeAll/afterAll hooks for a test file that uses the database
+ */
+const useTestDatabase = () => {
+  beforeAll(async () => {
+    await syncDatabase(true);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+};
+
+module.exports = {
+  useTestDatabase
+};
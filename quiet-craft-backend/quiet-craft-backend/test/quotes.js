@@ -0,0 +1,52 @@
+/**
+ * Test Quote Helpers
+ * One quote request and factories that price, store and accept quotes from it, shared by the test files
+ */
+
+const { models } = require('../models');
+const pricingService = require('../services/pricingService');
+const quoteService = require('../services/quoteService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A two-crate local delivery, three weeks out
+const quoteRequest = {
+  pickup: 'New York, NY',
+  delivery: 'Newark, NJ',
+  eventType: 'conference',
+  serviceLevel: 'standard',
+  eventDate: new Date(Date.now() + 20 * DAY_MS).toISOString(),
+  items: [{ description: 'Booth crates', size: 'medium', quantity: 2 }],
+  contactInfo: { name: 'Dana Reyes', email: 'dana@example.com' }
+};
+
+/**
+ * Price and store a quote
+ * @param {Object} attributes - Column values to set after creation (status, valid_until, total, ...)
+ * @param {Object} request - Quote request (defaults to quoteRequest)
+ * @returns {Object} Quote record
+ */
+const createQuote = async (attributes = {}, request = quoteRequest) => {
+  const pricing = await pricingService.generateQuote(request);
+  const quote = await models.Quote.createFromPricing(pricing);
+  return await quote.update(attributes);
+};
+
+/**
+ * Price, store and accept a quote as staff, which books it
+ * @param {Object} attributes - Column values to set before acceptance
+ * @param {Object} request - Quote request (defaults to quoteRequest)
+ * @returns {Object} Quote record
+ */
+const createAcceptedQuote = async (attributes = {}, request = quoteRequest) => {
+  const quote = await createQuote(attributes, request);
+  await quoteService.acceptQuote(quote.quote_id, { userId: 'staff_1' });
+  return await quote.reload();
+};
+
+module.exports = {
+  DAY_MS,
+  quoteRequest,
+  createQuote,
+  createAcceptedQuote
+};
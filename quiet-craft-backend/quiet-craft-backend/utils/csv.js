@@ -0,0 +1,83 @@
+/**
+ * CSV Utilities - Parse and Write Comma-Separated Values
+ * RFC 4180 parsing (quoted fields, embedded commas, quotes and line breaks) and escaping for downloads
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV content (a leading byte order mark is ignored)
+ * @returns {Array<Array<string>>} Rows of cell strings; blank lines are kept so row positions match a spreadsheet
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Escape one value for a CSV cell. Text that spreadsheet apps would run as a formula
+ * (leading =, +, - or @) is prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV text
+ * @param {Array<Array>} rows - Rows of cell values (the first row is usually the header)
+ * @returns {string} CSV content with CRLF line endings
+ */
+const toCsv = (rows) => rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  escapeCsvValue,
+  toCsv
+};
@@ -0,0 +1,53 @@
+/**
+ * CSV utilities - RFC 4180 parsing and cell escaping
+ */
+
+const { parseCsv, escapeCsvValue, toCsv } = require('./csv');
+
+describe('parseCsv', () => {
+  test('splits rows on CRLF or LF and cells on commas', () => {
+    expect(parseCsv('a,b\r\nc,d\ne,f')).toEqual([['a', 'b'], ['c', 'd'], ['e', 'f']]);
+  });
+
+  test('quoted fields keep embedded commas, line breaks and doubled quotes', () => {
+    const text = 'pickup,items,notes\r\n"Javits Center, Hall 3","2 x large Crates\n1 x small Banner","Ask for ""Sam"""\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['pickup', 'items', 'notes'],
+      ['Javits Center, Hall 3', '2 x large Crates\n1 x small Banner', 'Ask for "Sam"']
+    ]);
+  });
+
+  test('keeps blank lines and empty cells so positions match the spreadsheet', () => {
+    expect(parseCsv('a,,c\n\nd,e,')).toEqual([['a', '', 'c'], [''], ['d', 'e', '']]);
+  });
+
+  test('ignores a byte order mark and a final line break', () => {
+    expect(parseCsv('\uFEFFpickup,delivery\n')).toEqual([['pickup', 'delivery']]);
+  });
+});
+
+describe('escapeCsvValue', () => {
+  test('quotes cells with commas, quotes or line breaks', () => {
+    expect(['plain', 'a,b', 'say "hi"', 'two\nlines'].map(escapeCsvValue))
+      .toEqual(['plain', '"a,b"', '"say ""hi"""', '"two\nlines"']);
+  });
+
+  test('defuses text a spreadsheet would run as a formula', () => {
+    expect(['=SUM(A1)', '+1', '-1', '@cmd'].map(escapeCsvValue)).toEqual(["'=SUM(A1)", "'+1", "'-1", "'@cmd"]);
+    expect(escapeCsvValue(-1)).toBe('-1');
+  });
+
+  test('writes blanks for null and ISO strings for dates', () => {
+    expect([null, undefined, new Date('2026-05-01T12:00:00.000Z')].map(escapeCsvValue))
+      .toEqual(['', '', '2026-05-01T12:00:00.000Z']);
+  });
+});
+
+describe('toCsv', () => {
+  test('round-trips through parseCsv', () => {
+    const rows = [['reference', 'notes'], ['B-12', 'Hall 3, "north" dock\nafter 6pm']];
+
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
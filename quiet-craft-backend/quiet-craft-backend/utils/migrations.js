@@ -0,0 +1,141 @@
+/**
+ * Migration Utilities
+ * Idempotent schema changes for the files in migrations/.
+ * syncDatabase still creates missing tables on startup, so a table or column
+ * a migration adds may already exist; these helpers skip what is already there.
+ */
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Whether a table exists
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} table - Table name
+ * @returns {boolean} True when the table exists
+ */
+const tableExists = async (queryInterface, table) => {
+  const tables = await queryInterface.showAllTables();
+  return tables.includes(table);
+};
+
+/**
+ * Create a table with created_at/updated_at columns and its indexes, unless it exists
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} table - Table name
+ * @param {Object} attributes - Column definitions (without timestamps)
+ * @param {Array} indexes - Index definitions ({ fields, unique })
+ * @returns {boolean} True when the table was created
+ */
+const createTableIfMissing = async (queryInterface, table, attributes, indexes = []) => {
+  if (await tableExists(queryInterface, table)) {
+    await addIndexesIfMissing(queryInterface, table, indexes);
+    return false;
+  }
+
+  await queryInterface.createTable(table, {
+    ...attributes,
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  });
+  await addIndexesIfMissing(queryInterface, table, indexes);
+  return true;
+};
+
+/**
+ * Add a column unless the table already has it
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {Object} attributes - Column definition
+ * @returns {boolean} True when the column was added
+ */
+const addColumnIfMissing = async (queryInterface, table, column, attributes) => {
+  const columns = await queryInterface.describeTable(table);
+  if (columns[column]) return false;
+
+  await queryInterface.addColumn(table, column, attributes);
+  return true;
+};
+
+/**
+ * Remove a column if the table has it
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ */
+const removeColumnIfPresent = async (queryInterface, table, column) => {
+  const columns = await queryInterface.describeTable(table);
+  if (!columns[column]) return;
+
+  await queryInterface.removeColumn(table, column);
+  // An ENUM column leaves its type behind
+  await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "enum_${table}_${column}"`);
+};
+
+/**
+ * Add indexes that are not there yet, named the way sequelize.sync names them (table_field_field)
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} table - Table name
+ * @param {Array} indexes - Index definitions ({ fields, unique })
+ */
+const addIndexesIfMissing = async (queryInterface, table, indexes) => {
+  const existing = (await queryInterface.showIndex(table)).map(index => index.name);
+
+  for (const index of indexes) {
+    const name = `${table}_${index.fields.join('_')}`;
+    if (!existing.includes(name)) {
+      await queryInterface.addIndex(table, index.fields, { name, unique: !!index.unique });
+    }
+  }
+};
+
+/**
+ * Drop a table and the ENUM types its columns used
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} table - Table name
+ */
+const dropTableWithEnums = async (queryInterface, table) => {
+  await queryInterface.dropTable(table);
+
+  const [types] = await queryInterface.sequelize.query(
+    'SELECT typname FROM pg_type WHERE typname LIKE :pattern',
+    { replacements: { pattern: `enum\\_${table}\\_%` } }
+  );
+  for (const { typname } of types) {
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${typname}"`);
+  }
+};
+
+/**
+ * Foreign key to another table's id, with the ON DELETE rule sequelize.sync uses
+ * (SET NULL for nullable keys, CASCADE otherwise)
+ * @param {string} table - Referenced table
+ * @param {boolean} allowNull - Whether the key is nullable
+ * @returns {Object} Column definition
+ */
+const reference = (table, allowNull) => ({
+  type: DataTypes.UUID,
+  allowNull,
+  references: {
+    model: table,
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: allowNull ? 'SET NULL' : 'CASCADE'
+});
+
+module.exports = {
+  tableExists,
+  createTableIfMissing,
+  addColumnIfMissing,
+  removeColumnIfPresent,
+  addIndexesIfMissing,
+  dropTableWithEnums,
+  reference
+};
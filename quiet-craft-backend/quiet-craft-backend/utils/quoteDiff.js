@@ -0,0 +1,141 @@
+/**
+ * Quote Diff Utilities
+ * Line-by-line comparison of two quote pricing snapshots
+ */
+
+// Keep money and multiplier deltas free of floating point noise
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Key used to match array entries between snapshots
+ * (additional services by name, complexity factors by factor, items by position)
+ */
+const entryKey = (entry, index) => {
+  if (entry && typeof entry === 'object') {
+    if (entry.service) return entry.service;
+    if (entry.factor) return entry.factor;
+    if (entry.code) return entry.code;
+    if (entry.description) return `${index}:${entry.description}`;
+  }
+  return String(index);
+};
+
+/**
+ * Flatten a components object into path -> primitive value pairs
+ * @param {*} value - Value to flatten
+ * @param {string} path - Path of the value inside components
+ * @param {Object} result - Accumulator
+ * @returns {Object} Flattened values
+ */
+const flatten = (value, path = '', result = {}) => {
+  if (Array.isArray(value)) {
+    value.forEach((entry, index) => flatten(entry, `${path}[${entryKey(entry, index)}]`, result));
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    Object.entries(value).forEach(([key, entry]) => {
+      flatten(entry, path ? `${path}.${key}` : key, result);
+    });
+  } else if (typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') {
+    result[path] = value;
+  }
+
+  return result;
+};
+
+/**
+ * JSON with object keys sorted, so values read back from JSONB (which reorders keys) compare equal
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => JSON.stringify(value, (key, entry) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return entry;
+  }
+  return Object.keys(entry).sort().reduce((sorted, name) => {
+    sorted[name] = entry[name];
+    return sorted;
+  }, {});
+});
+
+/**
+ * Compare two values and describe the change
+ */
+const describeChange = (path, from, to) => {
+  const change = {
+    path,
+    component: path.split(/[.[]/)[0],
+    change: from === undefined ? 'added' : to === undefined ? 'removed' : 'changed',
+    from: from === undefined ? null : from,
+    to: to === undefined ? null : to
+  };
+
+  if (typeof (from ?? 0) === 'number' && typeof (to ?? 0) === 'number') {
+    change.delta = round((to || 0) - (from || 0));
+  }
+
+  return change;
+};
+
+/**
+ * Diff the pricing components of two revisions
+ * @param {Object} fromComponents - Older components
+ * @param {Object} toComponents - Newer components
+ * @returns {Array} Changed lines
+ */
+const diffComponents = (fromComponents = {}, toComponents = {}) => {
+  const fromValues = flatten(fromComponents);
+  const toValues = flatten(toComponents);
+  const paths = [...new Set([...Object.keys(fromValues), ...Object.keys(toValues)])];
+
+  return paths
+    .filter(path => fromValues[path] !== toValues[path])
+    .map(path => describeChange(path, fromValues[path], toValues[path]));
+};
+
+/**
+ * Diff the customer-facing request fields of two revisions
+ * @param {Object} fromRequest - Older normalized request
+ * @param {Object} toRequest - Newer normalized request
+ * @returns {Array} Changed request fields
+ */
+const diffRequests = (fromRequest = {}, toRequest = {}) => {
+  const fields = [...new Set([...Object.keys(fromRequest), ...Object.keys(toRequest)])];
+
+  return fields
+    .filter(field => canonicalJson(fromRequest[field]) !== canonicalJson(toRequest[field]))
+    .map(field => ({
+      field,
+      from: fromRequest[field] ?? null,
+      to: toRequest[field] ?? null
+    }));
+};
+
+/**
+ * Full diff between two revision responses (see QuoteRevision.toRevisionResponse)
+ * @param {Object} from - Older revision
+ * @param {Object} to - Newer revision
+ * @returns {Object} Totals, component and request changes
+ */
+const diffRevisions = (from, to) => {
+  const totals = {};
+  ['subtotal', 'taxes', 'discounts', 'total'].forEach(field => {
+    totals[field] = {
+      from: from[field],
+      to: to[field],
+      delta: round(to[field] - from[field])
+    };
+  });
+
+  return {
+    fromVersion: from.version,
+    toVersion: to.version,
+    totals,
+    components: diffComponents(from.components, to.components),
+    request: diffRequests(from.request, to.request)
+  };
+};
+
+module.exports = {
+  diffRevisions,
+  diffComponents,
+  diffRequests
+};
@@ -0,0 +1,79 @@
+/**
+ * Quote Diff Utilities
+ */
+
+const { diffComponents, diffRequests, diffRevisions } = require('./quoteDiff');
+
+describe('diffComponents', () => {
+  test('reports changed numbers with their delta', () => {
+    const changes = diffComponents(
+      { distance: { miles: 12.5, fee: 30 } },
+      { distance: { miles: 12.5, fee: 42.1 } }
+    );
+
+    expect(changes).toEqual([
+      { path: 'distance.fee', component: 'distance', change: 'changed', from: 30, to: 42.1, delta: 12.1 }
+    ]);
+  });
+
+  test('matches additional services by name rather than position', () => {
+    const changes = diffComponents(
+      { additionalServices: [{ service: 'setup', fee: 50 }, { service: 'storage', fee: 20 }] },
+      { additionalServices: [{ service: 'storage', fee: 20 }] }
+    );
+
+    expect(changes).toEqual([
+      expect.objectContaining({ path: 'additionalServices[setup].service', change: 'removed', from: 'setup', to: null }),
+      expect.objectContaining({ path: 'additionalServices[setup].fee', change: 'removed', from: 50, to: null, delta: -50 })
+    ]);
+  });
+
+  test('reports lines that only appear in the newer version as added', () => {
+    const changes = diffComponents({}, { surcharges: { weekend: 25 } });
+
+    expect(changes).toEqual([
+      { path: 'surcharges.weekend', component: 'surcharges', change: 'added', from: null, to: 25, delta: 25 }
+    ]);
+  });
+
+  test('returns nothing for identical components', () => {
+    const components = { base: { fee: 75 }, items: [{ description: 'Crate', fee: 10 }] };
+
+    expect(diffComponents(components, JSON.parse(JSON.stringify(components)))).toEqual([]);
+  });
+});
+
+describe('diffRequests', () => {
+  test('lists each changed request field once', () => {
+    const changes = diffRequests(
+      { delivery: 'Newark, NJ', items: [{ size: 'medium', quantity: 2 }], serviceLevel: 'standard' },
+      { delivery: 'Hoboken, NJ', items: [{ size: 'medium', quantity: 3 }], serviceLevel: 'standard' }
+    );
+
+    expect(changes.map(change => change.field)).toEqual(['delivery', 'items']);
+    expect(changes[0]).toEqual({ field: 'delivery', from: 'Newark, NJ', to: 'Hoboken, NJ' });
+  });
+
+  test('ignores key order inside objects, as stored JSONB requests come back reordered', () => {
+    const changes = diffRequests(
+      { items: [{ size: 'medium', quantity: 2, dimensions: { width: 2, length: 3 } }] },
+      { items: [{ quantity: 2, dimensions: { length: 3, width: 2 }, size: 'medium' }] }
+    );
+
+    expect(changes).toEqual([]);
+  });
+});
+
+describe('diffRevisions', () => {
+  test('compares totals and names both versions', () => {
+    const from = { version: 1, subtotal: 300, taxes: 20, discounts: 0, total: 320, components: {}, request: {} };
+    const to = { version: 2, subtotal: 350.5, taxes: 23.37, discounts: 10, total: 363.87, components: {}, request: {} };
+
+    const diff = diffRevisions(from, to);
+
+    expect(diff.fromVersion).toBe(1);
+    expect(diff.toVersion).toBe(2);
+    expect(diff.totals.total).toEqual({ from: 320, to: 363.87, delta: 43.87 });
+    expect(diff.totals.discounts.delta).toBe(10);
+  });
+});
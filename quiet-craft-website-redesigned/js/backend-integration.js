@@ -61,6 +61,13 @@ class BackendIntegration {
     return `sess_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  generateIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    return `idem_${Date.now()}_${Math.random().toString(36).substr(2, 12)}`;
+  }
+
   checkAuthentication() {
     // Check for stored authentication
     this.authToken = localStorage.getItem('auth_token');
@@ -73,7 +80,8 @@ class BackendIntegration {
 
   async validateToken() {
     try {
-      const response = await this.makeRequest('/api/admin/health', 'GET', null, true);
+      // Any signed-in user can read their own account, staff or customer
+      const response = await this.makeRequest('/api/account/quotes?limit=1', 'GET', null, true);
       if (!response.success) {
         this.clearAuthentication();
       }
@@ -120,10 +128,16 @@ class BackendIntegration {
     }
   }
 
-  async makeRequest(endpoint, method = 'GET', data = null, requireAuth = false, retryCount = 0) {
+  async makeRequest(endpoint, method = 'GET', data = null, requireAuth = false, retryCount = 0, idempotencyKey = null) {
     const startTime = Date.now();
     this.metrics.totalRequests++;
 
+    // One key per POST, reused by every retry, so the backend replays the first response instead of
+    // creating a duplicate quote or AI call when a response was lost on a flaky connection
+    if (method === 'POST' && !idempotencyKey) {
+      idempotencyKey = this.generateIdempotencyKey();
+    }
+
     try {
       const url = `${this.baseURL}${endpoint}`;
       const headers = {
@@ -139,6 +153,10 @@ class BackendIntegration {
         headers['X-API-Key'] = this.apiKey;
       }
 
+      if (idempotencyKey) {
+        headers['Idempotency-Key'] = idempotencyKey;
+      }
+
       const options = {
         method,
         headers,
@@ -158,7 +176,7 @@ class BackendIntegration {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+        throw new Error(errorData.message || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
       }
 
       const result = await response.json();
@@ -177,7 +195,7 @@ class BackendIntegration {
       if (retryCount < this.config.retryAttempts && this.shouldRetry(error)) {
         console.warn(`Request failed, retrying (${retryCount + 1}/${this.config.retryAttempts}):`, error.message);
         await this.sleep(this.config.retryDelay * (retryCount + 1));
-        return this.makeRequest(endpoint, method, data, requireAuth, retryCount + 1);
+        return this.makeRequest(endpoint, method, data, requireAuth, retryCount + 1, idempotencyKey);
       }
 
       // Enhanced error information
@@ -267,13 +285,80 @@ class BackendIntegration {
 
   // Quote and Pricing Methods
   async generateQuote(quoteData) {
+    // Sent with the auth token when signed in so the quote is saved to the customer's account
     return await this.makeRequest('/api/quote', 'POST', {
       ...quoteData,
       contactInfo: {
         ...quoteData.contactInfo,
         sessionId: this.sessionId
       }
+    }, true);
+  }
+
+  async compareServiceLevels(quoteData, alternativeDates = []) {
+    return await this.makeRequest('/api/quote/compare', 'POST', {
+      ...quoteData,
+      alternativeDates
+    });
+  }
+
+  async getSharedQuote(token) {
+    return await this.makeRequest(`/api/quote/shared/${encodeURIComponent(token)}`, 'GET');
+  }
+
+  async acceptSharedQuote(token, acceptance) {
+    return await this.makeRequest(`/api/quote/shared/${encodeURIComponent(token)}/accept`, 'POST', acceptance);
+  }
+
+  getSharedQuotePdfUrl(token) {
+    return `${this.baseURL}/api/quote/shared/${encodeURIComponent(token)}/pdf`;
+  }
+
+  // The PDF route needs the session token, so a plain link cannot download it
+  async downloadMyQuotePdf(quoteId) {
+    const response = await fetch(`${this.baseURL}/api/quote/${encodeURIComponent(quoteId)}/pdf`, {
+      headers: { 'Authorization': `Bearer ${this.authToken}` },
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return await response.blob();
+  }
+
+  // Customer account: the signed-in user's own quotes and bookings
+
+  async getMyQuotes(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params.set(key, value);
     });
+
+    const queryString = params.toString();
+    return await this.makeRequest(`/api/account/quotes${queryString ? `?${queryString}` : ''}`, 'GET', null, true);
+  }
+
+  async getMyQuote(quoteId) {
+    return await this.makeRequest(`/api/account/quotes/${encodeURIComponent(quoteId)}`, 'GET', null, true);
+  }
+
+  async getMyBookings(status = null) {
+    return await this.makeRequest(`/api/account/bookings${status ? `?status=${encodeURIComponent(status)}` : ''}`, 'GET', null, true);
+  }
+
+  async acceptMyQuote(quoteId, acceptance) {
+    return await this.makeRequest(`/api/account/quotes/${encodeURIComponent(quoteId)}/accept`, 'POST', acceptance, true);
+  }
+
+  async cancelMyQuote(quoteId, reason = null) {
+    return await this.makeRequest(`/api/account/quotes/${encodeURIComponent(quoteId)}/cancel`, 'POST', reason ? { reason } : {}, true);
+  }
+
+  async requoteMyQuote(quoteId, changes = {}) {
+    return await this.makeRequest(`/api/account/quotes/${encodeURIComponent(quoteId)}/requote`, 'POST', changes, true);
   }
 
   async getQuickEstimate(pickup, delivery, serviceLevel = 'standard') {
@@ -302,6 +387,14 @@ class BackendIntegration {
     return await this.makeRequest('/api/quote/pricing', 'GET');
   }
 
+  async validatePromoCode(code, eventType = null, subtotal = null) {
+    const data = { code };
+    if (eventType) data.eventType = eventType;
+    if (subtotal !== null) data.subtotal = subtotal;
+
+    return await this.makeRequest('/api/quote/promo-codes/validate', 'POST', data);
+  }
+
   async getAIQuoteAssistance(message, context = {}) {
     return await this.makeRequest('/api/quote/ai-quote', 'POST', { message, context });
   }
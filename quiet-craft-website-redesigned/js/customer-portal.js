@@ -0,0 +1,334 @@
+/**
+ * Customer Portal - Signed-in Customer's Quotes and Bookings
+ * Lists the customer's own quotes and lets them view, accept, cancel or re-quote one
+ */
+
+class CustomerPortal {
+    constructor(api) {
+        this.api = api;
+        this.list = document.getElementById('portal-list');
+        this.detail = document.getElementById('portal-detail');
+        this.message = document.getElementById('portal-message');
+        this.statusFilter = document.getElementById('portal-status-filter');
+
+        this.page = 1;
+        this.pageSize = 10;
+        this.current = null;
+
+        this.serviceLevels = {
+            standard: 'Standard',
+            nextDay: 'Next Day',
+            sameDay: 'Same Day',
+            emergency: 'Emergency'
+        };
+
+        this.statusLabels = {
+            draft: 'Draft',
+            active: 'Open',
+            accepted: 'Accepted',
+            expired: 'Expired',
+            cancelled: 'Cancelled'
+        };
+
+        this.init();
+    }
+
+    init() {
+        if (!this.api.authToken) {
+            this.list.innerHTML = '';
+            this.showMessage('Please sign in to see your quotes. Quotes you request while signed in are saved here.', 'error');
+            return;
+        }
+
+        this.statusFilter.addEventListener('change', () => {
+            this.page = 1;
+            this.loadQuotes();
+        });
+
+        this.loadQuotes().then(() => {
+            // Deep link from an email or the quote widget: portal.html?quote=QC-...
+            const quoteId = new URLSearchParams(window.location.search).get('quote');
+            if (quoteId) this.showQuote(quoteId);
+        });
+    }
+
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    formatCurrency(amount) {
+        return `$${Number(amount || 0).toFixed(2)}`;
+    }
+
+    formatDate(value) {
+        return value
+            ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+            : 'To be scheduled';
+    }
+
+    showMessage(message, type = '') {
+        this.message.className = `portal-message qc-mb-6 ${type}`;
+        this.message.textContent = message;
+        this.message.style.display = message ? 'block' : 'none';
+    }
+
+    async loadQuotes() {
+        try {
+            const response = await this.api.getMyQuotes({
+                status: this.statusFilter.value,
+                page: this.page,
+                limit: this.pageSize
+            });
+            this.renderList(response.quotes, response.pagination);
+        } catch (error) {
+            this.list.innerHTML = '';
+            this.showMessage(error.message || 'We could not load your quotes. Please try again.', 'error');
+        }
+    }
+
+    renderList(quotes, pagination) {
+        if (quotes.length === 0) {
+            this.list.innerHTML = `
+                <div class="portal-message">
+                    No quotes yet. <a href="index.html#quote">Get a quote</a> while signed in and it will appear here.
+                </div>
+            `;
+            return;
+        }
+
+        const rows = quotes.map(quote => {
+            const request = quote.request || {};
+            return `
+                <tr>
+                    <td><a href="#" data-quote="${this.escape(quote.quoteId)}">${this.escape(quote.quoteId)}</a></td>
+                    <td>${this.escape(request.pickup)} → ${this.escape(request.delivery)}</td>
+                    <td>${this.escape(this.formatDate(request.eventDate))}</td>
+                    <td><span class="portal-status ${this.escape(quote.status)}">${this.escape(this.statusLabels[quote.status] || quote.status)}</span></td>
+                    <td class="portal-amount">${this.formatCurrency(quote.total)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.list.innerHTML = `
+            <div class="qc-card">
+                <table class="portal-quotes">
+                    <thead>
+                        <tr><th>Quote</th><th>Route</th><th>Event date</th><th>Status</th><th class="portal-amount">Total</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="qc-flex qc-justify-between qc-items-center qc-mt-4">
+                    <button class="qc-btn qc-btn-ghost qc-btn-sm" data-page="prev" ${pagination.page <= 1 ? 'disabled' : ''}>← Newer</button>
+                    <span class="qc-text-muted">Page ${pagination.page} of ${Math.max(pagination.pages, 1)}</span>
+                    <button class="qc-btn qc-btn-ghost qc-btn-sm" data-page="next" ${pagination.page >= pagination.pages ? 'disabled' : ''}>Older →</button>
+                </div>
+            </div>
+        `;
+
+        this.list.querySelectorAll('[data-quote]').forEach(link => {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.showQuote(link.dataset.quote);
+            });
+        });
+
+        this.list.querySelectorAll('[data-page]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.page += button.dataset.page === 'next' ? 1 : -1;
+                this.loadQuotes();
+            });
+        });
+    }
+
+    async showQuote(quoteId) {
+        this.showMessage('');
+
+        try {
+            const response = await this.api.getMyQuote(quoteId);
+            this.current = response;
+            this.renderDetail();
+            this.detail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } catch (error) {
+            this.showMessage(error.message || 'We could not load that quote.', 'error');
+        }
+    }
+
+    renderDetail() {
+        const { quote, acceptable } = this.current;
+        const request = quote.request || {};
+        const stops = (quote.distanceInfo && quote.distanceInfo.stops) || request.stops || [];
+        const route = [request.pickup, ...stops.map(stop => stop.address), request.delivery]
+            .map(address => this.escape(address))
+            .join(' → ');
+
+        // Accepted quotes can be cancelled online only until dispatch schedules the booking
+        const cancellable = ['draft', 'active'].includes(quote.status) ||
+            (quote.status === 'accepted' && quote.booking && quote.booking.status === 'pending');
+
+        this.detail.innerHTML = `
+            <div class="qc-card portal-detail">
+                <h2 class="qc-heading-3 qc-mb-4">Quote ${this.escape(quote.quoteId)}</h2>
+                <dl>
+                    <dt>Status</dt><dd>${this.escape(this.statusLabels[quote.status] || quote.status)}</dd>
+                    <dt>Route</dt><dd>${route}</dd>
+                    <dt>Event date</dt><dd>${this.escape(this.formatDate(request.eventDate))}</dd>
+                    <dt>Service level</dt><dd>${this.escape(this.serviceLevels[request.serviceLevel] || request.serviceLevel)}</dd>
+                    <dt>Total</dt><dd>${this.formatCurrency(quote.total)}</dd>
+                    <dt>${quote.status === 'accepted' ? 'Accepted' : 'Valid until'}</dt>
+                    <dd>${this.escape(this.formatDate(quote.status === 'accepted' ? quote.acceptedAt : quote.validUntil))}</dd>
+                    ${quote.booking ? `<dt>Booking</dt><dd>${this.escape(quote.booking.bookingNumber)} (${this.escape(quote.booking.status)})</dd>` : ''}
+                </dl>
+
+                <div class="portal-actions qc-mt-6">
+                    <button class="qc-btn qc-btn-ghost qc-btn-sm" data-action="pdf">Download PDF</button>
+                    ${cancellable ? '<button class="qc-btn qc-btn-ghost qc-btn-sm" data-action="cancel">Cancel quote</button>' : ''}
+                </div>
+
+                <div id="portal-accept" class="qc-mt-6"></div>
+
+                <form id="portal-requote" class="qc-mt-6">
+                    <h3 class="qc-heading-5 qc-mb-4">Quote this again</h3>
+                    <div class="portal-toolbar">
+                        <div>
+                            <label class="qc-label" for="requote-date">New event date</label>
+                            <input class="qc-input" id="requote-date" name="eventDate" type="date">
+                        </div>
+                        <div>
+                            <label class="qc-label" for="requote-level">Service level</label>
+                            <select class="qc-input" id="requote-level" name="serviceLevel">
+                                ${Object.entries(this.serviceLevels).map(([value, label]) =>
+                                    `<option value="${value}" ${value === request.serviceLevel ? 'selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                        </div>
+                        <button type="submit" class="qc-btn qc-btn-secondary">Get a new quote</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        if (acceptable) {
+            this.renderAcceptForm();
+        }
+
+        this.detail.querySelector('[data-action="pdf"]').addEventListener('click', () => this.downloadPdf());
+
+        const cancelButton = this.detail.querySelector('[data-action="cancel"]');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.cancel());
+        }
+
+        this.detail.querySelector('#portal-requote').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.requote(event.target);
+        });
+    }
+
+    renderAcceptForm() {
+        const { quote, terms } = this.current;
+        const clauses = terms.clauses.map(clause => `<li>${this.escape(clause)}</li>`).join('');
+
+        const container = this.detail.querySelector('#portal-accept');
+        container.innerHTML = `
+            <form id="portal-accept-form">
+                <h3 class="qc-heading-5">${this.escape(terms.title)}</h3>
+                <ol class="qc-mb-4">${clauses}</ol>
+                <label class="qc-flex qc-gap-4 qc-mb-4">
+                    <input type="checkbox" name="agreeToTerms" required>
+                    <span>I have reviewed this quote and agree to the terms above.</span>
+                </label>
+                <button type="submit" class="qc-btn qc-btn-primary">Accept quote for ${this.formatCurrency(quote.total)}</button>
+            </form>
+        `;
+
+        container.querySelector('#portal-accept-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.accept(event.target);
+        });
+    }
+
+    async accept(form) {
+        const { quote, terms } = this.current;
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+
+        try {
+            const response = await this.api.acceptMyQuote(quote.quoteId, {
+                agreeToTerms: form.agreeToTerms.checked,
+                termsVersion: terms.version,
+                version: quote.version
+            });
+
+            this.showMessage(`Quote ${response.quote.quoteId} is accepted. Your booking number is ${response.booking.bookingNumber}.`, 'success');
+            this.api.trackConversion('quote_accepted', response.quote.total);
+            await this.refresh(quote.quoteId);
+        } catch (error) {
+            this.showMessage(error.message || 'We could not accept the quote. Please try again.', 'error');
+            button.disabled = false;
+        }
+    }
+
+    async downloadPdf() {
+        const { quote } = this.current;
+
+        try {
+            const pdf = await this.api.downloadMyQuotePdf(quote.quoteId);
+            const url = URL.createObjectURL(pdf);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${quote.quoteId}.pdf`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            this.showMessage(error.message || 'We could not download the PDF. Please try again.', 'error');
+        }
+    }
+
+    async cancel() {
+        const { quote } = this.current;
+        if (!window.confirm(`Cancel quote ${quote.quoteId}?`)) return;
+
+        try {
+            await this.api.cancelMyQuote(quote.quoteId);
+            this.showMessage(`Quote ${quote.quoteId} is cancelled.`, 'success');
+            await this.refresh(quote.quoteId);
+        } catch (error) {
+            this.showMessage(error.message || 'We could not cancel the quote. Please contact us.', 'error');
+        }
+    }
+
+    async requote(form) {
+        const { quote } = this.current;
+        const button = form.querySelector('button[type="submit"]');
+        const changes = { serviceLevel: form.serviceLevel.value };
+        if (form.eventDate.value) {
+            changes.eventDate = new Date(`${form.eventDate.value}T12:00:00`).toISOString();
+        }
+
+        button.disabled = true;
+
+        try {
+            const response = await this.api.requoteMyQuote(quote.quoteId, changes);
+            this.showMessage(`New quote ${response.quote.quoteId}: ${this.formatCurrency(response.quote.total)}.`, 'success');
+            this.statusFilter.value = '';
+            this.page = 1;
+            await this.refresh(response.quote.quoteId);
+        } catch (error) {
+            this.showMessage(error.message || 'We could not price a new quote. Please try again.', 'error');
+            button.disabled = false;
+        }
+    }
+
+    async refresh(quoteId) {
+        await this.loadQuotes();
+
+        const response = await this.api.getMyQuote(quoteId);
+        this.current = response;
+        this.renderDetail();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.customerPortal = new CustomerPortal(window.backendAPI);
+});
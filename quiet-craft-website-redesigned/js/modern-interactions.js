@@ -398,10 +398,19 @@ class ModernInteractions {
         // Set items in FormData
         formData.set('items', JSON.stringify(items));
         
-        // Calculate quote using QuoteCalculator
+        // Calculate quote using QuoteCalculator (priced with the backend's published rate card)
+        let calculator = null;
         if (window.QuoteCalculator) {
-            const calculator = new window.QuoteCalculator();
+            try {
+                calculator = await window.QuoteCalculator.load();
+            } catch (error) {
+                console.warn('Instant quote unavailable, sending the request instead:', error);
+            }
+        }
+
+        if (calculator) {
             const quote = calculator.calculateQuote(formData);
+            await this.applyPromoCode(calculator, quote, formData);
             this.displayQuote(quote, form);
             return { success: true, quote };
         }
@@ -416,6 +425,41 @@ class ModernInteractions {
         }
     }
 
+    async applyPromoCode(calculator, quote, formData) {
+        const code = (formData.get('promoCode') || '').trim().toUpperCase();
+        if (!code || !window.backendAPI) {
+            return quote;
+        }
+
+        try {
+            const response = await window.backendAPI.validatePromoCode(
+                code,
+                quote.details.eventType,
+                Math.round(quote.subtotal * 100) / 100
+            );
+            return calculator.applyPromotion(quote, response.promotion);
+        } catch (error) {
+            console.warn('Promo code check failed:', error);
+            return calculator.applyPromotion(quote, {
+                code,
+                valid: false,
+                reason: 'We could not check this promo code right now. Our team will apply it when confirming your booking.'
+            });
+        }
+    }
+
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    // Loads the fleet cannot carry have no vehicle price in an instant quote
+    describeVehicleFee(quote) {
+        const plan = quote.details.loadingPlan;
+        return plan && !plan.fits ? 'On request' : `$${quote.vehicleFee.toFixed(2)}`;
+    }
+
     displayQuote(quote, form) {
         // Hide all form steps
         const formSteps = form.querySelectorAll('.form-step');
@@ -440,35 +484,60 @@ class ModernInteractions {
                     <span>Item Handling Fee:</span>
                     <strong>$${quote.itemHandlingFee.toFixed(2)}</strong>
                 </div>
-                ${quote.expeditedServiceFee > 0 ? `
                 <div style="display: flex; justify-content: space-between;">
-                    <span>Expedited Service Fee:</span>
-                    <strong>$${quote.expeditedServiceFee.toFixed(2)}</strong>
+                    <span>Vehicle:</span>
+                    <strong>${this.describeVehicleFee(quote)}</strong>
+                </div>
+                ${quote.details.loadingPlan && !quote.details.loadingPlan.fits ? `
+                <div style="font-size: var(--qc-text-sm); opacity: 0.8;">
+                    ${this.escape(quote.details.loadingPlan.reason)}. Our team will price the vehicles for this load.
                 </div>` : ''}
                 ${quote.storageFee > 0 ? `
                 <div style="display: flex; justify-content: space-between;">
-                    <span>Storage Fee:</span>
+                    <span>Storage Fee (${this.escape(quote.details.storage)}):</span>
                     <strong>$${quote.storageFee.toFixed(2)}</strong>
                 </div>` : ''}
+                ${quote.coordinationFee > 0 ? `
                 <div style="display: flex; justify-content: space-between;">
-                    <span>Coordination Fee:</span>
+                    <span>Venue Coordination:</span>
                     <strong>$${quote.coordinationFee.toFixed(2)}</strong>
-                </div>
+                </div>` : ''}
                 ${quote.waitTimeFee > 0 ? `
                 <div style="display: flex; justify-content: space-between;">
-                    <span>Wait Time Fee:</span>
+                    <span>On-site Support:</span>
                     <strong>$${quote.waitTimeFee.toFixed(2)}</strong>
                 </div>` : ''}
+                ${quote.adjustmentFee !== 0 ? `
+                <div style="display: flex; justify-content: space-between;">
+                    <span>Event Type &amp; Notice Adjustment:</span>
+                    <strong>$${quote.adjustmentFee.toFixed(2)}</strong>
+                </div>` : ''}
                 <hr style="border-color: rgba(255, 255, 255, 0.2); margin: var(--qc-space-2) 0;">
                 <div style="display: flex; justify-content: space-between;">
                     <span>Subtotal:</span>
                     <strong>$${quote.subtotal.toFixed(2)}</strong>
                 </div>
+                ${quote.discount > 0 ? `
+                <div style="display: flex; justify-content: space-between;">
+                    <span>Discount (${this.escape(quote.details.promoCode.code)}):</span>
+                    <strong style="color: #4ade80;">-$${quote.discount.toFixed(2)}</strong>
+                </div>` : ''}
+                ${quote.details.promoCode && !quote.details.promoCode.applied ? `
+                <div style="font-size: var(--qc-text-sm); opacity: 0.8;">
+                    Promo code ${this.escape(quote.details.promoCode.code)} was not applied: ${this.escape(quote.details.promoCode.reason)}
+                </div>` : ''}
                 <div style="display: flex; justify-content: space-between; font-size: var(--qc-text-xl); margin-top: var(--qc-space-2);">
                     <span>Total:</span>
                     <strong style="color: #4ade80;">$${quote.total.toFixed(2)}</strong>
                 </div>
             </div>
+            ${quote.details.explanation && quote.details.explanation.length > 0 ? `
+            <div style="margin-top: var(--qc-space-4);">
+                <h5 style="color: white; margin-bottom: var(--qc-space-2); font-size: var(--qc-text-base);">Why this price</h5>
+                <ul style="font-size: var(--qc-text-sm); opacity: 0.9; line-height: 1.6; padding-left: var(--qc-space-4);">
+                    ${quote.details.explanation.map(line => `<li>${this.escape(line.text)}</li>`).join('')}
+                </ul>
+            </div>` : ''}
             <div style="margin-top: var(--qc-space-6); padding: var(--qc-space-4); background: rgba(255, 255, 255, 0.1); border-radius: var(--qc-radius-lg); border: 1px solid rgba(255, 255, 255, 0.2);">
                 <h5 style="color: white; margin-bottom: var(--qc-space-2); font-size: var(--qc-text-base);">Important Information & Standard Terms</h5>
                 <div style="font-size: var(--qc-text-sm); opacity: 0.9; line-height: 1.6;">
@@ -0,0 +1,186 @@
+/**
+ * Quote Accept Page - Customer Review and Acceptance from a Share Link
+ * Loads the quote behind ?token=..., shows the terms and records the customer's acceptance
+ */
+
+class QuoteAcceptPage {
+    constructor(api) {
+        this.api = api;
+        this.container = document.getElementById('accept-page');
+        this.token = new URLSearchParams(window.location.search).get('token');
+        this.quote = null;
+        this.terms = null;
+
+        this.serviceLevels = {
+            standard: 'Standard',
+            nextDay: 'Next Day',
+            sameDay: 'Same Day',
+            emergency: 'Emergency'
+        };
+
+        this.init();
+    }
+
+    async init() {
+        if (!this.token) {
+            this.showMessage('This page needs the quote link we sent you. Please open the link from your email.', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.api.getSharedQuote(this.token);
+            this.quote = response.quote;
+            this.terms = response.terms;
+            this.render(response.acceptable);
+        } catch (error) {
+            this.showMessage(error.message || 'We could not load this quote. Please contact us for a new link.', 'error');
+        }
+    }
+
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    formatCurrency(amount) {
+        return `$${Number(amount || 0).toFixed(2)}`;
+    }
+
+    formatDate(value) {
+        return value
+            ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+            : 'To be scheduled';
+    }
+
+    showMessage(message, type = '') {
+        this.container.innerHTML = `<div class="accept-message ${type}">${this.escape(message)}</div>`;
+    }
+
+    render(acceptable) {
+        const quote = this.quote;
+        const request = quote.request || {};
+        const stops = (quote.distanceInfo && quote.distanceInfo.stops) || request.stops || [];
+        const route = [request.pickup, ...stops.map(stop => stop.address), request.delivery]
+            .map(address => this.escape(address))
+            .join(' → ');
+
+        const items = (request.items || []).map(item => `
+            <tr>
+                <td>${this.escape(item.description || `${item.size} item`)}</td>
+                <td>× ${this.escape(item.quantity || 1)}</td>
+            </tr>
+        `).join('');
+
+        this.container.innerHTML = `
+            <h1 class="qc-heading-2 qc-mb-4">Your quote ${this.escape(quote.quoteId)}</h1>
+
+            <div class="qc-card accept-summary qc-mb-6">
+                <dl>
+                    <dt>Route</dt><dd>${route}</dd>
+                    <dt>Event date</dt><dd>${this.escape(this.formatDate(request.eventDate))}</dd>
+                    <dt>Service level</dt><dd>${this.escape(this.serviceLevels[request.serviceLevel] || request.serviceLevel)}</dd>
+                    <dt>Valid until</dt><dd>${this.escape(this.formatDate(quote.validUntil))}</dd>
+                </dl>
+            </div>
+
+            <div class="qc-card qc-mb-6">
+                <table class="accept-lines">
+                    <tbody>
+                        ${items}
+                        <tr><td>Subtotal</td><td>${this.formatCurrency(quote.subtotal)}</td></tr>
+                        ${quote.discounts > 0 ? `<tr><td>Discounts</td><td>−${this.formatCurrency(quote.discounts)}</td></tr>` : ''}
+                        <tr><td>Taxes</td><td>${this.formatCurrency(quote.taxes)}</td></tr>
+                        <tr class="accept-total"><td>Total</td><td>${this.formatCurrency(quote.total)}</td></tr>
+                    </tbody>
+                </table>
+                <p class="qc-mt-4">
+                    <a href="${this.api.getSharedQuotePdfUrl(this.token)}" class="qc-btn qc-btn-ghost qc-btn-sm">Download PDF</a>
+                </p>
+            </div>
+
+            <div id="accept-action"></div>
+        `;
+
+        if (!acceptable) {
+            const reason = quote.status === 'accepted'
+                ? `This quote was accepted${quote.acceptedBy ? ` by ${quote.acceptedBy}` : ''} on ${this.formatDate(quote.acceptedAt)}.`
+                : 'This quote can no longer be accepted online. Please contact us and we will send you an updated quote.';
+            this.container.querySelector('#accept-action').innerHTML =
+                `<div class="accept-message ${quote.status === 'accepted' ? 'success' : ''}">${this.escape(reason)}</div>`;
+            return;
+        }
+
+        this.renderAcceptForm();
+    }
+
+    renderAcceptForm() {
+        const contact = (this.quote.request && this.quote.request.contactInfo) || {};
+        const clauses = this.terms.clauses.map(clause => `<li>${this.escape(clause)}</li>`).join('');
+
+        const action = this.container.querySelector('#accept-action');
+        action.innerHTML = `
+            <form class="qc-card" id="accept-form">
+                <div class="accept-terms qc-mb-4">
+                    <h2 class="qc-heading-4">${this.escape(this.terms.title)}</h2>
+                    <ol>${clauses}</ol>
+                </div>
+                <div class="qc-mb-4">
+                    <label class="qc-label" for="accept-name">Full name</label>
+                    <input class="qc-input" id="accept-name" name="name" required minlength="2" maxlength="100" value="${this.escape(contact.name || '')}">
+                </div>
+                <div class="qc-mb-4">
+                    <label class="qc-label" for="accept-email">Email (optional)</label>
+                    <input class="qc-input" id="accept-email" name="email" type="email" value="${this.escape(contact.email || '')}">
+                </div>
+                <label class="accept-agree qc-mb-4">
+                    <input type="checkbox" name="agreeToTerms" required>
+                    <span>I have reviewed this quote and agree to the terms above.</span>
+                </label>
+                <div id="accept-error" class="accept-message error qc-mb-4" style="display: none;"></div>
+                <button type="submit" class="qc-btn qc-btn-primary qc-btn-lg">Accept quote for ${this.formatCurrency(this.quote.total)}</button>
+            </form>
+        `;
+
+        action.querySelector('#accept-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.accept(event.target);
+        });
+    }
+
+    async accept(form) {
+        const button = form.querySelector('button[type="submit"]');
+        const errorBox = form.querySelector('#accept-error');
+        const email = form.email.value.trim();
+
+        button.disabled = true;
+        errorBox.style.display = 'none';
+
+        try {
+            const response = await this.api.acceptSharedQuote(this.token, {
+                name: form.name.value.trim(),
+                ...(email ? { email } : {}),
+                agreeToTerms: form.agreeToTerms.checked,
+                termsVersion: this.terms.version,
+                version: this.quote.version
+            });
+
+            this.container.querySelector('#accept-action').innerHTML = `
+                <div class="accept-message success">
+                    Thank you, ${this.escape(response.quote.acceptedBy)}. Your quote is accepted and your booking number is
+                    <strong>${this.escape(response.booking.bookingNumber)}</strong>. We will be in touch to confirm scheduling.
+                </div>
+            `;
+
+            this.api.trackConversion('quote_accepted', response.quote.total);
+        } catch (error) {
+            errorBox.textContent = error.message || 'We could not accept the quote. Please try again or contact us.';
+            errorBox.style.display = 'block';
+            button.disabled = false;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.quoteAcceptPage = new QuoteAcceptPage(window.backendAPI);
+});
@@ -1,91 +1,180 @@
+// Instant quotes are priced by the backend's own engine (/api/shared/pricingEngine.js) with the rate card it
+// publishes at /api/quote/pricing, so they match the quote the backend generates. Demand surcharges and
+// taxes depend on the booking calendar and delivery address and are added when the quote is confirmed.
+
+// The form uses slugs; the rate card uses its own event type keys
+const QUOTE_EVENT_TYPES = {
+    'conference': 'conference',
+    'trade-show': 'tradeShow',
+    'corporate': 'corporateEvent',
+    'exhibition': 'exhibition'
+};
+
+// Days of notice for the expedited service options
+const QUOTE_NOTICE_DAYS = {
+    '48-72': 3,
+    'less-than-48': 2
+};
+
+// Without a route lookup, drive time is estimated from the miles entered
+const QUOTE_AVERAGE_SPEED_MPH = 35;
+
 class QuoteCalculator {
-    constructor(pricing) {
-        this.pricing = pricing;
+    constructor(pricingInfo) {
+        this.rateCard = pricingInfo.rateCard;
+        this.emergencyMultiplier = pricingInfo.emergencyMultiplier;
+        this.pricingVersion = pricingInfo.pricingVersion || null;
+    }
+
+    // Load the published rate card (fails when the backend or the shared engine can't be reached)
+    static async load() {
+        if (!window.PricingEngine || !window.backendAPI) {
+            throw new Error('The pricing engine is not available');
+        }
+
+        const response = await window.backendAPI.getPricingInfo();
+        if (!response.success || !response.pricing || !response.pricing.rateCard) {
+            throw new Error('The published rate card is not available');
+        }
+
+        return new QuoteCalculator(response.pricing);
     }
 
     calculateQuote(formData) {
-        const quote = {
-            baseFee: 0,
-            distanceSurcharge: 0,
-            itemHandlingFee: 0,
-            expeditedServiceFee: 0,
-            storageFee: 0,
-            coordinationFee: 0,
-            waitTimeFee: 0,
-            subtotal: 0,
-            tax: 0,
-            total: 0,
-            details: {
-                distance: 0,
-                items: [],
-                expeditedNotice: '',
-                storage: '',
-                coordination: '',
-            }
+        const asOf = new Date();
+        const items = JSON.parse(formData.get('items') || '[]');
+        const miles = parseFloat(formData.get('distance')) || 0;
+        const notice = formData.get('notice');
+        const coordination = formData.get('coordination');
+        const waitTime = parseFloat(formData.get('waitTime')) || 0;
+        const details = {
+            distance: miles,
+            eventType: QUOTE_EVENT_TYPES[formData.get('eventType')] || 'corporateEvent',
+            items: [],
+            expeditedNotice: '',
+            storage: '',
+            coordination: coordination === 'complex' ? 'Complex' : 'Standard',
+            promoCode: null,
+            pricingVersion: this.pricingVersion,
         };
 
-        // 1. Base Fee
-        quote.baseFee = this.pricing.baseFee;
+        const request = {
+            eventType: details.eventType,
+            serviceLevel: 'standard',
+            items,
+            additionalServices: [],
+        };
 
-        // 2. Distance Surcharge
-        const distance = parseFloat(formData.get('distance'));
-        if (distance > 50) {
-            quote.distanceSurcharge = (distance - 50) * this.pricing.distanceSurcharge.tier2 + (30 * this.pricing.distanceSurcharge.tier1);
-        } else if (distance > 20) {
-            quote.distanceSurcharge = (distance - 20) * this.pricing.distanceSurcharge.tier1;
+        // Event date, or the notice period when only that was chosen
+        if (formData.get('eventDate')) {
+            request.eventDate = `${formData.get('eventDate')}T12:00:00`;
+        } else if (QUOTE_NOTICE_DAYS[notice]) {
+            request.eventDate = new Date(asOf.getTime() + QUOTE_NOTICE_DAYS[notice] * 24 * 60 * 60 * 1000);
+            details.expeditedNotice = notice === '48-72' ? '48-72 hours' : 'Less than 48 hours';
         }
-        quote.details.distance = distance;
-
-        // 3. Item Handling Fee
-        const items = JSON.parse(formData.get('items'));
-        items.forEach(item => {
-            const fee = this.pricing.itemHandling[item.size] || 0;
-            quote.itemHandlingFee += fee * item.quantity;
-            quote.details.items.push({ ...item, fee });
-        });
 
-        // 4. Expedited Service Fee
-        const notice = formData.get('notice');
-        if (notice === '48-72') {
-            quote.expeditedServiceFee = (quote.baseFee + quote.distanceSurcharge + quote.itemHandlingFee) * 0.30;
-            quote.details.expeditedNotice = '48-72 hours';
-        } else if (notice === 'less-than-48') {
-            quote.expeditedServiceFee = (quote.baseFee + quote.distanceSurcharge + quote.itemHandlingFee) * 0.40;
-            quote.details.expeditedNotice = 'Less than 48 hours';
+        if (coordination === 'complex') {
+            request.additionalServices.push('venueCoordination');
+        }
+        if (waitTime > 0.5) {
+            request.additionalServices.push('onSiteSupport');
         }
 
-        // 5. Storage Fee
-        const storage = formData.get('storage');
-        if (storage === '10x20') {
-            quote.storageFee = this.pricing.storage.small;
-            quote.details.storage = 'Up to 10x20';
-        } else if (storage === '20x30') {
-            quote.storageFee = this.pricing.storage.large;
-            quote.details.storage = 'Up to 20x30';
+        // Storage by stay and pallets (an invalid stay is reported and left out)
+        const storageIn = formData.get('storageIn');
+        const storageOut = formData.get('storageOut');
+        if (storageIn && storageOut) {
+            const storage = {
+                inDate: `${storageIn}T12:00:00`,
+                outDate: `${storageOut}T12:00:00`,
+                pallets: formData.get('storagePallets'),
+            };
+            try {
+                window.StoragePricing.countDays(storage.inDate, storage.outDate, 1);
+                request.storage = storage;
+            } catch (error) {
+                details.storage = error.message;
+            }
         }
 
-        // 6. Coordination Fee
-        const coordination = formData.get('coordination');
-        if (coordination === 'standard') {
-            quote.coordinationFee = this.pricing.coordination.standard;
-            quote.details.coordination = 'Standard';
-        } else if (coordination === 'complex') {
-            quote.coordinationFee = this.pricing.coordination.complex;
-            quote.details.coordination = 'Complex';
+        const distanceInfo = miles > 0
+            ? {
+                distance: { miles, text: `${miles} miles` },
+                duration: { minutes: Math.round((miles / QUOTE_AVERAGE_SPEED_MPH) * 60), text: 'estimated' },
+                estimated: true,
+            }
+            : null;
+
+        const estimate = window.PricingEngine.estimateQuote(this.rateCard, request, distanceInfo, {
+            asOf,
+            emergencyMultiplier: this.emergencyMultiplier,
+        });
+        const breakdown = estimate.breakdown;
+        const serviceFee = (service) => estimate.components.additionalServiceFees
+            .filter(line => line.service === service)
+            .reduce((sum, line) => sum + line.fee, 0);
+
+        details.items = estimate.components.itemFees;
+        details.multipliers = breakdown.multipliers;
+        details.loadingPlan = breakdown.loadingPlan;
+        // The same plain-English lines the backend stores with a confirmed quote
+        details.explanation = window.PricingEngine.explainQuote(estimate.components, { request, distanceInfo, asOf });
+        if (breakdown.storage) {
+            details.storage = window.StoragePricing.describeStorage(breakdown.storage);
+            details.storageQuote = breakdown.storage;
         }
 
-        // 7. Wait Time Fee
-        const waitTime = parseFloat(formData.get('waitTime'));
-        if (waitTime > 0.5) {
-            quote.waitTimeFee = (waitTime - 0.5) * this.pricing.waitTimeFee;
+        const quote = {
+            baseFee: breakdown.baseFee,
+            distanceSurcharge: breakdown.distanceFee,
+            itemHandlingFee: breakdown.itemFees,
+            vehicleFee: breakdown.vehicleFee,
+            serviceLevelFee: breakdown.serviceLevelFee,
+            storageFee: serviceFee('storage'),
+            coordinationFee: serviceFee('venueCoordination'),
+            waitTimeFee: serviceFee('onSiteSupport'),
+            adjustmentFee: 0,
+            subtotal: estimate.subtotal,
+            discount: 0,
+            tax: 0,
+            total: estimate.subtotal,
+            details,
+        };
+
+        // Event type and notice multipliers, shown as one line
+        const fees = breakdown.baseFee + breakdown.distanceFee + breakdown.itemFees + breakdown.vehicleFee +
+            breakdown.serviceLevelFee + breakdown.additionalServices;
+        quote.adjustmentFee = Math.round((estimate.subtotal - fees) * 100) / 100;
+
+        return quote;
+    }
+
+    // Apply a promo code checked by the backend (see /api/quote/promo-codes/validate)
+    applyPromotion(quote, promotion) {
+        quote.details.promoCode = {
+            code: promotion.code,
+            applied: !!promotion.valid,
+            reason: promotion.reason || null,
+        };
+
+        if (!promotion.valid) {
+            return quote;
         }
 
-        // Calculate Subtotal
-        quote.subtotal = quote.baseFee + quote.distanceSurcharge + quote.itemHandlingFee + quote.expeditedServiceFee + quote.storageFee + quote.coordinationFee + quote.waitTimeFee;
+        let discount = promotion.amount;
+        if (discount === undefined) {
+            const rule = promotion.discount;
+            discount = rule.discountType === 'percentage' ? quote.subtotal * (rule.amount / 100) : rule.amount;
+            if (rule.maxDiscount !== null) {
+                discount = Math.min(discount, rule.maxDiscount);
+            }
+        }
 
-        // Calculate Total
-        quote.total = quote.subtotal;
+        quote.discount = Math.min(discount, quote.subtotal);
+        quote.total = quote.subtotal - quote.discount;
 
         return quote;
     }
 }
+
+window.QuoteCalculator = QuoteCalculator;
@@ -2,27 +2,6 @@ class QuoteWidget {
     constructor() {
         this.widget = document.createElement('div');
         this.widget.className = 'quote-widget';
-        this.calculator = new QuoteCalculator({
-            baseFee: 200.00,
-            distanceSurcharge: {
-                tier1: 1.25,
-                tier2: 1.75,
-            },
-            itemHandling: {
-                small: 35.00,
-                medium: 55.00,
-                large: 75.00,
-            },
-            storage: {
-                small: 475.00,
-                large: 950.00,
-            },
-            coordination: {
-                standard: 80.00,
-                complex: 120.00,
-            },
-            waitTimeFee: 45.00,
-        });
         this.init();
     }
 
@@ -36,6 +15,22 @@ class QuoteWidget {
             <div class="quote-widget-body">
                 <form id="quote-form">
                     <div class="form-step active">
+                        <div class="form-group">
+                            <label>Pickup Address (optional)</label>
+                            <input type="text" name="pickup" placeholder="Street, city, state ZIP">
+                        </div>
+                        <div class="form-group">
+                            <label>Delivery Address (optional)</label>
+                            <input type="text" name="delivery" placeholder="Street, city, state ZIP">
+                        </div>
+                        <div class="form-group">
+                            <label>Event Date</label>
+                            <input type="date" name="eventDate">
+                        </div>
+                        <div class="form-group">
+                            <label>Alternative Event Date (optional)</label>
+                            <input type="date" name="alternativeDate">
+                        </div>
                         <div class="form-group">
                             <label>Distance (miles)</label>
                             <input type="number" name="distance" min="0" value="0">
@@ -70,12 +65,16 @@ class QuoteWidget {
                     </div>
                     <div class="form-step">
                         <div class="form-group">
-                            <label>Storage</label>
-                            <select name="storage">
-                                <option value="">None</option>
-                                <option value="10x20">Up to 10x20</option>
-                                <option value="20x30">Up to 20x30</option>
-                            </select>
+                            <label>Storage In (optional)</label>
+                            <input type="date" name="storageIn">
+                        </div>
+                        <div class="form-group">
+                            <label>Storage Out</label>
+                            <input type="date" name="storageOut">
+                        </div>
+                        <div class="form-group">
+                            <label>Pallets (leave blank to estimate from your items)</label>
+                            <input type="number" name="storagePallets" min="1" max="500">
                         </div>
                         <div class="form-group">
                             <label>Coordination</label>
@@ -95,6 +94,7 @@ class QuoteWidget {
                 <div id="quote-result" style="display:none;">
                     <h3>Your Quote</h3>
                     <div id="quote-details"></div>
+                    <div id="service-level-comparison"></div>
                 </div>
             </div>
         `;
@@ -140,7 +140,7 @@ class QuoteWidget {
             itemsContainer.appendChild(newItemRow);
         });
 
-        form.addEventListener('submit', (e) => {
+        form.addEventListener('submit', async (e) => {
             e.preventDefault();
             const formData = new FormData(form);
             const items = [];
@@ -151,8 +151,16 @@ class QuoteWidget {
                 items.push({ size, quantity });
             });
             formData.set('items', JSON.stringify(items));
-            const quote = this.calculator.calculateQuote(formData);
-            this.displayQuote(quote);
+            try {
+                // The published rate card is loaded on the first quote
+                this.calculator = this.calculator || await QuoteCalculator.load();
+                this.displayQuote(this.calculator.calculateQuote(formData));
+            } catch (error) {
+                console.error('Instant quote failed:', error);
+                this.widget.querySelector('#quote-details').innerHTML = '<p>Instant quotes are unavailable right now. Please call (973) 415-9532.</p>';
+                this.widget.querySelector('#quote-result').style.display = 'block';
+            }
+            this.compareServiceLevels(formData, items);
         });
 
         closeBtn.addEventListener('click', () => {
@@ -166,19 +174,129 @@ class QuoteWidget {
         });
     }
 
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML;
+    }
+
     displayQuote(quote) {
         const quoteDetails = this.widget.querySelector('#quote-details');
         quoteDetails.innerHTML = `
             <p><strong>Base Fee:</strong> $${quote.baseFee.toFixed(2)}</p>
             <p><strong>Distance Surcharge:</strong> $${quote.distanceSurcharge.toFixed(2)}</p>
             <p><strong>Item Handling Fee:</strong> $${quote.itemHandlingFee.toFixed(2)}</p>
-            <p><strong>Expedited Service Fee:</strong> $${quote.expeditedServiceFee.toFixed(2)}</p>
-            <p><strong>Storage Fee:</strong> $${quote.storageFee.toFixed(2)}</p>
-            <p><strong>Coordination Fee:</strong> $${quote.coordinationFee.toFixed(2)}</p>
-            <p><strong>Wait Time Fee:</strong> $${quote.waitTimeFee.toFixed(2)}</p>
+            <p><strong>Vehicle:</strong> ${quote.details.loadingPlan && !quote.details.loadingPlan.fits
+                ? `On request (${this.escape(quote.details.loadingPlan.reason)})`
+                : `$${quote.vehicleFee.toFixed(2)}`}</p>
+            <p><strong>Storage Fee:</strong> $${quote.storageFee.toFixed(2)}${quote.details.storage ? ` (${this.escape(quote.details.storage)})` : ''}</p>
+            <p><strong>Venue Coordination:</strong> $${quote.coordinationFee.toFixed(2)}</p>
+            <p><strong>On-site Support:</strong> $${quote.waitTimeFee.toFixed(2)}</p>
+            <p><strong>Event Type &amp; Notice Adjustment:</strong> $${quote.adjustmentFee.toFixed(2)}</p>
             <p><strong>Subtotal:</strong> $${quote.subtotal.toFixed(2)}</p>
             <h3>Total: $${quote.total.toFixed(2)}</h3>
+            ${quote.details.explanation.length > 0 ? `
+            <h4>Why this price</h4>
+            <ul class="quote-explanation">
+                ${quote.details.explanation.map(line => `<li>${this.escape(line.text)}</li>`).join('')}
+            </ul>` : ''}
         `;
         this.widget.querySelector('#quote-result').style.display = 'block';
     }
+
+    async compareServiceLevels(formData, items) {
+        const container = this.widget.querySelector('#service-level-comparison');
+        const pickup = (formData.get('pickup') || '').trim();
+        const delivery = (formData.get('delivery') || '').trim();
+
+        // The comparison is priced by the backend, which needs real addresses
+        container.innerHTML = '';
+        if (!pickup || !delivery || !window.backendAPI) {
+            return;
+        }
+
+        const toISODate = (value) => (value ? new Date(`${value}T12:00:00`).toISOString() : null);
+        const request = {
+            pickup,
+            delivery,
+            items: items.map(item => ({ size: item.size, quantity: parseInt(item.quantity) || 1 }))
+        };
+        const eventDate = toISODate(formData.get('eventDate'));
+        const alternativeDate = toISODate(formData.get('alternativeDate'));
+        if (eventDate) request.eventDate = eventDate;
+
+        container.innerHTML = '<p>Comparing service levels...</p>';
+
+        try {
+            const response = await window.backendAPI.compareServiceLevels(request, alternativeDate ? [alternativeDate] : []);
+            if (!response.success) {
+                throw new Error(response.error || 'Comparison failed');
+            }
+            this.renderComparison(response.comparison);
+        } catch (error) {
+            console.error('Service level comparison failed:', error);
+            container.innerHTML = '<p>Service level comparison is unavailable right now.</p>';
+        }
+    }
+
+    renderComparison(comparison) {
+        const container = this.widget.querySelector('#service-level-comparison');
+        const labels = {
+            standard: 'Standard',
+            nextDay: 'Next Day',
+            sameDay: 'Same Day',
+            emergency: 'Emergency'
+        };
+        const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Flexible date');
+        const formatDelta = (delta) => (delta === 0 ? 'baseline' : `${delta > 0 ? '+' : '-'}$${Math.abs(delta).toFixed(2)}`);
+
+        const header = comparison.serviceLevels
+            .map(level => `<th>${labels[level] || level}</th>`)
+            .join('');
+        const rows = comparison.matrix.map(row => `
+            <tr>
+                <th>${formatDate(row.eventDate)}</th>
+                ${row.options.map(option => `
+                    <td>
+                        <button type="button" class="comparison-option" data-service-level="${option.serviceLevel}" data-event-date="${row.eventDate || ''}">
+                            $${option.total.toFixed(2)}
+                            <span class="comparison-delta">${formatDelta(option.delta)}</span>
+                        </button>
+                    </td>
+                `).join('')}
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h4>Compare Service Levels</h4>
+            <table class="comparison-matrix">
+                <thead><tr><th>Event date</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p id="comparison-selection"></p>
+        `;
+
+        container.querySelectorAll('.comparison-option').forEach(button => {
+            button.addEventListener('click', () => this.selectServiceLevel(button, labels, formatDate));
+        });
+
+        // Start with the baseline (the requested tier and date) selected
+        const baseline = container.querySelector(`.comparison-option[data-service-level="${comparison.baseline.serviceLevel}"][data-event-date="${comparison.baseline.eventDate || ''}"]`);
+        if (baseline) {
+            this.selectServiceLevel(baseline, labels, formatDate);
+        }
+    }
+
+    selectServiceLevel(button, labels, formatDate) {
+        this.widget.querySelectorAll('.comparison-option').forEach(option => option.classList.remove('selected'));
+        button.classList.add('selected');
+
+        this.selectedOption = {
+            serviceLevel: button.dataset.serviceLevel,
+            eventDate: button.dataset.eventDate || null
+        };
+
+        this.widget.querySelector('#comparison-selection').textContent =
+            `Selected: ${labels[this.selectedOption.serviceLevel] || this.selectedOption.serviceLevel} on ${formatDate(this.selectedOption.eventDate)}`;
+    }
 }